@@ -0,0 +1,8 @@
+#!/usr/bin/env node
+// Command-line tool for managing folders and uploads: "foldselect --help"
+
+const { run } = require('../lib/cli');
+
+run(process.argv.slice(2)).then(code => {
+  process.exitCode = code;
+});
@@ -0,0 +1,969 @@
+const { FORMATS } = require('./image-type');
+const { DUPLICATE_POLICIES } = require('./config');
+const { RECURRENCES } = require('./scheduler');
+const { ACTIONS } = require('./audit');
+const { SESSION_COOKIE } = require('./auth');
+
+// The versioned API (/api/v1): every operation with the schemas of its
+// parameters, request body and responses. Requests are checked against these
+// before they reach a route, responses can be checked before they are sent,
+// and the OpenAPI document served at /api/openapi.json (and, like every /api
+// route, at /api/v1/openapi.json) is built from them.
+//
+// Paths are relative to /api/v1 and use OpenAPI's {param} syntax. Nested
+// folder names contain slashes, so they are sent URL-encoded ("2026%2Fevent-a").
+// Every /api route in server.js needs an operation here; the tests check both
+// lists against each other.
+
+const API_VERSION = '1.0.0';
+const MAX_PAGE_SIZE = 200;
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+
+// Schemas shared by several operations
+const COMPONENTS = {
+  Error: {
+    type: 'object',
+    required: ['error'],
+    properties: {
+      error: {
+        type: 'object',
+        required: ['code', 'message'],
+        properties: {
+          code: { type: 'string', description: 'Stable, machine-readable error code, e.g. NOT_FOUND or VALIDATION_FAILED' },
+          message: { type: 'string', description: 'What went wrong, for people' },
+          details: { type: 'object', description: 'More about the error, e.g. the invalid fields in `errors` or the duplicates an upload was rejected for' }
+        }
+      }
+    }
+  },
+  Message: {
+    type: 'object',
+    required: ['message'],
+    properties: { message: { type: 'string' } }
+  },
+  User: {
+    type: 'object',
+    required: ['username', 'role'],
+    properties: {
+      username: { type: 'string' },
+      role: { type: 'string', enum: ['viewer', 'admin'] }
+    }
+  },
+  Folder: {
+    type: 'object',
+    required: ['name', 'parent', 'title', 'active', 'createdAt'],
+    properties: {
+      name: { type: 'string', description: 'Slash-separated path of slugs, e.g. "2026/event-a"' },
+      parent: { type: 'string', description: 'Name of the parent folder, "" at the top level' },
+      title: { type: 'string' },
+      description: { type: 'string' },
+      active: { type: 'boolean' },
+      includeDescendants: { type: 'boolean' },
+      keepLocation: { type: 'boolean' },
+      quota: { type: 'integer', description: 'Bytes the folder and its subfolders may use' },
+      createdAt: { type: 'string', format: 'date-time' },
+      activatedAt: { type: 'string', format: 'date-time' },
+      deactivatedAt: { type: 'string', format: 'date-time' }
+    }
+  },
+  FolderCard: {
+    type: 'object',
+    required: ['name', 'parent', 'title', 'breadcrumb', 'childCount', 'imageCount', 'images', 'active'],
+    properties: {
+      name: { type: 'string' },
+      parent: { type: 'string' },
+      title: { type: 'string' },
+      description: { type: 'string' },
+      breadcrumb: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['name', 'title'],
+          properties: { name: { type: 'string' }, title: { type: 'string' } }
+        }
+      },
+      childCount: { type: 'integer' },
+      imageCount: { type: 'integer' },
+      size: { type: 'integer', description: 'Bytes used by the images of the folder itself (admins only)' },
+      quota: { type: 'integer' },
+      images: { type: 'array', items: ref('Image') },
+      active: { type: 'boolean' },
+      includeDescendants: { type: 'boolean' },
+      keepLocation: { type: 'boolean' },
+      includedBy: { type: 'string', description: 'The active folder that shows this subfolder' },
+      createdAt: { type: 'string', format: 'date-time' }
+    }
+  },
+  Image: {
+    type: 'object',
+    required: ['filename', 'path', 'folder'],
+    properties: {
+      filename: { type: 'string' },
+      path: { type: 'string', description: 'URL of the original file' },
+      thumbnailUrl: { type: 'string' },
+      mediumUrl: { type: 'string' },
+      transformUrl: { type: 'string', description: 'Resizes and converts the image with the w, h, fit, format and q query parameters' },
+      folder: { type: 'string' },
+      size: { type: 'integer' },
+      createdAt: { type: 'string', format: 'date-time' },
+      modifiedAt: { type: 'string', format: 'date-time' },
+      width: { type: 'integer' },
+      height: { type: 'integer' },
+      orientation: { type: 'integer', description: 'EXIF orientation (1-8)' },
+      takenAt: { type: 'string', description: 'Capture time in the camera\'s local time' },
+      camera: { type: 'string' },
+      hasLocation: { type: 'boolean' },
+      hash: { type: 'string', description: 'SHA-256 of the content' }
+    }
+  },
+  Duplicate: {
+    type: 'object',
+    required: ['originalName', 'status', 'duplicateOf'],
+    properties: {
+      originalName: { type: 'string' },
+      filename: { type: 'string' },
+      status: { type: 'string', enum: ['rejected', 'skipped', 'uploaded'] },
+      duplicateOf: ref('Image')
+    }
+  },
+  UploadResult: {
+    type: 'object',
+    required: ['message', 'files', 'duplicates', 'folder'],
+    properties: {
+      message: { type: 'string' },
+      files: { type: 'array', items: ref('Image') },
+      duplicates: { type: 'array', items: ref('Duplicate') },
+      rejected: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['originalName', 'error'],
+          properties: { originalName: { type: 'string' }, error: { type: 'string' } }
+        }
+      },
+      folder: { type: 'string' }
+    }
+  },
+  UploadSession: {
+    type: 'object',
+    required: ['id', 'folderName', 'filename', 'size', 'offset', 'chunkSize'],
+    properties: {
+      id: { type: 'string' },
+      folderName: { type: 'string' },
+      filename: { type: 'string' },
+      size: { type: 'integer' },
+      mimeType: { type: 'string' },
+      createdBy: { type: 'string' },
+      createdAt: { type: 'string', format: 'date-time' },
+      updatedAt: { type: 'string', format: 'date-time' },
+      offset: { type: 'integer', description: 'Bytes received so far; the next chunk starts here' },
+      chunkSize: { type: 'integer' },
+      expiresAt: { type: 'string', format: 'date-time' }
+    }
+  },
+  ImportResult: {
+    type: 'object',
+    required: ['message', 'folder', 'created', 'summary', 'entries'],
+    properties: {
+      message: { type: 'string' },
+      folder: { type: 'string' },
+      created: { type: 'boolean' },
+      summary: {
+        type: 'object',
+        required: ['imported', 'skipped', 'rejected'],
+        properties: { imported: { type: 'integer' }, skipped: { type: 'integer' }, rejected: { type: 'integer' } }
+      },
+      entries: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['entry', 'status'],
+          properties: {
+            entry: { type: 'string', description: 'Path of the entry in the archive' },
+            status: { type: 'string', enum: ['imported', 'skipped', 'rejected'] },
+            filename: { type: 'string' },
+            size: { type: 'integer' },
+            reason: { type: 'string' },
+            duplicateOf: { type: 'string' }
+          }
+        }
+      }
+    }
+  },
+  Schedule: {
+    type: 'object',
+    required: ['id', 'folderName', 'recurrence', 'createdAt'],
+    properties: {
+      id: { type: 'integer' },
+      folderName: { type: 'string' },
+      recurrence: { type: 'string', enum: RECURRENCES },
+      startAt: { type: 'string', format: 'date-time' },
+      endAt: { type: 'string', format: 'date-time' },
+      startTime: { type: 'string', description: 'HH:MM, server time' },
+      endTime: { type: 'string' },
+      days: { type: 'array', items: { type: 'integer' } },
+      createdAt: { type: 'string', format: 'date-time' }
+    }
+  },
+  TrashItem: {
+    type: 'object',
+    required: ['id', 'kind', 'folderName', 'title', 'imageCount', 'size', 'deletedAt'],
+    properties: {
+      id: { type: 'string' },
+      kind: { type: 'string', enum: ['folder', 'image'] },
+      folderName: { type: 'string' },
+      filename: { type: 'string' },
+      title: { type: 'string' },
+      folderCount: { type: 'integer' },
+      imageCount: { type: 'integer' },
+      size: { type: 'integer' },
+      deletedAt: { type: 'string', format: 'date-time' },
+      deletedBy: { type: 'string' },
+      expiresAt: { type: 'string', format: 'date-time' }
+    }
+  },
+  AuditEntry: {
+    type: 'object',
+    required: ['id', 'at', 'action'],
+    properties: {
+      id: { type: 'integer' },
+      at: { type: 'string', format: 'date-time' },
+      actor: { type: 'string', description: 'Username, or "scheduler" and "system" for changes the server made' },
+      action: { type: 'string', enum: ACTIONS },
+      folderName: { type: 'string' },
+      filename: { type: 'string' },
+      before: { type: 'object' },
+      after: { type: 'object' },
+      details: { type: 'object' }
+    }
+  }
+};
+
+// A page of `key` items with its paging details
+function pageOf(key, items, extra = {}) {
+  return {
+    type: 'object',
+    required: [key, 'total', 'offset', 'limit', 'hasMore'],
+    properties: {
+      ...extra,
+      [key]: { type: 'array', items },
+      total: { type: 'integer' },
+      offset: { type: 'integer' },
+      limit: { type: 'integer' },
+      hasMore: { type: 'boolean' }
+    }
+  };
+}
+
+const pathParam = (name, description, schema = { type: 'string', minLength: 1 }) => ({ name, in: 'path', required: true, description, schema });
+const queryParam = (name, description, schema, required = false) => ({ name, in: 'query', required, description, schema });
+
+const FOLDER_NAME = pathParam('folderName', 'Folder name, URL-encoded');
+const FILENAME = pathParam('filename', 'Image file name, URL-encoded');
+const SESSION_ID = pathParam('id', 'Upload session id');
+
+const PAGING = [
+  queryParam('limit', 'Items per page', { type: 'integer', minimum: 1, maximum: MAX_PAGE_SIZE, default: 50 }),
+  queryParam('offset', 'Items to skip', { type: 'integer', minimum: 0, default: 0 }),
+  queryParam('order', 'Sort order', { type: 'string', enum: ['asc', 'desc'], default: 'asc' }),
+  queryParam('q', 'Search text', { type: 'string' })
+];
+const FOLDER_QUERY = [
+  ...PAGING,
+  queryParam('sort', 'Sort by', { type: 'string', enum: ['name', 'title', 'createdAt', 'imageCount', 'size'] }),
+  queryParam('parent', 'Only the direct subfolders of this folder ("" for the top level)', { type: 'string' }),
+  queryParam('images', 'Preview images per folder', { type: 'integer', minimum: 0, maximum: MAX_PAGE_SIZE, default: 6 })
+];
+const DUPLICATES = { type: 'string', enum: DUPLICATE_POLICIES, description: 'What to do with images already in the folder; the server\'s policy by default' };
+
+// Request body schemas don't allow unknown fields, so typos are reported
+function body(properties, required = []) {
+  return { type: 'object', required, additionalProperties: false, properties };
+}
+
+const OPERATIONS = [
+  // Auth
+  {
+    method: 'post', path: '/auth/login', operationId: 'login', tag: 'Auth', role: null,
+    summary: 'Log in and get a session token (also set as a cookie)',
+    body: body({ username: { type: 'string', minLength: 1 }, password: { type: 'string', minLength: 1 } }, ['username', 'password']),
+    responses: {
+      200: {
+        type: 'object',
+        required: ['message', 'user', 'token'],
+        properties: { message: { type: 'string' }, user: ref('User'), token: { type: 'string' } }
+      }
+    },
+    errors: [400, 401]
+  },
+  {
+    method: 'post', path: '/auth/logout', operationId: 'logout', tag: 'Auth', role: null,
+    summary: 'End the current session',
+    responses: { 200: ref('Message') }
+  },
+  {
+    method: 'get', path: '/auth/me', operationId: 'getCurrentUser', tag: 'Auth', role: null,
+    summary: 'Get the logged in user',
+    responses: { 200: { type: 'object', required: ['user'], properties: { user: ref('User') } } },
+    errors: [401]
+  },
+
+  // Server
+  {
+    method: 'get', path: '/health', operationId: 'getHealth', tag: 'Server', role: null,
+    summary: 'Check that the server is running',
+    responses: {
+      200: {
+        type: 'object',
+        required: ['status', 'timestamp'],
+        properties: { status: { type: 'string' }, message: { type: 'string' }, timestamp: { type: 'string', format: 'date-time' } }
+      }
+    }
+  },
+  {
+    method: 'get', path: '/config', operationId: 'getConfig', tag: 'Server', role: 'viewer',
+    summary: 'Get the upload policy',
+    responses: {
+      200: {
+        type: 'object',
+        required: ['upload'],
+        properties: {
+          upload: {
+            type: 'object',
+            required: ['maxFileSize', 'maxFiles', 'maxArchiveSize', 'chunkSize', 'duplicatePolicy', 'formats'],
+            properties: {
+              maxFileSize: { type: 'integer' },
+              maxFiles: { type: 'integer' },
+              maxArchiveSize: { type: 'integer' },
+              chunkSize: { type: 'integer' },
+              duplicatePolicy: { type: 'string', enum: DUPLICATE_POLICIES },
+              formats: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  required: ['format', 'label', 'extensions', 'mimeTypes'],
+                  properties: {
+                    format: { type: 'string', enum: Object.keys(FORMATS) },
+                    label: { type: 'string' },
+                    extensions: { type: 'array', items: { type: 'string' } },
+                    mimeTypes: { type: 'array', items: { type: 'string' } }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  },
+  {
+    method: 'get', path: '/openapi.json', operationId: 'getOpenApi', tag: 'Server', role: null,
+    summary: 'Get this OpenAPI document',
+    responses: { 200: { type: 'object', required: ['openapi', 'paths'] } }
+  },
+  {
+    method: 'get', path: '/events', operationId: 'streamEvents', tag: 'Server', role: 'viewer',
+    summary: 'Stream folder and image changes as Server-Sent Events',
+    responses: { 200: { contentType: 'text/event-stream', schema: { type: 'string' } } }
+  },
+
+  // Folders
+  {
+    method: 'get', path: '/folders', operationId: 'listFolders', tag: 'Folders', role: 'admin',
+    summary: 'Get a page of folders with counts, sizes and preview images',
+    parameters: [...FOLDER_QUERY, queryParam('active', 'Only active or inactive folders', { type: 'boolean' })],
+    responses: { 200: pageOf('folders', ref('FolderCard')) },
+    errors: [400]
+  },
+  {
+    method: 'get', path: '/folders/active', operationId: 'listVisibleFolders', tag: 'Folders', role: 'viewer',
+    summary: 'Get a page of the folders shown to users',
+    parameters: FOLDER_QUERY,
+    responses: { 200: pageOf('folders', ref('FolderCard')) },
+    errors: [400]
+  },
+  {
+    method: 'get', path: '/folders/current-active', operationId: 'getActiveFolder', tag: 'Folders', role: 'admin',
+    summary: 'Get the active folder and the state of every folder',
+    responses: {
+      200: {
+        type: 'object',
+        required: ['activeFolders', 'activeFolder', 'activeCount', 'allFolders'],
+        properties: {
+          activeFolders: { type: 'array', items: { type: 'string' } },
+          activeFolder: { type: 'string', nullable: true },
+          activeCount: { type: 'integer' },
+          allFolders: { type: 'object', additionalProperties: { type: 'object' } },
+          timestamp: { type: 'string', format: 'date-time' }
+        }
+      }
+    }
+  },
+  {
+    method: 'post', path: '/folders', operationId: 'createFolder', tag: 'Folders', role: 'admin',
+    summary: 'Create a folder',
+    body: body({
+      folderName: { type: 'string', minLength: 1, description: 'Display title' },
+      slug: { type: 'string', description: 'Name on disk; made from the title by default' },
+      description: { type: 'string' },
+      parent: { type: 'string', description: 'Parent folder, "" for the top level' }
+    }, ['folderName']),
+    responses: {
+      200: {
+        type: 'object',
+        required: ['message', 'folderName', 'title'],
+        properties: { message: { type: 'string' }, folderName: { type: 'string' }, title: { type: 'string' } }
+      }
+    },
+    errors: [400, 404]
+  },
+  {
+    method: 'patch', path: '/folders/{folderName}', operationId: 'updateFolder', tag: 'Folders', role: 'admin',
+    summary: 'Change a folder\'s title, description, options or quota, rename it or move it',
+    parameters: [FOLDER_NAME],
+    body: body({
+      title: { type: 'string', minLength: 1 },
+      description: { type: 'string' },
+      name: { type: 'string', minLength: 1, description: 'New last slug of the name' },
+      parent: { type: 'string', nullable: true, description: 'New parent folder, "" or null for the top level' },
+      keepLocation: { type: 'boolean' },
+      quotaMb: { type: 'number', exclusiveMinimum: 0, nullable: true, description: 'null removes the quota' }
+    }),
+    responses: {
+      200: {
+        type: 'object',
+        required: ['message', 'previousName', 'folder'],
+        properties: { message: { type: 'string' }, previousName: { type: 'string' }, folder: ref('Folder') }
+      }
+    },
+    errors: [400, 404, 413]
+  },
+  {
+    method: 'patch', path: '/folders/{folderName}/toggle', operationId: 'toggleFolder', tag: 'Folders', role: 'admin',
+    summary: 'Activate a folder (deactivating the active one) or deactivate it',
+    parameters: [FOLDER_NAME],
+    body: body({ includeDescendants: { type: 'boolean', description: 'Also show its subfolders to users' } }),
+    responses: {
+      200: {
+        type: 'object',
+        required: ['message', 'folderName', 'active'],
+        properties: {
+          message: { type: 'string' },
+          folderName: { type: 'string' },
+          active: { type: 'boolean' },
+          includeDescendants: { type: 'boolean' },
+          previousActive: { type: 'string', nullable: true },
+          totalActiveFolders: { type: 'integer' }
+        }
+      }
+    },
+    errors: [404]
+  },
+  {
+    method: 'delete', path: '/folders/{folderName}', operationId: 'deleteFolder', tag: 'Folders', role: 'admin',
+    summary: 'Move a folder and its subfolders to the trash',
+    parameters: [FOLDER_NAME],
+    responses: {
+      200: { type: 'object', required: ['message', 'trashId'], properties: { message: { type: 'string' }, trashId: { type: 'string' } } }
+    },
+    errors: [404]
+  },
+  {
+    method: 'get', path: '/folders/{folderName}/archive', operationId: 'downloadFolder', tag: 'Folders', role: 'viewer',
+    summary: 'Download a folder as a ZIP archive',
+    parameters: [
+      FOLDER_NAME,
+      queryParam('descendants', 'Include subfolders', { type: 'boolean' }),
+      queryParam('files', 'Only these images (comma-separated)', { type: 'string' })
+    ],
+    responses: { 200: { contentType: 'application/zip', schema: { type: 'string', format: 'binary' } } },
+    errors: [400, 404]
+  },
+
+  // Images
+  {
+    method: 'get', path: '/folders/{folderName}/images', operationId: 'listImages', tag: 'Images', role: 'viewer',
+    summary: 'Get a page of the images in a folder',
+    parameters: [
+      FOLDER_NAME,
+      ...PAGING,
+      queryParam('sort', 'Sort by', { type: 'string', enum: ['name', 'createdAt', 'size'] }),
+      queryParam('descendants', 'Include the images of subfolders', { type: 'boolean' })
+    ],
+    responses: { 200: pageOf('images', ref('Image'), { folder: { type: 'string' }, imageCount: { type: 'integer' } }) },
+    errors: [400, 404]
+  },
+  {
+    method: 'get', path: '/folders/{folderName}/images/{filename}', operationId: 'getImage', tag: 'Images', role: 'admin',
+    summary: 'Get one image with its metadata',
+    parameters: [FOLDER_NAME, FILENAME],
+    responses: { 200: ref('Image') },
+    errors: [404]
+  },
+  {
+    method: 'patch', path: '/folders/{folderName}/images/{filename}', operationId: 'renameImage', tag: 'Images', role: 'admin',
+    summary: 'Rename an image (the extension is kept)',
+    parameters: [FOLDER_NAME, FILENAME],
+    body: body({ newName: { type: 'string', minLength: 1 } }, ['newName']),
+    responses: {
+      200: {
+        type: 'object',
+        required: ['message', 'image'],
+        properties: { message: { type: 'string' }, previousName: { type: 'string' }, image: ref('Image') }
+      }
+    },
+    errors: [400, 404]
+  },
+  {
+    method: 'post', path: '/folders/{folderName}/images/{filename}/move', operationId: 'moveImage', tag: 'Images', role: 'admin',
+    summary: 'Move or copy an image into another folder',
+    parameters: [FOLDER_NAME, FILENAME],
+    body: body({ targetFolder: { type: 'string', minLength: 1 }, copy: { type: 'boolean' } }, ['targetFolder']),
+    responses: {
+      200: { type: 'object', required: ['message', 'image'], properties: { message: { type: 'string' }, image: ref('Image') } }
+    },
+    errors: [400, 404, 413]
+  },
+  {
+    method: 'delete', path: '/folders/{folderName}/images/{filename}', operationId: 'deleteImage', tag: 'Images', role: 'admin',
+    summary: 'Move an image to the trash',
+    parameters: [FOLDER_NAME, FILENAME],
+    responses: {
+      200: {
+        type: 'object',
+        required: ['message', 'filename', 'folder', 'trashId'],
+        properties: { message: { type: 'string' }, filename: { type: 'string' }, folder: { type: 'string' }, trashId: { type: 'string' } }
+      }
+    },
+    errors: [404]
+  },
+  {
+    method: 'get', path: '/duplicates', operationId: 'findDuplicates', tag: 'Images', role: 'admin',
+    summary: 'Find images with the same content across all folders',
+    responses: {
+      200: {
+        type: 'object',
+        required: ['groups', 'duplicateCount', 'wastedBytes'],
+        properties: {
+          groups: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['hash', 'size', 'count', 'images'],
+              properties: { hash: { type: 'string' }, size: { type: 'integer' }, count: { type: 'integer' }, images: { type: 'array', items: ref('Image') } }
+            }
+          },
+          duplicateCount: { type: 'integer' },
+          wastedBytes: { type: 'integer' }
+        }
+      }
+    }
+  },
+
+  // Uploads
+  {
+    method: 'post', path: '/upload', operationId: 'uploadImages', tag: 'Uploads', role: 'admin',
+    summary: 'Upload images to a folder',
+    body: {
+      contentType: 'multipart/form-data',
+      schema: {
+        type: 'object',
+        required: ['folderName', 'images'],
+        properties: {
+          folderName: { type: 'string' },
+          duplicates: DUPLICATES,
+          images: { type: 'array', items: { type: 'string', format: 'binary' } }
+        }
+      }
+    },
+    responses: { 200: ref('UploadResult') },
+    errors: [400, 404, 409, 413]
+  },
+  {
+    method: 'get', path: '/uploads', operationId: 'listUploadSessions', tag: 'Uploads', role: 'admin',
+    summary: 'List your interrupted resumable uploads',
+    responses: {
+      200: {
+        type: 'object',
+        required: ['chunkSize', 'maxFileSize', 'sessions'],
+        properties: { chunkSize: { type: 'integer' }, maxFileSize: { type: 'integer' }, sessions: { type: 'array', items: ref('UploadSession') } }
+      }
+    }
+  },
+  {
+    method: 'post', path: '/uploads', operationId: 'createUploadSession', tag: 'Uploads', role: 'admin',
+    summary: 'Start a resumable upload of one image',
+    body: body({
+      folderName: { type: 'string', minLength: 1 },
+      filename: { type: 'string', minLength: 1, maxLength: 255 },
+      size: { type: 'integer', minimum: 1, description: 'Bytes' },
+      type: { type: 'string', description: 'MIME type' }
+    }, ['folderName', 'filename', 'size']),
+    responses: { 201: ref('UploadSession') },
+    errors: [400, 404, 413]
+  },
+  {
+    method: 'get', path: '/uploads/{id}', operationId: 'getUploadSession', tag: 'Uploads', role: 'admin',
+    summary: 'Get an upload session and the offset to continue from',
+    parameters: [SESSION_ID],
+    responses: { 200: ref('UploadSession') },
+    errors: [404]
+  },
+  {
+    method: 'put', path: '/uploads/{id}', operationId: 'sendUploadChunk', tag: 'Uploads', role: 'admin',
+    summary: 'Send the next chunk, starting at the session\'s offset',
+    parameters: [SESSION_ID, queryParam('offset', 'Byte the chunk starts at', { type: 'integer', minimum: 0 }, true)],
+    body: { contentType: 'application/octet-stream', schema: { type: 'string', format: 'binary' } },
+    responses: {
+      200: { type: 'object', required: ['offset', 'size'], properties: { offset: { type: 'integer' }, size: { type: 'integer' } } }
+    },
+    errors: [400, 404, 409, 413, 415]
+  },
+  {
+    method: 'post', path: '/uploads/{id}/complete', operationId: 'completeUpload', tag: 'Uploads', role: 'admin',
+    summary: 'Add a fully received image to its folder',
+    parameters: [SESSION_ID],
+    body: body({ duplicates: DUPLICATES }),
+    responses: { 200: ref('UploadResult') },
+    errors: [400, 404, 409, 413]
+  },
+  {
+    method: 'delete', path: '/uploads/{id}', operationId: 'cancelUpload', tag: 'Uploads', role: 'admin',
+    summary: 'Discard an upload session',
+    parameters: [SESSION_ID],
+    responses: { 200: ref('Message') },
+    errors: [404]
+  },
+  {
+    method: 'post', path: '/import', operationId: 'importArchive', tag: 'Uploads', role: 'admin',
+    summary: 'Import a ZIP archive into a folder',
+    body: {
+      contentType: 'multipart/form-data',
+      schema: {
+        type: 'object',
+        required: ['archive'],
+        properties: {
+          archive: { type: 'string', format: 'binary' },
+          folderName: { type: 'string', description: 'Existing folder to import into' },
+          newFolder: { type: 'string', description: 'Title of a new folder to create instead' },
+          parent: { type: 'string', description: 'Parent of the new folder' },
+          duplicates: DUPLICATES
+        }
+      }
+    },
+    responses: { 200: ref('ImportResult') },
+    errors: [400, 404, 413]
+  },
+
+  // Storage
+  {
+    method: 'get', path: '/storage', operationId: 'getStorage', tag: 'Storage', role: 'admin',
+    summary: 'Get the space used per folder, the quotas, the largest images and the daily history',
+    parameters: [queryParam('days', 'Days of history', { type: 'integer', minimum: 1, maximum: 365, default: 90 })],
+    responses: {
+      200: {
+        type: 'object',
+        required: ['usedBytes', 'reservedBytes', 'imageCount', 'disk', 'folders', 'largestImages', 'history'],
+        properties: {
+          usedBytes: { type: 'integer' },
+          reservedBytes: { type: 'integer' },
+          imageCount: { type: 'integer' },
+          quota: { type: 'integer' },
+          disk: { type: 'object', required: ['total', 'free'], properties: { total: { type: 'integer' }, free: { type: 'integer' } } },
+          folders: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['name', 'title', 'size', 'imageCount', 'totalSize', 'totalImageCount'],
+              properties: {
+                name: { type: 'string' },
+                title: { type: 'string' },
+                size: { type: 'integer' },
+                imageCount: { type: 'integer' },
+                totalSize: { type: 'integer' },
+                totalImageCount: { type: 'integer' },
+                quota: { type: 'integer' }
+              }
+            }
+          },
+          largestImages: { type: 'array', items: ref('Image') },
+          history: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['date', 'usedBytes', 'imageCount'],
+              properties: { date: { type: 'string' }, usedBytes: { type: 'integer' }, imageCount: { type: 'integer' }, freeBytes: { type: 'integer' } }
+            }
+          }
+        }
+      }
+    }
+  },
+
+  // Audit log
+  {
+    method: 'get', path: '/audit', operationId: 'listAuditEntries', tag: 'Audit', role: 'admin',
+    summary: 'Get a page of the audit log, newest first',
+    parameters: [
+      PAGING[0],
+      PAGING[1],
+      queryParam('action', `Comma-separated actions: ${ACTIONS.join(', ')}`, { type: 'string' }),
+      queryParam('folder', 'Only this folder and its subfolders', { type: 'string' }),
+      queryParam('actor', 'Only changes by this user', { type: 'string' }),
+      queryParam('from', 'Earliest time', { type: 'string', format: 'date-time' }),
+      queryParam('to', 'Latest time', { type: 'string', format: 'date-time' })
+    ],
+    responses: { 200: pageOf('entries', ref('AuditEntry'), { actions: { type: 'array', items: { type: 'string' } } }) },
+    errors: [400]
+  },
+
+  // Schedules
+  {
+    method: 'get', path: '/schedules', operationId: 'listSchedules', tag: 'Schedules', role: 'admin',
+    summary: 'List all activation schedules',
+    responses: { 200: { type: 'array', items: ref('Schedule') } }
+  },
+  {
+    method: 'get', path: '/schedules/upcoming', operationId: 'listUpcomingActivations', tag: 'Schedules', role: 'admin',
+    summary: 'Get the upcoming activation windows',
+    parameters: [queryParam('hours', 'Hours ahead', { type: 'integer', minimum: 1, maximum: 24 * 14, default: 48 })],
+    responses: {
+      200: {
+        type: 'object',
+        required: ['from', 'to', 'scheduledFolder', 'upcoming'],
+        properties: {
+          from: { type: 'string', format: 'date-time' },
+          to: { type: 'string', format: 'date-time' },
+          scheduledFolder: { type: 'string', nullable: true },
+          upcoming: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['scheduleId', 'folderName', 'recurrence', 'start', 'end'],
+              properties: {
+                scheduleId: { type: 'integer' },
+                folderName: { type: 'string' },
+                recurrence: { type: 'string', enum: RECURRENCES },
+                start: { type: 'string', format: 'date-time' },
+                end: { type: 'string', format: 'date-time' }
+              }
+            }
+          }
+        }
+      }
+    }
+  },
+  {
+    method: 'get', path: '/folders/{folderName}/schedules', operationId: 'listFolderSchedules', tag: 'Schedules', role: 'admin',
+    summary: 'List a folder\'s activation schedules',
+    parameters: [FOLDER_NAME],
+    responses: { 200: { type: 'array', items: ref('Schedule') } },
+    errors: [404]
+  },
+  {
+    method: 'post', path: '/folders/{folderName}/schedules', operationId: 'addSchedule', tag: 'Schedules', role: 'admin',
+    summary: 'Add an activation schedule to a folder',
+    parameters: [FOLDER_NAME],
+    body: body({
+      recurrence: { type: 'string', enum: RECURRENCES },
+      startAt: { type: 'string', format: 'date-time', description: 'Start of a one-off window' },
+      endAt: { type: 'string', format: 'date-time', description: 'End of a one-off window' },
+      startTime: { type: 'string', pattern: '^([01]\\d|2[0-3]):[0-5]\\d$', description: 'Daily or weekly start, HH:MM server time' },
+      endTime: { type: 'string', pattern: '^([01]\\d|2[0-3]):[0-5]\\d$' },
+      days: { type: 'array', minItems: 1, items: { type: 'integer', minimum: 0, maximum: 6 }, description: 'Weekly days, 0 = Sunday' }
+    }, ['recurrence']),
+    responses: {
+      200: { type: 'object', required: ['message', 'schedule'], properties: { message: { type: 'string' }, schedule: ref('Schedule') } }
+    },
+    errors: [400, 404]
+  },
+  {
+    method: 'delete', path: '/schedules/{id}', operationId: 'deleteSchedule', tag: 'Schedules', role: 'admin',
+    summary: 'Delete an activation schedule',
+    parameters: [pathParam('id', 'Schedule id', { type: 'integer', minimum: 1 })],
+    responses: { 200: ref('Message') },
+    errors: [404]
+  },
+
+  // Trash
+  {
+    method: 'get', path: '/trash', operationId: 'listTrash', tag: 'Trash', role: 'admin',
+    summary: 'List trashed folders and images',
+    responses: {
+      200: {
+        type: 'object',
+        required: ['retentionDays', 'items'],
+        properties: { retentionDays: { type: 'number' }, items: { type: 'array', items: ref('TrashItem') } }
+      }
+    }
+  },
+  {
+    method: 'post', path: '/trash/{id}/restore', operationId: 'restoreTrashItem', tag: 'Trash', role: 'admin',
+    summary: 'Restore a trashed folder or image',
+    parameters: [pathParam('id', 'Trash item id')],
+    body: body({ targetFolder: { type: 'string', minLength: 1, description: 'Folder to restore an image into' } }),
+    responses: {
+      200: {
+        type: 'object',
+        required: ['message', 'kind', 'folderName'],
+        properties: {
+          message: { type: 'string' },
+          kind: { type: 'string', enum: ['folder', 'image'] },
+          folderName: { type: 'string' },
+          filename: { type: 'string' },
+          folder: ref('Folder')
+        }
+      }
+    },
+    errors: [404, 409]
+  },
+  {
+    method: 'delete', path: '/trash/{id}', operationId: 'deleteTrashItem', tag: 'Trash', role: 'admin',
+    summary: 'Delete a trashed item for good',
+    parameters: [pathParam('id', 'Trash item id')],
+    responses: { 200: ref('Message') },
+    errors: [404]
+  },
+  {
+    method: 'delete', path: '/trash', operationId: 'emptyTrash', tag: 'Trash', role: 'admin',
+    summary: 'Empty the trash',
+    responses: {
+      200: { type: 'object', required: ['message', 'deleted'], properties: { message: { type: 'string' }, deleted: { type: 'integer' } } }
+    }
+  }
+];
+
+const STATUS_DESCRIPTIONS = {
+  400: 'Invalid request',
+  401: 'Not logged in',
+  403: 'Not allowed for your role',
+  404: 'Not found',
+  409: 'Conflict with the current state',
+  413: 'Too large, or not enough space',
+  415: 'Unsupported content type',
+  500: 'Server error'
+};
+
+// Turn "/folders/{folderName}/images" into a pattern matching request paths
+function toPattern(path) {
+  const names = [];
+  const source = path.split('/').map(segment => {
+    const match = /^\{(\w+)\}$/.exec(segment);
+    if (!match) return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    names.push(match[1]);
+    return '([^/]+)';
+  }).join('/');
+  return { regex: new RegExp(`^${source}$`), names };
+}
+
+const ROUTES = OPERATIONS.map(operation => ({
+  operation,
+  ...toPattern(operation.path),
+  // Literal segments win over parameters: /folders/active isn't folder "active"
+  literals: operation.path.split('/').filter(segment => segment && !segment.startsWith('{')).length
+})).sort((a, b) => b.literals - a.literals);
+
+// The operation for a request path (relative to /api/v1). Returns
+// { operation, params } or { allowed } listing the methods of a path that
+// exists but doesn't take `method`; null for unknown paths.
+function findOperation(method, path) {
+  const allowed = [];
+  for (const route of ROUTES) {
+    const match = route.regex.exec(path);
+    if (!match) continue;
+
+    if (route.operation.method === method.toLowerCase()) {
+      let params;
+      try {
+        params = Object.fromEntries(route.names.map((name, i) => [name, decodeURIComponent(match[i + 1])]));
+      } catch (error) {
+        return null;
+      }
+      return { operation: route.operation, params };
+    }
+    allowed.push(route.operation.method.toUpperCase());
+  }
+  return allowed.length > 0 ? { allowed } : null;
+}
+
+// The JSON schema of an operation's request body, or undefined when the body
+// isn't JSON (uploads, chunks) or there is none
+function getBodySchema(operation) {
+  return operation.body && !operation.body.contentType ? operation.body : undefined;
+}
+
+// The JSON schema of a response, or undefined when it isn't JSON
+function getResponseSchema(operation, status) {
+  const response = operation.responses[status];
+  return response && !response.contentType ? response : undefined;
+}
+
+// The OpenAPI 3.0 document of the API
+function buildOpenApi(options = {}) {
+  const paths = {};
+
+  for (const operation of OPERATIONS) {
+    const responses = {};
+    for (const [status, response] of Object.entries(operation.responses)) {
+      responses[status] = {
+        description: status === '201' ? 'Created' : 'Success',
+        content: { [response.contentType || 'application/json']: { schema: response.contentType ? response.schema : response } }
+      };
+    }
+
+    const errors = [...(operation.errors || []), ...(operation.role ? [401, 403] : []), 500];
+    for (const status of [...new Set(errors)].sort()) {
+      responses[status] = { description: STATUS_DESCRIPTIONS[status], content: { 'application/json': { schema: ref('Error') } } };
+    }
+
+    const spec = {
+      operationId: operation.operationId,
+      summary: operation.summary,
+      tags: [operation.tag],
+      parameters: operation.parameters,
+      requestBody: operation.body && {
+        required: true,
+        content: { [operation.body.contentType || 'application/json']: { schema: operation.body.schema || operation.body } }
+      },
+      responses,
+      security: operation.role ? [{ sessionCookie: [] }, { bearerToken: [] }] : []
+    };
+    if (operation.role) {
+      spec.description = `Requires the ${operation.role} role.`;
+    }
+
+    paths[operation.path] = paths[operation.path] || {};
+    paths[operation.path][operation.method] = JSON.parse(JSON.stringify(spec));
+  }
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'FoldSelect API',
+      version: API_VERSION,
+      description: 'Folders of images with one active folder shown to users. ' +
+        'Errors are returned as { "error": { "code", "message", "details" } }.'
+    },
+    servers: [{ url: options.serverUrl || '/api/v1' }],
+    tags: [...new Set(OPERATIONS.map(operation => operation.tag))].map(name => ({ name })),
+    paths,
+    components: {
+      schemas: COMPONENTS,
+      securitySchemes: {
+        sessionCookie: { type: 'apiKey', in: 'cookie', name: SESSION_COOKIE, description: 'Set by POST /auth/login' },
+        bearerToken: { type: 'http', scheme: 'bearer', description: 'The token returned by POST /auth/login' }
+      }
+    }
+  };
+}
+
+module.exports = {
+  API_VERSION,
+  COMPONENTS,
+  OPERATIONS,
+  findOperation,
+  getBodySchema,
+  getResponseSchema,
+  buildOpenApi
+};
@@ -0,0 +1,160 @@
+const schema = require('./schema');
+const spec = require('./api-spec');
+
+// The versioned API. Requests to /api/v1/... are matched to an operation of
+// the API spec, checked against its schemas and then handled by the routes
+// of /api/... . Success responses are the same in both; errors under
+// /api/v1 always have the form
+//
+//   { "error": { "code": "NOT_FOUND", "message": "Folder not found", "details": { ... } } }
+//
+// Routes answer errors as { error: message, code?, ...details }: the code
+// defaults to one for the status and the other fields become `details`.
+
+const PREFIX = '/api/v1';
+
+const STATUS_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHENTICATED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  405: 'METHOD_NOT_ALLOWED',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  415: 'UNSUPPORTED_MEDIA_TYPE',
+  500: 'INTERNAL_ERROR'
+};
+
+function toErrorBody(status, body) {
+  const { error, code, ...details } = body && typeof body === 'object' ? body : {};
+  return {
+    error: {
+      code: code || STATUS_CODES[status] || (status >= 500 ? 'INTERNAL_ERROR' : 'BAD_REQUEST'),
+      message: typeof error === 'string' ? error : 'Request failed',
+      details: Object.keys(details).length > 0 ? details : undefined
+    }
+  };
+}
+
+// "body.folderName is required; query.limit must be at most 200"
+function describeErrors(errors) {
+  return errors.map(error => `${error.path} ${error.message}`).join('; ');
+}
+
+function checkResponse(operation, status, body) {
+  const responseSchema = spec.getResponseSchema(operation, status);
+  if (!responseSchema) {
+    return [{ path: 'response', message: `has status ${status}, which is not documented` }];
+  }
+  const value = body === undefined ? undefined : JSON.parse(JSON.stringify(body));
+  return schema.validate(responseSchema, value, { components: spec.COMPONENTS, path: 'response' });
+}
+
+// Send errors in the envelope, and check success responses against the spec
+// unless `validateResponses` is "off": "log" reports mismatches on the
+// console, "strict" also answers 500 instead of sending the response
+function wrapJson(req, res, validateResponses) {
+  const json = res.json.bind(res);
+
+  res.json = body => {
+    if (res.statusCode >= 400) {
+      return json(toErrorBody(res.statusCode, body));
+    }
+
+    if (validateResponses !== 'off' && req.apiOperation) {
+      const errors = checkResponse(req.apiOperation, res.statusCode, body);
+      if (errors.length > 0) {
+        console.error(`Response of ${req.method} ${req.originalUrl} does not match the API schema: ${describeErrors(errors)}`);
+        if (validateResponses === 'strict') {
+          res.status(500);
+          return json(toErrorBody(500, { error: 'The response does not match the API schema', code: 'INVALID_RESPONSE', errors }));
+        }
+      }
+    }
+    return json(body);
+  };
+}
+
+// Middleware to run before the body parsers: find the operation of a
+// /api/v1 request and pass it on to the /api route. Paths that aren't in the
+// spec get a 404 (or a 405 for another method) right away.
+function routeVersion(options = {}) {
+  const validateResponses = options.validateResponses || 'off';
+
+  return (req, res, next) => {
+    if (req.path !== PREFIX && !req.path.startsWith(`${PREFIX}/`)) {
+      return next();
+    }
+
+    wrapJson(req, res, validateResponses);
+    req.apiVersion = 1;
+    const path = req.path.slice(PREFIX.length);
+    req.url = `/api${req.url.slice(PREFIX.length)}`;
+
+    // Preflight requests are answered by the CORS middleware
+    if (req.method === 'OPTIONS') {
+      return next();
+    }
+
+    const found = spec.findOperation(req.method === 'HEAD' ? 'GET' : req.method, path);
+    if (!found) {
+      return res.status(404).json({ error: `There is no API operation at ${PREFIX}${path}` });
+    }
+    if (found.allowed) {
+      res.set('Allow', found.allowed.join(', '));
+      return res.status(405).json({ error: `${req.method} is not allowed here; use ${found.allowed.join(' or ')}` });
+    }
+
+    req.apiOperation = found.operation;
+    req.apiParams = found.params;
+    next();
+  };
+}
+
+// Middleware to run after the body parsers: check the path parameters, the
+// query string and a JSON body against the operation's schemas
+function validateRequest() {
+  return (req, res, next) => {
+    const operation = req.apiOperation;
+    if (!operation) {
+      return next();
+    }
+
+    const errors = [];
+    for (const parameter of operation.parameters || []) {
+      const source = parameter.in === 'path' ? req.apiParams : req.query;
+      const path = `${parameter.in}.${parameter.name}`;
+      const value = source[parameter.name];
+
+      if (value === undefined) {
+        if (parameter.required) errors.push({ path, message: 'is required' });
+      } else if (typeof value !== 'string') {
+        errors.push({ path, message: 'must be given once' });
+      } else {
+        const coerced = schema.coerceParameter(parameter.schema, value, spec.COMPONENTS);
+        errors.push(...schema.validate(parameter.schema, coerced, { components: spec.COMPONENTS, path }));
+      }
+    }
+
+    const bodySchema = spec.getBodySchema(operation);
+    if (bodySchema) {
+      const hasBody = Number(req.headers['content-length']) > 0 || req.headers['transfer-encoding'] !== undefined;
+      if (hasBody && !req.is('application/json')) {
+        req.resume();
+        return res.status(415).json({ error: 'The request body must be application/json' });
+      }
+      errors.push(...schema.validate(bodySchema, req.body || {}, { components: spec.COMPONENTS, path: 'body' }));
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({ error: `Invalid request: ${describeErrors(errors)}`, code: 'VALIDATION_FAILED', errors });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  PREFIX,
+  routeVersion,
+  validateRequest
+};
@@ -0,0 +1,50 @@
+const store = require('./store');
+
+// Audit trail of changes: who did what, when, to which folder or image, with
+// the state before and after. The actor is the username of the logged in
+// user, or "scheduler" and "system" for changes the server makes by itself.
+//
+// Recording never fails the change it records: errors are only logged.
+
+const ACTIONS = [
+  'user.login',
+  'user.login-failed',
+  'folder.create',
+  'folder.update',
+  'folder.activate',
+  'folder.deactivate',
+  'folder.delete',
+  'folder.import',
+  'image.upload',
+  'image.update',
+  'image.move',
+  'image.copy',
+  'image.delete',
+  'schedule.create',
+  'schedule.delete',
+  'trash.restore',
+  'trash.delete',
+  'trash.purge'
+];
+
+// Record an action. `entry` holds the actor, folderName, filename and the
+// before, after and details objects, all optional. Returns the entry, or
+// undefined when it couldn't be stored.
+function record(action, entry = {}) {
+  try {
+    return store.addAuditEntry({ ...entry, action });
+  } catch (error) {
+    console.error(`Error recording ${action} in the audit log:`, error);
+  }
+}
+
+// One page of entries, newest first. See store.queryAuditLog for the filters.
+function query(options = {}) {
+  return store.queryAuditLog(options);
+}
+
+module.exports = {
+  ACTIONS,
+  record,
+  query
+};
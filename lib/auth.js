@@ -0,0 +1,173 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+
+// Roles ordered by privilege: an admin can do everything a viewer can
+const ROLES = { viewer: 1, admin: 2 };
+const SESSION_COOKIE = 'foldselect_session';
+const SESSION_TTL = 12 * 60 * 60 * 1000; // 12 hours
+
+const sessions = new Map();
+
+let usersFile = 'users.json';
+let requireViewerLogin = false;
+
+// Hash a password with scrypt, stored as "scrypt$<salt>$<hash>"
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = (stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash || typeof password !== 'string') return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function getUsers() {
+  try {
+    return fs.readJsonSync(usersFile).users || [];
+  } catch (error) {
+    return [];
+  }
+}
+
+function saveUsers(users) {
+  fs.writeJsonSync(usersFile, { users }, { spaces: 2 });
+}
+
+// Add a user or replace the password and role of an existing one
+function setUser(username, password, role) {
+  if (!ROLES[role]) {
+    throw new Error(`Unknown role "${role}"`);
+  }
+
+  const users = getUsers().filter(user => user.username !== username);
+  users.push({ username, role, passwordHash: hashPassword(password) });
+  saveUsers(users);
+}
+
+function initAuth(options = {}) {
+  usersFile = options.usersFile || usersFile;
+  requireViewerLogin = Boolean(options.requireViewerLogin);
+}
+
+// Make sure at least one admin can log in. The first admin comes from
+// ADMIN_USERNAME / ADMIN_PASSWORD, or gets a generated password that is
+// printed once on startup.
+function ensureAdminUser() {
+  if (getUsers().some(user => user.role === 'admin')) {
+    return;
+  }
+
+  const username = process.env.ADMIN_USERNAME || 'admin';
+  const password = process.env.ADMIN_PASSWORD || crypto.randomBytes(9).toString('base64url');
+  setUser(username, password, 'admin');
+
+  console.log(`Created admin user "${username}" in ${usersFile}`);
+  if (!process.env.ADMIN_PASSWORD) {
+    console.log(`Generated admin password: ${password} (change it with "npm run set-user")`);
+  }
+}
+
+function authenticate(username, password) {
+  const user = getUsers().find(u => u.username === username);
+  if (!user || !verifyPassword(password, user.passwordHash)) {
+    return null;
+  }
+  return { username: user.username, role: user.role };
+}
+
+function createSession(user) {
+  const token = crypto.randomBytes(32).toString('hex');
+  sessions.set(token, { ...user, expiresAt: Date.now() + SESSION_TTL });
+  return token;
+}
+
+function destroySession(token) {
+  sessions.delete(token);
+}
+
+// Read the session token from a Bearer header or the session cookie
+function getToken(req) {
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Bearer ')) {
+    return header.slice(7).trim();
+  }
+
+  const cookies = (req.headers.cookie || '').split(';');
+  for (const cookie of cookies) {
+    const [name, ...value] = cookie.trim().split('=');
+    if (name === SESSION_COOKIE) {
+      // A cookie that isn't valid URI encoding can't hold a session token
+      try {
+        return decodeURIComponent(value.join('='));
+      } catch (error) {
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+function getSessionUser(req) {
+  const token = getToken(req);
+  const session = token && sessions.get(token);
+  if (!session) return null;
+
+  if (session.expiresAt < Date.now()) {
+    sessions.delete(token);
+    return null;
+  }
+  return { username: session.username, role: session.role };
+}
+
+function hasRole(user, role) {
+  // Viewer pages stay open to anonymous kiosks unless viewer login is required
+  if (role === 'viewer' && !requireViewerLogin) return true;
+  return Boolean(user && ROLES[user.role] >= ROLES[role]);
+}
+
+// Middleware for API routes: 401 when not logged in, 403 when the role is too low
+function requireRole(role) {
+  return (req, res, next) => {
+    req.user = getSessionUser(req);
+    if (hasRole(req.user, role)) {
+      return next();
+    }
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    res.status(403).json({ error: `The ${role} role is required` });
+  };
+}
+
+// Middleware for HTML pages: redirect to the login page instead of a JSON error
+function requirePageRole(role) {
+  return (req, res, next) => {
+    req.user = getSessionUser(req);
+    if (hasRole(req.user, role)) {
+      return next();
+    }
+    res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+  };
+}
+
+module.exports = {
+  ROLES,
+  SESSION_COOKIE,
+  SESSION_TTL,
+  initAuth,
+  ensureAdminUser,
+  setUser,
+  authenticate,
+  createSession,
+  destroySession,
+  getToken,
+  getSessionUser,
+  requireRole,
+  requirePageRole
+};
@@ -0,0 +1,179 @@
+const fs = require('fs');
+
+// The command-line tool's server mode: the same operations as the offline
+// mode, made through the versioned API (/api/v1) of a running server, so
+// galleries are notified and changes are recorded under the user's name.
+//
+// Requests are authenticated with a session token (see POST /api/auth/login),
+// or by logging in with a username and password first.
+
+function requestError(code, message, details) {
+  const error = new Error(message);
+  error.code = code;
+  error.details = details;
+  return error;
+}
+
+// Connect to the server at `server` ("http://localhost:3000"). Options:
+// `token`, or `username` and `password` to log in with.
+async function connect(server, options = {}) {
+  const base = `${server.replace(/\/+$/, '')}/api/v1`;
+  let token = options.token;
+  let loggedIn = false;
+
+  const request = async (method, url, { json, body } = {}) => {
+    const headers = {};
+    if (token) headers.Authorization = `Bearer ${token}`;
+    if (json !== undefined) headers['Content-Type'] = 'application/json';
+
+    let response;
+    try {
+      response = await fetch(`${base}${url}`, { method, headers, body: json !== undefined ? JSON.stringify(json) : body });
+    } catch (error) {
+      throw requestError('UNREACHABLE', `Cannot reach the server at ${server} (${(error.cause && error.cause.code) || error.message}); use --offline to work on the files directly`);
+    }
+
+    const data = await response.json().catch(() => null);
+    if (response.ok) {
+      return data;
+    }
+
+    const { code, message, details } = (data && data.error) || {};
+    if (response.status === 401 && !token && url !== '/auth/login') {
+      throw requestError(code, 'Authentication required: pass --token or set FOLDSELECT_TOKEN');
+    }
+    throw requestError(code || 'HTTP_ERROR', message || `The server answered ${response.status} ${response.statusText}`, details);
+  };
+
+  const encode = folderName => encodeURIComponent(folderName);
+
+  const login = async (username, password) => {
+    const { user, token: newToken } = await request('POST', '/auth/login', { json: { username, password } });
+    token = newToken;
+    return { ...user, token };
+  };
+
+  if (!token && options.username && options.password) {
+    await login(options.username, options.password);
+    loggedIn = true;
+  }
+
+  const getUploadPolicy = async () => {
+    const { upload } = await request('GET', '/config');
+    return {
+      maxFiles: upload.maxFiles,
+      maxFileSize: upload.maxFileSize,
+      extensions: upload.formats.flatMap(format => format.extensions)
+    };
+  };
+
+  const listFolders = async ({ parent } = {}) => {
+    const folders = [];
+    let page;
+    do {
+      const query = new URLSearchParams({ limit: '200', offset: String(folders.length), images: '0' });
+      if (parent !== undefined) query.set('parent', parent);
+      page = await request('GET', `/folders?${query}`);
+      folders.push(...page.folders);
+    } while (page.hasMore);
+
+    return folders.map(({ name, title, description, imageCount, childCount, size, active, includeDescendants }) => ({
+      name, title, description, imageCount, childCount, size, active, includeDescendants
+    }));
+  };
+
+  const createFolder = async ({ title, slug, description, parent }) => {
+    const created = await request('POST', '/folders', { json: { folderName: title, slug, description, parent } });
+    return { folderName: created.folderName, title: created.title };
+  };
+
+  const updateFolder = async (folderName, { name, parent, title }) => {
+    const { previousName, folder } = await request('PATCH', `/folders/${encode(folderName)}`, { json: { name, parent, title } });
+    return { previousName, folderName: folder.name, title: folder.title };
+  };
+
+  const deleteFolder = async (folderName) => {
+    const { trashId } = await request('DELETE', `/folders/${encode(folderName)}`);
+    return { folderName, trashId };
+  };
+
+  // Send one batch of local files ({ path, name }) in a POST /api/upload
+  const uploadBatch = async (folderName, localFiles, { duplicates } = {}) => {
+    const formData = new FormData();
+    formData.append('folderName', folderName);
+    if (duplicates) formData.append('duplicates', duplicates);
+    for (const localFile of localFiles) {
+      formData.append('images', await fs.openAsBlob(localFile.path), localFile.name);
+    }
+
+    let result;
+    try {
+      result = await request('POST', '/upload', { body: formData });
+    } catch (error) {
+      // Batches refused as a whole still report their files
+      if (error.code === 'QUOTA_EXCEEDED') {
+        result = { error: error.message, rejected: localFiles.map(localFile => ({ originalName: localFile.name, error: error.message })) };
+      } else if (error.details && (error.details.duplicates || error.details.rejected)) {
+        result = { error: error.message, ...error.details };
+      } else {
+        throw error;
+      }
+    }
+
+    return {
+      error: result.error,
+      files: (result.files || []).map(file => ({ originalName: file.originalName, filename: file.filename, size: file.size })),
+      duplicates: (result.duplicates || []).map(file => ({ ...file, duplicateOf: file.duplicateOf.filename })),
+      rejected: result.rejected || []
+    };
+  };
+
+  // The toggle route flips a folder's state, so look at it first
+  const getFolderState = async (folderName) => {
+    const { allFolders } = await request('GET', '/folders/current-active');
+    if (!allFolders[folderName]) {
+      throw requestError('NOT_FOUND', 'Folder not found');
+    }
+    return allFolders[folderName];
+  };
+
+  const activateFolder = async (folderName, { includeDescendants = false } = {}) => {
+    if ((await getFolderState(folderName)).active) {
+      return { folderName, active: true, changed: false };
+    }
+    const result = await request('PATCH', `/folders/${encode(folderName)}/toggle`, { json: { includeDescendants } });
+    return { folderName, active: true, changed: true, includeDescendants, previousActive: result.previousActive };
+  };
+
+  const deactivateFolder = async (folderName) => {
+    if (!(await getFolderState(folderName)).active) {
+      return { folderName, active: false, changed: false };
+    }
+    await request('PATCH', `/folders/${encode(folderName)}/toggle`);
+    return { folderName, active: false, changed: true };
+  };
+
+  // End the session opened with a username and password
+  const close = async () => {
+    if (loggedIn) {
+      await request('POST', '/auth/logout').catch(() => {});
+    }
+  };
+
+  return {
+    login,
+    getUploadPolicy,
+    listFolders,
+    createFolder,
+    updateFolder,
+    deleteFolder,
+    uploadBatch,
+    activateFolder,
+    deactivateFolder,
+    close
+  };
+}
+
+module.exports = {
+  connect
+};
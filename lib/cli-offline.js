@@ -0,0 +1,227 @@
+const path = require('path');
+const fs = require('fs-extra');
+const audit = require('./audit');
+const folderNames = require('./folder-names');
+const imageFiles = require('./image-files');
+const imageType = require('./image-type');
+const library = require('./library');
+const quota = require('./quota');
+const renditions = require('./renditions');
+const store = require('./store');
+const trash = require('./trash');
+
+// The command-line tool's offline mode: folders and images are changed
+// directly in the uploads directory and the metadata store, with the
+// operations the server's routes use (see library). Meant for maintenance while the server is
+// down; a running server only sees the changes at its next disk sync and
+// doesn't notify its galleries. Changes are recorded in the audit log with
+// the actor "cli".
+
+const ACTOR = 'cli';
+const PAGE_SIZE = 200;
+
+function libraryError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Open the uploads directory and metadata store named by the server's
+// settings (see loadConfig). Returns the same operations as the server client.
+function openLibrary(config) {
+  const { uploadFolder } = config;
+  const { maxFileSize, maxFileSizeMb, maxFiles, formats } = config.upload;
+
+  if (!fs.pathExistsSync(uploadFolder)) {
+    throw libraryError('NOT_FOUND', `Uploads directory ${path.resolve(uploadFolder)} not found; run the tool where the server runs or set CONFIG_FILE`);
+  }
+
+  // stdout is left to the tool's results
+  store.initStore({ databaseFile: config.databaseFile, importFile: config.folderJson, log: console.error });
+  renditions.initRenditions({ uploadFolder, cacheFolder: config.renditionsFolder });
+  trash.initTrash({ uploadFolder, trashFolder: config.trashFolder, retentionDays: config.trashRetentionDays });
+  quota.initQuota({ uploadFolder, storageQuota: config.storageQuotaMb && Math.round(config.storageQuotaMb * 1024 * 1024) });
+  imageFiles.initImageFiles({ uploadFolder, formats, svgUploads: config.upload.svgUploads });
+  library.initLibrary({ uploadFolder });
+
+  const folderPathOf = async (folderName) => {
+    const folderPath = folderNames.resolveFolderPath(uploadFolder, folderName);
+    if (!folderPath || !(await fs.pathExists(folderPath))) {
+      throw libraryError('NOT_FOUND', 'Folder not found');
+    }
+    return folderPath;
+  };
+
+  const getUploadPolicy = async () => ({
+    maxFiles,
+    maxFileSize,
+    extensions: formats.flatMap(format => imageType.FORMATS[format].extensions)
+  });
+
+  const listFolders = async ({ parent } = {}) => {
+    await imageFiles.syncWithDisk();
+
+    const folders = [];
+    let total;
+    do {
+      const page = store.queryFolders({ parent, limit: PAGE_SIZE, offset: folders.length });
+      folders.push(...page.folders);
+      total = page.total;
+    } while (folders.length < total);
+
+    return folders.map(({ name, title, description, imageCount, childCount, size, active, includeDescendants }) => ({
+      name, title, description, imageCount, childCount, size, active, includeDescendants
+    }));
+  };
+
+  const createFolder = async ({ title, slug, description, parent }) => {
+    const created = await library.createFolder({ title, slug, description, parent });
+    audit.record('folder.create', { actor: ACTOR, folderName: created.folderName, after: store.getFolder(created.folderName) });
+    return created;
+  };
+
+  // Rename a folder (`name`, its new last segment), move it under `parent`
+  // ("" for the top level) and/or change its `title`
+  const updateFolder = async (folderName, { name, parent, title }) => {
+    const { before, folder } = await library.updateFolder(folderName, { name, parent, title });
+    audit.record('folder.update', { actor: ACTOR, folderName: folder.name, before, after: folder });
+    return { previousName: folderName, folderName: folder.name, title: folder.title };
+  };
+
+  const deleteFolder = async (folderName) => {
+    const { before, item } = await library.deleteFolder(folderName, ACTOR);
+    audit.record('folder.delete', {
+      actor: ACTOR,
+      folderName,
+      before: { ...before, folderCount: item.folderCount, imageCount: item.imageCount, size: item.size },
+      after: { trashId: item.id }
+    });
+    return { folderName, trashId: item.id };
+  };
+
+  // Add one batch of local files ({ path, name }) to a folder, like one
+  // POST /api/upload: files that aren't images, are too large or don't fit
+  // are rejected on their own, duplicates follow `duplicates` (reject, skip
+  // or allow; the server's policy by default)
+  const uploadBatch = async (folderName, localFiles, { duplicates: policy = config.upload.duplicatePolicy } = {}) => {
+    const folderPath = await folderPathOf(folderName);
+    store.ensureFolder(folderName);
+
+    const space = await quota.getAvailableSpace(folderName);
+    const files = [];
+    const rejected = [];
+
+    for (const localFile of localFiles) {
+      const reject = error => rejected.push({ originalName: localFile.name, error });
+      const { size } = await fs.stat(localFile.path);
+
+      try {
+        imageType.checkImageName(localFile.name, '', formats);
+      } catch (error) {
+        reject(error.message);
+        continue;
+      }
+      if (size > maxFileSize) {
+        reject(`File too large (max ${maxFileSizeMb}MB)`);
+        continue;
+      }
+      if (size > space.bytes) {
+        reject(`Not enough space: ${space.reason}`);
+        continue;
+      }
+
+      const filename = imageFiles.getUploadFilename(localFile.name);
+      await fs.copy(localFile.path, path.join(folderPath, filename));
+      try {
+        const savedName = await imageFiles.checkUploadedImage(folderPath, filename);
+        files.push({ originalname: localFile.name, filename: savedName, path: path.join(folderPath, savedName) });
+        space.bytes -= size;
+      } catch (error) {
+        await fs.remove(path.join(folderPath, filename));
+        reject(error.message);
+      }
+    }
+
+    const { added, duplicates, refused } = await library.addImages(folderName, files, policy);
+    refused.forEach(file => rejected.push({ originalName: file.originalname, error: file.error }));
+    if (added.length > 0) {
+      audit.record('image.upload', {
+        actor: ACTOR,
+        folderName,
+        filename: added.length === 1 ? added[0].filename : undefined,
+        after: { files: added.map(file => ({ filename: file.filename, size: file.size })) },
+        details: { duplicates: duplicates.length, rejected: rejected.length }
+      });
+    }
+
+    return {
+      error: added.length === 0 && policy === 'reject' && duplicates.length > 0
+        ? `${duplicates.length} image(s) are already in this folder; nothing was uploaded`
+        : undefined,
+      files: added.map(file => ({ originalName: file.originalname, filename: file.filename, size: file.size })),
+      duplicates: duplicates.map(file => ({
+        originalName: file.originalname,
+        filename: file.filename,
+        status: file.status,
+        duplicateOf: file.duplicateOf
+      })),
+      rejected
+    };
+  };
+
+  const activateFolder = async (folderName, { includeDescendants = false } = {}) => {
+    await folderPathOf(folderName);
+
+    if (store.ensureFolder(folderName).active) {
+      return { folderName, active: true, changed: false };
+    }
+
+    const previousActive = store.activateFolder(folderName, { includeDescendants });
+    audit.record('folder.activate', {
+      actor: ACTOR,
+      folderName,
+      before: { active: false, activeFolder: previousActive },
+      after: { active: true, includeDescendants }
+    });
+    if (previousActive) {
+      audit.record('folder.deactivate', {
+        actor: ACTOR,
+        folderName: previousActive,
+        before: { active: true },
+        after: { active: false },
+        details: { replacedBy: folderName }
+      });
+    }
+
+    return { folderName, active: true, changed: true, includeDescendants, previousActive };
+  };
+
+  const deactivateFolder = async (folderName) => {
+    await folderPathOf(folderName);
+
+    if (!store.ensureFolder(folderName).active) {
+      return { folderName, active: false, changed: false };
+    }
+
+    store.deactivateFolder(folderName);
+    audit.record('folder.deactivate', { actor: ACTOR, folderName, before: { active: true }, after: { active: false } });
+
+    return { folderName, active: false, changed: true };
+  };
+
+  return {
+    getUploadPolicy,
+    listFolders,
+    createFolder,
+    updateFolder,
+    deleteFolder,
+    uploadBatch,
+    activateFolder,
+    deactivateFolder,
+    close: async () => store.closeStore()
+  };
+}
+
+module.exports = {
+  openLibrary
+};
@@ -0,0 +1,440 @@
+const path = require('path');
+const readline = require('readline');
+const { parseArgs } = require('util');
+const fs = require('fs-extra');
+const { DUPLICATE_POLICIES, loadConfig } = require('./config');
+const { formatBytes } = require('./quota');
+
+// The foldselect command-line tool. Every command works against a running
+// server (lib/cli-client) or, with --offline, directly on the uploads
+// directory and metadata store (lib/cli-offline); both take the same calls.
+
+const DEFAULT_SERVER = 'http://localhost:3000';
+
+const USAGE = `Usage: foldselect <command> [options]
+
+Commands:
+  list [--parent <folder>]
+      List every folder, or the subfolders of one ("" for the top level)
+  create <title> [--slug <slug>] [--parent <folder>] [--description <text>]
+      Create a folder; its name is made from the title unless --slug is given
+  rename <folder> [<new-name>] [--parent <folder>] [--title <title>]
+      Rename a folder, move it under another one ("" for the top level) or
+      change its title
+  delete <folder>
+      Move a folder with its subfolders to the trash
+  upload <folder> <directory> [--include <glob>]... [--exclude <glob>]...
+         [--recursive] [--duplicates reject|skip|allow]
+      Upload the images of a local directory. Without --include, every file
+      with an allowed image extension is picked. Globs match the path below
+      the directory, or just the file name when they have no "/"; "*" and
+      "?" stay within a directory, "**" spans directories
+  activate <folder> [--include-descendants]
+      Show a folder to users (and its subfolders with --include-descendants)
+  deactivate <folder>
+      Stop showing a folder to users
+  login <username>
+      Print a session token for --token. The password is read from
+      FOLDSELECT_PASSWORD or prompted for
+
+Options:
+  --server <url>   Server to talk to (FOLDSELECT_SERVER, default ${DEFAULT_SERVER})
+  --token <token>  Session token (FOLDSELECT_TOKEN). Without one,
+                   FOLDSELECT_USERNAME and FOLDSELECT_PASSWORD are used to log in
+  --offline        Work on the uploads directory and metadata store directly,
+                   for maintenance while the server is down. Settings are read
+                   like the server reads them (foldselect.config.json, CONFIG_FILE)
+  --json           Print results as JSON
+  -h, --help       Show this help
+`;
+
+const OPTIONS = {
+  server: { type: 'string' },
+  token: { type: 'string' },
+  offline: { type: 'boolean' },
+  json: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' },
+  parent: { type: 'string' },
+  slug: { type: 'string' },
+  title: { type: 'string' },
+  description: { type: 'string' },
+  include: { type: 'string', multiple: true },
+  exclude: { type: 'string', multiple: true },
+  recursive: { type: 'boolean', short: 'r' },
+  duplicates: { type: 'string' },
+  'include-descendants': { type: 'boolean' }
+};
+
+const GLOBAL_OPTIONS = ['server', 'token', 'offline', 'json', 'help'];
+
+function usageError(message) {
+  const error = new Error(message);
+  error.code = 'USAGE';
+  return error;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+// Turn a glob ("*.jpg", "2026/**/IMG_????.{jpg,png}") into a regular
+// expression, matched without regard to case
+function globToRegExp(pattern) {
+  let source = '';
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      // "**/" matches any number of directories, a trailing "**" everything
+      if (pattern[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{' && pattern.indexOf('}', i) !== -1) {
+      const end = pattern.indexOf('}', i);
+      source += `(?:${pattern.slice(i + 1, end).split(',').map(escapeRegExp).join('|')})`;
+      i = end;
+    } else if (char === '[' && pattern.indexOf(']', i + 2) !== -1) {
+      const end = pattern.indexOf(']', i + 2);
+      source += `[${pattern.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`;
+      i = end;
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+  return new RegExp(`^${source}$`, 'i');
+}
+
+function matchesGlob(relativePath, pattern) {
+  const target = pattern.includes('/') ? relativePath : path.posix.basename(relativePath);
+  return globToRegExp(pattern).test(target);
+}
+
+// Find the files of a local directory to upload, as { path, relativePath,
+// name }, sorted by path. Hidden files and directories are left out.
+async function findLocalFiles(directory, { recursive, include, exclude, extensions }) {
+  const files = [];
+
+  const scan = async (relativeDir) => {
+    const entries = await fs.readdir(path.join(directory, relativeDir), { withFileTypes: true });
+    for (const entry of entries) {
+      if (entry.name.startsWith('.')) continue;
+
+      const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        if (recursive) await scan(relativePath);
+        continue;
+      }
+      if (!entry.isFile()) continue;
+
+      const included = include.length > 0
+        ? include.some(pattern => matchesGlob(relativePath, pattern))
+        : extensions.includes(path.extname(entry.name).toLowerCase());
+      if (included && !exclude.some(pattern => matchesGlob(relativePath, pattern))) {
+        files.push({ path: path.join(directory, relativePath), relativePath, name: entry.name });
+      }
+    }
+  };
+
+  await scan('');
+  return files.sort((a, b) => a.relativePath.localeCompare(b.relativePath));
+}
+
+// Split files into batches of at most `maxFiles`, one upload request each.
+// Files are named in their batch's results by file name, so a batch never
+// holds two files of the same name.
+function toBatches(files, maxFiles) {
+  const batches = [];
+  let batch = [];
+
+  for (const file of files) {
+    if (batch.length >= maxFiles || batch.some(other => other.name === file.name)) {
+      batches.push(batch);
+      batch = [];
+    }
+    batch.push(file);
+  }
+  if (batch.length > 0) batches.push(batch);
+  return batches;
+}
+
+// Lay out rows of cells in columns
+function formatTable(rows) {
+  const widths = rows[0].map((cell, column) => Math.max(...rows.map(row => String(row[column]).length)));
+  return rows.map(row => row.map((cell, column) => String(cell).padEnd(widths[column])).join('  ').trimEnd()).join('\n');
+}
+
+function askPassword(username, env) {
+  if (env.FOLDSELECT_PASSWORD) {
+    return Promise.resolve(env.FOLDSELECT_PASSWORD);
+  }
+
+  const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+  return new Promise(resolve => {
+    rl.question(`Password for ${username}: `, answer => {
+      rl.close();
+      resolve(answer);
+    });
+  });
+}
+
+// Each command takes the connected backend, its arguments and the options,
+// and returns { result, text, failed }: `result` is printed with --json,
+// `text` otherwise, and `failed` sets a non-zero exit code.
+const COMMANDS = {
+  list: {
+    args: [],
+    options: ['parent'],
+    async run(backend, args, options) {
+      const folders = await backend.listFolders({ parent: options.parent });
+      const rows = folders.map(folder => [
+        folder.name,
+        folder.title,
+        folder.imageCount,
+        formatBytes(folder.size),
+        folder.active ? (folder.includeDescendants ? 'active (with subfolders)' : 'active') : ''
+      ]);
+      return {
+        result: { folders },
+        text: rows.length > 0 ? formatTable([['NAME', 'TITLE', 'IMAGES', 'SIZE', 'STATE'], ...rows]) : 'No folders'
+      };
+    }
+  },
+
+  create: {
+    args: ['title'],
+    options: ['slug', 'parent', 'description'],
+    async run(backend, [title], options) {
+      const result = await backend.createFolder({ title, slug: options.slug, parent: options.parent, description: options.description });
+      return { result, text: `Created folder "${result.folderName}" (${result.title})` };
+    }
+  },
+
+  rename: {
+    args: ['folder', 'new-name?'],
+    options: ['parent', 'title'],
+    async run(backend, [folderName, name], options) {
+      if (name === undefined && options.parent === undefined && options.title === undefined) {
+        throw usageError('rename needs a new name, --parent or --title');
+      }
+      const result = await backend.updateFolder(folderName, { name, parent: options.parent, title: options.title });
+      return {
+        result,
+        text: result.folderName !== result.previousName
+          ? `Renamed folder "${result.previousName}" to "${result.folderName}" (${result.title})`
+          : `Updated folder "${result.folderName}" (${result.title})`
+      };
+    }
+  },
+
+  delete: {
+    args: ['folder'],
+    options: [],
+    async run(backend, [folderName]) {
+      const result = await backend.deleteFolder(folderName);
+      return { result, text: `Moved folder "${folderName}" to the trash` };
+    }
+  },
+
+  upload: {
+    args: ['folder', 'directory'],
+    options: ['include', 'exclude', 'recursive', 'duplicates'],
+    async run(backend, [folderName, directory], options, { json }) {
+      if (options.duplicates !== undefined && !DUPLICATE_POLICIES.includes(options.duplicates)) {
+        throw usageError(`--duplicates must be one of: ${DUPLICATE_POLICIES.join(', ')}`);
+      }
+      const stat = await fs.stat(directory).catch(() => null);
+      if (!stat || !stat.isDirectory()) {
+        throw usageError(`${directory} is not a directory`);
+      }
+
+      const policy = await backend.getUploadPolicy();
+      const files = await findLocalFiles(directory, {
+        recursive: Boolean(options.recursive),
+        include: options.include || [],
+        exclude: options.exclude || [],
+        extensions: policy.extensions
+      });
+
+      const uploaded = [];
+      const duplicates = [];
+      const rejected = [];
+      const batches = toBatches(files, policy.maxFiles);
+      let sent = 0;
+
+      for (const batch of batches) {
+        const byName = new Map(batch.map(file => [file.name, file.relativePath]));
+        const outcome = await backend.uploadBatch(folderName, batch, { duplicates: options.duplicates });
+        const reported = new Set();
+        const fileOf = originalName => {
+          reported.add(originalName);
+          return byName.get(originalName) || originalName;
+        };
+
+        for (const file of outcome.files) {
+          uploaded.push({ file: fileOf(file.originalName), filename: file.filename, size: file.size });
+        }
+        for (const file of outcome.duplicates) {
+          duplicates.push({ file: fileOf(file.originalName), status: file.status, duplicateOf: file.duplicateOf });
+        }
+        for (const file of outcome.rejected) {
+          rejected.push({ file: fileOf(file.originalName), error: file.error });
+        }
+        // Files the answer doesn't mention, e.g. of a batch refused as a whole
+        for (const file of batch) {
+          if (!reported.has(file.name)) {
+            rejected.push({ file: file.relativePath, error: outcome.error || 'Not uploaded' });
+          }
+        }
+
+        sent += batch.length;
+        if (!json && batches.length > 1) {
+          process.stderr.write(`Sent ${sent} of ${files.length} file(s)\n`);
+        }
+      }
+
+      const notUploaded = duplicates.filter(file => file.status === 'rejected');
+      const lines = [`Uploaded ${uploaded.length} image(s) to "${folderName}"`];
+      if (files.length === 0) {
+        lines[0] = `No files to upload in ${directory}`;
+      }
+      if (duplicates.length > 0) {
+        lines.push(`${duplicates.length} duplicate(s):`);
+        lines.push(...duplicates.map(file => `  ${file.file}: ${file.status}, same as ${file.duplicateOf}`));
+      }
+      if (rejected.length > 0) {
+        lines.push(`${rejected.length} file(s) not uploaded:`);
+        lines.push(...rejected.map(file => `  ${file.file}: ${file.error}`));
+      }
+
+      return {
+        result: { folderName, uploaded, duplicates, rejected },
+        text: lines.join('\n'),
+        failed: rejected.length > 0 || notUploaded.length > 0
+      };
+    }
+  },
+
+  activate: {
+    args: ['folder'],
+    options: ['include-descendants'],
+    async run(backend, [folderName], options) {
+      const result = await backend.activateFolder(folderName, { includeDescendants: Boolean(options['include-descendants']) });
+      let text = `Folder "${folderName}" is already active`;
+      if (result.changed) {
+        text = `Activated folder "${folderName}"${result.includeDescendants ? ' with its subfolders' : ''}`;
+        if (result.previousActive) text += `; "${result.previousActive}" was deactivated`;
+      }
+      return { result, text };
+    }
+  },
+
+  deactivate: {
+    args: ['folder'],
+    options: [],
+    async run(backend, [folderName]) {
+      const result = await backend.deactivateFolder(folderName);
+      return { result, text: result.changed ? `Deactivated folder "${folderName}"` : `Folder "${folderName}" is not active` };
+    }
+  },
+
+  login: {
+    args: ['username'],
+    options: [],
+    online: true,
+    async run(backend, [username], options, { env }) {
+      const result = await backend.login(username, await askPassword(username, env));
+      return { result, text: result.token };
+    }
+  }
+};
+
+// Read the command line. Returns { command, args, options }; throws a
+// usage error for anything that doesn't fit.
+function parseCommandLine(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    throw usageError(error.message);
+  }
+
+  const { values: options, positionals: [name, ...args] } = parsed;
+  if (options.help || name === undefined) {
+    return { options };
+  }
+
+  const command = COMMANDS[name];
+  if (!command) {
+    throw usageError(`Unknown command "${name}"`);
+  }
+
+  const required = command.args.filter(arg => !arg.endsWith('?'));
+  if (args.length < required.length || args.length > command.args.length) {
+    throw usageError(`${name} takes ${command.args.map(arg => (arg.endsWith('?') ? `[<${arg.slice(0, -1)}>]` : `<${arg}>`)).join(' ') || 'no arguments'}`);
+  }
+  const unknown = Object.keys(options).find(option => !GLOBAL_OPTIONS.includes(option) && !command.options.includes(option));
+  if (unknown) {
+    throw usageError(`${name} does not take --${unknown}`);
+  }
+  if (command.online && options.offline) {
+    throw usageError(`${name} needs a server`);
+  }
+
+  return { name, command, args, options };
+}
+
+// Connect to the server, or open the library for --offline
+async function openBackend(options, env) {
+  if (options.offline) {
+    return require('./cli-offline').openLibrary(loadConfig(env));
+  }
+  return require('./cli-client').connect(options.server || env.FOLDSELECT_SERVER || DEFAULT_SERVER, {
+    token: options.token || env.FOLDSELECT_TOKEN,
+    username: env.FOLDSELECT_USERNAME,
+    password: env.FOLDSELECT_PASSWORD
+  });
+}
+
+// Run a command line. Results go to stdout, errors to stderr. Resolves with
+// the exit code: 0 on success, 1 when the command failed, 2 for usage errors.
+async function run(argv, env = process.env) {
+  let json = argv.includes('--json');
+  let backend;
+
+  try {
+    const { command, args, options } = parseCommandLine(argv);
+    json = Boolean(options.json);
+    if (!command) {
+      process.stdout.write(USAGE);
+      return 0;
+    }
+
+    backend = await openBackend(options, env);
+    const { result, text, failed } = await command.run(backend, args, options, { json, env });
+    process.stdout.write(`${json ? JSON.stringify(result, null, 2) : text}\n`);
+    return failed ? 1 : 0;
+  } catch (error) {
+    const code = error.code || 'ERROR';
+    process.stderr.write(json
+      ? `${JSON.stringify({ error: { code, message: error.message } })}\n`
+      : `foldselect: ${error.message}\n${code === 'USAGE' ? 'Run "foldselect --help" for usage.\n' : ''}`);
+    return code === 'USAGE' ? 2 : 1;
+  } finally {
+    if (backend) await backend.close();
+  }
+}
+
+module.exports = {
+  globToRegExp,
+  findLocalFiles,
+  toBatches,
+  run
+};
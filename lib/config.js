@@ -0,0 +1,176 @@
+const fs = require('fs-extra');
+const { FORMATS } = require('./image-type');
+
+// Server settings come from a JSON file, "foldselect.config.json" or the path
+// in CONFIG_FILE, with environment variables taking precedence. Everything is
+// checked when the server starts: a bad value stops it with the reasons
+// instead of showing up later as a failed upload.
+//
+// The file uses the keys below, with upload settings in an "upload" section:
+//
+//   { "port": 8080, "upload": { "maxFileSizeMb": 25, "formats": ["jpeg", "png"] } }
+
+const DEFAULT_CONFIG_FILE = 'foldselect.config.json';
+
+// What happens to uploaded images whose content is already in the folder:
+// "reject" refuses the duplicates and "skip" leaves them out (the other files
+// are still added), "allow" adds them anyway. Uploads and imports can choose
+// per request.
+const DUPLICATE_POLICIES = ['reject', 'skip', 'allow'];
+
+// Uploaded SVG images can carry scripts: "sanitize" rewrites them without
+// anything that could run, "rasterize" replaces them with a PNG rendering
+const SVG_MODES = ['sanitize', 'rasterize'];
+
+// Whether /api/v1 responses are checked against the API spec: "log" reports
+// mismatches on the console, "strict" also answers 500 instead
+const RESPONSE_VALIDATION_MODES = ['off', 'log', 'strict'];
+
+const SETTINGS = [
+  { key: 'port', env: 'PORT', type: 'integer', min: 1, max: 65535, default: 3000 },
+  { key: 'uploadFolder', env: 'UPLOAD_FOLDER', type: 'path', default: 'uploads' },
+  { key: 'folderJson', env: 'FOLDER_JSON', type: 'path', default: 'folders.json' },
+  { key: 'databaseFile', env: 'DATABASE_FILE', type: 'path', default: 'foldselect.db' },
+  { key: 'usersJson', env: 'USERS_JSON', type: 'path', default: 'users.json' },
+  { key: 'renditionsFolder', env: 'RENDITIONS_FOLDER', type: 'path', default: 'renditions' },
+  { key: 'trashFolder', env: 'TRASH_FOLDER', type: 'path', default: 'trash' },
+  { key: 'trashRetentionDays', env: 'TRASH_RETENTION_DAYS', type: 'number', min: 0, default: 30 },
+  { key: 'uploadSessionsFolder', env: 'UPLOAD_SESSIONS_FOLDER', type: 'path', default: 'upload-sessions' },
+  { key: 'uploadSessionHours', env: 'UPLOAD_SESSION_HOURS', type: 'number', min: 1, default: 24 },
+  { key: 'requireViewerLogin', env: 'REQUIRE_VIEWER_LOGIN', type: 'boolean', default: false },
+  { key: 'storageQuotaMb', env: 'STORAGE_QUOTA_MB', type: 'number', min: 1, default: null },
+  { key: 'upload.maxFileSizeMb', env: 'MAX_FILE_SIZE_MB', type: 'number', min: 0.001, max: 2048, default: 10 },
+  { key: 'upload.maxFiles', env: 'MAX_FILES_PER_UPLOAD', type: 'integer', min: 1, max: 1000, default: 10 },
+  { key: 'upload.maxArchiveSizeMb', env: 'MAX_ARCHIVE_SIZE_MB', type: 'number', min: 0.001, default: 2048 },
+  { key: 'upload.formats', env: 'UPLOAD_FORMATS', type: 'list', values: Object.keys(FORMATS), default: Object.keys(FORMATS) },
+  { key: 'upload.duplicatePolicy', env: 'DUPLICATE_POLICY', type: 'choice', values: DUPLICATE_POLICIES, default: 'reject' },
+  { key: 'upload.svgUploads', env: 'SVG_UPLOADS', type: 'choice', values: SVG_MODES, default: 'sanitize' },
+  { key: 'transforms.maxSize', env: 'TRANSFORM_MAX_SIZE', type: 'integer', min: 16, max: 8192, default: 2560 },
+  { key: 'transforms.maxVariants', env: 'TRANSFORM_MAX_VARIANTS', type: 'integer', min: 1, max: 1000, default: 24 },
+  { key: 'transforms.maxConcurrent', env: 'TRANSFORM_MAX_CONCURRENT', type: 'integer', min: 1, max: 64, default: 2 },
+  { key: 'api.validateResponses', env: 'API_VALIDATE_RESPONSES', type: 'choice', values: RESPONSE_VALIDATION_MODES, default: 'log' }
+];
+
+// Turn a value from the file or the environment (always a string there) into
+// the setting's type. Returns { value } or { error }.
+function parseSetting(setting, raw, fromEnv) {
+  switch (setting.type) {
+    case 'path':
+      if (typeof raw !== 'string' || !raw.trim()) return { error: 'must be a non-empty path' };
+      return { value: raw };
+
+    case 'number':
+    case 'integer': {
+      const value = fromEnv ? Number(raw) : raw;
+      const isInteger = setting.type === 'integer';
+      if (typeof value !== 'number' || !Number.isFinite(value) || (isInteger && !Number.isInteger(value)) ||
+          value < setting.min || (setting.max !== undefined && value > setting.max)) {
+        const range = setting.max !== undefined ? `between ${setting.min} and ${setting.max}` : `at least ${setting.min}`;
+        return { error: `must be ${isInteger ? 'a whole number' : 'a number'} ${range}` };
+      }
+      return { value };
+    }
+
+    case 'boolean':
+      if (fromEnv ? !['true', 'false'].includes(raw) : typeof raw !== 'boolean') {
+        return { error: 'must be true or false' };
+      }
+      return { value: fromEnv ? raw === 'true' : raw };
+
+    case 'choice':
+      if (!setting.values.includes(raw)) return { error: `must be one of: ${setting.values.join(', ')}` };
+      return { value: raw };
+
+    case 'list': {
+      const values = fromEnv ? raw.split(',').map(value => value.trim()).filter(Boolean) : raw;
+      if (!Array.isArray(values) || values.length === 0 || values.some(value => !setting.values.includes(value))) {
+        return { error: `must list one or more of: ${setting.values.join(', ')}` };
+      }
+      return { value: [...new Set(values)] };
+    }
+  }
+  throw new Error(`Unknown setting type ${setting.type}`);
+}
+
+function getPath(object, key) {
+  return key.split('.').reduce((value, part) => (value && typeof value === 'object' ? value[part] : undefined), object);
+}
+
+function setPath(object, key, value) {
+  const parts = key.split('.');
+  const parent = parts.slice(0, -1).reduce((current, part) => (current[part] = current[part] || {}), object);
+  parent[parts[parts.length - 1]] = value;
+}
+
+// Keys in the file that aren't settings, most likely typos
+function findUnknownKeys(fileConfig) {
+  const known = new Set(SETTINGS.map(setting => setting.key));
+  const sections = new Set(SETTINGS.filter(setting => setting.key.includes('.')).map(setting => setting.key.split('.')[0]));
+  const unknown = [];
+
+  for (const [key, value] of Object.entries(fileConfig)) {
+    if (sections.has(key) && value && typeof value === 'object' && !Array.isArray(value)) {
+      unknown.push(...Object.keys(value).filter(child => !known.has(`${key}.${child}`)).map(child => `${key}.${child}`));
+    } else if (!known.has(key)) {
+      unknown.push(key);
+    }
+  }
+  return unknown;
+}
+
+function readConfigFile(configFile, required) {
+  if (!fs.pathExistsSync(configFile)) {
+    if (required) throw new Error(`Config file ${configFile} not found`);
+    return {};
+  }
+
+  let fileConfig;
+  try {
+    fileConfig = fs.readJsonSync(configFile);
+  } catch (error) {
+    throw new Error(`Can't read config file ${configFile}: ${error.message}`);
+  }
+  if (!fileConfig || typeof fileConfig !== 'object' || Array.isArray(fileConfig)) {
+    throw new Error(`Config file ${configFile} must contain a JSON object`);
+  }
+  return fileConfig;
+}
+
+// Load and check the configuration. Throws listing every invalid setting.
+function loadConfig(env = process.env) {
+  const configFile = env.CONFIG_FILE || DEFAULT_CONFIG_FILE;
+  const fileConfig = readConfigFile(configFile, Boolean(env.CONFIG_FILE));
+  const config = { configFile };
+  const errors = findUnknownKeys(fileConfig).map(key => `${key} in ${configFile} is not a known setting`);
+
+  for (const setting of SETTINGS) {
+    const fromEnv = env[setting.env] !== undefined && env[setting.env] !== '';
+    const raw = fromEnv ? env[setting.env] : getPath(fileConfig, setting.key);
+    if (raw === undefined || raw === null) {
+      setPath(config, setting.key, setting.default);
+      continue;
+    }
+
+    const { value, error } = parseSetting(setting, raw, fromEnv);
+    if (error) {
+      errors.push(fromEnv ? `${setting.env} ${error}` : `${setting.key} in ${configFile} ${error}`);
+    } else {
+      setPath(config, setting.key, value);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid configuration:\n  ${errors.join('\n  ')}`);
+  }
+  config.upload.maxFileSize = Math.round(config.upload.maxFileSizeMb * 1024 * 1024);
+  config.upload.maxArchiveSize = Math.round(config.upload.maxArchiveSizeMb * 1024 * 1024);
+  return config;
+}
+
+module.exports = {
+  DUPLICATE_POLICIES,
+  SVG_MODES,
+  RESPONSE_VALIDATION_MODES,
+  SETTINGS,
+  loadConfig
+};
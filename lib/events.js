@@ -0,0 +1,47 @@
+// Server-Sent Events hub used to push folder and image changes to open galleries
+
+const HEARTBEAT_INTERVAL = 25 * 1000;
+const RETRY_DELAY = 3000;
+
+const clients = new Set();
+
+// Keep idle connections open through proxies that drop silent streams
+const heartbeat = setInterval(() => {
+  for (const res of clients) {
+    res.write(': heartbeat\n\n');
+  }
+}, HEARTBEAT_INTERVAL);
+heartbeat.unref();
+
+// Register an SSE client and keep its response open until it disconnects
+function addClient(req, res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write(`retry: ${RETRY_DELAY}\n\n`);
+
+  clients.add(res);
+  req.on('close', () => {
+    clients.delete(res);
+  });
+}
+
+function broadcast(type, data) {
+  const payload = `event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+  for (const res of clients) {
+    res.write(payload);
+  }
+}
+
+function clientCount() {
+  return clients.size;
+}
+
+module.exports = {
+  addClient,
+  broadcast,
+  clientCount
+};
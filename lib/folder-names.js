@@ -0,0 +1,87 @@
+const path = require('path');
+const fs = require('fs-extra');
+
+// Folder names are their paths below the uploads directory, with "/" between
+// the segments of nested folders ("2026/event-a"). Each segment is a slug:
+// safe on disk and in URLs. Shared by the server and the command-line tool.
+
+const MAX_FOLDER_DEPTH = 8;
+
+// Turn a display title into a folder name (slug), e.g. "Café 2026" -> "cafe-2026"
+function slugify(text) {
+  return String(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9_-]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60);
+}
+
+// Join a parent folder name and a child slug
+function joinFolderName(parent, slug) {
+  return parent ? `${parent}/${slug}` : slug;
+}
+
+// Clean free-form text (titles, descriptions)
+function cleanText(value, maxLength) {
+  return String(value).replace(/[\u0000-\u001f\u007f]/g, ' ').trim().slice(0, maxLength);
+}
+
+// Check a folder name: empty, "." / ".." and hidden segments are rejected so
+// a name can never point outside the uploads directory
+function isValidFolderName(folderName) {
+  if (!folderName || typeof folderName !== 'string') return false;
+
+  const segments = folderName.split('/');
+  return segments.length <= MAX_FOLDER_DEPTH && segments.every(segment =>
+    segment !== '' && !segment.startsWith('.') && !/[\\\0]/.test(segment)
+  );
+}
+
+// Resolve a folder inside the uploads directory `root`. Returns null for
+// names that would escape it (e.g. "..", "/etc").
+function resolveFolderPath(root, folderName) {
+  if (!isValidFolderName(folderName)) return null;
+  const resolvedRoot = path.resolve(root);
+  const folderPath = path.resolve(resolvedRoot, folderName);
+  return folderPath.startsWith(resolvedRoot + path.sep) ? folderPath : null;
+}
+
+// Pick a slug that isn't used by a sibling folder yet
+async function getAvailableSlug(root, parent, slug) {
+  let candidate = slug || 'folder';
+  for (let i = 2; await fs.pathExists(path.join(root, joinFolderName(parent, candidate))); i++) {
+    candidate = `${slug || 'folder'}-${i}`;
+  }
+  return candidate;
+}
+
+// List every folder below the uploads directory `root`, as folder names,
+// parents before their children
+async function findFolderNames(root, parent = '', depth = 1) {
+  const entries = await fs.readdir(path.join(root, parent), { withFileTypes: true });
+  const names = [];
+
+  for (const entry of entries) {
+    if (!entry.isDirectory() || entry.name.startsWith('.')) continue;
+
+    const name = joinFolderName(parent, entry.name);
+    names.push(name);
+    if (depth < MAX_FOLDER_DEPTH) {
+      names.push(...(await findFolderNames(root, name, depth + 1)));
+    }
+  }
+  return names;
+}
+
+module.exports = {
+  MAX_FOLDER_DEPTH,
+  slugify,
+  joinFolderName,
+  cleanText,
+  isValidFolderName,
+  resolveFolderPath,
+  getAvailableSlug,
+  findFolderNames
+};
@@ -0,0 +1,229 @@
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs-extra');
+const imageType = require('./image-type');
+const metadata = require('./metadata');
+const renditions = require('./renditions');
+const store = require('./store');
+const svg = require('./svg');
+const { resolveFolderPath, findFolderNames } = require('./folder-names');
+
+// Adding image files to folders. Uploads, imports and the command-line tool
+// all write a file into its folder first, then:
+//
+//   checkUploadedImage      checks its content and fixes its name
+//   prepareUploadedImages   removes location tags and finds duplicates
+//   addUploadedImages       reads its metadata, builds its renditions and
+//                           records it in the store
+//
+// Files added or removed outside the app are picked up by syncWithDisk.
+
+let uploadFolder = 'uploads';
+let formats = Object.keys(imageType.FORMATS);
+let svgUploads = 'sanitize';
+
+// Timestamps for filenames, unique even for files saved in the same millisecond
+let lastTimestamp = 0;
+
+function initImageFiles(options = {}) {
+  uploadFolder = options.uploadFolder || uploadFolder;
+  formats = options.formats || formats;
+  svgUploads = options.svgUploads || svgUploads;
+}
+
+function uniqueTimestamp() {
+  lastTimestamp = Math.max(Date.now(), lastTimestamp + 1);
+  return lastTimestamp;
+}
+
+// Drop what a filename may not contain: anything but letters, digits,
+// dashes, underscores, dots and spaces, and leading dots
+function cleanFilename(name) {
+  return name
+    .replace(/[^a-zA-Z0-9-_.\s]/g, '')
+    .replace(/^\.+/, '')
+    .trim();
+}
+
+// A filename from a client or an archive, cleaned like a rename
+function sanitizeFilename(filename) {
+  const ext = path.extname(filename).replace(/[^a-zA-Z0-9.]/g, '');
+  const name = cleanFilename(path.basename(filename, path.extname(filename)));
+  return `${name || 'image'}${ext}`;
+}
+
+// Keep the original filename with a timestamp to avoid conflicts
+function getUploadFilename(originalName) {
+  const safeName = sanitizeFilename(originalName);
+  const ext = path.extname(safeName);
+  const name = path.basename(safeName, ext);
+  return `${name}_${uniqueTimestamp()}${ext}`;
+}
+
+// Pick a filename that doesn't clash with an existing file
+async function getAvailableFilename(folderPath, filename) {
+  if (!(await fs.pathExists(path.join(folderPath, filename)))) {
+    return filename;
+  }
+  const ext = path.extname(filename);
+  const name = path.basename(filename, ext);
+  return `${name}_${uniqueTimestamp()}${ext}`;
+}
+
+// Make an uploaded SVG image safe to serve: it is sanitized in place, or
+// replaced by a PNG rendering when SVG_UPLOADS is "rasterize". Returns the
+// filename the image ends up with; other images are left as they are. Throws
+// for SVG files that can't be read.
+async function processSvgUpload(folderPath, filename) {
+  if (path.extname(filename).toLowerCase() !== '.svg') {
+    return filename;
+  }
+
+  const filePath = path.join(folderPath, filename);
+  if (svgUploads === 'sanitize') {
+    await svg.sanitizeSvgFile(filePath);
+    return filename;
+  }
+
+  const pngName = await getAvailableFilename(folderPath, `${path.basename(filename, path.extname(filename))}.png`);
+  await svg.rasterizeSvgFile(filePath, path.join(folderPath, pngName));
+  await fs.remove(filePath);
+  return pngName;
+}
+
+// Check a file written into a folder: its content must be an image of the
+// format its name, and the MIME type the client sent if any, declare. The
+// extension is normalized (".JPEG" becomes ".jpg") and SVG images are made
+// safe to serve. Returns the filename the image ends up with; throws with the
+// reason when it is refused.
+async function checkUploadedImage(folderPath, filename, mimetype) {
+  const format = await imageType.checkImageFile(path.join(folderPath, filename), filename, mimetype, formats);
+  const processedName = await processSvgUpload(folderPath, filename);
+
+  const ext = path.extname(processedName);
+  if (processedName !== filename || ext === format.ext) {
+    return processedName;
+  }
+  const savedName = await getAvailableFilename(folderPath, `${path.basename(processedName, ext)}${format.ext}`);
+  await fs.move(path.join(folderPath, processedName), path.join(folderPath, savedName));
+  return savedName;
+}
+
+// Compute the SHA-256 hash of a file's content
+async function hashFile(filePath) {
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of fs.createReadStream(filePath)) {
+    hash.update(chunk);
+  }
+  return hash.digest('hex');
+}
+
+// Hash the images of a folder (or of every folder) that don't have a content
+// hash yet, e.g. because they were added outside the app
+async function hashMissingImages(folderName) {
+  for (const image of store.listImagesWithoutHash(folderName)) {
+    const folderPath = resolveFolderPath(uploadFolder, image.folderName);
+    const filePath = folderPath && path.join(folderPath, image.filename);
+    if (!filePath || !(await fs.pathExists(filePath))) continue; // The next disk sync drops it
+
+    store.setImageHash(image.folderName, image.filename, await hashFile(filePath));
+  }
+}
+
+// Prepare images written into a folder before they are added: remove
+// location tags unless the folder keeps them, then hash their content. Sets
+// `hash` and `size` on every file and `duplicateOf` (the filename of the
+// matching image) on files whose content is already in the folder or earlier
+// in the same batch. A file whose location tags can't be removed is deleted
+// and gets an `error` instead.
+async function prepareUploadedImages(folderName, files) {
+  const folder = store.getFolder(folderName);
+  const keepLocation = Boolean(folder && folder.keepLocation);
+  const batch = new Map();
+
+  await hashMissingImages(folderName);
+
+  for (const file of files) {
+    const filePath = path.join(uploadFolder, folderName, file.filename);
+
+    // Phones tag photos with where they were taken; viewers shouldn't see that
+    if (!keepLocation) {
+      try {
+        await metadata.stripLocation(filePath);
+      } catch (error) {
+        console.error(`Error removing location tags from ${file.filename}:`, error);
+        await fs.remove(filePath);
+        file.error = 'Could not remove its location tags';
+        continue;
+      }
+    }
+
+    // Sanitized SVG images no longer have the size that was sent
+    file.hash = await hashFile(filePath);
+    file.size = (await fs.stat(filePath)).size;
+    const existing = store.findImageByHash(folderName, file.hash);
+    file.duplicateOf = existing ? existing.filename : batch.get(file.hash);
+    if (!batch.has(file.hash)) {
+      batch.set(file.hash, file.filename);
+    }
+  }
+}
+
+// Finish adding prepared images: read their metadata, build their renditions
+// and record them in the store
+async function addUploadedImages(folderName, files) {
+  const details = new Map();
+
+  for (const file of files) {
+    try {
+      details.set(file.filename, await metadata.readImageMetadata(path.join(uploadFolder, folderName, file.filename)));
+    } catch (error) {
+      console.error(`Error reading metadata of ${file.filename}:`, error);
+    }
+  }
+
+  // Build thumbnails up front so the grids never have to load originals.
+  // A failure here is not fatal: the rendition is retried on first request.
+  for (const file of files) {
+    try {
+      await renditions.generateRenditions(folderName, file.filename);
+    } catch (error) {
+      console.error(`Error generating renditions for ${file.filename}:`, error);
+    }
+  }
+
+  for (const file of files) {
+    store.addImage(folderName, file.filename, { ...details.get(file.filename), size: file.size, hash: file.hash });
+  }
+}
+
+// Bring the store in line with the uploads directory: folders and images
+// that appeared on disk are added, the ones that are gone are dropped
+async function syncWithDisk() {
+  store.syncFolders(await findFolderNames(uploadFolder));
+
+  for (const folder of store.listFolders()) {
+    const folderPath = path.join(uploadFolder, folder.name);
+    const files = await fs.readdir(folderPath).catch(() => null);
+    if (!files) continue; // Removed while scanning; the next sync drops it
+
+    store.syncImages(folder.name, files.filter(file => imageType.formatOfName(file) !== null), file => {
+      const stat = fs.statSync(path.join(folderPath, file));
+      return { size: stat.size, createdAt: stat.birthtime.toISOString() };
+    });
+  }
+}
+
+module.exports = {
+  initImageFiles,
+  cleanFilename,
+  sanitizeFilename,
+  getUploadFilename,
+  getAvailableFilename,
+  checkUploadedImage,
+  hashFile,
+  hashMissingImages,
+  prepareUploadedImages,
+  addUploadedImages,
+  syncWithDisk
+};
@@ -0,0 +1,110 @@
+const fs = require('fs-extra');
+
+// Image formats are recognized by the first bytes of the file, not by its
+// name or the type a client claims. Each format lists the extensions and
+// MIME types that declare it; `ext` is the extension files are saved with.
+
+const FORMATS = {
+  jpeg: { label: 'JPEG', ext: '.jpg', extensions: ['.jpg', '.jpeg'], mimeTypes: ['image/jpeg', 'image/pjpeg'] },
+  png: { label: 'PNG', ext: '.png', extensions: ['.png'], mimeTypes: ['image/png'] },
+  gif: { label: 'GIF', ext: '.gif', extensions: ['.gif'], mimeTypes: ['image/gif'] },
+  webp: { label: 'WebP', ext: '.webp', extensions: ['.webp'], mimeTypes: ['image/webp'] },
+  svg: { label: 'SVG', ext: '.svg', extensions: ['.svg'], mimeTypes: ['image/svg+xml'] }
+};
+
+// Enough for the XML declaration, comments and DOCTYPE editors put before <svg>
+const HEAD_SIZE = 16 * 1024;
+
+// Clients that don't know a file's type send one of these
+const UNKNOWN_MIME_TYPES = ['', 'application/octet-stream'];
+
+const SVG_START = /^\s*(<\?xml[^>]*\?>\s*)?(<!--[\s\S]*?-->\s*|<!DOCTYPE[^[>]*(\[[\s\S]*?\])?\s*>\s*)*<svg[\s/>]/i;
+
+// The format of an image from its first bytes, or null
+function detectFormat(head) {
+  if (head.length >= 3 && head[0] === 0xff && head[1] === 0xd8 && head[2] === 0xff) return 'jpeg';
+  if (head.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'png';
+  if (/^GIF8[79]a/.test(head.toString('latin1', 0, 6))) return 'gif';
+  if (head.toString('latin1', 0, 4) === 'RIFF' && head.toString('latin1', 8, 12) === 'WEBP') return 'webp';
+
+  // SVG is text: a NUL byte means it's something else
+  if (!head.includes(0) && SVG_START.test(head.toString('utf8').replace(/^\uFEFF/, ''))) return 'svg';
+  return null;
+}
+
+// The format a file name declares, or null
+function formatOfName(filename) {
+  const match = /\.[^.]*$/.exec(filename.toLowerCase());
+  return Object.keys(FORMATS).find(format => match && FORMATS[format].extensions.includes(match[0])) || null;
+}
+
+// The format a MIME type declares, or null
+function formatOfMimeType(mimeType) {
+  const type = (mimeType || '').split(';')[0].trim().toLowerCase();
+  return Object.keys(FORMATS).find(format => FORMATS[format].mimeTypes.includes(type)) || null;
+}
+
+// "JPEG, PNG and GIF"
+function describeFormats(formats, conjunction = 'and') {
+  const labels = formats.map(format => FORMATS[format].label);
+  return labels.length > 1 ? `${labels.slice(0, -1).join(', ')} ${conjunction} ${labels[labels.length - 1]}` : labels.join('');
+}
+
+function isUnknownMimeType(mimeType) {
+  return UNKNOWN_MIME_TYPES.includes((mimeType || '').split(';')[0].trim().toLowerCase());
+}
+
+// Check, before any content has arrived, that a file name declares one of
+// the allowed `formats` (all by default) and that the MIME type, unless
+// unknown, declares the same one. Returns the declared format; throws with
+// the reason otherwise.
+function checkImageName(filename, mimeType, formats = Object.keys(FORMATS)) {
+  const named = formatOfName(filename);
+  if (!named || !formats.includes(named)) {
+    throw new Error(`Only ${describeFormats(formats)} images are allowed`);
+  }
+  if (!isUnknownMimeType(mimeType) && formatOfMimeType(mimeType) !== named) {
+    throw new Error(`The file is named as a ${FORMATS[named].label} image, but was sent as ${mimeType}`);
+  }
+  return FORMATS[named];
+}
+
+async function readHead(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(HEAD_SIZE);
+    const { bytesRead } = await handle.read(buffer, 0, HEAD_SIZE, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+// Check that the file at `filePath` holds an image of one of the allowed
+// `formats`, and of the format declared by `filename` and, unless unknown,
+// `mimeType`. Returns the format ({ label, ext, ... }); throws with what
+// doesn't match otherwise.
+async function checkImageFile(filePath, filename, mimeType, formats = Object.keys(FORMATS)) {
+  const detected = detectFormat(await readHead(filePath));
+  if (!detected || !formats.includes(detected)) {
+    throw new Error(`The file content is not a ${describeFormats(formats, 'or')} image`);
+  }
+
+  const { label } = FORMATS[detected];
+  const named = formatOfName(filename);
+  if (named !== detected) {
+    throw new Error(`The file contains a ${label} image, but its name says ${named ? FORMATS[named].label : 'otherwise'}`);
+  }
+  if (!isUnknownMimeType(mimeType) && formatOfMimeType(mimeType) !== detected) {
+    throw new Error(`The file contains a ${label} image, but was sent as ${mimeType}`);
+  }
+  return FORMATS[detected];
+}
+
+module.exports = {
+  FORMATS,
+  detectFormat,
+  formatOfName,
+  checkImageName,
+  checkImageFile
+};
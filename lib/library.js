@@ -0,0 +1,218 @@
+const path = require('path');
+const fs = require('fs-extra');
+const folderNames = require('./folder-names');
+const imageFiles = require('./image-files');
+const metadata = require('./metadata');
+const quota = require('./quota');
+const renditions = require('./renditions');
+const store = require('./store');
+const trash = require('./trash');
+
+// Folder and image operations shared by the server's routes and the
+// command-line tool's offline mode. They check their input like the API
+// does and throw errors with a `code` for the caller to report:
+//
+//   BAD_REQUEST     invalid input
+//   NOT_FOUND       the folder (or the parent folder) doesn't exist
+//   FOLDER_EXISTS   the name is taken
+//   QUOTA_EXCEEDED  a moved folder doesn't fit in its new parent's quotas
+//
+// Notifying galleries and recording the audit log are left to the caller.
+
+let uploadFolder = 'uploads';
+
+function initLibrary(options = {}) {
+  uploadFolder = options.uploadFolder || uploadFolder;
+}
+
+function libraryError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Throw BAD_REQUEST unless each of the given fields is a string or undefined
+function checkStrings(fields) {
+  for (const [field, value] of Object.entries(fields)) {
+    if (value !== undefined && typeof value !== 'string') {
+      throw libraryError('BAD_REQUEST', `${field} must be a string`);
+    }
+  }
+}
+
+// The path of an existing folder; throws NOT_FOUND otherwise
+async function getFolderPath(folderName, message = 'Folder not found') {
+  const folderPath = folderNames.resolveFolderPath(uploadFolder, folderName);
+  if (!folderPath || !(await fs.pathExists(folderPath))) {
+    throw libraryError('NOT_FOUND', message);
+  }
+  return folderPath;
+}
+
+// Create a folder from its display `title`. Its name is a slug of the title,
+// or of `slug` when given, placed below the optional `parent` folder.
+// Returns { folderName, title }.
+async function createFolder({ title: folderTitle, slug, description, parent = '' }) {
+  if (typeof folderTitle !== 'string' || folderTitle.trim() === '') {
+    throw libraryError('BAD_REQUEST', 'Folder name is required');
+  }
+  checkStrings({ slug, description, parent });
+  if (parent) {
+    await getFolderPath(parent, 'Parent folder not found');
+  }
+
+  const title = folderNames.cleanText(folderTitle, 100);
+  let name;
+
+  if (slug) {
+    // An explicit slug must be valid and unused
+    const cleanSlug = folderNames.slugify(slug);
+    if (cleanSlug === '') {
+      throw libraryError('BAD_REQUEST', 'Invalid folder slug');
+    }
+    name = folderNames.joinFolderName(parent, cleanSlug);
+    if (await fs.pathExists(path.join(uploadFolder, name))) {
+      throw libraryError('FOLDER_EXISTS', 'Folder already exists');
+    }
+  } else {
+    name = folderNames.joinFolderName(parent, await folderNames.getAvailableSlug(uploadFolder, parent, folderNames.slugify(title)));
+  }
+
+  if (!folderNames.resolveFolderPath(uploadFolder, name)) {
+    throw libraryError('BAD_REQUEST', `Folders can only be nested ${folderNames.MAX_FOLDER_DEPTH} levels deep`);
+  }
+
+  await fs.ensureDir(path.join(uploadFolder, name));
+
+  // Folders start inactive
+  store.createFolder(name, {
+    title,
+    description: description ? folderNames.cleanText(description, 500) : ''
+  });
+
+  return { folderName: name, title };
+}
+
+// Remove the location tags of an image that ended up in a folder that
+// doesn't keep them (after a move, copy or restore)
+async function applyLocationPolicy(folderName, filename) {
+  const folder = store.getFolder(folderName);
+  const image = store.getImage(folderName, filename);
+
+  if (folder && !folder.keepLocation && image && image.hasLocation) {
+    const imagePath = path.join(uploadFolder, folderName, filename);
+    await metadata.stripLocation(imagePath);
+    store.clearImageLocation(folderName, filename, await imageFiles.hashFile(imagePath));
+  }
+}
+
+// Update a folder's display `title` and `description`, rename it on disk
+// (`name`, the new last slug) or move it with its subtree under another
+// folder (`parent`, "" or null for the top level). Renames and moves keep the active
+// state, timestamps and schedules of every folder in the subtree. `quotaMb`
+// limits the space of the folder with its subfolders (null for none).
+// Returns { previousName, before, folder }.
+async function updateFolder(folderName, { title, description, name, parent, keepLocation, quotaMb }) {
+  const folderPath = await getFolderPath(folderName);
+
+  checkStrings({ title, description, name });
+  if (parent !== undefined && parent !== null && typeof parent !== 'string') {
+    throw libraryError('BAD_REQUEST', 'parent must be a folder name, or "" for the top level');
+  }
+  if (title !== undefined && folderNames.cleanText(title, 100) === '') {
+    throw libraryError('BAD_REQUEST', 'Title cannot be empty');
+  }
+  if (quotaMb !== undefined && quotaMb !== null && !(typeof quotaMb === 'number' && quotaMb > 0 && Number.isFinite(quotaMb))) {
+    throw libraryError('BAD_REQUEST', 'quotaMb must be a positive number, or null for no quota');
+  }
+
+  const before = store.ensureFolder(folderName);
+  let currentName = folderName;
+
+  const newParent = parent !== undefined ? parent || '' : store.getParentName(folderName);
+  const newSlug = name !== undefined ? folderNames.slugify(name) : folderName.split('/').pop();
+  if (newSlug === '') {
+    throw libraryError('BAD_REQUEST', 'Invalid folder name');
+  }
+
+  const newName = folderNames.joinFolderName(newParent, newSlug);
+  if (newName !== folderName) {
+    if (newParent === folderName || newParent.startsWith(`${folderName}/`)) {
+      throw libraryError('BAD_REQUEST', 'A folder cannot be moved into itself');
+    }
+    if (newParent) {
+      await getFolderPath(newParent, 'Parent folder not found');
+    }
+    if (!folderNames.resolveFolderPath(uploadFolder, newName)) {
+      throw libraryError('BAD_REQUEST', 'Invalid folder name');
+    }
+    if (await fs.pathExists(path.join(uploadFolder, newName))) {
+      throw libraryError('FOLDER_EXISTS', 'Folder already exists');
+    }
+    await quota.checkSpace(newParent, store.getStorageUsed(folderName).bytes, { movedFrom: store.getParentName(folderName) });
+
+    await fs.move(folderPath, path.join(uploadFolder, newName));
+    store.renameFolder(folderName, newName);
+    await renditions.removeFolderRenditions(folderName);
+    currentName = newName;
+  }
+
+  const folder = store.updateFolder(currentName, {
+    title: title !== undefined ? folderNames.cleanText(title, 100) : undefined,
+    description: description !== undefined ? folderNames.cleanText(description, 500) : undefined,
+    keepLocation: keepLocation !== undefined ? Boolean(keepLocation) : undefined,
+    quota: quotaMb !== undefined ? quotaMb && Math.round(quotaMb * 1024 * 1024) : undefined
+  });
+
+  // Images kept with their location until now lose it with the option
+  if (!folder.keepLocation) {
+    for (const image of store.listImages(currentName)) {
+      await applyLocationPolicy(currentName, image.filename);
+    }
+  }
+
+  return { previousName: folderName, before, folder };
+}
+
+// Move a folder with its subfolders to the trash. Returns { before, item }.
+async function deleteFolder(folderName, deletedBy) {
+  await getFolderPath(folderName);
+
+  const before = store.ensureFolder(folderName);
+  const item = await trash.trashFolder(folderName, deletedBy);
+  await renditions.removeFolderRenditions(folderName);
+  return { before, item };
+}
+
+// Add a batch of images written into a folder (see image-files), following
+// the duplicate policy: "reject" refuses the duplicates and "skip" leaves
+// them out, both keeping the other files of the batch; "allow" adds them
+// anyway. Returns { added, duplicates, refused }; every duplicate has the
+// `status` it got (rejected, skipped or uploaded), and every refused file the
+// `error` that kept it out.
+async function addImages(folderName, batch, policy) {
+  await imageFiles.prepareUploadedImages(folderName, batch);
+  const refused = batch.filter(file => file.error);
+  const files = batch.filter(file => !file.error);
+  const duplicates = files.filter(file => file.duplicateOf);
+  const status = { reject: 'rejected', skip: 'skipped', allow: 'uploaded' }[policy];
+
+  let added = files;
+  if (policy !== 'allow') {
+    await Promise.all(duplicates.map(file => fs.remove(file.path)));
+    added = files.filter(file => !file.duplicateOf);
+  }
+  duplicates.forEach(file => { file.status = status; });
+
+  await imageFiles.addUploadedImages(folderName, added);
+  return { added, duplicates, refused };
+}
+
+module.exports = {
+  initLibrary,
+  createFolder,
+  updateFolder,
+  deleteFolder,
+  applyLocationPolicy,
+  addImages
+};
@@ -0,0 +1,316 @@
+const fs = require('fs-extra');
+const sharp = require('sharp');
+
+// Metadata read from uploaded images: dimensions and orientation from sharp,
+// capture date and camera model from the EXIF block.
+//
+// Location (GPS) tags are removed by blanking the GPS section of the EXIF
+// block in place. The file keeps its size and the image data is not
+// re-encoded, so stripping is lossless. JPEG, PNG and WebP carry EXIF.
+// When location tags remain after that (a damaged EXIF block, or GPS
+// properties in an XMP packet) the image is re-encoded without its metadata.
+
+const TAGS = {
+  make: 0x010f,
+  model: 0x0110,
+  exifIfd: 0x8769,
+  gpsIfd: 0x8825,
+  dateTimeOriginal: 0x9003
+};
+
+// Bytes per value for each TIFF field type
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+
+const EXIF_HEADER = Buffer.from('Exif\0\0', 'latin1');
+
+// GPS properties of an XMP packet (exif:GPSLatitude and the like)
+const XMP_LOCATION = /GPS(?:Latitude|Longitude|Altitude)\b/;
+
+// Output options for the formats an image can be re-encoded in
+const REENCODE_OPTIONS = {
+  jpeg: { quality: 95 },
+  png: {},
+  webp: { quality: 95 },
+  gif: {}
+};
+
+let crcTable = null;
+
+function crc32(buffer) {
+  if (!crcTable) {
+    crcTable = new Int32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c;
+    }
+  }
+
+  let crc = -1;
+  for (const byte of buffer) {
+    crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ -1) >>> 0;
+}
+
+// Find the EXIF block of a JPEG, PNG or WebP file. Returns { start, end } of
+// its TIFF structure, plus the PNG chunk whose checksum covers it, or null.
+function findExif(buffer) {
+  const withoutHeader = (start, end) =>
+    buffer.subarray(start, start + EXIF_HEADER.length).equals(EXIF_HEADER)
+      ? { start: start + EXIF_HEADER.length, end }
+      : { start, end };
+
+  // JPEG: the APP1 segment starting with "Exif\0\0"
+  if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+    for (let offset = 2; offset + 4 <= buffer.length;) {
+      const marker = buffer.readUInt16BE(offset);
+      if (marker === 0xffda || (marker & 0xff00) !== 0xff00) break; // Image data starts
+      const length = buffer.readUInt16BE(offset + 2);
+      if (marker === 0xffe1 && buffer.subarray(offset + 4, offset + 10).equals(EXIF_HEADER)) {
+        return { start: offset + 10, end: offset + 2 + length };
+      }
+      offset += 2 + length;
+    }
+    return null;
+  }
+
+  // PNG: the eXIf chunk
+  if (buffer.toString('latin1', 1, 4) === 'PNG') {
+    for (let offset = 8; offset + 12 <= buffer.length;) {
+      const length = buffer.readUInt32BE(offset);
+      const type = buffer.toString('latin1', offset + 4, offset + 8);
+      if (type === 'eXIf') {
+        return { ...withoutHeader(offset + 8, offset + 8 + length), chunk: { start: offset + 4, end: offset + 8 + length } };
+      }
+      if (type === 'IDAT' || type === 'IEND') break;
+      offset += 12 + length;
+    }
+    return null;
+  }
+
+  // WebP: the EXIF chunk of an extended file
+  if (buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') {
+    for (let offset = 12; offset + 8 <= buffer.length;) {
+      const type = buffer.toString('latin1', offset, offset + 4);
+      const length = buffer.readUInt32LE(offset + 4);
+      if (type === 'EXIF') {
+        return withoutHeader(offset + 8, offset + 8 + length);
+      }
+      offset += 8 + length + (length % 2);
+    }
+  }
+
+  return null;
+}
+
+// Reader for a TIFF structure; offsets are relative to its start
+function openTiff(tiff) {
+  const byteOrder = tiff.toString('latin1', 0, 2);
+  if (byteOrder !== 'II' && byteOrder !== 'MM') return null;
+
+  const littleEndian = byteOrder === 'II';
+  const u16 = offset => littleEndian ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset);
+  const u32 = offset => littleEndian ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset);
+  if (u16(2) !== 42) return null;
+
+  // The entries of the IFD (tag directory) at `offset`
+  const readIfd = offset => {
+    const entries = [];
+    const count = u16(offset);
+    for (let i = 0; i < count; i++) {
+      const at = offset + 2 + i * 12;
+      const type = u16(at + 2);
+      const length = (TYPE_SIZES[type] || 1) * u32(at + 4);
+      entries.push({
+        tag: u16(at),
+        type,
+        count: u32(at + 4),
+        length,
+        // Values of up to 4 bytes are stored in the entry itself
+        valueOffset: length > 4 ? u32(at + 8) : at + 8
+      });
+    }
+    return { offset, entries, size: 2 + count * 12 + 4 };
+  };
+
+  const readValue = entry => {
+    if (!entry) return undefined;
+    if (entry.type === 2) {
+      return tiff.toString('latin1', entry.valueOffset, entry.valueOffset + entry.count).replace(/\0[\s\S]*$/, '').trim();
+    }
+    if (entry.type === 3) return u16(entry.valueOffset);
+    if (entry.type === 4) return u32(entry.valueOffset);
+    return undefined;
+  };
+
+  return { ifd0: u32(4), readIfd, readValue };
+}
+
+function findEntry(ifd, tag) {
+  return ifd.entries.find(entry => entry.tag === tag);
+}
+
+// "2026:05:17 14:03:21" -> "2026-05-17T14:03:21" (camera local time, no zone)
+function toIsoDate(value) {
+  const match = /^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/.exec(value || '');
+  if (!match || match[1] === '0000') return undefined;
+  return `${match[1]}-${match[2]}-${match[3]}T${match[4]}:${match[5]}:${match[6]}`;
+}
+
+// Capture date, camera and whether location tags are present, from a TIFF structure
+function parseExif(tiffBuffer) {
+  const tiff = openTiff(tiffBuffer);
+  if (!tiff) return {};
+
+  const ifd0 = tiff.readIfd(tiff.ifd0);
+  const make = tiff.readValue(findEntry(ifd0, TAGS.make)) || '';
+  const model = tiff.readValue(findEntry(ifd0, TAGS.model)) || '';
+
+  let takenAt;
+  const exifPointer = findEntry(ifd0, TAGS.exifIfd);
+  if (exifPointer) {
+    const exifIfd = tiff.readIfd(tiff.readValue(exifPointer));
+    takenAt = toIsoDate(tiff.readValue(findEntry(exifIfd, TAGS.dateTimeOriginal)));
+  }
+
+  const gpsPointer = findEntry(ifd0, TAGS.gpsIfd);
+  const hasLocation = Boolean(gpsPointer && tiff.readIfd(tiff.readValue(gpsPointer)).entries.length > 0);
+
+  return {
+    // Models often repeat the make ("Canon" + "Canon EOS R6")
+    camera: (model.toLowerCase().startsWith(make.toLowerCase()) ? model : `${make} ${model}`).trim() || undefined,
+    takenAt,
+    hasLocation
+  };
+}
+
+// Read the metadata stored with an image. Returns { width, height,
+// orientation, takenAt, camera, hasLocation }; fields the file doesn't
+// have are undefined. Width and height are as displayed, after orientation.
+async function readImageMetadata(filePath) {
+  // From a buffer: libvips caches what it read from a path, which would hide
+  // changes made by stripLocation
+  const info = await sharp(await fs.readFile(filePath), { animated: false }).metadata();
+  let exif = {};
+  if (info.exif) {
+    try {
+      exif = parseExif(withoutExifHeader(info.exif));
+    } catch (error) {
+      // A damaged EXIF block doesn't make the image unusable
+      exif = {};
+    }
+  }
+
+  // Orientations 5-8 are rotated by 90 degrees
+  const rotated = info.orientation >= 5 && info.orientation <= 8;
+  return {
+    width: rotated ? info.height : info.width,
+    height: rotated ? info.width : info.height,
+    orientation: info.orientation,
+    takenAt: exif.takenAt,
+    camera: exif.camera,
+    hasLocation: Boolean(exif.hasLocation) || hasXmpLocation(info.xmp)
+  };
+}
+
+function withoutExifHeader(exif) {
+  return exif.subarray(0, 6).equals(EXIF_HEADER) ? exif.subarray(6) : exif;
+}
+
+function hasXmpLocation(xmp) {
+  return Boolean(xmp) && XMP_LOCATION.test(xmp.toString('utf8'));
+}
+
+// Whether an image has location tags, in its EXIF block or an XMP packet. An
+// EXIF block too damaged to read counts as having them.
+async function hasLocationTags(buffer) {
+  const info = await sharp(buffer, { animated: false }).metadata();
+  if (hasXmpLocation(info.xmp)) return true;
+  if (!info.exif) return false;
+
+  try {
+    return Boolean(parseExif(withoutExifHeader(info.exif)).hasLocation);
+  } catch (error) {
+    return true;
+  }
+}
+
+// Re-encode an image in its format, which leaves out its EXIF and XMP
+// metadata. The orientation goes with it, so it is applied to the pixels.
+async function encodeWithoutMetadata(buffer) {
+  const image = sharp(buffer, { animated: true });
+  const { format, orientation } = await image.metadata();
+  if (!REENCODE_OPTIONS[format]) {
+    throw new Error(`Cannot remove the metadata of ${format} images`);
+  }
+
+  if (orientation > 1) image.rotate();
+  return image.keepIccProfile().toFormat(format, REENCODE_OPTIONS[format]).toBuffer();
+}
+
+// Blank out the GPS section of the EXIF block in an image file's contents.
+// Returns true when location tags were blanked.
+function blankGpsIfd(buffer) {
+  const block = findExif(buffer);
+  if (!block) return false;
+
+  const tiffBuffer = buffer.subarray(block.start, block.end);
+  try {
+    const tiff = openTiff(tiffBuffer);
+    const gpsPointer = tiff && findEntry(tiff.readIfd(tiff.ifd0), TAGS.gpsIfd);
+    if (!gpsPointer) return false;
+
+    const gpsIfd = tiff.readIfd(tiff.readValue(gpsPointer));
+    if (gpsIfd.entries.length === 0) return false;
+
+    // Zero the values stored outside the entries, then the directory itself:
+    // an all-zero directory is a valid, empty one
+    const ranges = gpsIfd.entries
+      .filter(entry => entry.length > 4)
+      .map(entry => [entry.valueOffset, entry.valueOffset + entry.length]);
+    ranges.push([gpsIfd.offset, gpsIfd.offset + gpsIfd.size]);
+    if (ranges.some(([, end]) => end > tiffBuffer.length)) return false;
+
+    for (const [start, end] of ranges) {
+      tiffBuffer.fill(0, start, end);
+    }
+  } catch (error) {
+    // Offsets pointing outside the block: leave a damaged EXIF block alone
+    if (!(error instanceof RangeError)) throw error;
+    return false;
+  }
+
+  if (block.chunk) {
+    buffer.writeUInt32BE(crc32(buffer.subarray(block.chunk.start, block.chunk.end)), block.chunk.end);
+  }
+  return true;
+}
+
+// Remove the location tags of an image, in place when possible and by
+// re-encoding it otherwise. Returns true when location tags were removed;
+// throws when they may remain.
+async function stripLocation(filePath) {
+  const buffer = await fs.readFile(filePath);
+  const blanked = blankGpsIfd(buffer);
+
+  if (await hasLocationTags(buffer)) {
+    await fs.writeFile(filePath, await encodeWithoutMetadata(buffer));
+    if (await hasLocationTags(await fs.readFile(filePath))) {
+      throw new Error('Location tags remain after re-encoding');
+    }
+    return true;
+  }
+
+  if (blanked) {
+    await fs.writeFile(filePath, buffer);
+  }
+  return blanked;
+}
+
+module.exports = {
+  readImageMetadata,
+  stripLocation
+};
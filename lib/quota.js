@@ -0,0 +1,167 @@
+const fs = require('fs-extra');
+const store = require('./store');
+
+// Storage quotas. A folder's quota covers its whole subtree, so an upload into
+// "2026/event-a" has to fit in the quotas of "2026/event-a" and "2026", in the
+// storage quota of the server and in the free space of the disk. Files still
+// being uploaded in resumable sessions count as used.
+//
+// The space used is also recorded once a day for the storage dashboard.
+
+const RECORD_INTERVAL = 60 * 60 * 1000;
+
+let uploadFolder = 'uploads';
+let storageQuota = null;
+let timer = null;
+
+function initQuota(options = {}) {
+  uploadFolder = options.uploadFolder || uploadFolder;
+  storageQuota = options.storageQuota || null;
+}
+
+function quotaError(message) {
+  const error = new Error(message);
+  error.code = 'QUOTA_EXCEEDED';
+  return error;
+}
+
+// "1.5 MB"
+function formatBytes(bytes) {
+  const units = ['bytes', 'KB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${unit === 0 ? value : Math.round(value * 10) / 10} ${units[unit]}`;
+}
+
+// Total and free bytes of the disk holding the uploads
+async function getDiskSpace() {
+  const stats = await fs.promises.statfs(uploadFolder);
+  return { total: stats.blocks * stats.bsize, free: stats.bavail * stats.bsize };
+}
+
+// The folder and its ancestors: "a/b" -> ["a/b", "a"]
+function getFolderChain(folderName) {
+  const segments = folderName.split('/');
+  return segments.map((segment, i) => segments.slice(0, segments.length - i).join('/'));
+}
+
+// How many bytes can still be added to a folder. Returns { bytes, reason },
+// `reason` describing the limit that leaves the least room. `movedFrom` names
+// the folder the bytes are moved out of: folders holding both already count
+// them, and a move takes no more room in the storage quota or on the disk.
+async function getAvailableSpace(folderName, { movedFrom } = {}) {
+  const limits = [];
+  const counted = movedFrom ? getFolderChain(movedFrom) : [];
+
+  for (const name of getFolderChain(folderName)) {
+    const folder = store.getFolder(name);
+    if (!folder || !folder.quota || counted.includes(name)) continue;
+
+    const used = store.getStorageUsed(name);
+    const left = Math.max(folder.quota - used.bytes - used.reserved, 0);
+    limits.push({ bytes: left, reason: `The ${formatBytes(folder.quota)} quota of folder "${folder.title}" has ${formatBytes(left)} left` });
+  }
+
+  if (movedFrom !== undefined) {
+    return limits.reduce((least, limit) => (limit.bytes < least.bytes ? limit : least), { bytes: Infinity, reason: '' });
+  }
+
+  if (storageQuota) {
+    const used = store.getStorageUsed();
+    const left = Math.max(storageQuota - used.bytes - used.reserved, 0);
+    limits.push({ bytes: left, reason: `The ${formatBytes(storageQuota)} storage quota has ${formatBytes(left)} left` });
+  }
+
+  const { free } = await getDiskSpace();
+  limits.push({ bytes: free, reason: `The disk has ${formatBytes(free)} free` });
+
+  return limits.reduce((least, limit) => (limit.bytes < least.bytes ? limit : least));
+}
+
+// Throw a QUOTA_EXCEEDED error when `size` bytes don't fit in a folder
+// (`options` as for getAvailableSpace)
+async function checkSpace(folderName, size, options) {
+  const space = await getAvailableSpace(folderName, options);
+  if (size > space.bytes) {
+    throw quotaError(`Not enough space for ${formatBytes(size)}: ${space.reason}`);
+  }
+  return space;
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+// Record today's total use, replacing an earlier record of the same day
+async function recordUsage() {
+  const used = store.getStorageUsed();
+  const { free } = await getDiskSpace();
+  store.recordStorageUsage(today(), { usedBytes: used.bytes, imageCount: used.imageCount, freeBytes: free });
+}
+
+// Everything the storage dashboard shows: totals, the quota, the disk, the
+// bytes used per folder (own images and whole subtree), the largest images
+// and the daily history of the last `days` days
+async function getStorageReport(options = {}) {
+  const days = options.days || 90;
+  const used = store.getStorageUsed();
+  const folders = store.listFolderUsage();
+
+  const report = folders.map(folder => {
+    const subtree = folders.filter(other => other.name === folder.name || other.name.startsWith(`${folder.name}/`));
+    return {
+      name: folder.name,
+      title: folder.title,
+      size: folder.size,
+      imageCount: folder.imageCount,
+      totalSize: subtree.reduce((total, other) => total + other.size, 0),
+      totalImageCount: subtree.reduce((total, other) => total + other.imageCount, 0),
+      quota: folder.quota
+    };
+  });
+
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  return {
+    usedBytes: used.bytes,
+    reservedBytes: used.reserved,
+    imageCount: used.imageCount,
+    quota: storageQuota || undefined,
+    disk: await getDiskSpace(),
+    folders: report,
+    largestImages: store.listLargestImages(options.largest || 10),
+    history: store.listStorageHistory(since)
+  };
+}
+
+function startRecording(options = {}) {
+  const tick = () => {
+    recordUsage().catch(error => {
+      console.error('Error recording storage usage:', error);
+    });
+  };
+
+  tick();
+  timer = setInterval(tick, options.interval || RECORD_INTERVAL);
+  timer.unref();
+}
+
+function stopRecording() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  initQuota,
+  formatBytes,
+  getDiskSpace,
+  getAvailableSpace,
+  checkSpace,
+  recordUsage,
+  getStorageReport,
+  startRecording,
+  stopRecording
+};
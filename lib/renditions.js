@@ -0,0 +1,242 @@
+const path = require('path');
+const fs = require('fs-extra');
+const sharp = require('sharp');
+
+// Resized copies generated for each uploaded image. Grids use "thumbnail",
+// "medium" is for larger previews; the modal always shows the original.
+const RENDITIONS = {
+  thumbnail: { width: 400, height: 400, quality: 75 },
+  medium: { width: 1200, height: 1200, quality: 82 }
+};
+
+// Output formats of on-the-fly transforms, with their default quality
+const TRANSFORM_FORMATS = {
+  webp: { mimeType: 'image/webp', quality: 80 },
+  avif: { mimeType: 'image/avif', quality: 50 }
+};
+
+// How a transform fits the image in the requested box (see sharp's resize)
+const TRANSFORM_FITS = ['cover', 'contain', 'fill', 'inside', 'outside'];
+
+// Transforms are cached per image below this folder of the cache
+const TRANSFORMS_FOLDER = 'transforms';
+
+let uploadFolder = 'uploads';
+let cacheFolder = 'renditions';
+let maxTransformSize = 2560;
+let maxVariants = 24;
+let maxConcurrentTransforms = 2;
+
+// Renditions being generated right now, so concurrent requests share the work
+const pending = new Map();
+
+function initRenditions(options = {}) {
+  uploadFolder = options.uploadFolder || uploadFolder;
+  cacheFolder = options.cacheFolder || cacheFolder;
+  maxTransformSize = options.maxTransformSize || maxTransformSize;
+  maxVariants = options.maxVariants || maxVariants;
+  maxConcurrentTransforms = options.maxConcurrentTransforms || maxConcurrentTransforms;
+  fs.ensureDirSync(cacheFolder);
+}
+
+function transformError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// SVGs are already small and scale freely, so they are served as-is
+function needsRendition(filename) {
+  return path.extname(filename).toLowerCase() !== '.svg';
+}
+
+function getRenditionPath(size, folderName, filename) {
+  return path.join(cacheFolder, size, folderName, `${filename}.webp`);
+}
+
+function getRenditionUrl(size, folderName, filename) {
+  if (!needsRendition(filename)) {
+    return `/uploads/${folderName}/${filename}`;
+  }
+  return `/renditions/${size}/${encodeURIComponent(folderName)}/${encodeURIComponent(filename)}`;
+}
+
+function getTransformFolder(folderName, filename) {
+  return path.join(cacheFolder, TRANSFORMS_FOLDER, folderName, filename);
+}
+
+// The URL to transform an image with, e.g. `${transformUrl}?w=640&format=avif`.
+// SVG images are redirected to the original.
+function getTransformUrl(folderName, filename) {
+  return `/transform/${encodeURIComponent(folderName)}/${encodeURIComponent(filename)}`;
+}
+
+// Check the query of a transform request: `w` and/or `h` in pixels, `fit`,
+// `format` and `q` (quality, 1-100). Returns the transform with its defaults
+// filled in; throws an INVALID_TRANSFORM error otherwise.
+function parseTransform(query) {
+  const integer = (name, min, max) => {
+    const value = query[name];
+    if (value === undefined || value === '') return undefined;
+    if (typeof value !== 'string' || !/^\d+$/.test(value) || Number(value) < min || Number(value) > max) {
+      throw transformError('INVALID_TRANSFORM', `${name} must be a whole number between ${min} and ${max}`);
+    }
+    return Number(value);
+  };
+  const choice = (name, values, defaultValue) => {
+    const value = query[name];
+    if (value === undefined || value === '') return defaultValue;
+    if (!values.includes(value)) {
+      throw transformError('INVALID_TRANSFORM', `${name} must be one of: ${values.join(', ')}`);
+    }
+    return value;
+  };
+
+  const width = integer('w', 1, maxTransformSize);
+  const height = integer('h', 1, maxTransformSize);
+  if (width === undefined && height === undefined) {
+    throw transformError('INVALID_TRANSFORM', 'w or h is required');
+  }
+
+  const format = choice('format', Object.keys(TRANSFORM_FORMATS), 'webp');
+  return {
+    width,
+    height,
+    fit: choice('fit', TRANSFORM_FITS, 'inside'),
+    format,
+    quality: integer('q', 1, 100) || TRANSFORM_FORMATS[format].quality
+  };
+}
+
+// The name of a transform's file in the image's cache folder, e.g.
+// "640x-inside-q80.webp"
+function getTransformName({ width, height, fit, format, quality }) {
+  return `${width || ''}x${height || ''}-${fit}-q${quality}.${format}`;
+}
+
+async function renderFile(sourcePath, targetPath, { width, height, fit, format, quality }) {
+  const tempPath = `${targetPath}.${process.pid}.tmp`;
+
+  await fs.ensureDir(path.dirname(targetPath));
+  try {
+    await sharp(sourcePath, { animated: false })
+      .rotate()
+      .resize(width || null, height || null, { fit, withoutEnlargement: true, background: { r: 0, g: 0, b: 0, alpha: 0 } })
+      .toFormat(format, { quality })
+      .toFile(tempPath);
+    await fs.move(tempPath, targetPath, { overwrite: true });
+  } finally {
+    await fs.remove(tempPath);
+  }
+}
+
+// Whether a cached file exists and is newer than its source image
+async function isFresh(sourcePath, targetPath) {
+  const [sourceStat, targetStat] = await Promise.all([
+    fs.stat(sourcePath),
+    fs.stat(targetPath).catch(() => null)
+  ]);
+  return Boolean(targetStat && targetStat.mtimeMs >= sourceStat.mtimeMs);
+}
+
+// Build a cached file, sharing the work with a build already running
+async function render(sourcePath, targetPath, transform) {
+  if (!pending.has(targetPath)) {
+    const job = renderFile(sourcePath, targetPath, transform)
+      .finally(() => pending.delete(targetPath));
+    pending.set(targetPath, job);
+  }
+  await pending.get(targetPath);
+}
+
+// Return the path of a rendition, (re)building it when it is missing or
+// older than its source image
+async function ensureRendition(size, folderName, filename) {
+  if (!RENDITIONS[size]) {
+    throw new Error(`Unknown rendition size "${size}"`);
+  }
+
+  const sourcePath = path.join(uploadFolder, folderName, filename);
+  const targetPath = getRenditionPath(size, folderName, filename);
+
+  if (!(await isFresh(sourcePath, targetPath))) {
+    await render(sourcePath, targetPath, { ...RENDITIONS[size], fit: 'inside', format: 'webp' });
+  }
+  return targetPath;
+}
+
+// Return the path of a transform (see parseTransform) of an image, building
+// it when needed. Each image keeps at most `maxVariants` transforms, so
+// requests can't fill the disk with variants; past that a new one throws a
+// TOO_MANY_VARIANTS error. At most `maxConcurrentTransforms` transforms are
+// built at a time across all images; past that a new one throws a
+// TRANSFORMS_BUSY error instead of waiting.
+async function ensureTransform(folderName, filename, transform) {
+  const sourcePath = path.join(uploadFolder, folderName, filename);
+  const targetFolder = getTransformFolder(folderName, filename);
+  const name = getTransformName(transform);
+  const targetPath = path.join(targetFolder, name);
+
+  if (await isFresh(sourcePath, targetPath)) {
+    return targetPath;
+  }
+
+  if (!pending.has(targetPath)) {
+    // Count the variants built and being built; nothing is awaited between
+    // counting and starting the build
+    const variants = new Set((await fs.readdir(targetFolder).catch(() => [])).filter(file => !file.endsWith('.tmp')));
+    for (const jobPath of pending.keys()) {
+      if (path.dirname(jobPath) === targetFolder) variants.add(path.basename(jobPath));
+    }
+    if (!variants.has(name) && variants.size >= maxVariants) {
+      throw transformError('TOO_MANY_VARIANTS', `This image already has ${maxVariants} variants; use one of the sizes requested before`);
+    }
+
+    const transformsFolder = path.join(cacheFolder, TRANSFORMS_FOLDER) + path.sep;
+    const building = [...pending.keys()].filter(jobPath => jobPath.startsWith(transformsFolder)).length;
+    if (building >= maxConcurrentTransforms) {
+      throw transformError('TRANSFORMS_BUSY', 'Too many images are being transformed; try again shortly');
+    }
+  }
+
+  await render(sourcePath, targetPath, transform);
+  return targetPath;
+}
+
+// Build every rendition for a newly uploaded image
+async function generateRenditions(folderName, filename) {
+  if (!needsRendition(filename)) return;
+
+  for (const size of Object.keys(RENDITIONS)) {
+    await ensureRendition(size, folderName, filename);
+  }
+}
+
+async function removeRenditions(folderName, filename) {
+  await Promise.all([
+    ...Object.keys(RENDITIONS).map(size => fs.remove(getRenditionPath(size, folderName, filename))),
+    fs.remove(getTransformFolder(folderName, filename))
+  ]);
+}
+
+async function removeFolderRenditions(folderName) {
+  await Promise.all(
+    [...Object.keys(RENDITIONS), TRANSFORMS_FOLDER].map(folder => fs.remove(path.join(cacheFolder, folder, folderName)))
+  );
+}
+
+module.exports = {
+  RENDITIONS,
+  TRANSFORM_FORMATS,
+  TRANSFORM_FITS,
+  initRenditions,
+  needsRendition,
+  getRenditionUrl,
+  getTransformUrl,
+  parseTransform,
+  ensureRendition,
+  ensureTransform,
+  generateRenditions,
+  removeRenditions,
+  removeFolderRenditions
+};
@@ -0,0 +1,207 @@
+const store = require('./store');
+const audit = require('./audit');
+
+// Folder activation schedules.
+//
+// A schedule is either a one-off window ("once", with ISO startAt/endAt) or
+// a recurring one ("daily", or "weekly" on some days) with HH:MM start and
+// end times in the server's local time. A recurring window whose end time is
+// before its start time runs past midnight.
+//
+// The scheduler only acts when the scheduled folder changes: it activates a
+// folder when its window opens and deactivates it when the window closes.
+// Manual toggles in between are left alone until the next change.
+
+const TICK_INTERVAL = 30 * 1000;
+const RECURRENCES = ['once', 'daily', 'weekly'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DAY = 24 * 60 * 60 * 1000;
+
+// Meta key holding the folder the scheduler last switched to
+const STATE_KEY = 'scheduler_folder';
+
+let timer = null;
+
+// Check and normalize schedule input. Returns { schedule } or { error }.
+function validateSchedule(input = {}) {
+  const { recurrence } = input;
+
+  if (!RECURRENCES.includes(recurrence)) {
+    return { error: `Recurrence must be one of: ${RECURRENCES.join(', ')}` };
+  }
+
+  if (recurrence === 'once') {
+    const start = new Date(input.startAt);
+    const end = new Date(input.endAt);
+    if (isNaN(start) || isNaN(end)) {
+      return { error: 'startAt and endAt must be valid dates' };
+    }
+    if (end <= start) {
+      return { error: 'endAt must be after startAt' };
+    }
+    return { schedule: { recurrence, startAt: start.toISOString(), endAt: end.toISOString() } };
+  }
+
+  if (!TIME_PATTERN.test(input.startTime || '') || !TIME_PATTERN.test(input.endTime || '')) {
+    return { error: 'startTime and endTime must be in HH:MM format' };
+  }
+  if (input.startTime === input.endTime) {
+    return { error: 'startTime and endTime must be different' };
+  }
+
+  const schedule = { recurrence, startTime: input.startTime, endTime: input.endTime };
+
+  if (recurrence === 'weekly') {
+    const days = Array.isArray(input.days) ? [...new Set(input.days.map(Number))].sort() : [];
+    if (days.length === 0 || days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+      return { error: 'Weekly schedules need at least one day (0 = Sunday to 6 = Saturday)' };
+    }
+    schedule.days = days;
+  }
+
+  return { schedule };
+}
+
+// Local time of day "HH:MM" on the same calendar day as `day`
+function timeOnDay(day, time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  const date = new Date(day);
+  date.setHours(hours, minutes, 0, 0);
+  return date;
+}
+
+// Every window of a schedule that overlaps [from, to)
+function getOccurrences(schedule, from, to) {
+  if (schedule.recurrence === 'once') {
+    const start = new Date(schedule.startAt);
+    const end = new Date(schedule.endAt);
+    return end > from && start < to ? [{ start, end }] : [];
+  }
+
+  const occurrences = [];
+  // Start a day early to catch windows that began yesterday and run past midnight
+  const day = new Date(from.getTime() - DAY);
+  day.setHours(0, 0, 0, 0);
+
+  for (; day < to; day.setDate(day.getDate() + 1)) {
+    if (schedule.recurrence === 'weekly' && !schedule.days.includes(day.getDay())) {
+      continue;
+    }
+
+    const start = timeOnDay(day, schedule.startTime);
+    const end = timeOnDay(day, schedule.endTime);
+    if (end <= start) {
+      end.setDate(end.getDate() + 1);
+    }
+    if (end > from && start < to) {
+      occurrences.push({ start, end });
+    }
+  }
+  return occurrences;
+}
+
+// All scheduled windows overlapping [from, to), sorted by start time
+function getUpcoming(from, to) {
+  const upcoming = [];
+  for (const schedule of store.listSchedules()) {
+    for (const { start, end } of getOccurrences(schedule, from, to)) {
+      upcoming.push({
+        scheduleId: schedule.id,
+        folderName: schedule.folderName,
+        recurrence: schedule.recurrence,
+        start: start.toISOString(),
+        end: end.toISOString()
+      });
+    }
+  }
+  return upcoming.sort((a, b) => a.start.localeCompare(b.start));
+}
+
+// The folder whose window covers `at`. When windows overlap, the one that
+// started last wins, so "A from 9:00, B from 11:00" switches to B at 11:00.
+function getScheduledFolder(at = new Date()) {
+  const current = getUpcoming(at, new Date(at.getTime() + 1));
+  return current.length > 0 ? current[current.length - 1].folderName : null;
+}
+
+// Apply the schedule once. `onChange(type, details)` is called for every
+// folder the scheduler activates or deactivates.
+function runScheduler(onChange = () => {}) {
+  const scheduled = getScheduledFolder();
+  const previous = store.getMeta(STATE_KEY) || null;
+
+  if (scheduled === previous) {
+    return;
+  }
+
+  if (scheduled) {
+    const folder = store.getFolder(scheduled);
+    if (!folder || !folder.active) {
+      const previousActive = store.activateFolder(scheduled, {
+        includeDescendants: Boolean(folder && folder.includeDescendants)
+      });
+      console.log(`Scheduler activated folder: ${scheduled}`);
+      audit.record('folder.activate', {
+        actor: 'scheduler',
+        folderName: scheduled,
+        before: { active: false, activeFolder: previousActive },
+        after: { active: true, includeDescendants: Boolean(folder && folder.includeDescendants) }
+      });
+      if (previousActive) {
+        audit.record('folder.deactivate', {
+          actor: 'scheduler',
+          folderName: previousActive,
+          before: { active: true },
+          after: { active: false },
+          details: { replacedBy: scheduled }
+        });
+      }
+      onChange('folder-activated', { folderName: scheduled, previousActive, scheduled: true });
+    }
+  } else if (previous) {
+    const folder = store.getFolder(previous);
+    if (folder && folder.active) {
+      store.deactivateFolder(previous);
+      console.log(`Scheduler deactivated folder: ${previous}`);
+      audit.record('folder.deactivate', {
+        actor: 'scheduler',
+        folderName: previous,
+        before: { active: true },
+        after: { active: false }
+      });
+      onChange('folder-deactivated', { folderName: previous, scheduled: true });
+    }
+  }
+
+  store.setMeta(STATE_KEY, scheduled || '');
+}
+
+function startScheduler(options = {}) {
+  const tick = () => {
+    try {
+      runScheduler(options.onChange);
+    } catch (error) {
+      console.error('Error running scheduler:', error);
+    }
+  };
+
+  tick();
+  timer = setInterval(tick, options.interval || TICK_INTERVAL);
+  timer.unref();
+}
+
+function stopScheduler() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  RECURRENCES,
+  validateSchedule,
+  getOccurrences,
+  getUpcoming,
+  getScheduledFolder,
+  runScheduler,
+  startScheduler,
+  stopScheduler
+};
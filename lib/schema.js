@@ -0,0 +1,149 @@
+// A small JSON Schema validator for the API: the subset the API schemas use.
+//
+//   type (a name or a list of names, "integer" included), enum, const,
+//   minLength, maxLength, pattern, format ("date-time"), minimum, maximum,
+//   exclusiveMinimum, properties, required, additionalProperties (a boolean
+//   or a schema), items, minItems, maxItems, uniqueItems, anyOf and $ref to
+//   "#/components/schemas/<Name>"
+//
+// `nullable: true` (OpenAPI 3.0) allows null as well.
+
+const REF_PREFIX = '#/components/schemas/';
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'array': return Array.isArray(value);
+    case 'object': return typeOf(value) === 'object';
+    default: return typeOf(value) === type;
+  }
+}
+
+function describeValue(value) {
+  return typeof value === 'string' ? `"${value}"` : JSON.stringify(value);
+}
+
+function resolve(schema, components) {
+  if (!schema.$ref) return schema;
+  const name = schema.$ref.slice(REF_PREFIX.length);
+  if (!schema.$ref.startsWith(REF_PREFIX) || !components[name]) {
+    throw new Error(`Unknown schema reference ${schema.$ref}`);
+  }
+  return components[name];
+}
+
+// Check `value` against `schema`. Returns a list of { path, message }, empty
+// when the value is valid. `path` is a dotted path below `options.path`.
+function validate(schema, value, options = {}) {
+  const components = options.components || {};
+  const errors = [];
+
+  const check = (schemaOrRef, current, path) => {
+    const rule = resolve(schemaOrRef, components);
+    const fail = message => errors.push({ path, message });
+
+    if (current === null && rule.nullable) return;
+
+    if (rule.anyOf) {
+      const matches = rule.anyOf.some(option => validate(option, current, { components }).length === 0);
+      if (!matches) fail('does not match any of the allowed forms');
+      return;
+    }
+
+    if (rule.type) {
+      const types = [].concat(rule.type);
+      if (!types.some(type => matchesType(current, type))) {
+        return fail(`must be ${types.map(type => (type === 'integer' ? 'a whole number' : `of type ${type}`)).join(' or ')}`);
+      }
+    }
+    if (rule.const !== undefined && current !== rule.const) {
+      return fail(`must be ${describeValue(rule.const)}`);
+    }
+    if (rule.enum && !rule.enum.includes(current)) {
+      return fail(`must be one of: ${rule.enum.join(', ')}`);
+    }
+
+    if (typeof current === 'string') {
+      if (rule.minLength !== undefined && current.length < rule.minLength) {
+        fail(rule.minLength === 1 ? 'must not be empty' : `must be at least ${rule.minLength} characters`);
+      }
+      if (rule.maxLength !== undefined && current.length > rule.maxLength) {
+        fail(`must be at most ${rule.maxLength} characters`);
+      }
+      if (rule.pattern && !new RegExp(rule.pattern).test(current)) {
+        fail(`must match ${rule.pattern}`);
+      }
+      if (rule.format === 'date-time' && isNaN(new Date(current))) {
+        fail('must be a date and time');
+      }
+    }
+
+    if (typeof current === 'number') {
+      if (rule.minimum !== undefined && current < rule.minimum) fail(`must be at least ${rule.minimum}`);
+      if (rule.exclusiveMinimum !== undefined && current <= rule.exclusiveMinimum) fail(`must be more than ${rule.exclusiveMinimum}`);
+      if (rule.maximum !== undefined && current > rule.maximum) fail(`must be at most ${rule.maximum}`);
+    }
+
+    if (Array.isArray(current)) {
+      if (rule.minItems !== undefined && current.length < rule.minItems) fail(`must have at least ${rule.minItems} item(s)`);
+      if (rule.maxItems !== undefined && current.length > rule.maxItems) fail(`must have at most ${rule.maxItems} item(s)`);
+      if (rule.uniqueItems && new Set(current.map(item => JSON.stringify(item))).size !== current.length) {
+        fail('must not contain the same item twice');
+      }
+      if (rule.items) {
+        current.forEach((item, i) => check(rule.items, item, `${path}[${i}]`));
+      }
+    }
+
+    if (typeOf(current) === 'object') {
+      const properties = rule.properties || {};
+      const join = key => (path ? `${path}.${key}` : key);
+
+      for (const key of rule.required || []) {
+        if (current[key] === undefined) errors.push({ path: join(key), message: 'is required' });
+      }
+      for (const [key, item] of Object.entries(current)) {
+        if (item === undefined) continue;
+        if (properties[key]) {
+          check(properties[key], item, join(key));
+        } else if (rule.additionalProperties === false) {
+          errors.push({ path: join(key), message: 'is not allowed' });
+        } else if (rule.additionalProperties && rule.additionalProperties !== true) {
+          check(rule.additionalProperties, item, join(key));
+        }
+      }
+    }
+  };
+
+  check(schema, value, options.path || '');
+  return errors;
+}
+
+// Query string and path values are always strings: convert the ones whose
+// schema asks for a number or boolean, leaving values that don't convert for
+// validation to report
+function coerceParameter(schema, value, components = {}) {
+  const rule = resolve(schema, components);
+  const types = [].concat(rule.type || []);
+
+  if (typeof value !== 'string') return value;
+  if ((types.includes('integer') || types.includes('number')) && value.trim() !== '' && !isNaN(Number(value))) {
+    return Number(value);
+  }
+  if (types.includes('boolean') && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+  return value;
+}
+
+module.exports = {
+  validate,
+  coerceParameter
+};
@@ -0,0 +1,986 @@
+const fs = require('fs-extra');
+const Database = require('better-sqlite3');
+
+// Schema migrations, applied in order. The index of the last applied
+// migration + 1 is kept in SQLite's user_version pragma.
+const MIGRATIONS = [
+  // 1: folders, images and a key/value table for store bookkeeping
+  `
+  CREATE TABLE folders (
+    name TEXT PRIMARY KEY,
+    active INTEGER NOT NULL DEFAULT 0,
+    created_at TEXT NOT NULL,
+    activated_at TEXT,
+    deactivated_at TEXT
+  );
+
+  -- Only one folder can be active at a time
+  CREATE UNIQUE INDEX folders_single_active ON folders (active) WHERE active = 1;
+
+  CREATE TABLE images (
+    folder_name TEXT NOT NULL REFERENCES folders (name) ON UPDATE CASCADE ON DELETE CASCADE,
+    filename TEXT NOT NULL,
+    size INTEGER NOT NULL DEFAULT 0,
+    created_at TEXT NOT NULL,
+    PRIMARY KEY (folder_name, filename)
+  );
+
+  CREATE TABLE meta (
+    key TEXT PRIMARY KEY,
+    value TEXT
+  );
+  `,
+  // 2: activation schedules (one-off windows or daily/weekly recurring ones)
+  `
+  CREATE TABLE schedules (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    folder_name TEXT NOT NULL REFERENCES folders (name) ON UPDATE CASCADE ON DELETE CASCADE,
+    recurrence TEXT NOT NULL,
+    start_at TEXT,
+    end_at TEXT,
+    start_time TEXT,
+    end_time TEXT,
+    days TEXT,
+    created_at TEXT NOT NULL
+  );
+
+  CREATE INDEX schedules_folder ON schedules (folder_name);
+  `,
+  // 3: free-form display title and description; the name stays the on-disk slug
+  `
+  ALTER TABLE folders ADD COLUMN title TEXT;
+  ALTER TABLE folders ADD COLUMN description TEXT;
+  `,
+  // 4: nested folders - names are slash-separated paths ("2026/event-a"), and
+  // an active folder can include all of its descendants
+  `
+  ALTER TABLE folders ADD COLUMN include_descendants INTEGER NOT NULL DEFAULT 0;
+  `,
+  // 5: trash - deleted folders and images with a snapshot of their rows
+  `
+  CREATE TABLE trash (
+    id TEXT PRIMARY KEY,
+    kind TEXT NOT NULL,
+    folder_name TEXT NOT NULL,
+    filename TEXT,
+    data TEXT NOT NULL,
+    deleted_at TEXT NOT NULL,
+    deleted_by TEXT
+  );
+
+  CREATE INDEX trash_deleted_at ON trash (deleted_at);
+  `,
+  // 6: metadata read from uploaded images, and folders that keep location tags
+  `
+  ALTER TABLE images ADD COLUMN width INTEGER;
+  ALTER TABLE images ADD COLUMN height INTEGER;
+  ALTER TABLE images ADD COLUMN orientation INTEGER;
+  ALTER TABLE images ADD COLUMN taken_at TEXT;
+  ALTER TABLE images ADD COLUMN camera TEXT;
+  ALTER TABLE images ADD COLUMN has_location INTEGER NOT NULL DEFAULT 0;
+  ALTER TABLE folders ADD COLUMN keep_location INTEGER NOT NULL DEFAULT 0;
+  `,
+  // 7: content hashes (SHA-256) to find duplicate images, within a folder or across all of them
+  `
+  ALTER TABLE images ADD COLUMN hash TEXT;
+
+  CREATE INDEX images_hash ON images (hash, folder_name);
+  `,
+  // 8: resumable upload sessions; the bytes received so far are kept on disk
+  `
+  CREATE TABLE upload_sessions (
+    id TEXT PRIMARY KEY,
+    folder_name TEXT NOT NULL REFERENCES folders (name) ON UPDATE CASCADE ON DELETE CASCADE,
+    filename TEXT NOT NULL,
+    size INTEGER NOT NULL,
+    mime_type TEXT,
+    created_by TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+
+  CREATE INDEX upload_sessions_updated_at ON upload_sessions (updated_at);
+  `,
+  // 9: storage quotas (covering a folder's subtree) and a daily record of
+  // the space used, for the storage dashboard
+  `
+  ALTER TABLE folders ADD COLUMN quota_bytes INTEGER;
+
+  CREATE TABLE storage_history (
+    date TEXT PRIMARY KEY,
+    used_bytes INTEGER NOT NULL,
+    image_count INTEGER NOT NULL,
+    free_bytes INTEGER
+  );
+  `,
+  // 10: audit log - who changed what and when, with the state before and
+  // after as JSON. Entries keep folder and image names as they were, so they
+  // outlive the folders and images they mention.
+  `
+  CREATE TABLE audit_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    at TEXT NOT NULL,
+    actor TEXT,
+    action TEXT NOT NULL,
+    folder_name TEXT,
+    filename TEXT,
+    before TEXT,
+    after TEXT,
+    details TEXT
+  );
+
+  CREATE INDEX audit_log_at ON audit_log (at);
+  CREATE INDEX audit_log_folder ON audit_log (folder_name, at);
+  CREATE INDEX audit_log_action ON audit_log (action, at);
+  `
+];
+
+// SQL condition matching a folder and everything below it; bind the folder name three times
+const SUBTREE = "(name = ? OR substr(name, 1, length(?) + 1) = ? || '/')";
+
+// SQL condition matching folders shown to users: the active folder, and its
+// descendants when it includes them
+const VISIBLE = `(folders.active = 1 OR EXISTS (
+  SELECT 1 FROM folders AS root
+  WHERE root.active = 1 AND root.include_descendants = 1
+    AND substr(folders.name, 1, length(root.name) + 1) = root.name || '/'
+))`;
+
+// Sort options for folder and image queries, mapped to their columns
+const FOLDER_SORTS = { name: 'folders.name', title: 'lower(coalesce(folders.title, folders.name))', createdAt: 'folders.created_at', imageCount: 'image_count', size: 'image_size' };
+const IMAGE_SORTS = { name: 'filename', createdAt: 'created_at', size: 'size' };
+
+let db = null;
+
+// Where the store reports migrations and imports
+let log = console.log;
+
+function now() {
+  return new Date().toISOString();
+}
+
+// "2026/event-a" -> "2026"; top-level folders have the parent ""
+function getParentName(name) {
+  const index = name.lastIndexOf('/');
+  return index === -1 ? '' : name.slice(0, index);
+}
+
+function toFolder(row) {
+  return row && {
+    name: row.name,
+    parent: getParentName(row.name),
+    title: row.title || row.name.split('/').pop(),
+    description: row.description || '',
+    active: row.active === 1,
+    includeDescendants: row.include_descendants === 1,
+    keepLocation: row.keep_location === 1,
+    quota: row.quota_bytes || undefined,
+    createdAt: row.created_at,
+    activatedAt: row.activated_at || undefined,
+    deactivatedAt: row.deactivated_at || undefined
+  };
+}
+
+function toImage(row) {
+  return row && {
+    folderName: row.folder_name,
+    filename: row.filename,
+    size: row.size,
+    createdAt: row.created_at,
+    width: row.width || undefined,
+    height: row.height || undefined,
+    orientation: row.orientation || undefined,
+    takenAt: row.taken_at || undefined,
+    camera: row.camera || undefined,
+    hasLocation: row.has_location === 1,
+    hash: row.hash || undefined
+  };
+}
+
+function toSchedule(row) {
+  return row && {
+    id: row.id,
+    folderName: row.folder_name,
+    recurrence: row.recurrence,
+    startAt: row.start_at || undefined,
+    endAt: row.end_at || undefined,
+    startTime: row.start_time || undefined,
+    endTime: row.end_time || undefined,
+    days: row.days ? row.days.split(',').map(Number) : undefined,
+    createdAt: row.created_at
+  };
+}
+
+function toUploadSession(row) {
+  return row && {
+    id: row.id,
+    folderName: row.folder_name,
+    filename: row.filename,
+    size: row.size,
+    mimeType: row.mime_type || undefined,
+    createdBy: row.created_by || undefined,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function toTrashItem(row) {
+  if (!row) return row;
+
+  const data = JSON.parse(row.data);
+  const root = data.folders ? data.folders.find(folder => folder.name === row.folder_name) : null;
+  return {
+    id: row.id,
+    kind: row.kind,
+    folderName: row.folder_name,
+    filename: row.filename || undefined,
+    title: root ? toFolder(root).title : row.filename,
+    folderCount: data.folders ? data.folders.length : 0,
+    imageCount: data.images.length,
+    size: data.images.reduce((total, image) => total + image.size, 0),
+    deletedAt: row.deleted_at,
+    deletedBy: row.deleted_by || undefined
+  };
+}
+
+function toAuditEntry(row) {
+  return row && {
+    id: row.id,
+    at: row.at,
+    actor: row.actor || undefined,
+    action: row.action,
+    folderName: row.folder_name || undefined,
+    filename: row.filename || undefined,
+    before: row.before ? JSON.parse(row.before) : undefined,
+    after: row.after ? JSON.parse(row.after) : undefined,
+    details: row.details ? JSON.parse(row.details) : undefined
+  };
+}
+
+// Write a row snapshot (column name -> value) back into a table. A row a
+// folder scan added in the meantime is overwritten with the snapshot.
+function insertRow(table, row) {
+  const columns = Object.keys(row);
+  db.prepare(`
+    INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(c => `@${c}`).join(', ')})
+    ON CONFLICT DO UPDATE SET ${columns.map(c => `${c} = excluded.${c}`).join(', ')}
+  `).run(row);
+}
+
+function migrate() {
+  const version = db.pragma('user_version', { simple: true });
+
+  for (let i = version; i < MIGRATIONS.length; i++) {
+    db.transaction(() => {
+      db.exec(MIGRATIONS[i]);
+      db.pragma(`user_version = ${i + 1}`);
+    })();
+    log(`Applied database migration ${i + 1}`);
+  }
+}
+
+function getMeta(key) {
+  const row = db.prepare('SELECT value FROM meta WHERE key = ?').get(key);
+  return row ? row.value : null;
+}
+
+function setMeta(key, value) {
+  db.prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value')
+    .run(key, value);
+}
+
+// One-time import of the folder states kept in folders.json by older versions.
+// A file that can't be parsed stops startup instead of being treated as empty.
+function importFoldersJson(file) {
+  if (!file || getMeta('folders_json_imported') || !fs.existsSync(file)) {
+    return;
+  }
+
+  const text = fs.readFileSync(file, 'utf8');
+  let config = { folders: {} };
+  if (text.trim() !== '') {
+    try {
+      config = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Cannot import ${file}: ${error.message}. Fix or remove the file and restart.`);
+    }
+  }
+
+  const insert = db.prepare(`
+    INSERT INTO folders (name, active, created_at, activated_at, deactivated_at)
+    VALUES (@name, @active, @createdAt, @activatedAt, @deactivatedAt)
+    ON CONFLICT (name) DO NOTHING
+  `);
+
+  db.transaction(() => {
+    let activeSeen = false;
+    for (const [name, folder] of Object.entries(config.folders || {})) {
+      // Older files could end up with several active folders; keep the first
+      const active = Boolean(folder.active) && !activeSeen;
+      activeSeen = activeSeen || active;
+
+      insert.run({
+        name,
+        active: active ? 1 : 0,
+        createdAt: folder.createdAt || now(),
+        activatedAt: folder.activatedAt || null,
+        deactivatedAt: folder.deactivatedAt || null
+      });
+    }
+    setMeta('folders_json_imported', now());
+  })();
+
+  log(`Imported ${Object.keys(config.folders || {}).length} folder(s) from ${file}`);
+}
+
+// Open the database, apply migrations and run the folders.json import.
+// `log` receives what is reported along the way (console.log by default).
+function initStore(options = {}) {
+  log = options.log || log;
+  db = new Database(options.databaseFile || 'foldselect.db');
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+
+  migrate();
+  importFoldersJson(options.importFile);
+}
+
+function closeStore() {
+  if (db) {
+    db.close();
+    db = null;
+  }
+}
+
+// Folders
+
+function listFolders() {
+  return db.prepare('SELECT * FROM folders ORDER BY name').all().map(toFolder);
+}
+
+function getFolder(name) {
+  return toFolder(db.prepare('SELECT * FROM folders WHERE name = ?').get(name));
+}
+
+function getActiveFolderNames() {
+  return db.prepare('SELECT name FROM folders WHERE active = 1').pluck().all();
+}
+
+// Escape a search term for a LIKE pattern (used with ESCAPE '\')
+function likePattern(text) {
+  return `%${text.replace(/[\\%_]/g, char => `\\${char}`)}%`;
+}
+
+// One page of folders with their image and subfolder counts and the bytes
+// their images use.
+// Filters: `parent` (direct children of a folder, '' for the top level),
+// `active`, `visibleOnly` (folders shown to users) and `search` (name or title).
+// Returns { folders, total }.
+function queryFolders(options = {}) {
+  const conditions = [];
+  const params = {
+    limit: options.limit || 50,
+    offset: options.offset || 0
+  };
+
+  if (options.parent !== undefined) {
+    conditions.push(options.parent === ''
+      ? "instr(folders.name, '/') = 0"
+      : "substr(folders.name, 1, length(@parent) + 1) = @parent || '/' AND instr(substr(folders.name, length(@parent) + 2), '/') = 0");
+    params.parent = options.parent;
+  }
+  if (options.active !== undefined) {
+    conditions.push('folders.active = @active');
+    params.active = options.active ? 1 : 0;
+  }
+  if (options.visibleOnly) {
+    conditions.push(VISIBLE);
+  }
+  if (options.search) {
+    conditions.push("(folders.name LIKE @search ESCAPE '\\' OR folders.title LIKE @search ESCAPE '\\')");
+    params.search = likePattern(options.search);
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.map(c => `(${c})`).join(' AND ')}` : '';
+  const sort = FOLDER_SORTS[options.sort] || FOLDER_SORTS.name;
+  const order = options.order === 'desc' ? 'DESC' : 'ASC';
+
+  const rows = db.prepare(`
+    SELECT folders.*,
+      (SELECT COUNT(*) FROM images WHERE images.folder_name = folders.name) AS image_count,
+      (SELECT coalesce(SUM(size), 0) FROM images WHERE images.folder_name = folders.name) AS image_size,
+      (SELECT COUNT(*) FROM folders AS child
+        WHERE substr(child.name, 1, length(folders.name) + 1) = folders.name || '/'
+          AND instr(substr(child.name, length(folders.name) + 2), '/') = 0) AS child_count
+    FROM folders ${where}
+    ORDER BY ${sort} ${order}, folders.name
+    LIMIT @limit OFFSET @offset
+  `).all(params);
+  const total = db.prepare(`SELECT COUNT(*) FROM folders ${where}`).pluck().get(params);
+
+  return {
+    folders: rows.map(row => ({ ...toFolder(row), imageCount: row.image_count, size: row.image_size, childCount: row.child_count })),
+    total
+  };
+}
+
+// Whether a folder is shown to users
+function isFolderVisible(name) {
+  return Boolean(db.prepare(`SELECT 1 FROM folders WHERE name = ? AND ${VISIBLE}`).get(name));
+}
+
+// Add a folder as inactive if it isn't known yet
+function ensureFolder(name) {
+  db.prepare('INSERT INTO folders (name, created_at) VALUES (?, ?) ON CONFLICT (name) DO NOTHING')
+    .run(name, now());
+  return getFolder(name);
+}
+
+// Add a new folder with an optional display title and description
+function createFolder(name, details = {}) {
+  db.prepare('INSERT INTO folders (name, title, description, created_at) VALUES (?, ?, ?, ?)')
+    .run(name, details.title || null, details.description || null, now());
+  return getFolder(name);
+}
+
+// Change a folder's display title, description, whether uploads keep their
+// location tags and/or its storage quota in bytes (null for none)
+function updateFolder(name, details = {}) {
+  if (details.title !== undefined) {
+    db.prepare('UPDATE folders SET title = ? WHERE name = ?').run(details.title || null, name);
+  }
+  if (details.description !== undefined) {
+    db.prepare('UPDATE folders SET description = ? WHERE name = ?').run(details.description || null, name);
+  }
+  if (details.keepLocation !== undefined) {
+    db.prepare('UPDATE folders SET keep_location = ? WHERE name = ?').run(details.keepLocation ? 1 : 0, name);
+  }
+  if (details.quota !== undefined) {
+    db.prepare('UPDATE folders SET quota_bytes = ? WHERE name = ?').run(details.quota || null, name);
+  }
+  return getFolder(name);
+}
+
+// Give a folder a new name (path), moving its whole subtree. Active state,
+// timestamps, images and schedules move with it.
+const renameFolder = (name, newName) => db.transaction(() => {
+  db.prepare(`UPDATE folders SET name = ? || substr(name, length(?) + 1) WHERE ${SUBTREE}`)
+    .run(newName, name, name, name, name);
+
+  // Keep the scheduler's record of the folder it last activated
+  const scheduled = getMeta('scheduler_folder');
+  if (scheduled === name || (scheduled && scheduled.startsWith(`${name}/`))) {
+    setMeta('scheduler_folder', newName + scheduled.slice(name.length));
+  }
+  return getFolder(newName);
+})();
+
+// Delete a folder and all of its descendants
+function deleteFolder(name) {
+  db.prepare(`DELETE FROM folders WHERE ${SUBTREE}`).run(name, name, name);
+}
+
+// Match the folder table to the folders that exist on disk
+const syncFolders = (names) => db.transaction(() => {
+  const known = new Set(db.prepare('SELECT name FROM folders').pluck().all());
+  const existing = new Set(names);
+
+  for (const name of names) {
+    if (!known.has(name)) ensureFolder(name);
+  }
+  for (const name of known) {
+    if (!existing.has(name)) deleteFolder(name);
+  }
+})();
+
+// Activate one folder and deactivate every other one in a single transaction.
+// With `includeDescendants` the folder's whole subtree is shown to users.
+// Returns the name of the folder that was active before, if any.
+const activateFolder = (name, options = {}) => db.transaction(() => {
+  ensureFolder(name);
+  const timestamp = now();
+  const previousActive = db.prepare('SELECT name FROM folders WHERE active = 1 AND name != ?').pluck().get(name);
+
+  db.prepare('UPDATE folders SET active = 0, deactivated_at = ? WHERE active = 1 AND name != ?').run(timestamp, name);
+  db.prepare('UPDATE folders SET active = 1, activated_at = ?, include_descendants = ? WHERE name = ?')
+    .run(timestamp, options.includeDescendants ? 1 : 0, name);
+
+  return previousActive || null;
+})();
+
+function deactivateFolder(name) {
+  db.prepare('UPDATE folders SET active = 0, deactivated_at = ? WHERE name = ?').run(now(), name);
+}
+
+// Images
+
+function listImages(folderName) {
+  return db.prepare('SELECT * FROM images WHERE folder_name = ? ORDER BY filename').all(folderName).map(toImage);
+}
+
+function getImage(folderName, filename) {
+  return toImage(db.prepare('SELECT * FROM images WHERE folder_name = ? AND filename = ?').get(folderName, filename));
+}
+
+// One page of a folder's images, optionally with the images of all of its
+// subfolders (`descendants`), limited to folders shown to users with
+// `visibleOnly`. Returns { images, total }.
+function queryImages(folderName, options = {}) {
+  const conditions = [options.descendants
+    ? `folder_name IN (SELECT name FROM folders WHERE ${SUBTREE})`
+    : 'folder_name = ?'];
+  const params = options.descendants ? [folderName, folderName, folderName] : [folderName];
+
+  if (options.visibleOnly) {
+    conditions.push(`folder_name IN (SELECT name FROM folders WHERE ${VISIBLE})`);
+  }
+
+  if (options.search) {
+    conditions.push("filename LIKE ? ESCAPE '\\'");
+    params.push(likePattern(options.search));
+  }
+
+  const where = `WHERE ${conditions.join(' AND ')}`;
+  const sort = IMAGE_SORTS[options.sort] || IMAGE_SORTS.name;
+  const order = options.order === 'desc' ? 'DESC' : 'ASC';
+
+  const images = db.prepare(`
+    SELECT * FROM images ${where}
+    ORDER BY ${sort} ${order}, folder_name, filename
+    LIMIT ? OFFSET ?
+  `).all(...params, options.limit || 50, options.offset || 0).map(toImage);
+  const total = db.prepare(`SELECT COUNT(*) FROM images ${where}`).pluck().get(...params);
+
+  return { images, total };
+}
+
+// Add or update an image row. `details` can hold the size, createdAt, the
+// content hash and the metadata read from the file (width, height,
+// orientation, takenAt, camera, hasLocation).
+function addImage(folderName, filename, details = {}) {
+  ensureFolder(folderName);
+  db.prepare(`
+    INSERT INTO images (folder_name, filename, size, created_at, width, height, orientation, taken_at, camera, has_location, hash)
+    VALUES (@folderName, @filename, @size, @createdAt, @width, @height, @orientation, @takenAt, @camera, @hasLocation, @hash)
+    ON CONFLICT (folder_name, filename) DO UPDATE SET
+      size = excluded.size,
+      hash = coalesce(excluded.hash, hash),
+      width = coalesce(excluded.width, width),
+      height = coalesce(excluded.height, height),
+      orientation = coalesce(excluded.orientation, orientation),
+      taken_at = coalesce(excluded.taken_at, taken_at),
+      camera = coalesce(excluded.camera, camera),
+      has_location = excluded.has_location
+  `).run({
+    folderName,
+    filename,
+    size: details.size || 0,
+    createdAt: details.createdAt || now(),
+    width: details.width || null,
+    height: details.height || null,
+    orientation: details.orientation || null,
+    takenAt: details.takenAt || null,
+    camera: details.camera || null,
+    hasLocation: details.hasLocation ? 1 : 0,
+    hash: details.hash || null
+  });
+}
+
+// Record that an image's location tags were removed, changing its content hash
+function clearImageLocation(folderName, filename, hash) {
+  db.prepare('UPDATE images SET has_location = 0, hash = ? WHERE folder_name = ? AND filename = ?')
+    .run(hash || null, folderName, filename);
+}
+
+function setImageHash(folderName, filename, hash) {
+  db.prepare('UPDATE images SET hash = ? WHERE folder_name = ? AND filename = ?').run(hash, folderName, filename);
+}
+
+// Images that have no content hash yet (added outside the app or before
+// hashes were kept), in one folder or in all of them
+function listImagesWithoutHash(folderName) {
+  const rows = folderName
+    ? db.prepare('SELECT * FROM images WHERE hash IS NULL AND folder_name = ?').all(folderName)
+    : db.prepare('SELECT * FROM images WHERE hash IS NULL').all();
+  return rows.map(toImage);
+}
+
+// The first image in a folder with the given content hash
+function findImageByHash(folderName, hash) {
+  return toImage(db.prepare('SELECT * FROM images WHERE hash = ? AND folder_name = ? ORDER BY created_at LIMIT 1')
+    .get(hash, folderName));
+}
+
+// Every set of images, across all folders, with the same content. Returns
+// [{ hash, size, images }], the largest sets first; images oldest first.
+function findDuplicateImages() {
+  const rows = db.prepare(`
+    SELECT * FROM images
+    WHERE hash IN (SELECT hash FROM images WHERE hash IS NOT NULL GROUP BY hash HAVING COUNT(*) > 1)
+    ORDER BY hash, created_at, folder_name, filename
+  `).all();
+
+  const groups = new Map();
+  for (const row of rows) {
+    if (!groups.has(row.hash)) {
+      groups.set(row.hash, { hash: row.hash, size: row.size, images: [] });
+    }
+    groups.get(row.hash).images.push(toImage(row));
+  }
+  return [...groups.values()].sort((a, b) => b.images.length - a.images.length || b.size - a.size);
+}
+
+function removeImage(folderName, filename) {
+  db.prepare('DELETE FROM images WHERE folder_name = ? AND filename = ?').run(folderName, filename);
+}
+
+// Rename and/or move an image row, keeping its metadata
+const moveImage = (folderName, filename, targetFolder, targetFilename) => db.transaction(() => {
+  ensureFolder(targetFolder);
+  db.prepare('UPDATE images SET folder_name = ?, filename = ? WHERE folder_name = ? AND filename = ?')
+    .run(targetFolder, targetFilename, folderName, filename);
+})();
+
+// Match a folder's image rows to the files on disk. `getDetails` is only
+// called for files that don't have a row yet.
+const syncImages = (folderName, filenames, getDetails) => db.transaction(() => {
+  const known = new Set(
+    db.prepare('SELECT filename FROM images WHERE folder_name = ?').pluck().all(folderName)
+  );
+  const existing = new Set(filenames);
+
+  for (const filename of filenames) {
+    if (!known.has(filename)) addImage(folderName, filename, getDetails(filename));
+  }
+  for (const filename of known) {
+    if (!existing.has(filename)) removeImage(folderName, filename);
+  }
+})();
+
+// Schedules
+
+function listSchedules(folderName) {
+  const rows = folderName
+    ? db.prepare('SELECT * FROM schedules WHERE folder_name = ? ORDER BY id').all(folderName)
+    : db.prepare('SELECT * FROM schedules ORDER BY id').all();
+  return rows.map(toSchedule);
+}
+
+function getSchedule(id) {
+  return toSchedule(db.prepare('SELECT * FROM schedules WHERE id = ?').get(id));
+}
+
+function addSchedule(schedule) {
+  ensureFolder(schedule.folderName);
+  const result = db.prepare(`
+    INSERT INTO schedules (folder_name, recurrence, start_at, end_at, start_time, end_time, days, created_at)
+    VALUES (@folderName, @recurrence, @startAt, @endAt, @startTime, @endTime, @days, @createdAt)
+  `).run({
+    folderName: schedule.folderName,
+    recurrence: schedule.recurrence,
+    startAt: schedule.startAt || null,
+    endAt: schedule.endAt || null,
+    startTime: schedule.startTime || null,
+    endTime: schedule.endTime || null,
+    days: schedule.days ? schedule.days.join(',') : null,
+    createdAt: now()
+  });
+  return getSchedule(result.lastInsertRowid);
+}
+
+function deleteSchedule(id) {
+  return db.prepare('DELETE FROM schedules WHERE id = ?').run(id).changes > 0;
+}
+
+// Trash
+//
+// Deleting a folder or image keeps a JSON snapshot of its rows (for a folder:
+// its whole subtree with images and schedules) so a restore brings back the
+// active state, timestamps and schedules as they were.
+
+function listTrash() {
+  return db.prepare('SELECT * FROM trash ORDER BY deleted_at DESC').all().map(toTrashItem);
+}
+
+function getTrashItem(id) {
+  return toTrashItem(db.prepare('SELECT * FROM trash WHERE id = ?').get(id));
+}
+
+// Trash items deleted before `date`
+function listTrashBefore(date) {
+  return db.prepare('SELECT * FROM trash WHERE deleted_at < ? ORDER BY deleted_at').all(date.toISOString())
+    .map(toTrashItem);
+}
+
+// Snapshot a folder subtree into the trash and remove it from the store
+const trashFolder = (id, name, deletedBy) => db.transaction(() => {
+  const data = {
+    folders: db.prepare(`SELECT * FROM folders WHERE ${SUBTREE}`).all(name, name, name),
+    images: db.prepare(`
+      SELECT * FROM images WHERE folder_name IN (SELECT name FROM folders WHERE ${SUBTREE})
+    `).all(name, name, name),
+    schedules: db.prepare(`
+      SELECT * FROM schedules WHERE folder_name IN (SELECT name FROM folders WHERE ${SUBTREE})
+    `).all(name, name, name)
+  };
+
+  db.prepare('INSERT INTO trash (id, kind, folder_name, data, deleted_at, deleted_by) VALUES (?, ?, ?, ?, ?, ?)')
+    .run(id, 'folder', name, JSON.stringify(data), now(), deletedBy || null);
+  deleteFolder(name);
+  return getTrashItem(id);
+})();
+
+// Snapshot an image row into the trash and remove it from the store
+const trashImage = (id, folderName, filename, deletedBy) => db.transaction(() => {
+  const row = db.prepare('SELECT * FROM images WHERE folder_name = ? AND filename = ?').get(folderName, filename);
+  const data = { images: row ? [row] : [] };
+
+  db.prepare('INSERT INTO trash (id, kind, folder_name, filename, data, deleted_at, deleted_by) VALUES (?, ?, ?, ?, ?, ?, ?)')
+    .run(id, 'image', folderName, filename, JSON.stringify(data), now(), deletedBy || null);
+  removeImage(folderName, filename);
+  return getTrashItem(id);
+})();
+
+// Bring a trashed folder subtree back under `newName`. The folder stays
+// active only if no other folder was activated in the meantime.
+// Returns the restored folder.
+const restoreFolder = (id, newName) => db.transaction(() => {
+  const row = db.prepare("SELECT * FROM trash WHERE id = ? AND kind = 'folder'").get(id);
+  const data = JSON.parse(row.data);
+  const rename = name => newName + name.slice(row.folder_name.length);
+  const otherActive = getActiveFolderNames().length > 0;
+
+  for (const folder of data.folders) {
+    insertRow('folders', { ...folder, name: rename(folder.name), active: otherActive ? 0 : folder.active });
+  }
+  for (const image of data.images) {
+    insertRow('images', { ...image, folder_name: rename(image.folder_name) });
+  }
+  for (const schedule of data.schedules) {
+    insertRow('schedules', { ...schedule, folder_name: rename(schedule.folder_name) });
+  }
+
+  db.prepare('DELETE FROM trash WHERE id = ?').run(id);
+  return getFolder(newName);
+})();
+
+// Bring a trashed image back as `folderName/filename`, keeping its metadata
+const restoreImage = (id, folderName, filename) => db.transaction(() => {
+  const row = db.prepare("SELECT * FROM trash WHERE id = ? AND kind = 'image'").get(id);
+  const [image] = JSON.parse(row.data).images;
+
+  addImage(folderName, filename, image ? toImage(image) : {});
+  db.prepare('DELETE FROM trash WHERE id = ?').run(id);
+})();
+
+function deleteTrashItem(id) {
+  return db.prepare('DELETE FROM trash WHERE id = ?').run(id).changes > 0;
+}
+
+// Upload sessions
+
+function listUploadSessions(createdBy) {
+  const rows = createdBy
+    ? db.prepare('SELECT * FROM upload_sessions WHERE created_by = ? ORDER BY created_at').all(createdBy)
+    : db.prepare('SELECT * FROM upload_sessions ORDER BY created_at').all();
+  return rows.map(toUploadSession);
+}
+
+function getUploadSession(id) {
+  return toUploadSession(db.prepare('SELECT * FROM upload_sessions WHERE id = ?').get(id));
+}
+
+function addUploadSession(session) {
+  const timestamp = now();
+  db.prepare(`
+    INSERT INTO upload_sessions (id, folder_name, filename, size, mime_type, created_by, created_at, updated_at)
+    VALUES (@id, @folderName, @filename, @size, @mimeType, @createdBy, @createdAt, @updatedAt)
+  `).run({
+    id: session.id,
+    folderName: session.folderName,
+    filename: session.filename,
+    size: session.size,
+    mimeType: session.mimeType || null,
+    createdBy: session.createdBy || null,
+    createdAt: timestamp,
+    updatedAt: timestamp
+  });
+  return getUploadSession(session.id);
+}
+
+// Record that a session received data, which keeps it from expiring
+function touchUploadSession(id) {
+  db.prepare('UPDATE upload_sessions SET updated_at = ? WHERE id = ?').run(now(), id);
+}
+
+// Sessions that received no data since `date`
+function listUploadSessionsBefore(date) {
+  return db.prepare('SELECT * FROM upload_sessions WHERE updated_at < ? ORDER BY updated_at').all(date.toISOString())
+    .map(toUploadSession);
+}
+
+function deleteUploadSession(id) {
+  return db.prepare('DELETE FROM upload_sessions WHERE id = ?').run(id).changes > 0;
+}
+
+// Storage
+
+// The bytes and number of images in a folder's subtree, or in every folder
+// without a name. `reserved` is the size of the files still being uploaded
+// into it, which count against its quota already.
+function getStorageUsed(folderName) {
+  const where = folderName ? `WHERE folder_name IN (SELECT name FROM folders WHERE ${SUBTREE})` : '';
+  const params = folderName ? [folderName, folderName, folderName] : [];
+
+  const images = db.prepare(`SELECT coalesce(SUM(size), 0) AS bytes, COUNT(*) AS count FROM images ${where}`).get(...params);
+  const reserved = db.prepare(`SELECT coalesce(SUM(size), 0) FROM upload_sessions ${where}`).pluck().get(...params);
+  return { bytes: images.bytes, imageCount: images.count, reserved };
+}
+
+// Every folder with its quota and the bytes and number of its own images
+function listFolderUsage() {
+  return db.prepare(`
+    SELECT folders.*, coalesce(SUM(images.size), 0) AS image_size, COUNT(images.filename) AS image_count
+    FROM folders LEFT JOIN images ON images.folder_name = folders.name
+    GROUP BY folders.name
+    ORDER BY folders.name
+  `).all().map(row => ({ ...toFolder(row), size: row.image_size, imageCount: row.image_count }));
+}
+
+// The largest images across all folders
+function listLargestImages(limit) {
+  return db.prepare('SELECT * FROM images ORDER BY size DESC, folder_name, filename LIMIT ?').all(limit).map(toImage);
+}
+
+// Keep the space used on `date` (YYYY-MM-DD); later records of the same day replace earlier ones
+function recordStorageUsage(date, usage) {
+  db.prepare(`
+    INSERT INTO storage_history (date, used_bytes, image_count, free_bytes) VALUES (?, ?, ?, ?)
+    ON CONFLICT (date) DO UPDATE SET
+      used_bytes = excluded.used_bytes, image_count = excluded.image_count, free_bytes = excluded.free_bytes
+  `).run(date, usage.usedBytes, usage.imageCount, usage.freeBytes ?? null);
+}
+
+// The daily records from `since` (YYYY-MM-DD) on, oldest first
+function listStorageHistory(since) {
+  return db.prepare('SELECT * FROM storage_history WHERE date >= ? ORDER BY date').all(since).map(row => ({
+    date: row.date,
+    usedBytes: row.used_bytes,
+    imageCount: row.image_count,
+    freeBytes: row.free_bytes ?? undefined
+  }));
+}
+
+// Audit log
+
+function toJson(value) {
+  return value === undefined || value === null ? null : JSON.stringify(value);
+}
+
+// Add an entry to the audit log; returns it with its id and time
+function addAuditEntry(entry) {
+  const at = entry.at || now();
+  const { lastInsertRowid } = db.prepare(`
+    INSERT INTO audit_log (at, actor, action, folder_name, filename, before, after, details)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(at, entry.actor || null, entry.action, entry.folderName || null, entry.filename || null,
+    toJson(entry.before), toJson(entry.after), toJson(entry.details));
+  return toAuditEntry(db.prepare('SELECT * FROM audit_log WHERE id = ?').get(lastInsertRowid));
+}
+
+// One page of audit log entries, newest first.
+// Filters: `actions` (a list), `folderName` (the folder and its subfolders),
+// `actor`, and `from`/`to` (ISO times, both inclusive).
+// Returns { entries, total }.
+function queryAuditLog(options = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (options.actions && options.actions.length > 0) {
+    conditions.push(`action IN (${options.actions.map(() => '?').join(', ')})`);
+    params.push(...options.actions);
+  }
+  if (options.folderName) {
+    conditions.push("(folder_name = ? OR substr(folder_name, 1, length(?) + 1) = ? || '/')");
+    params.push(options.folderName, options.folderName, options.folderName);
+  }
+  if (options.actor) {
+    conditions.push('actor = ?');
+    params.push(options.actor);
+  }
+  if (options.from) {
+    conditions.push('at >= ?');
+    params.push(options.from);
+  }
+  if (options.to) {
+    conditions.push('at <= ?');
+    params.push(options.to);
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const entries = db.prepare(`SELECT * FROM audit_log ${where} ORDER BY at DESC, id DESC LIMIT ? OFFSET ?`)
+    .all(...params, options.limit || 50, options.offset || 0).map(toAuditEntry);
+  const total = db.prepare(`SELECT COUNT(*) FROM audit_log ${where}`).pluck().get(...params);
+  return { entries, total };
+}
+
+module.exports = {
+  MIGRATIONS,
+  FOLDER_SORTS,
+  IMAGE_SORTS,
+  getParentName,
+  initStore,
+  closeStore,
+  getMeta,
+  setMeta,
+  listFolders,
+  queryFolders,
+  isFolderVisible,
+  getFolder,
+  getActiveFolderNames,
+  ensureFolder,
+  createFolder,
+  updateFolder,
+  renameFolder,
+  deleteFolder,
+  syncFolders,
+  activateFolder,
+  deactivateFolder,
+  listImages,
+  getImage,
+  queryImages,
+  addImage,
+  clearImageLocation,
+  setImageHash,
+  listImagesWithoutHash,
+  findImageByHash,
+  findDuplicateImages,
+  removeImage,
+  moveImage,
+  syncImages,
+  listSchedules,
+  getSchedule,
+  addSchedule,
+  deleteSchedule,
+  listTrash,
+  getTrashItem,
+  listTrashBefore,
+  trashFolder,
+  trashImage,
+  restoreFolder,
+  restoreImage,
+  deleteTrashItem,
+  listUploadSessions,
+  getUploadSession,
+  addUploadSession,
+  touchUploadSession,
+  listUploadSessionsBefore,
+  deleteUploadSession,
+  getStorageUsed,
+  listFolderUsage,
+  listLargestImages,
+  recordStorageUsage,
+  listStorageHistory,
+  addAuditEntry,
+  queryAuditLog
+};
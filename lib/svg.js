@@ -0,0 +1,275 @@
+const fs = require('fs-extra');
+const sharp = require('sharp');
+
+// Uploaded SVG images are documents that can carry scripts, so they are
+// rewritten before they are stored: only drawing elements and their
+// presentation attributes are kept. Scripts, event handlers, embedded HTML,
+// animations (which can change links) and references to anything outside the
+// file are dropped. Links are unwrapped, keeping what they contain.
+//
+// The rewrite works on the markup itself: the document is read tag by tag and
+// written out again from what was kept, so nothing the reader didn't
+// understand can pass through. Files that aren't well-formed are refused.
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const XLINK_NS = 'http://www.w3.org/1999/xlink';
+
+const ALLOWED_ELEMENTS = new Set([
+  'svg', 'g', 'defs', 'symbol', 'use', 'title', 'desc', 'switch', 'view', 'style',
+  'path', 'rect', 'circle', 'ellipse', 'line', 'polyline', 'polygon', 'image',
+  'text', 'tspan', 'textPath',
+  'linearGradient', 'radialGradient', 'stop', 'pattern', 'clipPath', 'mask', 'marker',
+  'filter', 'feBlend', 'feColorMatrix', 'feComponentTransfer', 'feComposite',
+  'feConvolveMatrix', 'feDiffuseLighting', 'feDisplacementMap', 'feDistantLight',
+  'feDropShadow', 'feFlood', 'feFuncA', 'feFuncB', 'feFuncG', 'feFuncR',
+  'feGaussianBlur', 'feImage', 'feMerge', 'feMergeNode', 'feMorphology', 'feOffset',
+  'fePointLight', 'feSpecularLighting', 'feSpotLight', 'feTile', 'feTurbulence'
+]);
+
+// Removed, but what they contain is kept
+const UNWRAPPED_ELEMENTS = new Set(['a']);
+
+// The only prefixed attributes kept
+const PREFIXED_ATTRIBUTES = new Set(['xlink:href', 'xlink:title', 'xml:space', 'xml:lang']);
+
+// Embedded raster images are the only data that may be referenced
+const DATA_IMAGE = /^data:image\/(png|jpe?g|gif|webp);base64,[a-z0-9+/=\s]*$/i;
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function parseError(message) {
+  return new Error(`Not a well-formed SVG image: ${message}`);
+}
+
+// Resolve character and predefined entity references. Entities declared in
+// a DOCTYPE are dropped along with it, so their references become empty.
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z][a-z0-9]*);/gi, (match, ref) => {
+    if (ref[0] === '#') {
+      const code = ref[1] === 'x' || ref[1] === 'X' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : '';
+    }
+    return ENTITIES[ref] || '';
+  });
+}
+
+function escapeText(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function escapeAttribute(value) {
+  return escapeText(value).replace(/"/g, '&quot;');
+}
+
+// A reference to something in the same document ("#id")
+function isLocalReference(value) {
+  return value.replace(/[\s\0-\x1f]/g, '').startsWith('#');
+}
+
+// Replace url() references that leave the document. Anything still looking
+// like the start of one afterwards (unterminated, oddly quoted) is broken up.
+function sanitizeUrls(value) {
+  return value
+    .replace(/url\(\s*(?:"([^"]*)"|'([^']*)'|([^)]*?))\s*\)/gi, (match, ...urls) =>
+      isLocalReference(urls.slice(0, 3).find(url => url !== undefined)) ? match : 'none')
+    .replace(/url\s*\((?!\s*['"]?#)/gi, 'none(');
+}
+
+// Keep style rules and declarations, minus imports, external url()s and the
+// old ways of running script from CSS. Escapes are resolved first, since they
+// could hide any of those ("u\72l(" is "url(").
+function sanitizeCss(css) {
+  const unescaped = css.replace(/\\([0-9a-f]{1,6})\s?|\\([\s\S]?)/gi, (match, hex, char) => {
+    if (!hex) return char === '\n' ? '' : char;
+    const code = parseInt(hex, 16);
+    return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : '';
+  });
+  return sanitizeUrls(unescaped
+    .replace(/\/\*[\s\S]*?\*\//g, '')
+    .replace(/@import[^;]*;?/gi, '')
+    .replace(/(-webkit-)?image-set\s*\(|expression\s*\(|-moz-binding|behavior\s*:/gi, 'none'));
+}
+
+// The attributes of an element that are kept, as markup
+function sanitizeAttributes(element, attributes, isRoot) {
+  const kept = [];
+  for (const [name, rawValue] of attributes) {
+    const value = decodeEntities(rawValue);
+    const lowerName = name.toLowerCase();
+
+    if (lowerName.startsWith('on')) continue;
+    if (name === 'xmlns' || name.startsWith('xmlns:')) {
+      // Namespaces are set below; other vocabularies aren't kept anyway
+      continue;
+    }
+    if (name.includes(':') && !PREFIXED_ATTRIBUTES.has(name)) continue;
+    if (!/^[a-zA-Z_][\w.:-]*$/.test(name)) continue;
+
+    let keptValue = value;
+    if (name === 'href' || name === 'xlink:href') {
+      const allowData = element === 'image' || element === 'feImage';
+      if (!isLocalReference(value) && !(allowData && DATA_IMAGE.test(value.trim()))) continue;
+    } else if (name === 'style') {
+      keptValue = sanitizeCss(value);
+    } else if (/url\s*\(/i.test(value)) {
+      keptValue = sanitizeUrls(value);
+    }
+
+    kept.push(` ${name}="${escapeAttribute(keptValue)}"`);
+  }
+
+  if (isRoot) {
+    kept.unshift(` xmlns="${SVG_NS}"`, ` xmlns:xlink="${XLINK_NS}"`);
+  }
+  return kept.join('');
+}
+
+// Read the tag starting at `start` ("<name ...>" or "<name .../>"). Returns
+// { name, attributes, selfClosing, end }.
+function readStartTag(source, start) {
+  const nameMatch = /^<([^\s/>]+)/.exec(source.slice(start, start + 256));
+  if (!nameMatch) throw parseError(`unexpected "<" at ${start}`);
+
+  const attributes = [];
+  let i = start + nameMatch[0].length;
+  for (;;) {
+    while (/\s/.test(source[i] || '')) i++;
+    if (i >= source.length) throw parseError(`unclosed tag <${nameMatch[1]}>`);
+    if (source.startsWith('/>', i)) return { name: nameMatch[1], attributes, selfClosing: true, end: i + 2 };
+    if (source[i] === '>') return { name: nameMatch[1], attributes, selfClosing: false, end: i + 1 };
+
+    const attribute = /^([^\s=/>]+)\s*=\s*(["'])/.exec(source.slice(i, i + 1024));
+    if (!attribute) throw parseError(`bad attribute in <${nameMatch[1]}>`);
+    const valueStart = i + attribute[0].length;
+    const valueEnd = source.indexOf(attribute[2], valueStart);
+    if (valueEnd === -1) throw parseError(`unclosed attribute value in <${nameMatch[1]}>`);
+    if (attributes.some(([name]) => name === attribute[1])) throw parseError(`repeated attribute ${attribute[1]}`);
+
+    attributes.push([attribute[1], source.slice(valueStart, valueEnd)]);
+    i = valueEnd + 1;
+  }
+}
+
+// The end of a <!DOCTYPE ...> declaration, which may have an internal subset in brackets
+function findDeclarationEnd(source, start) {
+  let inSubset = false;
+  let quote = null;
+  for (let i = start + 2; i < source.length; i++) {
+    const char = source[i];
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '[') {
+      inSubset = true;
+    } else if (char === ']') {
+      inSubset = false;
+    } else if (char === '>' && !inSubset) {
+      return i + 1;
+    }
+  }
+  throw parseError('unclosed declaration');
+}
+
+// Rewrite SVG markup keeping only what is safe to display. Throws when the
+// markup isn't a well-formed SVG document.
+function sanitizeSvg(source) {
+  const out = [];
+  const stack = []; // Open elements: { name, kept, unwrapped }
+  let removedDepth = 0; // Inside this many removed elements
+  let rootClosed = false;
+  let i = source.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  const addText = (text, decoded = false) => {
+    if (removedDepth > 0 || stack.length === 0) {
+      if (stack.length === 0 && text.trim() !== '') throw parseError('text outside the root element');
+      return;
+    }
+    const value = decoded ? text : decodeEntities(text);
+    out.push(escapeText(stack[stack.length - 1].name === 'style' ? sanitizeCss(value) : value));
+  };
+
+  while (i < source.length) {
+    const lt = source.indexOf('<', i);
+    if (lt === -1) {
+      addText(source.slice(i));
+      break;
+    }
+    if (lt > i) addText(source.slice(i, lt));
+
+    if (source.startsWith('<!--', lt)) {
+      const end = source.indexOf('-->', lt + 4);
+      if (end === -1) throw parseError('unclosed comment');
+      i = end + 3;
+    } else if (source.startsWith('<![CDATA[', lt)) {
+      const end = source.indexOf(']]>', lt + 9);
+      if (end === -1) throw parseError('unclosed CDATA section');
+      addText(source.slice(lt + 9, end), true);
+      i = end + 3;
+    } else if (source.startsWith('<?', lt)) {
+      const end = source.indexOf('?>', lt + 2);
+      if (end === -1) throw parseError('unclosed processing instruction');
+      i = end + 2;
+    } else if (source.startsWith('<!', lt)) {
+      // DOCTYPE, with any entities it declares
+      i = findDeclarationEnd(source, lt);
+    } else if (source[lt + 1] === '/') {
+      const match = /^<\/([^\s>]+)\s*>/.exec(source.slice(lt, lt + 256));
+      const element = stack.pop();
+      if (!match || !element || element.name !== match[1]) throw parseError('mismatched closing tag');
+
+      if (element.kept) out.push(`</${element.name}>`);
+      else if (!element.unwrapped) removedDepth--;
+      if (stack.length === 0) rootClosed = true;
+      i = lt + match[0].length;
+    } else {
+      const tag = readStartTag(source, lt);
+      const isRoot = stack.length === 0;
+      if (isRoot && (rootClosed || tag.name !== 'svg')) {
+        throw parseError(rootClosed ? 'more than one root element' : 'the root element is not <svg>');
+      }
+
+      const element = { name: tag.name, kept: false, unwrapped: false };
+      if (removedDepth > 0) {
+        removedDepth++;
+      } else if (ALLOWED_ELEMENTS.has(tag.name)) {
+        element.kept = true;
+        out.push(`<${tag.name}${sanitizeAttributes(tag.name, tag.attributes, isRoot)}${tag.selfClosing ? '/>' : '>'}`);
+      } else if (UNWRAPPED_ELEMENTS.has(tag.name)) {
+        element.unwrapped = true;
+      } else {
+        removedDepth++;
+      }
+
+      if (tag.selfClosing) {
+        if (!element.kept && !element.unwrapped) removedDepth--;
+        if (isRoot) rootClosed = true;
+      } else {
+        stack.push(element);
+      }
+      i = tag.end;
+    }
+  }
+
+  if (stack.length > 0) throw parseError(`unclosed element <${stack[stack.length - 1].name}>`);
+  if (!rootClosed) throw parseError('no <svg> element');
+  return out.join('');
+}
+
+// Sanitize an SVG file in place
+async function sanitizeSvgFile(filePath) {
+  const source = await fs.readFile(filePath, 'utf8');
+  await fs.writeFile(filePath, sanitizeSvg(source));
+}
+
+// Render a sanitized SVG file as a PNG image at `targetPath`
+async function rasterizeSvgFile(filePath, targetPath) {
+  const source = await fs.readFile(filePath, 'utf8');
+  await sharp(Buffer.from(sanitizeSvg(source))).png().toFile(targetPath);
+}
+
+module.exports = {
+  sanitizeSvg,
+  sanitizeSvgFile,
+  rasterizeSvgFile
+};
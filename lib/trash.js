@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs-extra');
+const store = require('./store');
+const audit = require('./audit');
+
+// Deleted folders and images are moved to the trash folder instead of being
+// removed, as "<trash>/<id>/<folder or file name>". Their metadata is kept in
+// the store so they can be restored as they were. Items older than the
+// retention period are purged for good.
+
+const PURGE_INTERVAL = 60 * 60 * 1000;
+const DAY = 24 * 60 * 60 * 1000;
+
+let uploadFolder = 'uploads';
+let trashRoot = 'trash';
+let retentionDays = 30;
+let timer = null;
+
+function initTrash(options = {}) {
+  uploadFolder = options.uploadFolder || uploadFolder;
+  trashRoot = options.trashFolder || trashRoot;
+  if (options.retentionDays !== undefined) {
+    retentionDays = options.retentionDays;
+  }
+  fs.ensureDirSync(trashRoot);
+}
+
+function getItemPath(item) {
+  const basename = item.kind === 'folder' ? item.folderName.split('/').pop() : item.filename;
+  return path.join(trashRoot, item.id, basename);
+}
+
+// When an item will be purged; undefined when items are kept forever
+function getExpiresAt(item) {
+  if (!retentionDays) return undefined;
+  return new Date(new Date(item.deletedAt).getTime() + retentionDays * DAY).toISOString();
+}
+
+function withExpiry(item) {
+  return item && { ...item, expiresAt: getExpiresAt(item) };
+}
+
+function listTrash() {
+  return store.listTrash().map(withExpiry);
+}
+
+function getTrashItem(id) {
+  return withExpiry(store.getTrashItem(id));
+}
+
+// Move a folder and all of its subfolders to the trash
+async function trashFolder(folderName, deletedBy) {
+  const id = crypto.randomBytes(8).toString('hex');
+  const target = path.join(trashRoot, id, folderName.split('/').pop());
+
+  await fs.move(path.join(uploadFolder, folderName), target);
+  return withExpiry(store.trashFolder(id, folderName, deletedBy));
+}
+
+async function trashImage(folderName, filename, deletedBy) {
+  const id = crypto.randomBytes(8).toString('hex');
+  const target = path.join(trashRoot, id, filename);
+
+  await fs.move(path.join(uploadFolder, folderName, filename), target);
+  return withExpiry(store.trashImage(id, folderName, filename, deletedBy));
+}
+
+// Move a trashed folder back into the uploads directory as `folderName`
+async function restoreFolder(id, folderName) {
+  const item = store.getTrashItem(id);
+
+  await fs.move(getItemPath(item), path.join(uploadFolder, folderName));
+  await fs.remove(path.join(trashRoot, id));
+  return store.restoreFolder(id, folderName);
+}
+
+// Move a trashed image back into `folderName` as `filename`
+async function restoreImage(id, folderName, filename) {
+  const item = store.getTrashItem(id);
+
+  await fs.move(getItemPath(item), path.join(uploadFolder, folderName, filename));
+  await fs.remove(path.join(trashRoot, id));
+  store.restoreImage(id, folderName, filename);
+}
+
+// Delete a trashed item for good. Returns false for unknown ids.
+async function deleteTrashItem(id) {
+  if (!store.getTrashItem(id)) return false;
+
+  await fs.remove(path.join(trashRoot, id));
+  return store.deleteTrashItem(id);
+}
+
+// Delete every item that has been in the trash longer than the retention period
+async function purgeExpired() {
+  if (!retentionDays) return [];
+
+  const expired = store.listTrashBefore(new Date(Date.now() - retentionDays * DAY));
+  for (const item of expired) {
+    await deleteTrashItem(item.id);
+    console.log(`Purged from trash: ${item.folderName}${item.filename ? `/${item.filename}` : ''}`);
+    audit.record('trash.purge', { actor: 'system', folderName: item.folderName, filename: item.filename, before: item });
+  }
+  return expired;
+}
+
+function startPurging(options = {}) {
+  const tick = () => {
+    purgeExpired().catch(error => {
+      console.error('Error purging trash:', error);
+    });
+  };
+
+  tick();
+  timer = setInterval(tick, options.interval || PURGE_INTERVAL);
+  timer.unref();
+}
+
+function stopPurging() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  initTrash,
+  listTrash,
+  getTrashItem,
+  trashFolder,
+  trashImage,
+  restoreFolder,
+  restoreImage,
+  deleteTrashItem,
+  purgeExpired,
+  startPurging,
+  stopPurging
+};
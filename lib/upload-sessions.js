@@ -0,0 +1,208 @@
+const crypto = require('crypto');
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const fs = require('fs-extra');
+const store = require('./store');
+
+// Resumable uploads. A session is opened for one file with its final size,
+// the file is then sent in chunks, each starting at the offset the server
+// has reached, and the session is completed once every byte is in.
+//
+// Chunks are appended to "<sessions folder>/<id>.part", so the offset to
+// resume from after a dropped connection is simply the size of that file.
+// Sessions that receive nothing for the expiry period are removed.
+
+const CHUNK_SIZE = 2 * 1024 * 1024;
+const PURGE_INTERVAL = 60 * 60 * 1000;
+const HOUR = 60 * 60 * 1000;
+
+let sessionsRoot = 'upload-sessions';
+let expiryHours = 24;
+let timer = null;
+
+// Sessions receiving a chunk or being completed right now; each does one
+// thing at a time
+const busy = new Set();
+
+function initUploadSessions(options = {}) {
+  sessionsRoot = options.sessionsFolder || sessionsRoot;
+  if (options.expiryHours !== undefined) {
+    expiryHours = options.expiryHours;
+  }
+  fs.ensureDirSync(sessionsRoot);
+}
+
+function getPartPath(id) {
+  return path.join(sessionsRoot, `${id}.part`);
+}
+
+function sessionError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Add the number of bytes received so far and when the session expires
+async function withProgress(session) {
+  if (!session) return session;
+
+  const stat = await fs.stat(getPartPath(session.id)).catch(() => null);
+  return {
+    ...session,
+    offset: stat ? stat.size : 0,
+    chunkSize: CHUNK_SIZE,
+    expiresAt: new Date(new Date(session.updatedAt).getTime() + expiryHours * HOUR).toISOString()
+  };
+}
+
+async function getSession(id) {
+  return withProgress(store.getUploadSession(id));
+}
+
+// Open sessions, optionally only the ones a user started
+async function listSessions(createdBy) {
+  return Promise.all(store.listUploadSessions(createdBy).map(withProgress));
+}
+
+// Open a session for a file of `size` bytes going into `folderName`
+async function createSession({ folderName, filename, size, mimeType, createdBy }) {
+  const id = crypto.randomBytes(16).toString('hex');
+  // The .part file is created by the first chunk
+  return withProgress(store.addUploadSession({ id, folderName, filename, size, mimeType, createdBy }));
+}
+
+// Pass bytes through until more than `maxSize` have been read
+function limitSize(maxSize) {
+  let total = 0;
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      total += chunk.length;
+      if (total > maxSize) {
+        callback(sessionError('CHUNK_TOO_LARGE', 'Chunk goes past the end of the file or is larger than the chunk size'));
+      } else {
+        callback(null, chunk);
+      }
+    }
+  });
+}
+
+// Append a chunk (a readable stream) at `offset`, which must be the number of
+// bytes received so far. Resolves to the new offset. When the connection
+// drops, the bytes that did arrive are kept and the upload resumes after
+// them; a chunk that is too large is dropped as a whole.
+async function appendChunk(id, offset, stream) {
+  // Claimed before anything is awaited, so two requests can't both get in
+  if (busy.has(id)) {
+    throw sessionError('SESSION_BUSY', 'This upload is already receiving a chunk or being completed');
+  }
+  busy.add(id);
+
+  try {
+    const session = await getSession(id);
+    if (!session) {
+      throw sessionError('SESSION_NOT_FOUND', 'Upload session not found');
+    }
+    if (offset !== session.offset) {
+      throw sessionError('OFFSET_MISMATCH', `Expected offset ${session.offset}`);
+    }
+
+    const maxSize = Math.min(CHUNK_SIZE, session.size - offset);
+    try {
+      await pipeline(stream, limitSize(maxSize), fs.createWriteStream(getPartPath(id), { flags: 'a' }));
+    } catch (error) {
+      if (error.code === 'CHUNK_TOO_LARGE') {
+        await fs.truncate(getPartPath(id), offset);
+      }
+      throw error;
+    }
+
+    store.touchUploadSession(id);
+    return (await fs.stat(getPartPath(id))).size;
+  } finally {
+    busy.delete(id);
+  }
+}
+
+// Move the assembled file of a finished session to `targetPath` and close
+// the session. The session stays claimed until it is closed, so a second
+// request can't complete it again.
+async function completeSession(id, targetPath) {
+  if (busy.has(id)) {
+    throw sessionError('SESSION_BUSY', 'This upload is already receiving a chunk or being completed');
+  }
+  busy.add(id);
+
+  try {
+    const session = await getSession(id);
+    if (!session) {
+      throw sessionError('SESSION_NOT_FOUND', 'Upload session not found');
+    }
+    if (session.offset !== session.size) {
+      throw sessionError('UPLOAD_INCOMPLETE', `Received ${session.offset} of ${session.size} bytes`);
+    }
+
+    await fs.move(getPartPath(id), targetPath);
+    store.deleteUploadSession(id);
+    return session;
+  } finally {
+    busy.delete(id);
+  }
+}
+
+// Cancel a session and drop the bytes received. Returns false for unknown ids.
+async function deleteSession(id) {
+  if (!store.getUploadSession(id)) return false;
+
+  await fs.remove(getPartPath(id));
+  return store.deleteUploadSession(id);
+}
+
+// Remove sessions that received nothing for the expiry period, and data
+// left behind by sessions that are gone (e.g. with their folder)
+async function purgeExpired() {
+  const expired = store.listUploadSessionsBefore(new Date(Date.now() - expiryHours * HOUR));
+  for (const session of expired) {
+    await deleteSession(session.id);
+    console.log(`Expired upload session: ${session.folderName}/${session.filename}`);
+  }
+
+  for (const file of await fs.readdir(sessionsRoot)) {
+    const id = path.basename(file, '.part');
+    if (!store.getUploadSession(id) && !busy.has(id)) {
+      await fs.remove(path.join(sessionsRoot, file));
+    }
+  }
+  return expired;
+}
+
+function startPurging(options = {}) {
+  const tick = () => {
+    purgeExpired().catch(error => {
+      console.error('Error purging upload sessions:', error);
+    });
+  };
+
+  tick();
+  timer = setInterval(tick, options.interval || PURGE_INTERVAL);
+  timer.unref();
+}
+
+function stopPurging() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  CHUNK_SIZE,
+  initUploadSessions,
+  getSession,
+  listSessions,
+  createSession,
+  appendChunk,
+  completeSession,
+  deleteSession,
+  purgeExpired,
+  startPurging,
+  stopPurging
+};
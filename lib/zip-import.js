@@ -0,0 +1,170 @@
+const { Transform, pipeline } = require('stream');
+const yauzl = require('yauzl');
+
+// Reading uploaded ZIP archives entry by entry. Every entry ends up in the
+// report as "imported", "skipped" (not something we import) or "rejected"
+// (unsafe or over a limit), so one bad entry doesn't fail the whole archive.
+//
+// Zip bombs are stopped by the entry count, per-entry and total size limits
+// and a compression ratio check. Declared sizes aren't trusted: the bytes
+// actually extracted are counted and an entry is cut off when it goes over.
+
+const LIMITS = {
+  maxEntries: 5000,
+  maxEntrySize: 10 * 1024 * 1024,
+  maxTotalSize: 2 * 1024 * 1024 * 1024,
+  // Only checked for entries over 1MB; images barely compress
+  maxRatio: 100
+};
+
+const RATIO_CHECK_SIZE = 1024 * 1024;
+
+function openZip(zipPath) {
+  return new Promise((resolve, reject) => {
+    // Names are decoded and validated per entry below, so a single unsafe
+    // name is rejected instead of failing the whole archive
+    yauzl.open(zipPath, { lazyEntries: true, decodeStrings: false }, (error, zipFile) => {
+      if (error) reject(error);
+      else resolve(zipFile);
+    });
+  });
+}
+
+function openEntryStream(zipFile, entry) {
+  return new Promise((resolve, reject) => {
+    zipFile.openReadStream(entry, (error, stream) => {
+      if (error) reject(error);
+      else resolve(stream);
+    });
+  });
+}
+
+// Pass bytes through until more than `maxSize` have been read
+function limitSize(maxSize) {
+  let total = 0;
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      total += chunk.length;
+      if (total > maxSize) {
+        callback(new Error('Entry is larger than the size limit'));
+      } else {
+        callback(null, chunk);
+      }
+    }
+  });
+}
+
+// Why an entry name can't be used, or null if it is safe. Rejects absolute
+// paths, ".." segments and backslashes (zip-slip).
+function getUnsafeReason(name) {
+  const reason = yauzl.validateFileName(name);
+  if (reason) return reason;
+  if (name.includes('\\')) return 'Path contains a backslash';
+  if (name.split('/').some(segment => segment === '..')) return 'Path leaves the target folder';
+  return null;
+}
+
+// Files added by archivers and operating systems rather than the photographer
+function isSystemFile(name) {
+  return name.startsWith('__MACOSX/') || name.split('/').some(segment => segment.startsWith('.'));
+}
+
+// Read every entry of a ZIP file. For each file entry that passes the checks,
+// `options.filter(name)` can return a reason to skip it and
+// `options.reserve(size)` (optional) a reason to reject it before anything is
+// written; otherwise `options.write(name, stream)` stores it and resolves to
+// the details of the imported entry (e.g. { filename, size }), or to a
+// { status, reason } that turns it down after all. The size reserved for an
+// entry that isn't imported is handed back to `options.release(size)`.
+// Returns the per-entry report. Throws if the file can't be read as a ZIP
+// archive or has too many entries.
+async function importZip(zipPath, options) {
+  const limits = { ...LIMITS, ...options.limits };
+  const zipFile = await openZip(zipPath);
+  const report = [];
+  let totalSize = 0;
+
+  try {
+    if (zipFile.entryCount > limits.maxEntries) {
+      throw new Error(`Archive has ${zipFile.entryCount} entries (the limit is ${limits.maxEntries})`);
+    }
+
+    await new Promise((resolve, reject) => {
+      zipFile.on('error', reject);
+      zipFile.on('end', resolve);
+      zipFile.on('entry', entry => {
+        handleEntry(entry).then(() => zipFile.readEntry(), reject);
+      });
+      zipFile.readEntry();
+    });
+  } finally {
+    zipFile.close();
+  }
+
+  return report;
+
+  async function handleEntry(entry) {
+    const name = yauzl.getFileNameLowLevel(entry.generalPurposeBitFlag, entry.fileNameRaw, entry.extraFields, false);
+
+    // Directories only matter through the files inside them
+    if (name.endsWith('/')) return;
+
+    const add = (status, details) => report.push({ entry: name, status, ...details });
+
+    const unsafeReason = getUnsafeReason(name);
+    if (unsafeReason) {
+      return add('rejected', { reason: `Unsafe path: ${unsafeReason}` });
+    }
+    if (isSystemFile(name)) {
+      return add('skipped', { reason: 'System or hidden file' });
+    }
+
+    const skipReason = options.filter(name);
+    if (skipReason) {
+      return add('skipped', { reason: skipReason });
+    }
+
+    if (entry.isEncrypted()) {
+      return add('rejected', { reason: 'Encrypted entries are not supported' });
+    }
+    if (entry.uncompressedSize > limits.maxEntrySize) {
+      return add('rejected', { reason: 'File is larger than the size limit' });
+    }
+    if (entry.uncompressedSize > RATIO_CHECK_SIZE &&
+        entry.uncompressedSize / Math.max(entry.compressedSize, 1) > limits.maxRatio) {
+      return add('rejected', { reason: 'Suspicious compression ratio' });
+    }
+    if (totalSize + entry.uncompressedSize > limits.maxTotalSize) {
+      return add('rejected', { reason: 'Archive is larger than the total size limit' });
+    }
+    if (options.reserve) {
+      const reason = options.reserve(entry.uncompressedSize);
+      if (reason) {
+        return add('rejected', { reason });
+      }
+    }
+    totalSize += entry.uncompressedSize;
+
+    let result;
+    try {
+      // pipeline passes errors of the entry stream (e.g. a size that doesn't
+      // match the header) on to the limited stream that is written
+      const stream = limitSize(limits.maxEntrySize);
+      pipeline(await openEntryStream(zipFile, entry), stream, () => {});
+      result = await options.write(name, stream);
+    } catch (error) {
+      result = { status: 'rejected', reason: error.message };
+    }
+
+    const { status = 'imported', ...details } = result;
+    if (status !== 'imported' && options.release) {
+      options.release(entry.uncompressedSize);
+    }
+    add(status, details);
+  }
+}
+
+module.exports = {
+  LIMITS,
+  importZip
+};
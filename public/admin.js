@@ -4,26 +4,122 @@ const createFolderBtn = document.getElementById('createFolderBtn');
 const uploadForm = document.getElementById('uploadForm');
 const folderSelect = document.getElementById('folderSelect');
 const imageInput = document.getElementById('imageInput');
+const dropZone = document.getElementById('dropZone');
+const selectedFilesStrip = document.getElementById('selectedFilesStrip');
 const uploadBtn = document.getElementById('uploadBtn');
+const archiveNewFolder = document.getElementById('archiveNewFolder');
+const duplicatePolicySelect = document.getElementById('duplicatePolicySelect');
+const uploadReport = document.getElementById('uploadReport');
+const uploadQueue = document.getElementById('uploadQueue');
+const pendingUploads = document.getElementById('pendingUploads');
 const progressSection = document.getElementById('progressSection');
 const progressFill = document.getElementById('progressFill');
 const progressText = document.getElementById('progressText');
 const foldersGrid = document.getElementById('foldersGrid');
+const folderBreadcrumb = document.getElementById('folderBreadcrumb');
+const folderSearchInput = document.getElementById('folderSearchInput');
+const folderSortSelect = document.getElementById('folderSortSelect');
+const folderActiveFilter = document.getElementById('folderActiveFilter');
+const loadMoreFoldersBtn = document.getElementById('loadMoreFoldersBtn');
 const toast = document.getElementById('toast');
 const imageModal = document.getElementById('imageModal');
 const modalImage = document.getElementById('modalImage');
 const modalCaption = document.getElementById('modalCaption');
 const closeModal = document.querySelector('.close');
+const scheduleForm = document.getElementById('scheduleForm');
+const scheduleFolderSelect = document.getElementById('scheduleFolderSelect');
+const scheduleRecurrence = document.getElementById('scheduleRecurrence');
+const scheduleOnceFields = document.getElementById('scheduleOnceFields');
+const scheduleRecurringFields = document.getElementById('scheduleRecurringFields');
+const scheduleWeeklyFields = document.getElementById('scheduleWeeklyFields');
+const scheduleTimeline = document.getElementById('scheduleTimeline');
+const scheduleList = document.getElementById('scheduleList');
+const addScheduleBtn = document.getElementById('addScheduleBtn');
+const currentUser = document.getElementById('currentUser');
+const logoutLink = document.getElementById('logoutLink');
+const trashList = document.getElementById('trashList');
+const trashInfo = document.getElementById('trashInfo');
+const emptyTrashBtn = document.getElementById('emptyTrashBtn');
+const findDuplicatesBtn = document.getElementById('findDuplicatesBtn');
+const duplicatesInfo = document.getElementById('duplicatesInfo');
+const duplicatesList = document.getElementById('duplicatesList');
+const refreshStorageBtn = document.getElementById('refreshStorageBtn');
+const storageInfo = document.getElementById('storageInfo');
+const storageMeters = document.getElementById('storageMeters');
+const storageHistory = document.getElementById('storageHistory');
+const storageFolders = document.getElementById('storageFolders');
+const largestImages = document.getElementById('largestImages');
+const refreshActivityBtn = document.getElementById('refreshActivityBtn');
+const activityInfo = document.getElementById('activityInfo');
+const activityActionFilter = document.getElementById('activityActionFilter');
+const activityFolderFilter = document.getElementById('activityFolderFilter');
+const activityFromInput = document.getElementById('activityFromInput');
+const activityToInput = document.getElementById('activityToInput');
+const activityList = document.getElementById('activityList');
+const loadMoreActivityBtn = document.getElementById('loadMoreActivityBtn');
 
 // State
-let folders = [];
+let folders = []; // Every folder, without images, for selects and lookups
+let folderCards = []; // Folders shown as cards, with a few preview images each
+let hasMoreFolderCards = false;
+let expandedImages = new Map(); // Folder name -> loaded page of its images
+let searchTimer = null;
+let currentPath = ''; // Folder whose subfolders are shown, '' for the top level
+let schedules = [];
+let trashItems = [];
+let duplicateGroups = null; // Loaded by "Find Duplicates"
+let storageReport = null;
+let activityEntries = []; // Loaded pages of the audit log, newest first
+let hasMoreActivity = false;
+let uploadPolicy = null; // Size limit and formats from /api/config
+let selectedFiles = []; // Picked, dropped or pasted files waiting to be uploaded: { file, directory, previewUrl }
+let uploading = false;
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const FOLDER_PAGE_SIZE = 24;
+const LOOKUP_PAGE_SIZE = 200;
+const IMAGE_PAGE_SIZE = 48;
+const PREVIEW_IMAGES = 6;
+const UPLOAD_SESSIONS_KEY = 'foldselect.uploadSessions';
+const MAX_CHUNK_RETRIES = 5;
+const ACTIVITY_PAGE_SIZE = 50;
+const ACTION_LABELS = {
+    'user.login': 'Logged in',
+    'user.login-failed': 'Failed login',
+    'folder.create': 'Created folder',
+    'folder.update': 'Edited folder',
+    'folder.activate': 'Activated folder',
+    'folder.deactivate': 'Deactivated folder',
+    'folder.delete': 'Deleted folder',
+    'folder.import': 'Imported archive',
+    'image.upload': 'Uploaded images',
+    'image.update': 'Renamed image',
+    'image.move': 'Moved image',
+    'image.copy': 'Copied image',
+    'image.delete': 'Deleted image',
+    'schedule.create': 'Added schedule',
+    'schedule.delete': 'Deleted schedule',
+    'trash.restore': 'Restored from trash',
+    'trash.delete': 'Deleted forever',
+    'trash.purge': 'Purged from trash'
+};
 
 // Initialize app
 document.addEventListener('DOMContentLoaded', async () => {
     // Test server connectivity first
     await testServerConnection();
+    loadCurrentUser();
     loadFolders();
+    loadSchedules();
+    loadTrash();
+    loadStorage();
+    loadActivity();
+    loadUploadPolicy();
+    loadPendingUploads();
     setupEventListeners();
+    
+    // Keep the timeline current while the page is open
+    setInterval(loadSchedules, 60000);
 });
 
 // Test server connection
@@ -54,8 +150,55 @@ function setupEventListeners() {
     // Upload form
     uploadForm.addEventListener('submit', uploadImages);
     
+    // Schedule editor
+    scheduleForm.addEventListener('submit', addSchedule);
+    scheduleRecurrence.addEventListener('change', updateScheduleFields);
+    
+    // Folder listing
+    folderSearchInput.addEventListener('input', () => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(() => loadFolderCards(), 300);
+    });
+    folderSortSelect.addEventListener('change', () => loadFolderCards());
+    folderActiveFilter.addEventListener('change', () => loadFolderCards());
+    loadMoreFoldersBtn.addEventListener('click', () => loadFolderCards(true));
+    
+    // Trash
+    emptyTrashBtn.addEventListener('click', emptyTrash);
+    findDuplicatesBtn.addEventListener('click', findDuplicates);
+    refreshStorageBtn.addEventListener('click', loadStorage);
+    
+    // Activity
+    refreshActivityBtn.addEventListener('click', () => loadActivity());
+    loadMoreActivityBtn.addEventListener('click', () => loadActivity(true));
+    [activityActionFilter, activityFolderFilter, activityFromInput, activityToInput].forEach(input => {
+        input.addEventListener('change', () => loadActivity());
+    });
+    
+    // Log out
+    logoutLink.addEventListener('click', logout);
+    
     // File input change
-    imageInput.addEventListener('change', updateFileInfo);
+    imageInput.addEventListener('change', () => {
+        addSelectedFiles(Array.from(imageInput.files).map(file => ({ file, directory: '' })));
+        // Picking the same file again should add it again
+        imageInput.value = '';
+    });
+    
+    // Drop zone and pasted images
+    dropZone.addEventListener('click', () => imageInput.click());
+    dropZone.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' || e.key === ' ') {
+            e.preventDefault();
+            imageInput.click();
+        }
+    });
+    setupDropTarget(dropZone, addSelectedFiles);
+    document.addEventListener('paste', addPastedFiles);
+    
+    // A file dropped next to a target would otherwise replace the page
+    document.addEventListener('dragover', (e) => e.preventDefault());
+    document.addEventListener('drop', (e) => e.preventDefault());
     
     // Modal events
     closeModal.addEventListener('click', closeImageModal);
@@ -67,6 +210,9 @@ function setupEventListeners() {
     document.addEventListener('keydown', (e) => {
         if (e.key === 'Escape') closeImageModal();
     });
+    
+    // Buttons of folder cards, thumbnails and lists
+    setupListActions();
 }
 
 // API Functions
@@ -76,16 +222,26 @@ async function apiCall(url, options = {}) {
         
         const response = await fetch(url, options);
         
+        // Session expired or missing - send the admin back to the login page
+        if (response.status === 401) {
+            redirectToLogin();
+            throw new Error('Please log in again');
+        }
+        
         // Check if response is ok first
         if (!response.ok) {
             let errorMessage;
+            let errorData = {};
             try {
-                const errorData = await response.json();
+                errorData = await response.json();
                 errorMessage = errorData.error || `HTTP ${response.status}: ${response.statusText}`;
             } catch (parseError) {
                 errorMessage = `HTTP ${response.status}: ${response.statusText}`;
             }
-            throw new Error(errorMessage);
+            // Keep the rest of the response (e.g. rejected duplicates) for the caller
+            const apiError = new Error(errorMessage);
+            apiError.data = errorData;
+            throw apiError;
         }
         
         const data = await response.json();
@@ -110,18 +266,123 @@ async function apiCall(url, options = {}) {
     }
 }
 
+// Show who is logged in
+async function loadCurrentUser() {
+    try {
+        const data = await apiCall('/api/auth/me');
+        currentUser.textContent = `👤 ${data.user.username} (${data.user.role})`;
+    } catch (error) {
+        currentUser.textContent = '';
+    }
+}
+
+// End the session and return to the login page
+async function logout(e) {
+    e.preventDefault();
+    
+    try {
+        await apiCall('/api/auth/logout', { method: 'POST' });
+    } catch (error) {
+        // Error already handled by apiCall
+    }
+    redirectToLogin();
+}
+
+function redirectToLogin() {
+    window.location.href = `/login?next=${encodeURIComponent(window.location.pathname)}`;
+}
+
 // Load folders from server
 async function loadFolders() {
     try {
-        foldersGrid.innerHTML = '<div class="loading">Loading folders...</div>';
-        folders = await apiCall('/api/folders');
+        if (folders.length === 0) {
+            foldersGrid.innerHTML = '<div class="loading">Loading folders...</div>';
+        }
+        folders = await fetchAllPages('/api/folders?images=0', 'folders');
+        
+        // Go back to the top level when the folder being viewed was moved or deleted
+        if (currentPath && !folders.some(folder => folder.name === currentPath)) {
+            currentPath = '';
+        }
+        
         updateFolderSelect();
-        renderFolders();
+        await loadFolderCards();
     } catch (error) {
         foldersGrid.innerHTML = '<div class="empty-state">Failed to load folders</div>';
     }
 }
 
+// Fetch every page of a paged listing and return the combined items
+async function fetchAllPages(url, key) {
+    const items = [];
+    
+    for (let offset = 0; ; offset += LOOKUP_PAGE_SIZE) {
+        const page = await apiCall(`${url}&limit=${LOOKUP_PAGE_SIZE}&offset=${offset}`);
+        items.push(...page[key]);
+        if (!page.hasMore) return items;
+    }
+}
+
+// Load the folder cards for the current view: the subfolders of the folder
+// being viewed, or the search results across all folders. With `append`,
+// the next page is added to the cards already shown.
+async function loadFolderCards(append = false) {
+    const [sort, order] = folderSortSelect.value.split(':');
+    const search = folderSearchInput.value.trim();
+    const params = new URLSearchParams({
+        sort,
+        order,
+        limit: FOLDER_PAGE_SIZE,
+        offset: append ? folderCards.length : 0,
+        images: PREVIEW_IMAGES
+    });
+    
+    if (search) {
+        params.set('q', search);
+    } else {
+        params.set('parent', currentPath);
+    }
+    if (folderActiveFilter.value) {
+        params.set('active', folderActiveFilter.value);
+    }
+    
+    try {
+        loadMoreFoldersBtn.disabled = true;
+        const page = await apiCall(`/api/folders?${params}`);
+        
+        folderCards = append ? [...folderCards, ...page.folders] : page.folders;
+        hasMoreFolderCards = page.hasMore;
+        
+        if (!append) {
+            await refreshExpandedImages();
+        }
+        renderFolders();
+    } catch (error) {
+        // Error already handled by apiCall
+    } finally {
+        loadMoreFoldersBtn.disabled = false;
+    }
+}
+
+// Load a page of a folder's images for its expanded card
+async function fetchFolderImages(folderName, offset, limit) {
+    return apiCall(`/api/folders/${encodeURIComponent(folderName)}/images?limit=${limit}&offset=${offset}`);
+}
+
+// Reload the images of expanded cards, keeping as many as were shown
+async function refreshExpandedImages() {
+    const cardNames = new Set(folderCards.map(folder => folder.name));
+    
+    for (const [folderName, page] of expandedImages) {
+        if (!cardNames.has(folderName)) {
+            expandedImages.delete(folderName);
+            continue;
+        }
+        const limit = Math.min(Math.max(page.images.length, IMAGE_PAGE_SIZE), 200);
+        expandedImages.set(folderName, await fetchFolderImages(folderName, 0, limit));
+    }
+}
+
 // Create new folder
 async function createFolder() {
     const folderName = folderNameInput.value.trim();
@@ -145,7 +406,7 @@ async function createFolder() {
             headers: {
                 'Content-Type': 'application/json'
             },
-            body: JSON.stringify({ folderName })
+            body: JSON.stringify({ folderName, parent: currentPath })
         });
         
         showToast('Folder created successfully!', 'success');
@@ -165,261 +426,1699 @@ async function uploadImages(e) {
     e.preventDefault();
     
     const selectedFolder = folderSelect.value;
-    const files = imageInput.files;
     
-    if (!selectedFolder) {
-        showToast('Please select a folder', 'error');
+    if (selectedFiles.length === 0) {
+        showToast('Please select images to upload', 'error');
         return;
     }
     
-    if (files.length === 0) {
-        showToast('Please select images to upload', 'error');
+    // Dropped directories become new folders, so only loose files need one
+    if (!selectedFolder && selectedFiles.some(item => !item.directory)) {
+        showToast('Please select a folder', 'error');
         return;
     }
     
-    // Validate file types and sizes
-    for (let file of files) {
-        if (!file.type.startsWith('image/')) {
-            showToast(`${file.name} is not an image file`, 'error');
-            return;
-        }
+    if (await uploadFiles(selectedFolder, selectedFiles)) {
+        // Reset form; after failures the selection is kept to try again
+        uploadForm.reset();
+        clearSelectedFiles();
+    }
+}
+
+// Upload files ({ file, directory } items) into `parentFolder`. Files from a
+// dropped directory go into a new folder named after it, created inside
+// `parentFolder` ('' for the top level). Resolves to true when every file
+// was uploaded.
+async function uploadFiles(parentFolder, items) {
+    if (uploading) {
+        showToast('Wait for the current upload to finish', 'error');
+        return false;
+    }
+    
+    // Every file gets a row showing its progress; one that fails doesn't
+    // stop the others
+    const queue = items.map(item => ({ file: item.file, directory: item.directory, status: 'queued', loaded: 0, reason: '' }));
+    const totalBytes = queue.reduce((total, item) => total + item.file.size, 0);
+    
+    const showQueueProgress = () => {
+        const loaded = queue.reduce((total, item) => total + (item.status === 'failed' ? item.file.size : item.loaded), 0);
+        const done = queue.filter(item => item.status === 'done' || item.status === 'failed').length;
+        updateProgress(totalBytes > 0 ? (loaded / totalBytes) * 100 : 100,
+            `${done} of ${queue.length} file(s) - ${formatFileSize(loaded)} of ${formatFileSize(totalBytes)}`);
+        renderUploadQueue(queue);
+    };
+    
+    // Catch what the server would refuse before sending anything
+    for (let item of queue) {
+        if (isZipFile(item.file)) continue;
         
-        if (file.size > 10 * 1024 * 1024) { // 10MB
-            showToast(`${file.name} is too large (max 10MB)`, 'error');
-            return;
+        if (!uploadPolicy) continue;
+        if (!getUploadFormat(item.file.name)) {
+            Object.assign(item, { status: 'failed', reason: `Not a ${describeUploadFormats('or')} image` });
+        } else if (item.file.size > uploadPolicy.maxFileSize) {
+            Object.assign(item, { status: 'failed', reason: `Too large (max ${formatFileSize(uploadPolicy.maxFileSize)})` });
         }
     }
     
     try {
+        uploading = true;
         uploadBtn.disabled = true;
         uploadBtn.textContent = 'Uploading...';
         showProgress(true);
+        uploadReport.style.display = 'none';
+        uploadReport.innerHTML = '';
+        showQueueProgress();
         
-        const formData = new FormData();
-        formData.append('folderName', selectedFolder);
-        
-        for (let file of files) {
-            formData.append('images', file);
+        const directories = queue.filter(item => item.directory && item.status === 'queued').map(item => item.directory);
+        let targets = new Map([['', parentFolder]]);
+        try {
+            targets = await createDroppedFolders(parentFolder, directories);
+        } catch (error) {
+            queue.filter(item => item.directory && item.status === 'queued')
+                .forEach(item => Object.assign(item, { status: 'failed', reason: `Folder not created: ${error.message}` }));
         }
         
-        // Simulate progress (since we can't track real progress easily with fetch)
-        let progress = 0;
-        const progressInterval = setInterval(() => {
-            progress += Math.random() * 20;
-            if (progress > 90) progress = 90;
-            updateProgress(progress, `Uploading ${files.length} image(s)...`);
-        }, 200);
-        
-        const result = await apiCall('/api/upload', {
-            method: 'POST',
-            body: formData
-        });
-        
-        clearInterval(progressInterval);
-        updateProgress(100, 'Upload complete!');
-        
-        showToast(`Successfully uploaded ${result.files.length} image(s)!`, 'success');
+        for (let item of queue.filter(item => item.status === 'queued')) {
+            item.status = 'uploading';
+            showQueueProgress();
+            
+            const onProgress = loaded => {
+                // Form uploads count their headers too
+                item.loaded = Math.min(loaded, item.file.size);
+                showQueueProgress();
+            };
+            
+            const folderName = targets.get(item.directory || '');
+            try {
+                if (isZipFile(item.file)) {
+                    // ZIP archives are imported on the server, entry by entry
+                    const result = await importArchive(folderName, item.file, onProgress);
+                    renderImportReport(item.file.name, result);
+                    item.reason = result.message;
+                } else {
+                    // Images are sent in chunks and can be resumed, even after a reload
+                    const result = await uploadFileResumable(folderName, item.file, onProgress);
+                    if (result.duplicates.length > 0) {
+                        renderDuplicateReport(result.duplicates);
+                        item.reason = `Duplicate, ${result.duplicates[0].status}`;
+                    }
+                }
+                Object.assign(item, { status: 'done', loaded: item.file.size });
+            } catch (error) {
+                Object.assign(item, { status: 'failed', reason: error.message });
+            }
+            showQueueProgress();
+        }
         
-        // Reset form
-        uploadForm.reset();
-        updateFileInfo();
+        const failed = queue.filter(item => item.status === 'failed').length;
+        if (failed > 0) {
+            showToast(`Uploaded ${queue.length - failed} of ${queue.length} file(s); ${failed} failed`, 'error');
+        } else {
+            showToast(`Successfully uploaded ${queue.length} file(s)!`, 'success');
+        }
         
         // Reload folders to show new images
-        await loadFolders();
+        await Promise.all([loadFolders(), loadStorage()]);
+        return failed === 0;
         
     } catch (error) {
         // Error already handled by apiCall
+        return false;
     } finally {
+        uploading = false;
+        loadPendingUploads();
         uploadBtn.disabled = false;
         uploadBtn.textContent = 'Upload Images';
         setTimeout(() => showProgress(false), 1000);
     }
 }
 
-// Delete folder
-async function deleteFolder(folderName) {
-    if (!confirm(`Are you sure you want to delete the folder "${folderName}" and all its images?`)) {
-        return;
-    }
+// Upload one image through an upload session, resuming the session left by
+// an earlier attempt at the same file. Duplicates rejected by the server
+// don't fail the upload: they are returned like the ones that were skipped.
+async function uploadFileResumable(folderName, file, onProgress) {
+    const key = getUploadKey(folderName, file);
+    const session = await openUploadSession(key, folderName, file);
+    
+    await sendChunks(session, file, onProgress);
     
     try {
-        await apiCall(`/api/folders/${encodeURIComponent(folderName)}`, {
-            method: 'DELETE'
+        const result = await apiCall(`/api/uploads/${session.id}/complete`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ duplicates: duplicatePolicySelect.value })
         });
-        
-        showToast('Folder deleted successfully!', 'success');
-        await loadFolders();
-        
+        forgetUploadSession(key);
+        return result;
     } catch (error) {
-        // Error already handled by apiCall
+        if (error.data && error.data.duplicates) {
+            forgetUploadSession(key);
+            return { files: [], duplicates: error.data.duplicates };
+        }
+        throw error;
     }
 }
 
-// UI Update Functions
-function updateFolderSelect() {
-    folderSelect.innerHTML = '<option value="">Choose a folder...</option>';
-    
-    folders.forEach(folder => {
-        const option = document.createElement('option');
-        option.value = folder.name;
-        option.textContent = `${folder.name} (${folder.imageCount} images)`;
-        folderSelect.appendChild(option);
-    });
+// Sessions are remembered per folder and file, so selecting the same file
+// again picks up where the last attempt stopped
+function getUploadKey(folderName, file) {
+    return [folderName, file.name, file.size, file.lastModified].join('|');
 }
 
-function renderFolders() {
-    if (folders.length === 0) {
-        foldersGrid.innerHTML = '<div class="empty-state">No folders yet. Create your first folder above!</div>';
-        return;
+function getSavedUploadSessions() {
+    try {
+        return JSON.parse(localStorage.getItem(UPLOAD_SESSIONS_KEY)) || {};
+    } catch (error) {
+        return {};
     }
-    
-    foldersGrid.innerHTML = '';
-    
-    folders.forEach(folder => {
-        const folderCard = createFolderCard(folder);
-        foldersGrid.appendChild(folderCard);
-    });
 }
 
-function createFolderCard(folder) {
-    const card = document.createElement('div');
-    card.className = 'folder-card';
-    
-    const imagesPreview = folder.images.length > 0 
-        ? `<div class="images-preview">
-             ${folder.images.slice(0, 6).map(imagePath => 
-                 `<img src="${imagePath}" alt="Image" class="image-thumbnail" 
-                       onclick="openImageModal('${imagePath}', '${folder.name}')">`
-             ).join('')}
-             ${folder.images.length > 6 ? `<div class="more-images">+${folder.images.length - 6} more</div>` : ''}
-           </div>`
-        : '<div class="empty-state" style="padding: 1rem;">No images yet</div>';
-    
-    card.innerHTML = `
-        <div class="folder-header">
-            <div class="folder-name">${escapeHtml(folder.name)}</div>
-            <div class="folder-controls">
-                <span class="folder-status ${folder.active ? 'status-active' : 'status-inactive'}">
-                    ${folder.active ? 'Active' : 'Inactive'}
-                </span>
-                <label class="toggle-switch" title="Toggle active/inactive">
-                    <input type="checkbox" ${folder.active ? 'checked' : ''} 
-                           onchange="toggleFolderStatus('${escapeHtml(folder.name)}', this.checked)">
-                    <span class="toggle-slider"></span>
-                </label>
-                <button class="delete-folder-btn" onclick="deleteFolder('${escapeHtml(folder.name)}')">
-                    Delete
-                </button>
-            </div>
-        </div>
-        <div class="folder-info">
-            📊 ${folder.imageCount} image(s) • Status: ${folder.active ? '✅ Currently visible to users' : '❌ Hidden from users'}
-            ${folder.active ? '<br><small style="color: #48bb78; font-weight: 600;">👑 This is the active folder</small>' : ''}
-        </div>
-        ${imagesPreview}
-    `;
-    
-    return card;
+function rememberUploadSession(key, id) {
+    localStorage.setItem(UPLOAD_SESSIONS_KEY, JSON.stringify({ ...getSavedUploadSessions(), [key]: id }));
 }
 
-function updateFileInfo() {
-    const files = imageInput.files;
-    const fileInfo = document.querySelector('.file-info small');
-    
-    if (files.length > 0) {
-        const totalSize = Array.from(files).reduce((total, file) => total + file.size, 0);
-        const sizeText = formatFileSize(totalSize);
-        fileInfo.textContent = `${files.length} file(s) selected (${sizeText}) - Supported formats: JPG, PNG, GIF, WebP, SVG`;
-    } else {
-        fileInfo.textContent = 'Supported formats: JPG, PNG, GIF, WebP, SVG (Max 10MB per file, up to 10 files)';
+function forgetUploadSession(key) {
+    const sessions = getSavedUploadSessions();
+    delete sessions[key];
+    localStorage.setItem(UPLOAD_SESSIONS_KEY, JSON.stringify(sessions));
+}
+
+// Resume the saved session for a file, or open a new one
+async function openUploadSession(key, folderName, file) {
+    const savedId = getSavedUploadSessions()[key];
+    if (savedId) {
+        const response = await fetch(`/api/uploads/${savedId}`);
+        if (response.ok) {
+            return response.json();
+        }
+        // Expired or cancelled
+        forgetUploadSession(key);
     }
+    
+    const session = await apiCall('/api/uploads', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ folderName, filename: file.name, size: file.size, type: file.type })
+    });
+    rememberUploadSession(key, session.id);
+    return session;
 }
 
-function showProgress(show) {
-    progressSection.style.display = show ? 'block' : 'none';
-    if (!show) {
-        updateProgress(0, '');
+// Send the rest of a file from the session's offset. Failed chunks are
+// retried with a growing delay, after asking the server how much it got.
+async function sendChunks(session, file, onProgress) {
+    let offset = session.offset;
+    let failures = 0;
+    onProgress(offset);
+    
+    while (offset < file.size) {
+        try {
+            const response = await fetch(`/api/uploads/${session.id}?offset=${offset}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/octet-stream' },
+                body: file.slice(offset, offset + session.chunkSize)
+            });
+            
+            if (response.status === 401) {
+                redirectToLogin();
+                throw Object.assign(new Error('Please log in again'), { fatal: true });
+            }
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                // Offset conflicts and server errors are worth another try
+                const retry = response.status === 409 || response.status >= 500;
+                throw Object.assign(new Error(data.error || `HTTP ${response.status}: ${response.statusText}`), { fatal: !retry });
+            }
+            
+            offset = data.offset;
+            failures = 0;
+            onProgress(offset);
+        } catch (error) {
+            failures++;
+            if (error.fatal || failures > MAX_CHUNK_RETRIES) {
+                throw error;
+            }
+            
+            await new Promise(resolve => setTimeout(resolve, 1000 * 2 ** (failures - 1)));
+            offset = await getUploadOffset(session.id, offset);
+        }
     }
 }
 
-function updateProgress(percent, text) {
-    progressFill.style.width = `${percent}%`;
-    progressText.textContent = text;
+// Where the server wants the next chunk to start; `fallback` when it can't be reached
+async function getUploadOffset(id, fallback) {
+    try {
+        const response = await fetch(`/api/uploads/${id}`);
+        if (response.ok) {
+            return (await response.json()).offset;
+        }
+    } catch (error) {
+        // Still offline, the next attempt will tell
+    }
+    return fallback;
 }
 
-// Modal Functions
-function openImageModal(imagePath, folderName) {
-    modalImage.src = imagePath;
-    modalCaption.textContent = `Image from ${folderName} folder`;
-    imageModal.style.display = 'block';
+// Load the server's upload policy, which the file checks and help text follow
+async function loadUploadPolicy() {
+    try {
+        const data = await apiCall('/api/config');
+        uploadPolicy = data.upload;
+        imageInput.accept = [
+            ...uploadPolicy.formats.flatMap(format => [...format.mimeTypes, ...format.extensions]),
+            '.zip',
+            'application/zip'
+        ].join(',');
+        updateFileInfo();
+    } catch (error) {
+        // Error already handled by apiCall
+    }
 }
 
-function closeImageModal() {
-    imageModal.style.display = 'none';
-    modalImage.src = '';
-    modalCaption.textContent = '';
+// The allowed format a file name declares, or undefined
+function getUploadFormat(filename) {
+    const ext = filename.includes('.') ? `.${filename.split('.').pop().toLowerCase()}` : '';
+    return uploadPolicy.formats.find(format => format.extensions.includes(ext));
 }
 
-// Toast Notifications
-function showToast(message, type = 'info') {
-    toast.textContent = message;
-    toast.className = `toast ${type} show`;
-    
-    setTimeout(() => {
-        toast.classList.remove('show');
-    }, 3000);
+// "JPEG, PNG and GIF"
+function describeUploadFormats(conjunction = 'and') {
+    const labels = uploadPolicy.formats.map(format => format.label);
+    return labels.length > 1 ? `${labels.slice(0, -1).join(', ')} ${conjunction} ${labels[labels.length - 1]}` : labels.join('');
 }
 
-// Utility Functions
-function escapeHtml(text) {
-    const map = {
-        '&': '&amp;',
-        '<': '&lt;',
-        '>': '&gt;',
-        '"': '&quot;',
-        "'": '&#039;'
-    };
-    return text.replace(/[&<>"']/g, (m) => map[m]);
+// Show uploads that were interrupted (e.g. by closing the page)
+async function loadPendingUploads() {
+    try {
+        const data = await apiCall('/api/uploads');
+        renderPendingUploads(data.sessions);
+    } catch (error) {
+        // Error already handled by apiCall
+    }
 }
 
-function formatFileSize(bytes) {
-    if (bytes === 0) return '0 Bytes';
+function renderPendingUploads(sessions) {
+    if (sessions.length === 0) {
+        pendingUploads.style.display = 'none';
+        pendingUploads.innerHTML = '';
+        return;
+    }
     
-    const k = 1024;
-    const sizes = ['Bytes', 'KB', 'MB', 'GB'];
-    const i = Math.floor(Math.log(bytes) / Math.log(k));
+    const items = sessions.map(session => `
+        <li>
+            ${escapeHtml(session.filename)} in ${escapeHtml(session.folderName)} -
+            ${formatFileSize(session.offset)} of ${formatFileSize(session.size)}
+            <button class="delete-folder-btn" data-action="cancelPendingUpload" data-id="${escapeHtml(session.id)}">Discard</button>
+        </li>
+    `).join('');
     
-    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+    pendingUploads.innerHTML = `
+        <strong>${sessions.length} interrupted upload(s)</strong>
+        <p>Select the same files for the same folder and upload again to continue where they stopped.</p>
+        <ul>${items}</ul>
+    `;
+    pendingUploads.style.display = 'block';
 }
 
-// Toggle folder active status
-async function toggleFolderStatus(folderName, isActive) {
+async function cancelPendingUpload(id) {
     try {
-        const result = await apiCall(`/api/folders/${encodeURIComponent(folderName)}/toggle`, {
-            method: 'PATCH'
-        });
+        await apiCall(`/api/uploads/${id}`, { method: 'DELETE' });
         
-        // Show more detailed success message
-        console.log('Toggle response:', result);
-        if (result.previousActive) {
-            showToast(`✅ Switched: "${result.previousActive}" → "${folderName}"`, 'success');
-        } else {
-            showToast(result.message, 'success');
+        const sessions = getSavedUploadSessions();
+        for (const key of Object.keys(sessions)) {
+            if (sessions[key] === id) forgetUploadSession(key);
         }
-        
-        // Wait a moment then refresh to ensure server has processed the change
-        setTimeout(async () => {
-            await loadFolders();
-        }, 100);
-        
+        loadPendingUploads();
     } catch (error) {
         // Error already handled by apiCall
-        // Reload folders to reset the toggle state
-        await loadFolders();
     }
 }
 
-// Global functions for HTML onclick handlers
-window.deleteFolder = deleteFolder;
-window.openImageModal = openImageModal;
-window.toggleFolderStatus = toggleFolderStatus;
\ No newline at end of file
+// Import a ZIP archive into the selected folder, or a new subfolder named after it
+function importArchive(folderName, archive, onProgress) {
+    const formData = new FormData();
+    formData.append('duplicates', duplicatePolicySelect.value);
+    if (archiveNewFolder.checked) {
+        formData.append('newFolder', archive.name.replace(/\.zip$/i, ''));
+        formData.append('parent', folderName);
+    } else {
+        formData.append('folderName', folderName);
+    }
+    formData.append('archive', archive);
+    
+    return postWithProgress('/api/import', formData, onProgress);
+}
+
+// POST a form like apiCall, reporting the bytes sent (fetch can't)
+function postWithProgress(url, formData, onProgress) {
+    return new Promise((resolve, reject) => {
+        const xhr = new XMLHttpRequest();
+        xhr.open('POST', url);
+        xhr.responseType = 'json';
+        xhr.upload.onprogress = event => onProgress(event.loaded);
+        
+        xhr.onload = () => {
+            if (xhr.status === 401) {
+                redirectToLogin();
+                return reject(new Error('Please log in again'));
+            }
+            const data = xhr.response || {};
+            if (xhr.status >= 200 && xhr.status < 300) {
+                return resolve(data);
+            }
+            const error = new Error(data.error || `HTTP ${xhr.status}: ${xhr.statusText}`);
+            error.data = data;
+            reject(error);
+        };
+        xhr.onerror = () => reject(new Error('Network error: Unable to reach the server'));
+        xhr.send(formData);
+    });
+}
+
+// One row per selected file: queued, uploading (with its progress), done or failed
+function renderUploadQueue(queue) {
+    uploadQueue.innerHTML = queue.map(item => {
+        const percent = item.file.size > 0 ? Math.min(100, (item.loaded / item.file.size) * 100) : 100;
+        return `
+            <li class="upload-item status-${item.status}">
+                <div class="upload-item-header">
+                    <span class="upload-item-name">${escapeHtml(item.directory ? `${item.directory}/${item.file.name}` : item.file.name)}</span>
+                    <span class="upload-item-status">${item.status} - ${formatFileSize(item.file.size)}</span>
+                </div>
+                ${item.status === 'uploading' ? `
+                    <div class="progress-bar"><div class="progress-fill" style="width: ${percent}%"></div></div>
+                ` : ''}
+                ${item.reason ? `<small>${escapeHtml(item.reason)}</small>` : ''}
+            </li>
+        `;
+    }).join('');
+    uploadQueue.style.display = queue.length > 0 ? 'block' : 'none';
+}
+
+// Make `element` accept dropped files and directories, passing them to
+// `onDrop` as { file, directory } items
+function setupDropTarget(element, onDrop) {
+    element.addEventListener('dragover', (e) => {
+        if (!e.dataTransfer.types.includes('Files')) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+        element.classList.add('drag-over');
+    });
+    element.addEventListener('dragleave', (e) => {
+        if (!element.contains(e.relatedTarget)) {
+            element.classList.remove('drag-over');
+        }
+    });
+    element.addEventListener('drop', async (e) => {
+        if (!e.dataTransfer.types.includes('Files')) return;
+        e.preventDefault();
+        element.classList.remove('drag-over');
+        
+        try {
+            const items = await readDroppedFiles(e.dataTransfer);
+            if (items.length > 0) onDrop(items);
+        } catch (error) {
+            console.error('Error reading dropped files:', error);
+            showToast('Could not read the dropped files', 'error');
+        }
+    });
+}
+
+// The files of a drop, with the directory each was found in ('' for
+// files dropped directly). Directories are read recursively.
+async function readDroppedFiles(dataTransfer) {
+    // Entries have to be taken before the first await, while the drop is current
+    const entries = Array.from(dataTransfer.items || [])
+        .filter(item => item.kind === 'file')
+        .map(item => item.webkitGetAsEntry && item.webkitGetAsEntry());
+    
+    if (entries.length === 0 || entries.some(entry => !entry)) {
+        return Array.from(dataTransfer.files).map(file => ({ file, directory: '' }));
+    }
+    
+    const items = [];
+    for (const entry of entries) {
+        await readEntry(entry, '', items);
+    }
+    return items;
+}
+
+async function readEntry(entry, directory, items) {
+    if (entry.isFile) {
+        const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+        // Hidden and system files (.DS_Store) don't belong in a gallery
+        if (!file.name.startsWith('.')) {
+            items.push({ file, directory });
+        }
+        return;
+    }
+    
+    const path = directory ? `${directory}/${entry.name}` : entry.name;
+    const reader = entry.createReader();
+    // readEntries returns the entries in batches until it returns none
+    let batch;
+    do {
+        batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+        for (const child of batch) {
+            await readEntry(child, path, items);
+        }
+    } while (batch.length > 0);
+}
+
+// Add images pasted anywhere on the page, unless they're pasted into a text field
+function addPastedFiles(e) {
+    const formats = uploadPolicy ? uploadPolicy.formats : [];
+    const files = Array.from(e.clipboardData.files).filter(file => formats.some(format => format.mimeTypes.includes(file.type)));
+    if (files.length === 0 || e.target.matches('input[type="text"], textarea')) return;
+    
+    e.preventDefault();
+    // Screenshots all arrive as "image.png"; give each its own name
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    addSelectedFiles(files.map((file, i) => {
+        const ext = formats.find(format => format.mimeTypes.includes(file.type)).extensions[0];
+        const name = `pasted-${stamp}${files.length > 1 ? `-${i + 1}` : ''}${ext}`;
+        return { file: new File([file], name, { type: file.type, lastModified: file.lastModified }), directory: '' };
+    }));
+    showToast(`Added ${files.length} pasted image(s)`, 'success');
+}
+
+function addSelectedFiles(items) {
+    for (const item of items) {
+        selectedFiles.push({
+            ...item,
+            previewUrl: item.file.type.startsWith('image/') ? URL.createObjectURL(item.file) : ''
+        });
+    }
+    renderSelectedFiles();
+}
+
+function removeSelectedFile(index) {
+    const [item] = selectedFiles.splice(index, 1);
+    if (item && item.previewUrl) URL.revokeObjectURL(item.previewUrl);
+    renderSelectedFiles();
+}
+
+function clearSelectedFiles() {
+    selectedFiles.forEach(item => item.previewUrl && URL.revokeObjectURL(item.previewUrl));
+    selectedFiles = [];
+    renderSelectedFiles();
+}
+
+// Preview strip of the files waiting to be uploaded, each with a remove button
+function renderSelectedFiles() {
+    selectedFilesStrip.innerHTML = selectedFiles.map((item, index) => {
+        const label = item.directory ? `${item.directory}/${item.file.name}` : item.file.name;
+        return `
+            <div class="selected-file" title="${escapeHtml(label)} (${formatFileSize(item.file.size)})">
+                ${item.previewUrl
+                    ? `<img src="${item.previewUrl}" alt="${escapeHtml(item.file.name)}">`
+                    : `<div class="selected-file-icon">${isZipFile(item.file) ? 'ZIP' : '?'}</div>`}
+                <small>${escapeHtml(label)}</small>
+                <button type="button" class="remove-selected-file" data-action="removeSelectedFile" data-index="${index}" title="Remove">×</button>
+            </div>
+        `;
+    }).join('');
+    selectedFilesStrip.style.display = selectedFiles.length > 0 ? 'flex' : 'none';
+    updateFileInfo();
+}
+
+// Create a folder for every directory that was dropped, nested as they
+// were, inside `parent`. A folder with the same title that is already
+// there is used instead. Returns a map of directory -> folder name.
+async function createDroppedFolders(parent, directories) {
+    const targets = new Map([['', parent]]);
+    
+    for (const directory of [...new Set(directories)].sort()) {
+        const parts = directory.split('/');
+        for (let i = 1; i <= parts.length; i++) {
+            const path = parts.slice(0, i).join('/');
+            if (targets.has(path)) continue;
+            
+            const parentName = targets.get(parts.slice(0, i - 1).join('/'));
+            const title = parts[i - 1];
+            const existing = folders.find(folder => folder.parent === parentName && folder.title === title);
+            if (existing) {
+                targets.set(path, existing.name);
+                continue;
+            }
+            
+            const result = await apiCall('/api/folders', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ folderName: title, parent: parentName })
+            });
+            targets.set(path, result.folderName);
+        }
+    }
+    return targets;
+}
+
+function isZipFile(file) {
+    return /\.zip$/i.test(file.name);
+}
+
+// List the uploaded images that were already in the folder, and the image each one matched
+function renderDuplicateReport(duplicates) {
+    if (duplicates.length === 0) return;
+    
+    const items = duplicates.map(duplicate => `
+        <li class="status-${duplicate.status === 'uploaded' ? 'imported' : duplicate.status}">
+            ${escapeHtml(duplicate.originalName)} - ${duplicate.status}: same as
+            <a href="${duplicate.duplicateOf.path}" target="_blank">${escapeHtml(duplicate.duplicateOf.filename)}</a>
+        </li>
+    `).join('');
+    
+    uploadReport.innerHTML += `
+        <div>
+            <strong>${duplicates.length} duplicate(s)</strong> of images already in the folder
+            <ul>${items}</ul>
+        </div>
+    `;
+    uploadReport.style.display = 'block';
+}
+
+// Show what happened to every entry of an imported archive
+function renderImportReport(archiveName, result) {
+    const { imported, skipped, rejected } = result.summary;
+    const entries = result.entries.map(entry => `
+        <li class="status-${entry.status}">
+            ${escapeHtml(entry.entry)} - ${entry.status}${entry.reason ? `: ${escapeHtml(entry.reason)}` : ''}
+            ${entry.status === 'imported' && entry.duplicateOf ? ` (same as ${escapeHtml(entry.duplicateOf)})` : ''}
+            ${entry.filename && entry.filename !== entry.entry.split('/').pop() ? ` (saved as ${escapeHtml(entry.filename)})` : ''}
+        </li>
+    `).join('');
+    
+    uploadReport.innerHTML += `
+        <div>
+            <strong>${escapeHtml(archiveName)}</strong> into ${escapeHtml(getFolderTitle(result.folder))}:
+            ${imported} imported, ${skipped} skipped, ${rejected} rejected
+            <details${rejected > 0 ? ' open' : ''}>
+                <summary>${result.entries.length} entries</summary>
+                <ul>${entries}</ul>
+            </details>
+        </div>
+    `;
+    uploadReport.style.display = 'block';
+}
+
+// Delete folder
+async function deleteFolder(folderName) {
+    if (!confirm(`Move the folder "${getFolderTitle(folderName)}" with all its subfolders and images to the trash?`)) {
+        return;
+    }
+    
+    try {
+        await apiCall(`/api/folders/${encodeURIComponent(folderName)}`, {
+            method: 'DELETE'
+        });
+        
+        showToast('Folder moved to trash', 'success');
+        await Promise.all([loadFolders(), loadTrash()]);
+        
+    } catch (error) {
+        // Error already handled by apiCall
+    }
+}
+
+// Change a folder's display title and description
+async function editFolder(folderName) {
+    const folder = folders.find(f => f.name === folderName);
+    if (!folder) return;
+    
+    const title = prompt('Folder title:', folder.title);
+    if (title === null) return;
+    
+    if (title.trim() === '') {
+        showToast('Please enter a folder title', 'error');
+        return;
+    }
+    
+    const description = prompt('Description (optional):', folder.description);
+    if (description === null) return;
+    
+    // Location tags are removed by default so viewers can't see where photos were taken
+    const keepLocation = confirm(
+        `Keep location (GPS) tags in the images of this folder?\n\n` +
+        `OK keeps them, Cancel removes them from existing and new images. ` +
+        `Currently: ${folder.keepLocation ? 'kept' : 'removed'}.`
+    );
+    
+    try {
+        await apiCall(`/api/folders/${encodeURIComponent(folderName)}`, {
+            method: 'PATCH',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ title: title.trim(), description: description.trim(), keepLocation })
+        });
+        
+        showToast('Folder updated successfully!', 'success');
+        await loadFolders();
+        
+    } catch (error) {
+        // Error already handled by apiCall
+    }
+}
+
+// Move a folder, with its subfolders, under another folder or to the top level
+async function moveFolder(folderName) {
+    const targets = folders
+        .map(folder => folder.name)
+        .filter(name => name !== folderName && !name.startsWith(`${folderName}/`));
+    
+    const parent = prompt(
+        `Move "${getFolderTitle(folderName)}" into which folder? Leave empty for the top level.\n\nAvailable: ${targets.join(', ') || 'none'}`,
+        currentPath
+    );
+    
+    if (parent === null) {
+        return;
+    }
+    
+    if (parent.trim() !== '' && !targets.includes(parent.trim())) {
+        showToast(`Folder "${parent}" does not exist`, 'error');
+        return;
+    }
+    
+    try {
+        await apiCall(`/api/folders/${encodeURIComponent(folderName)}`, {
+            method: 'PATCH',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ parent: parent.trim() })
+        });
+        
+        showToast('Folder moved successfully!', 'success');
+        await loadFolders();
+        
+    } catch (error) {
+        // Error already handled by apiCall
+    }
+}
+
+// Download a folder and its subfolders as a ZIP archive
+function downloadFolder(folderName) {
+    window.location.href = `/api/folders/${encodeURIComponent(folderName)}/archive?descendants=true`;
+}
+
+// Image URL for a folder/filename pair
+function imageApiUrl(folderName, filename) {
+    return `/api/folders/${encodeURIComponent(folderName)}/images/${encodeURIComponent(filename)}`;
+}
+
+// Delete a single image
+async function deleteImage(folderName, filename) {
+    if (!confirm(`Move "${filename}" from "${getFolderTitle(folderName)}" to the trash?`)) {
+        return;
+    }
+    
+    try {
+        await apiCall(imageApiUrl(folderName, filename), {
+            method: 'DELETE'
+        });
+        
+        showToast('Image moved to trash', 'success');
+        await Promise.all([loadFolders(), loadTrash(), loadStorage(), duplicateGroups ? findDuplicates() : null]);
+        
+    } catch (error) {
+        // Error already handled by apiCall
+    }
+}
+
+// Rename a single image (the extension is kept by the server)
+async function renameImage(folderName, filename) {
+    const currentName = filename.replace(/\.[^.]+$/, '');
+    const newName = prompt(`Rename "${filename}" to:`, currentName);
+    
+    if (newName === null || newName.trim() === '' || newName.trim() === currentName) {
+        return;
+    }
+    
+    try {
+        const result = await apiCall(imageApiUrl(folderName, filename), {
+            method: 'PATCH',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ newName: newName.trim() })
+        });
+        
+        showToast(`Image renamed to "${result.image.filename}"`, 'success');
+        await loadFolders();
+        
+    } catch (error) {
+        // Error already handled by apiCall
+    }
+}
+
+// Move or copy a single image into another folder
+async function moveImage(folderName, filename) {
+    const otherFolders = folders.map(folder => folder.name).filter(name => name !== folderName);
+    
+    if (otherFolders.length === 0) {
+        showToast('Create another folder first to move images into it', 'error');
+        return;
+    }
+    
+    const targetFolder = prompt(
+        `Move "${filename}" to which folder?\n\nAvailable: ${otherFolders.join(', ')}`,
+        otherFolders[0]
+    );
+    
+    if (targetFolder === null || targetFolder.trim() === '') {
+        return;
+    }
+    
+    if (!otherFolders.includes(targetFolder.trim())) {
+        showToast(`Folder "${targetFolder}" does not exist`, 'error');
+        return;
+    }
+    
+    const copy = !confirm(`Press OK to MOVE the image, or Cancel to keep it here and COPY it instead.`);
+    
+    try {
+        const result = await apiCall(`${imageApiUrl(folderName, filename)}/move`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ targetFolder: targetFolder.trim(), copy })
+        });
+        
+        showToast(result.message, 'success');
+        await loadFolders();
+        
+    } catch (error) {
+        // Error already handled by apiCall
+    }
+}
+
+// Load schedules and the upcoming timeline
+async function loadSchedules() {
+    try {
+        const [allSchedules, timeline] = await Promise.all([
+            apiCall('/api/schedules'),
+            apiCall('/api/schedules/upcoming?hours=48')
+        ]);
+        schedules = allSchedules;
+        renderScheduleList();
+        renderTimeline(timeline);
+    } catch (error) {
+        scheduleTimeline.innerHTML = '<div class="empty-state">Failed to load schedules</div>';
+    }
+}
+
+// Add a schedule from the editor form
+async function addSchedule(e) {
+    e.preventDefault();
+    
+    const folderName = scheduleFolderSelect.value;
+    const recurrence = scheduleRecurrence.value;
+    
+    if (!folderName) {
+        showToast('Please select a folder', 'error');
+        return;
+    }
+    
+    const body = { recurrence };
+    if (recurrence === 'once') {
+        const startAt = document.getElementById('scheduleStartAt').value;
+        const endAt = document.getElementById('scheduleEndAt').value;
+        if (!startAt || !endAt) {
+            showToast('Please choose a start and end date/time', 'error');
+            return;
+        }
+        // datetime-local values are in the browser's time zone
+        body.startAt = new Date(startAt).toISOString();
+        body.endAt = new Date(endAt).toISOString();
+    } else {
+        body.startTime = document.getElementById('scheduleStartTime').value;
+        body.endTime = document.getElementById('scheduleEndTime').value;
+        if (!body.startTime || !body.endTime) {
+            showToast('Please choose a start and end time', 'error');
+            return;
+        }
+        if (recurrence === 'weekly') {
+            body.days = Array.from(document.querySelectorAll('#scheduleDays input:checked'))
+                .map(input => Number(input.value));
+        }
+    }
+    
+    try {
+        addScheduleBtn.disabled = true;
+        
+        await apiCall(`/api/folders/${encodeURIComponent(folderName)}/schedules`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(body)
+        });
+        
+        showToast(`Schedule added for "${getFolderTitle(folderName)}"`, 'success');
+        scheduleForm.reset();
+        updateScheduleFields();
+        await loadSchedules();
+        await loadFolders();
+        
+    } catch (error) {
+        // Error already handled by apiCall
+    } finally {
+        addScheduleBtn.disabled = false;
+    }
+}
+
+// Delete a schedule
+async function deleteSchedule(id) {
+    if (!confirm('Are you sure you want to delete this schedule?')) {
+        return;
+    }
+    
+    try {
+        await apiCall(`/api/schedules/${id}`, { method: 'DELETE' });
+        showToast('Schedule deleted successfully!', 'success');
+        await loadSchedules();
+        await loadFolders();
+    } catch (error) {
+        // Error already handled by apiCall
+    }
+}
+
+// Show only the inputs that apply to the chosen recurrence
+function updateScheduleFields() {
+    const recurrence = scheduleRecurrence.value;
+    scheduleOnceFields.style.display = recurrence === 'once' ? 'block' : 'none';
+    scheduleRecurringFields.style.display = recurrence === 'once' ? 'none' : 'block';
+    scheduleWeeklyFields.style.display = recurrence === 'weekly' ? 'block' : 'none';
+}
+
+function describeSchedule(schedule) {
+    switch (schedule.recurrence) {
+        case 'once':
+            return `${formatDateTime(schedule.startAt)} → ${formatDateTime(schedule.endAt)}`;
+        case 'daily':
+            return `Every day ${schedule.startTime} → ${schedule.endTime}`;
+        case 'weekly':
+            return `Every ${schedule.days.map(day => DAY_NAMES[day]).join(', ')} ${schedule.startTime} → ${schedule.endTime}`;
+        default:
+            return schedule.recurrence;
+    }
+}
+
+function renderScheduleList() {
+    if (schedules.length === 0) {
+        scheduleList.innerHTML = '<div class="empty-state" style="padding: 1rem;">No schedules yet</div>';
+        return;
+    }
+    
+    scheduleList.innerHTML = schedules.map(schedule => `
+        <div class="schedule-item">
+            <div>
+                <strong>${escapeHtml(getFolderTitle(schedule.folderName))}</strong>
+                <small>${escapeHtml(describeSchedule(schedule))}</small>
+            </div>
+            <button class="delete-folder-btn" data-action="deleteSchedule" data-id="${schedule.id}">Delete</button>
+        </div>
+    `).join('');
+}
+
+// Draw each upcoming window as a bar on a 48-hour axis
+function renderTimeline(timeline) {
+    if (timeline.upcoming.length === 0) {
+        scheduleTimeline.innerHTML = '<div class="empty-state" style="padding: 1rem;">Nothing scheduled in the next 48 hours</div>';
+        return;
+    }
+    
+    const from = new Date(timeline.from).getTime();
+    const to = new Date(timeline.to).getTime();
+    const span = to - from;
+    
+    scheduleTimeline.innerHTML = timeline.upcoming.map(item => {
+        const start = Math.max(new Date(item.start).getTime(), from);
+        const end = Math.min(new Date(item.end).getTime(), to);
+        const left = ((start - from) / span) * 100;
+        const width = Math.max(((end - start) / span) * 100, 0.5);
+        const isCurrent = new Date(item.start).getTime() <= from && item.folderName === timeline.scheduledFolder;
+        
+        return `
+            <div class="timeline-row ${isCurrent ? 'timeline-current' : ''}">
+                <div class="timeline-label">
+                    <strong>${escapeHtml(getFolderTitle(item.folderName))}</strong>
+                    <small>${formatDateTime(item.start)} → ${formatDateTime(item.end)}${isCurrent ? ' • now' : ''}</small>
+                </div>
+                <div class="timeline-track">
+                    <div class="timeline-bar" style="left: ${left}%; width: ${width}%;"></div>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+// Load deleted folders and images
+async function loadTrash() {
+    try {
+        const trash = await apiCall('/api/trash');
+        trashItems = trash.items;
+        trashInfo.textContent = trash.retentionDays
+            ? `Deleted folders and images are kept here for ${trash.retentionDays} days and can be restored.`
+            : 'Deleted folders and images are kept here until you delete them permanently.';
+        renderTrash();
+    } catch (error) {
+        trashList.innerHTML = '<div class="empty-state">Failed to load trash</div>';
+    }
+}
+
+// Put a trashed folder or image back where it was
+async function restoreTrashItem(id) {
+    try {
+        const result = await apiCall(`/api/trash/${encodeURIComponent(id)}/restore`, {
+            method: 'POST'
+        });
+        
+        showToast(result.message, 'success');
+        await Promise.all([loadFolders(), loadTrash(), loadSchedules()]);
+        
+    } catch (error) {
+        // Error already handled by apiCall
+    }
+}
+
+async function deleteTrashItem(id) {
+    const item = trashItems.find(i => i.id === id);
+    if (!item || !confirm(`Permanently delete "${item.title}"? This cannot be undone.`)) {
+        return;
+    }
+    
+    try {
+        await apiCall(`/api/trash/${encodeURIComponent(id)}`, {
+            method: 'DELETE'
+        });
+        
+        showToast('Permanently deleted', 'success');
+        await loadTrash();
+        
+    } catch (error) {
+        // Error already handled by apiCall
+    }
+}
+
+async function emptyTrash() {
+    if (trashItems.length === 0) {
+        showToast('The trash is already empty', 'info');
+        return;
+    }
+    
+    if (!confirm(`Permanently delete all ${trashItems.length} item(s) in the trash? This cannot be undone.`)) {
+        return;
+    }
+    
+    try {
+        await apiCall('/api/trash', {
+            method: 'DELETE'
+        });
+        
+        showToast('Trash emptied', 'success');
+        await loadTrash();
+        
+    } catch (error) {
+        // Error already handled by apiCall
+    }
+}
+
+// Storage
+
+// Load the space used per folder, the largest images and the growth over time
+async function loadStorage() {
+    try {
+        refreshStorageBtn.disabled = true;
+        storageReport = await apiCall('/api/storage');
+        renderStorage();
+    } catch (error) {
+        storageFolders.innerHTML = '<div class="empty-state">Failed to load storage usage</div>';
+    } finally {
+        refreshStorageBtn.disabled = false;
+    }
+}
+
+// A labelled bar showing `used` of `total` bytes
+function renderStorageMeter(label, used, total) {
+    const percent = total > 0 ? Math.min((used / total) * 100, 100) : 0;
+    return `
+        <div class="storage-meter">
+            <small>${escapeHtml(label)}: ${formatFileSize(used)} of ${formatFileSize(total)} (${Math.round(percent)}%)</small>
+            <div class="storage-meter-track">
+                <div class="storage-meter-fill ${percent >= 90 ? 'full' : ''}" style="width: ${percent}%"></div>
+            </div>
+        </div>
+    `;
+}
+
+function renderStorage() {
+    const report = storageReport;
+    const reserved = report.reservedBytes > 0 ? `, ${formatFileSize(report.reservedBytes)} in unfinished uploads` : '';
+    storageInfo.textContent = `${report.imageCount} image(s) use ${formatFileSize(report.usedBytes)}${reserved}. ` +
+        `${formatFileSize(report.disk.free)} free on the disk.`;
+    
+    storageMeters.innerHTML = [
+        report.quota ? renderStorageMeter('Storage quota', report.usedBytes + report.reservedBytes, report.quota) : '',
+        renderStorageMeter('Disk', report.disk.total - report.disk.free, report.disk.total)
+    ].join('');
+    
+    // One bar per recorded day, scaled to the largest day
+    const maxUsed = Math.max(...report.history.map(day => day.usedBytes), 1);
+    storageHistory.innerHTML = report.history.length > 1
+        ? report.history.map(day => `
+            <div class="storage-history-bar" style="height: ${Math.max((day.usedBytes / maxUsed) * 100, 2)}%"
+                 title="${day.date}: ${formatFileSize(day.usedBytes)} in ${day.imageCount} image(s)"></div>
+        `).join('')
+        : '<div class="empty-state" style="padding: 1rem;">Growth is shown once usage has been recorded on more than one day</div>';
+    
+    const usedFolders = [...report.folders].sort((a, b) => b.totalSize - a.totalSize);
+    storageFolders.innerHTML = usedFolders.length > 0
+        ? usedFolders.map(folder => `
+            <div class="schedule-item">
+                <div class="storage-folder">
+                    <strong>${escapeHtml(folder.title)}</strong>
+                    <small>
+                        /${escapeHtml(folder.name)} • ${formatFileSize(folder.size)} in ${folder.imageCount} image(s)
+                        ${folder.totalSize !== folder.size ? ` • ${formatFileSize(folder.totalSize)} with subfolders` : ''}
+                    </small>
+                    ${folder.quota ? renderStorageMeter('Quota', folder.totalSize, folder.quota) : ''}
+                </div>
+                <div class="folder-controls">
+                    <button class="edit-folder-btn" data-action="setFolderQuota" data-folder="${escapeHtml(folder.name)}">Set Quota</button>
+                </div>
+            </div>
+        `).join('')
+        : '<div class="empty-state" style="padding: 1rem;">No folders yet</div>';
+    
+    largestImages.innerHTML = report.largestImages.length > 0
+        ? report.largestImages.map(image => `
+            <div class="schedule-item duplicate-image">
+                <img src="${image.thumbnailUrl}" alt="${escapeHtml(image.filename)}" class="image-thumbnail" loading="lazy">
+                <small>${escapeHtml(getFolderTitle(image.folder))} / ${escapeHtml(image.filename)} • ${formatFileSize(image.size)}</small>
+                <button class="delete-folder-btn" 
+                        data-action="deleteImage" data-folder="${escapeHtml(image.folder)}" data-filename="${escapeHtml(image.filename)}">Delete</button>
+            </div>
+        `).join('')
+        : '<div class="empty-state" style="padding: 1rem;">No images yet</div>';
+}
+
+// Limit the space a folder and its subfolders can use
+async function setFolderQuota(folderName) {
+    const folder = storageReport && storageReport.folders.find(f => f.name === folderName);
+    const current = folder && folder.quota ? String(Math.round((folder.quota / (1024 * 1024)) * 100) / 100) : '';
+    
+    const answer = prompt(`Quota for "${getFolderTitle(folderName)}" and its subfolders, in MB (leave empty for no quota):`, current);
+    if (answer === null) return;
+    
+    const quotaMb = answer.trim() === '' ? null : Number(answer);
+    if (quotaMb !== null && !(quotaMb > 0)) {
+        showToast('Please enter a positive number of MB', 'error');
+        return;
+    }
+    
+    try {
+        await apiCall(`/api/folders/${encodeURIComponent(folderName)}`, {
+            method: 'PATCH',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ quotaMb })
+        });
+        
+        showToast(quotaMb ? `Quota set to ${quotaMb} MB` : 'Quota removed', 'success');
+        await Promise.all([loadFolders(), loadStorage()]);
+        
+    } catch (error) {
+        // Error already handled by apiCall
+    }
+}
+
+// Activity
+
+// Load the newest audit log entries matching the filters, or the next page
+async function loadActivity(more = false) {
+    const params = new URLSearchParams({
+        limit: ACTIVITY_PAGE_SIZE,
+        offset: more ? activityEntries.length : 0
+    });
+    if (activityActionFilter.value) params.set('action', activityActionFilter.value);
+    if (activityFolderFilter.value) params.set('folder', activityFolderFilter.value);
+    // datetime-local inputs are in the browser's time zone
+    if (activityFromInput.value) params.set('from', new Date(activityFromInput.value).toISOString());
+    if (activityToInput.value) params.set('to', new Date(activityToInput.value).toISOString());
+    
+    try {
+        refreshActivityBtn.disabled = true;
+        loadMoreActivityBtn.disabled = true;
+        const page = await apiCall(`/api/audit?${params}`);
+        activityEntries = more ? activityEntries.concat(page.entries) : page.entries;
+        hasMoreActivity = page.hasMore;
+        activityInfo.textContent = `${page.total} change(s) recorded${params.has('action') || params.has('folder') || params.has('from') || params.has('to') ? ' matching the filters' : ''}, newest first.`;
+        renderActivity();
+    } catch (error) {
+        activityList.innerHTML = '<div class="empty-state">Failed to load activity</div>';
+    } finally {
+        refreshActivityBtn.disabled = false;
+        loadMoreActivityBtn.disabled = false;
+    }
+}
+
+// One line saying what an entry changed, from its before and after state
+function describeActivityChange(entry) {
+    const before = entry.before || {};
+    const after = entry.after || {};
+    const details = entry.details || {};
+    
+    switch (entry.action) {
+        case 'folder.activate':
+            return [
+                after.includeDescendants ? 'with its subfolders' : '',
+                before.activeFolder ? `replacing /${before.activeFolder}` : ''
+            ].filter(Boolean).join(', ');
+        case 'folder.deactivate':
+            return details.replacedBy ? `replaced by /${details.replacedBy}` : '';
+        case 'folder.update':
+            return ['name', 'title', 'description', 'keepLocation', 'quota']
+                .filter(key => JSON.stringify(before[key]) !== JSON.stringify(after[key]))
+                .map(key => `${key}: ${formatActivityValue(key, before[key])} → ${formatActivityValue(key, after[key])}`)
+                .join(' • ');
+        case 'folder.delete':
+            return `${before.imageCount} image(s), ${formatFileSize(before.size || 0)}`;
+        case 'folder.import':
+            return `${details.imported} imported, ${details.skipped} skipped, ${details.rejected} rejected from ${details.archive}`;
+        case 'image.upload':
+            return after.files.map(file => file.filename).join(', ');
+        case 'image.update':
+            return `${before.filename} → ${after.filename}`;
+        case 'image.move':
+        case 'image.copy':
+            return `to /${after.folderName}/${after.filename}`;
+        case 'schedule.create':
+        case 'schedule.delete': {
+            const schedule = entry.action === 'schedule.create' ? after : before;
+            return schedule.recurrence === 'once'
+                ? `${formatDateTime(schedule.startAt)} – ${formatDateTime(schedule.endAt)}`
+                : `${schedule.recurrence} ${schedule.startTime}–${schedule.endTime}`;
+        }
+        case 'trash.restore':
+            return `to /${after.folderName}${after.filename ? `/${after.filename}` : ''}`;
+        case 'user.login':
+        case 'user.login-failed':
+            return details.ip ? `from ${details.ip}` : '';
+        default:
+            return '';
+    }
+}
+
+function formatActivityValue(key, value) {
+    if (value === undefined || value === null || value === '') return 'none';
+    if (key === 'quota') return formatFileSize(value);
+    return String(value);
+}
+
+function renderActivity() {
+    loadMoreActivityBtn.style.display = hasMoreActivity ? 'block' : 'none';
+    
+    if (activityEntries.length === 0) {
+        activityList.innerHTML = '<div class="empty-state" style="padding: 1rem;">No activity recorded</div>';
+        return;
+    }
+    
+    activityList.innerHTML = activityEntries.map(entry => {
+        const target = entry.folderName ? `/${entry.folderName}${entry.filename ? `/${entry.filename}` : ''}` : '';
+        const change = describeActivityChange(entry);
+        const state = entry.before || entry.after
+            ? `<details class="activity-state">
+                   <summary>Before / after</summary>
+                   <pre>${escapeHtml(JSON.stringify({ before: entry.before, after: entry.after, details: entry.details }, null, 2))}</pre>
+               </details>`
+            : '';
+        
+        return `
+            <div class="schedule-item activity-item">
+                <div>
+                    <strong>${escapeHtml(ACTION_LABELS[entry.action] || entry.action)}</strong> ${escapeHtml(target)}
+                    ${change ? `<small>${escapeHtml(change)}</small>` : ''}
+                    <small>${new Date(entry.at).toLocaleString()}${entry.actor ? ` by ${escapeHtml(entry.actor)}` : ''}</small>
+                    ${state}
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+// Find images with the same content across all folders
+async function findDuplicates() {
+    try {
+        findDuplicatesBtn.disabled = true;
+        const result = await apiCall('/api/duplicates');
+        duplicateGroups = result.groups;
+        duplicatesInfo.textContent = duplicateGroups.length > 0
+            ? `${result.duplicateCount} duplicate image(s) in ${duplicateGroups.length} group(s), using ${formatFileSize(result.wastedBytes)}.`
+            : 'No duplicate images found.';
+        renderDuplicates();
+    } catch (error) {
+        duplicatesList.innerHTML = '<div class="empty-state">Failed to find duplicates</div>';
+    } finally {
+        findDuplicatesBtn.disabled = false;
+    }
+}
+
+function renderDuplicates() {
+    duplicatesList.innerHTML = duplicateGroups.map(group => `
+        <div class="schedule-item duplicate-group">
+            <div>
+                <strong>${group.count} copies • ${formatFileSize(group.size)} each</strong>
+                ${group.images.map((image, index) => `
+                    <div class="duplicate-image">
+                        <img src="${image.thumbnailUrl}" alt="${escapeHtml(image.filename)}" class="image-thumbnail" loading="lazy">
+                        <small>
+                            ${escapeHtml(getFolderTitle(image.folder))} / ${escapeHtml(image.filename)}
+                            ${index === 0 ? ' • oldest' : ''}
+                        </small>
+                        <button class="delete-folder-btn" 
+                                data-action="deleteImage" data-folder="${escapeHtml(image.folder)}" data-filename="${escapeHtml(image.filename)}">Delete</button>
+                    </div>
+                `).join('')}
+            </div>
+        </div>
+    `).join('');
+}
+
+function renderTrash() {
+    if (trashItems.length === 0) {
+        trashList.innerHTML = '<div class="empty-state" style="padding: 1rem;">The trash is empty</div>';
+        return;
+    }
+    
+    trashList.innerHTML = trashItems.map(item => {
+        const what = item.kind === 'folder'
+            ? `📁 Folder /${item.folderName} • ${item.imageCount} image(s)${item.folderCount > 1 ? ` in ${item.folderCount} folders` : ''}`
+            : `🖼️ Image from /${item.folderName}`;
+        const expires = item.expiresAt ? ` • purged ${formatDateTime(item.expiresAt)}` : '';
+        
+        return `
+            <div class="schedule-item">
+                <div>
+                    <strong>${escapeHtml(item.title)}</strong>
+                    <small>${escapeHtml(what)} • ${formatFileSize(item.size)}</small>
+                    <small>Deleted ${formatDateTime(item.deletedAt)}${item.deletedBy ? ` by ${escapeHtml(item.deletedBy)}` : ''}${expires}</small>
+                </div>
+                <div class="folder-controls">
+                    <button class="edit-folder-btn" data-action="restoreTrashItem" data-id="${escapeHtml(item.id)}">Restore</button>
+                    <button class="delete-folder-btn" data-action="deleteTrashItem" data-id="${escapeHtml(item.id)}">Delete Forever</button>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+function updateFolderSelect() {
+    folderSelect.innerHTML = '<option value="">Choose a folder...</option>';
+    
+    folders.forEach(folder => {
+        const option = document.createElement('option');
+        option.value = folder.name;
+        option.textContent = `${getFolderLabel(folder)} (${folder.imageCount} images)`;
+        folderSelect.appendChild(option);
+    });
+    
+    const selectedScheduleFolder = scheduleFolderSelect.value;
+    scheduleFolderSelect.innerHTML = '<option value="">Choose a folder...</option>';
+    
+    folders.forEach(folder => {
+        const option = document.createElement('option');
+        option.value = folder.name;
+        option.textContent = getFolderLabel(folder);
+        scheduleFolderSelect.appendChild(option);
+    });
+    scheduleFolderSelect.value = selectedScheduleFolder;
+    
+    const selectedActivityFolder = activityFolderFilter.value;
+    activityFolderFilter.innerHTML = '<option value="">All folders</option>';
+    
+    folders.forEach(folder => {
+        const option = document.createElement('option');
+        option.value = folder.name;
+        option.textContent = getFolderLabel(folder);
+        activityFolderFilter.appendChild(option);
+    });
+    activityFolderFilter.value = selectedActivityFolder;
+}
+
+function renderFolders() {
+    renderBreadcrumb();
+    loadMoreFoldersBtn.style.display = hasMoreFolderCards ? 'block' : 'none';
+    
+    if (folderCards.length === 0) {
+        if (folderSearchInput.value.trim() || folderActiveFilter.value) {
+            foldersGrid.innerHTML = '<div class="empty-state">No folders match your search.</div>';
+        } else {
+            foldersGrid.innerHTML = currentPath
+                ? '<div class="empty-state">No subfolders here yet. Create one above!</div>'
+                : '<div class="empty-state">No folders yet. Create your first folder above!</div>';
+        }
+        return;
+    }
+    
+    foldersGrid.innerHTML = '';
+    
+    folderCards.forEach(folder => {
+        const folderCard = createFolderCard(folder);
+        foldersGrid.appendChild(folderCard);
+    });
+}
+
+function renderBreadcrumb() {
+    const current = folders.find(folder => folder.name === currentPath);
+    const trail = current ? current.breadcrumb : [];
+    
+    folderBreadcrumb.innerHTML = [{ name: '', title: 'All folders' }, ...trail]
+        .map((crumb, i, crumbs) => i === crumbs.length - 1
+            ? `<span class="breadcrumb-current">${escapeHtml(crumb.title)}</span>`
+            : `<a href="#" data-action="openFolder" data-folder="${escapeHtml(crumb.name)}">${escapeHtml(crumb.title)}</a>`)
+        .join('<span class="breadcrumb-separator">›</span>');
+    
+    folderNameInput.placeholder = current
+        ? `New folder inside "${current.title}"...`
+        : 'Enter folder name...';
+}
+
+// Show the subfolders of a folder ('' for the top level)
+function openFolder(folderName) {
+    currentPath = folderName;
+    folderSearchInput.value = '';
+    loadFolderCards();
+}
+
+function createFolderCard(folder) {
+    const card = document.createElement('div');
+    card.className = 'folder-card';
+    
+    // Files dropped on a card are uploaded into that folder straight away
+    setupDropTarget(card, items => uploadFiles(folder.name, items));
+    
+    const expanded = expandedImages.get(folder.name);
+    const visibleImages = expanded ? expanded.images : folder.images;
+    const hiddenCount = expanded ? expanded.total - expanded.images.length : folder.imageCount - folder.images.length;
+    
+    const imagesPreview = folder.imageCount > 0 
+        ? `<div class="images-preview">
+             ${visibleImages.map(image => createImageThumbnail(image, folder.name)).join('')}
+             ${hiddenCount > 0 
+                 ? `<div class="more-images" data-action="${expanded ? 'loadMoreFolderImages' : 'toggleExpandedFolder'}" data-folder="${escapeHtml(folder.name)}">
+                        +${hiddenCount} more
+                    </div>` 
+                 : ''}
+             ${expanded 
+                 ? `<div class="more-images" data-action="toggleExpandedFolder" data-folder="${escapeHtml(folder.name)}">Show less</div>` 
+                 : ''}
+           </div>`
+        : '<div class="empty-state" style="padding: 1rem;">No images yet</div>';
+    
+    card.innerHTML = `
+        <div class="folder-header">
+            <div class="folder-title">
+                <div class="folder-name">${escapeHtml(folder.title)}</div>
+                <small class="folder-slug">/${escapeHtml(folder.name)}</small>
+                ${folder.description ? `<div class="folder-description">${escapeHtml(folder.description)}</div>` : ''}
+            </div>
+            <div class="folder-controls">
+                <span class="folder-status ${folder.active ? 'status-active' : 'status-inactive'}">
+                    ${folder.active ? 'Active' : 'Inactive'}
+                </span>
+                <label class="toggle-switch" title="Toggle active/inactive">
+                    <input type="checkbox" ${folder.active ? 'checked' : ''} 
+                           data-action="toggleFolderStatus" data-folder="${escapeHtml(folder.name)}">
+                    <span class="toggle-slider"></span>
+                </label>
+                <button class="edit-folder-btn" data-action="openFolder" data-folder="${escapeHtml(folder.name)}">
+                    Open${folder.childCount > 0 ? ` (${folder.childCount})` : ''}
+                </button>
+                <button class="edit-folder-btn" data-action="editFolder" data-folder="${escapeHtml(folder.name)}">
+                    Edit
+                </button>
+                <button class="edit-folder-btn" data-action="moveFolder" data-folder="${escapeHtml(folder.name)}">
+                    Move
+                </button>
+                ${folder.imageCount > 0 || folder.childCount > 0 
+                    ? `<button class="edit-folder-btn" title="Download as ZIP, with subfolders" 
+                               data-action="downloadFolder" data-folder="${escapeHtml(folder.name)}">Download all</button>` 
+                    : ''}
+                <button class="delete-folder-btn" data-action="deleteFolder" data-folder="${escapeHtml(folder.name)}">
+                    Delete
+                </button>
+            </div>
+        </div>
+        <div class="folder-info">
+            📊 ${folder.imageCount} image(s) • ${formatFileSize(folder.size || 0)}${folder.quota ? ` of ${formatFileSize(folder.quota)} quota (with subfolders)` : ''} • Status: ${folder.active ? '✅ Currently visible to users' : '❌ Hidden from users'}
+            ${folder.active ? '<br><small style="color: #48bb78; font-weight: 600;">👑 This is the active folder</small>' : ''}
+            ${folder.active && folder.includeDescendants ? '<br><small style="color: #48bb78;">📁 Its subfolders are shown too</small>' : ''}
+            ${folder.keepLocation ? '<br><small>📍 Images keep their location tags</small>' : ''}
+        </div>
+        ${imagesPreview}
+    `;
+    
+    return card;
+}
+
+function createImageThumbnail(image, folderName) {
+    const filename = image.filename;
+    
+    return `
+        <div class="thumbnail-wrapper">
+            <img src="${image.thumbnailUrl}" alt="${escapeHtml(filename)}" class="image-thumbnail" loading="lazy" 
+                 data-action="openImageModal" data-folder="${escapeHtml(folderName)}" data-filename="${escapeHtml(filename)}">
+            <div class="thumbnail-actions">
+                <button type="button" title="Rename" 
+                        data-action="renameImage" data-folder="${escapeHtml(folderName)}" data-filename="${escapeHtml(filename)}">✏️</button>
+                <button type="button" title="Move or copy to another folder" 
+                        data-action="moveImage" data-folder="${escapeHtml(folderName)}" data-filename="${escapeHtml(filename)}">📂</button>
+                <button type="button" title="Delete" class="thumbnail-delete" 
+                        data-action="deleteImage" data-folder="${escapeHtml(folderName)}" data-filename="${escapeHtml(filename)}">🗑️</button>
+            </div>
+        </div>
+    `;
+}
+
+// Show a page of a folder's images on its card, or go back to the preview
+async function toggleExpandedFolder(folderName) {
+    if (expandedImages.has(folderName)) {
+        expandedImages.delete(folderName);
+        renderFolders();
+        return;
+    }
+    
+    try {
+        expandedImages.set(folderName, await fetchFolderImages(folderName, 0, IMAGE_PAGE_SIZE));
+        renderFolders();
+    } catch (error) {
+        // Error already handled by apiCall
+    }
+}
+
+// Add the next page of images to an expanded folder card
+async function loadMoreFolderImages(folderName) {
+    const loaded = expandedImages.get(folderName);
+    if (!loaded) return;
+    
+    try {
+        const page = await fetchFolderImages(folderName, loaded.images.length, IMAGE_PAGE_SIZE);
+        expandedImages.set(folderName, { ...page, images: [...loaded.images, ...page.images] });
+        renderFolders();
+    } catch (error) {
+        // Error already handled by apiCall
+    }
+}
+
+function updateFileInfo() {
+    const files = selectedFiles.map(item => item.file);
+    const fileInfo = document.querySelector('.file-info small');
+    if (!uploadPolicy) return;
+    
+    const formatsText = uploadPolicy.formats.map(format => format.label).join(', ');
+    if (files.length > 0) {
+        const totalSize = files.reduce((total, file) => total + file.size, 0);
+        const sizeText = formatFileSize(totalSize);
+        fileInfo.textContent = `${files.length} file(s) selected (${sizeText}) - Supported formats: ${formatsText}`;
+    } else {
+        fileInfo.textContent = `Supported formats: ${formatsText} (Max ${formatFileSize(uploadPolicy.maxFileSize)} per file) or ZIP archives of images`;
+    }
+}
+
+function showProgress(show) {
+    progressSection.style.display = show ? 'block' : 'none';
+    if (!show) {
+        updateProgress(0, '');
+    }
+}
+
+function updateProgress(percent, text) {
+    progressFill.style.width = `${percent}%`;
+    progressText.textContent = text;
+}
+
+// Modal Functions
+function openImageModal(folderName, filename) {
+    const image = findLoadedImage(folderName, filename);
+    if (!image) return;
+    
+    const details = [
+        image.width && image.height ? `${image.width} × ${image.height}` : '',
+        formatFileSize(image.size),
+        image.takenAt ? `Taken ${new Date(image.takenAt).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })}` : '',
+        image.camera || '',
+        image.hasLocation ? '📍 Location kept' : ''
+    ].filter(Boolean).join(' • ');
+    
+    modalImage.src = image.path;
+    modalCaption.innerHTML = `
+        <strong>${escapeHtml(filename)}</strong><br>
+        <small>Image from ${escapeHtml(getFolderTitle(folderName))} folder</small><br>
+        <small>${escapeHtml(details)}</small>
+    `;
+    imageModal.style.display = 'block';
+}
+
+// An image shown on a folder card, from its preview or its loaded pages
+function findLoadedImage(folderName, filename) {
+    const expanded = expandedImages.get(folderName);
+    const card = folderCards.find(folder => folder.name === folderName);
+    const images = [...(expanded ? expanded.images : []), ...(card ? card.images : [])];
+    return images.find(image => image.filename === filename);
+}
+
+function closeImageModal() {
+    imageModal.style.display = 'none';
+    modalImage.src = '';
+    modalCaption.textContent = '';
+}
+
+// Toast Notifications
+function showToast(message, type = 'info') {
+    toast.textContent = message;
+    toast.className = `toast ${type} show`;
+    
+    setTimeout(() => {
+        toast.classList.remove('show');
+    }, 3000);
+}
+
+// Utility Functions
+function escapeHtml(text) {
+    const map = {
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#039;'
+    };
+    return text.replace(/[&<>"']/g, (m) => map[m]);
+}
+
+// Full path of display titles, e.g. "2026 / Event A", for folder selects
+function getFolderLabel(folder) {
+    return folder.breadcrumb.map(crumb => crumb.title).join(' / ');
+}
+
+// Display title for a folder name, falling back to the name itself
+function getFolderTitle(folderName) {
+    const folder = folders.find(f => f.name === folderName);
+    return folder ? folder.title : folderName;
+}
+
+function formatDateTime(value) {
+    return new Date(value).toLocaleString([], {
+        weekday: 'short',
+        month: 'short',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit'
+    });
+}
+
+function formatFileSize(bytes) {
+    if (bytes === 0) return '0 Bytes';
+    
+    const k = 1024;
+    const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+    const i = Math.floor(Math.log(bytes) / Math.log(k));
+    
+    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+}
+
+// Toggle folder active status
+async function toggleFolderStatus(folderName, isActive) {
+    const folder = folders.find(f => f.name === folderName);
+    const includeDescendants = isActive && folder && folder.childCount > 0
+        && confirm(`Also show the subfolders of "${folder.title}" to users?`);
+    
+    try {
+        const result = await apiCall(`/api/folders/${encodeURIComponent(folderName)}/toggle`, {
+            method: 'PATCH',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ includeDescendants })
+        });
+        
+        // Show more detailed success message
+        console.log('Toggle response:', result);
+        if (result.previousActive) {
+            showToast(`✅ Switched: "${getFolderTitle(result.previousActive)}" → "${getFolderTitle(folderName)}"`, 'success');
+        } else {
+            showToast(result.message, 'success');
+        }
+        
+        // Wait a moment then refresh to ensure server has processed the change
+        setTimeout(async () => {
+            await loadFolders();
+        }, 100);
+        
+    } catch (error) {
+        // Error already handled by apiCall
+        // Reload folders to reset the toggle state
+        await loadFolders();
+    }
+}
+
+// Controls in rendered lists name their action in data-action and its
+// arguments in data-* attributes, so folder and file names stay data
+const listActions = {
+    deleteFolder: data => deleteFolder(data.folder),
+    editFolder: data => editFolder(data.folder),
+    moveFolder: data => moveFolder(data.folder),
+    downloadFolder: data => downloadFolder(data.folder),
+    openFolder: data => openFolder(data.folder),
+    setFolderQuota: data => setFolderQuota(data.folder),
+    toggleExpandedFolder: data => toggleExpandedFolder(data.folder),
+    loadMoreFolderImages: data => loadMoreFolderImages(data.folder),
+    openImageModal: data => openImageModal(data.folder, data.filename),
+    deleteImage: data => deleteImage(data.folder, data.filename),
+    renameImage: data => renameImage(data.folder, data.filename),
+    moveImage: data => moveImage(data.folder, data.filename),
+    deleteSchedule: data => deleteSchedule(data.id),
+    restoreTrashItem: data => restoreTrashItem(data.id),
+    deleteTrashItem: data => deleteTrashItem(data.id),
+    cancelPendingUpload: data => cancelPendingUpload(data.id),
+    removeSelectedFile: data => removeSelectedFile(Number(data.index))
+};
+
+function setupListActions() {
+    document.addEventListener('click', (e) => {
+        const control = e.target.closest('[data-action]');
+        if (!control || control.type === 'checkbox' || !listActions[control.dataset.action]) return;
+        e.preventDefault();
+        listActions[control.dataset.action](control.dataset);
+    });
+    
+    document.addEventListener('change', (e) => {
+        if (e.target.dataset.action === 'toggleFolderStatus') {
+            toggleFolderStatus(e.target.dataset.folder, e.target.checked);
+        }
+    });
+}
\ No newline at end of file
@@ -0,0 +1,72 @@
+// DOM Elements
+const loginForm = document.getElementById('loginForm');
+const usernameInput = document.getElementById('usernameInput');
+const passwordInput = document.getElementById('passwordInput');
+const loginBtn = document.getElementById('loginBtn');
+const toast = document.getElementById('toast');
+
+// Initialize app
+document.addEventListener('DOMContentLoaded', () => {
+    loginForm.addEventListener('submit', login);
+    usernameInput.focus();
+});
+
+// Log in and go back to the page that asked for it
+async function login(e) {
+    e.preventDefault();
+    
+    try {
+        loginBtn.disabled = true;
+        loginBtn.textContent = 'Signing in...';
+        
+        const response = await fetch('/api/auth/login', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                username: usernameInput.value.trim(),
+                password: passwordInput.value
+            })
+        });
+        const data = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(data.error || `HTTP ${response.status}: ${response.statusText}`);
+        }
+        
+        window.location.href = getNextUrl(data.user.role);
+        
+    } catch (error) {
+        console.error('Login failed:', error);
+        showToast(error.message || 'Login failed', 'error');
+        passwordInput.value = '';
+        passwordInput.focus();
+    } finally {
+        loginBtn.disabled = false;
+        loginBtn.textContent = 'Sign In';
+    }
+}
+
+// Only follow same-origin paths from the ?next= parameter. Browsers read
+// "/\host" like "//host", so the path is resolved before it is trusted.
+function getNextUrl(role) {
+    const next = new URLSearchParams(window.location.search).get('next');
+    if (next && next.startsWith('/')) {
+        const url = new URL(next, window.location.origin);
+        if (url.origin === window.location.origin) {
+            return url.pathname + url.search + url.hash;
+        }
+    }
+    return role === 'admin' ? '/admin' : '/user';
+}
+
+// Toast Notifications
+function showToast(message, type = 'info') {
+    toast.textContent = message;
+    toast.className = `toast ${type} show`;
+    
+    setTimeout(() => {
+        toast.classList.remove('show');
+    }, 3000);
+}
@@ -17,11 +17,13 @@ const closeModal = document.querySelector('.close');
 
 // State
 let folders = [];
+let uploadPolicy = null; // Size and file limits and formats from /api/config
 
 // Initialize app
 document.addEventListener('DOMContentLoaded', async () => {
     // Test server connectivity first
     await testServerConnection();
+    loadUploadPolicy();
     loadFolders();
     setupEventListeners();
 });
@@ -178,14 +180,18 @@ async function uploadImages(e) {
     }
     
     // Validate file types and sizes
+    if (uploadPolicy && files.length > uploadPolicy.maxFiles) {
+        showToast(`Too many files (max ${uploadPolicy.maxFiles} per upload)`, 'error');
+        return;
+    }
     for (let file of files) {
-        if (!file.type.startsWith('image/')) {
-            showToast(`${file.name} is not an image file`, 'error');
+        if (uploadPolicy && !getUploadFormat(file.name)) {
+            showToast(`${file.name} is not a supported image file`, 'error');
             return;
         }
         
-        if (file.size > 10 * 1024 * 1024) { // 10MB
-            showToast(`${file.name} is too large (max 10MB)`, 'error');
+        if (uploadPolicy && file.size > uploadPolicy.maxFileSize) {
+            showToast(`${file.name} is too large (max ${formatFileSize(uploadPolicy.maxFileSize)})`, 'error');
             return;
         }
     }
@@ -311,16 +317,36 @@ function createFolderCard(folder) {
     return card;
 }
 
+// Load the server's upload policy, which the file checks and help text follow
+async function loadUploadPolicy() {
+    try {
+        const data = await apiCall('/api/config');
+        uploadPolicy = data.upload;
+        imageInput.accept = uploadPolicy.formats.flatMap(format => [...format.mimeTypes, ...format.extensions]).join(',');
+        updateFileInfo();
+    } catch (error) {
+        // Error already handled by apiCall
+    }
+}
+
+// The allowed format a file name declares, or undefined
+function getUploadFormat(filename) {
+    const ext = filename.includes('.') ? `.${filename.split('.').pop().toLowerCase()}` : '';
+    return uploadPolicy.formats.find(format => format.extensions.includes(ext));
+}
+
 function updateFileInfo() {
     const files = imageInput.files;
     const fileInfo = document.querySelector('.file-info small');
+    if (!uploadPolicy) return;
     
+    const formatsText = uploadPolicy.formats.map(format => format.label).join(', ');
     if (files.length > 0) {
         const totalSize = Array.from(files).reduce((total, file) => total + file.size, 0);
         const sizeText = formatFileSize(totalSize);
-        fileInfo.textContent = `${files.length} file(s) selected (${sizeText}) - Supported formats: JPG, PNG, GIF, WebP, SVG`;
+        fileInfo.textContent = `${files.length} file(s) selected (${sizeText}) - Supported formats: ${formatsText}`;
     } else {
-        fileInfo.textContent = 'Supported formats: JPG, PNG, GIF, WebP, SVG (Max 10MB per file, up to 10 files)';
+        fileInfo.textContent = `Supported formats: ${formatsText} (Max ${formatFileSize(uploadPolicy.maxFileSize)} per file, up to ${uploadPolicy.maxFiles} files)`;
     }
 }
 
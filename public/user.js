@@ -1,6 +1,7 @@
 // DOM Elements
 const imagesGrid = document.getElementById('imagesGrid');
-const folderFilter = document.getElementById('folderFilter');
+const folderBreadcrumb = document.getElementById('folderBreadcrumb');
+const subfolderChips = document.getElementById('subfolderChips');
 const filterSection = document.getElementById('filterSection');
 const toast = document.getElementById('toast');
 const imageModal = document.getElementById('imageModal');
@@ -8,12 +9,37 @@ const modalImage = document.getElementById('modalImage');
 const modalCaption = document.getElementById('modalCaption');
 const closeModal = document.querySelector('.close');
 const liveIndicator = document.getElementById('liveIndicator');
+const loadMoreBtn = document.getElementById('loadMoreBtn');
+const downloadAllBtn = document.getElementById('downloadAllBtn');
 
 // State
-let folders = [];
-let allImages = [];
-let filteredImages = [];
-let selectedFolder = 'all';
+let folders = []; // Folders shown to users, without their images
+let loadedImages = []; // Images of the selected folder loaded so far
+let imageCursor = null; // Where the next page of images comes from
+let imageRequest = 0; // Bumped on every reload so stale pages are dropped
+let selectedFolder = 'all'; // 'all' or a folder name; its subfolders are included
+let eventSource = null;
+let pollTimer = null;
+
+// Folder/image events pushed by the server
+const GALLERY_EVENTS = [
+    'folder-activated',
+    'folder-deactivated',
+    'folder-created',
+    'folder-deleted',
+    'images-uploaded',
+    'images-changed',
+    'folder-updated',
+    'folder-restored'
+];
+const POLL_INTERVAL = 5000;
+const FOLDER_PAGE_SIZE = 200;
+const IMAGE_PAGE_SIZE = 48;
+
+// Widths the gallery offers the browser for each image, and how wide a card
+// is shown: the whole screen on phones, otherwise at most about 500px
+const GALLERY_WIDTHS = [320, 640, 960, 1280];
+const GALLERY_SIZES = '(max-width: 600px) 100vw, 500px';
 
 // Initialize app
 document.addEventListener('DOMContentLoaded', async () => {
@@ -21,6 +47,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     await testServerConnection();
     loadActiveFolders();
     setupEventListeners();
+    connectLiveUpdates();
 });
 
 // Test server connection
@@ -53,11 +80,11 @@ function setupEventListeners() {
         if (e.key === 'Escape') closeImageModal();
     });
     
-    // Filter events
-    folderFilter.addEventListener('change', (e) => {
-        selectedFolder = e.target.value;
-        filterAndRenderImages();
-    });
+    // Paging
+    loadMoreBtn.addEventListener('click', showMoreImages);
+    
+    // Download
+    downloadAllBtn.addEventListener('click', downloadSelection);
 }
 
 // API Functions
@@ -67,6 +94,12 @@ async function apiCall(url, options = {}) {
         
         const response = await fetch(url, options);
         
+        // Viewer login is required on this server and the session is gone
+        if (response.status === 401) {
+            window.location.href = `/login?next=${encodeURIComponent(window.location.pathname)}`;
+            throw new Error('Please log in again');
+        }
+        
         // Check if response is ok first
         if (!response.ok) {
             let errorMessage;
@@ -101,106 +134,315 @@ async function apiCall(url, options = {}) {
     }
 }
 
-// Load active folders from server
-async function loadActiveFolders() {
+// Load active folders from server. With `force`, the images are reloaded
+// even if the folder list didn't change (e.g. after an image was renamed).
+async function loadActiveFolders(force = false) {
     try {
         // Only show loading on initial load, not on auto-refresh
         if (folders.length === 0) {
             imagesGrid.innerHTML = '<div class="loading">Loading images...</div>';
         }
         
-        const newFolders = await apiCall('/api/folders/active');
+        const newFolders = await fetchAllPages('/api/folders/active?images=0', 'folders');
+        await applyFolders(newFolders, force);
         
-        // Check if folders have changed
-        if (JSON.stringify(folders) !== JSON.stringify(newFolders)) {
-            const wasEmpty = folders.length === 0;
-            const oldImageCount = allImages.length;
-            
-            folders = newFolders;
-            processImagesFromFolders();
-            updateFolderFilter();
-            filterAndRenderImages();
-            
-            // Show notification when content is updated (except on initial load)
-            if (!wasEmpty) {
-                const newImageCount = allImages.length;
-                if (newImageCount > oldImageCount) {
-                    showToast(`${newImageCount - oldImageCount} new image(s) available!`, 'success');
-                } else if (newImageCount < oldImageCount) {
-                    showToast('Some images were removed by admin', 'info');
-                } else {
-                    showToast('Gallery updated!', 'info');
-                }
-            }
+        // While polling, the indicator reflects the last poll
+        if (pollTimer) {
+            updateLiveIndicator('polling');
         }
         
-        // Update live indicator
-        updateLiveIndicator('connected');
-        
     } catch (error) {
         if (folders.length === 0) {
             imagesGrid.innerHTML = '<div class="empty-state">Failed to load images</div>';
         }
-        updateLiveIndicator('error');
+        if (pollTimer) {
+            updateLiveIndicator('error');
+        }
     }
 }
 
-// Process images from all active folders
-function processImagesFromFolders() {
-    allImages = [];
+// Fetch every page of a paged listing and return the combined items
+async function fetchAllPages(url, key) {
+    const items = [];
     
-    folders.forEach(folder => {
-        folder.images.forEach(imagePath => {
-            allImages.push({
-                path: imagePath,
-                folderName: folder.name,
-                filename: imagePath.split('/').pop()
-            });
+    for (let offset = 0; ; offset += FOLDER_PAGE_SIZE) {
+        const page = await apiCall(`${url}&limit=${FOLDER_PAGE_SIZE}&offset=${offset}`);
+        items.push(...page[key]);
+        if (!page.hasMore) return items;
+    }
+}
+
+// Replace the gallery contents if the active folders changed
+async function applyFolders(newFolders, force = false) {
+    if (!force && JSON.stringify(folders) === JSON.stringify(newFolders)) {
+        return;
+    }
+    
+    const wasEmpty = folders.length === 0;
+    const oldImageCount = countImages();
+    
+    folders = newFolders;
+    updateFolderNavigation();
+    await reloadImages();
+    
+    // Show notification when content is updated (except on initial load)
+    if (!wasEmpty) {
+        const newImageCount = countImages();
+        if (newImageCount > oldImageCount) {
+            showToast(`${newImageCount - oldImageCount} new image(s) available!`, 'success');
+        } else if (newImageCount < oldImageCount) {
+            showToast('Some images were removed by admin', 'info');
+        } else {
+            showToast('Gallery updated!', 'info');
+        }
+    }
+}
+
+// Image Paging
+// Images are loaded a page at a time from the top folders of the selection,
+// each together with its subfolders, one folder after the other.
+function resetImageCursor() {
+    const visibleNames = new Set(folders.map(folder => folder.name));
+    const roots = selectedFolder === 'all'
+        ? folders.filter(folder => !visibleNames.has(folder.parent)).map(folder => folder.name)
+        : [selectedFolder];
+    
+    imageCursor = { roots, index: 0, offset: 0 };
+}
+
+function hasMoreImages() {
+    return Boolean(imageCursor) && imageCursor.index < imageCursor.roots.length;
+}
+
+// Load up to `count` more images. Returns them, or null if the gallery was
+// reloaded in the meantime.
+async function fetchImages(count) {
+    const request = imageRequest;
+    const images = [];
+    
+    while (hasMoreImages() && images.length < count) {
+        const folderName = imageCursor.roots[imageCursor.index];
+        const page = await apiCall(
+            `/api/folders/${encodeURIComponent(folderName)}/images?descendants=true` +
+            `&limit=${Math.min(count - images.length, 200)}&offset=${imageCursor.offset}`
+        );
+        if (request !== imageRequest) return null;
+        
+        images.push(...page.images.map(image => ({
+            path: image.path,
+            thumbnailUrl: image.thumbnailUrl,
+            transformUrl: image.transformUrl,
+            folderName: image.folder,
+            folderTitle: getFolderTitle(image.folder),
+            filename: image.filename,
+            width: image.width,
+            height: image.height,
+            takenAt: image.takenAt,
+            camera: image.camera
+        })));
+        
+        if (page.hasMore) {
+            imageCursor.offset += page.images.length;
+        } else {
+            imageCursor.index++;
+            imageCursor.offset = 0;
+        }
+    }
+    return images;
+}
+
+// Start over from the first page, keeping at least as many images as were shown
+async function reloadImages() {
+    const count = Math.max(loadedImages.length, IMAGE_PAGE_SIZE);
+    imageRequest++;
+    resetImageCursor();
+    
+    try {
+        const images = await fetchImages(count);
+        if (!images) return;
+        
+        loadedImages = images;
+        renderImages();
+    } catch (error) {
+        imagesGrid.innerHTML = '<div class="empty-state">Failed to load images</div>';
+    }
+}
+
+async function showMoreImages() {
+    try {
+        loadMoreBtn.disabled = true;
+        const images = await fetchImages(IMAGE_PAGE_SIZE);
+        if (!images) return;
+        
+        loadedImages.push(...images);
+        images.forEach(image => imagesGrid.appendChild(createImageCard(image)));
+        updateLoadMoreButton();
+    } catch (error) {
+        // Error already handled by apiCall
+    } finally {
+        loadMoreBtn.disabled = false;
+    }
+}
+
+function updateLoadMoreButton() {
+    loadMoreBtn.style.display = hasMoreImages() ? 'block' : 'none';
+}
+
+// Live Updates
+// The server pushes changes over Server-Sent Events. Polling only runs while
+// the stream is unavailable and stops as soon as it reconnects.
+function connectLiveUpdates() {
+    if (!window.EventSource) {
+        startPolling();
+        return;
+    }
+    
+    eventSource = new EventSource('/api/events');
+    
+    eventSource.addEventListener('open', () => {
+        stopPolling();
+        updateLiveIndicator('connected');
+        // Catch up on anything missed while disconnected
+        loadActiveFolders();
+    });
+    
+    // EventSource keeps retrying by itself; poll in the meantime
+    eventSource.addEventListener('error', () => {
+        startPolling();
+    });
+    
+    GALLERY_EVENTS.forEach(type => {
+        eventSource.addEventListener(type, (e) => {
+            const data = JSON.parse(e.data);
+            console.log('Live update:', type, data);
+            loadActiveFolders(true);
         });
     });
 }
 
-// Update folder filter dropdown
-function updateFolderFilter() {
-    folderFilter.innerHTML = '<option value="all">All Folders</option>';
+function startPolling() {
+    if (pollTimer) return;
+    
+    updateLiveIndicator('polling');
+    pollTimer = setInterval(loadActiveFolders, POLL_INTERVAL);
+}
+
+function stopPolling() {
+    clearInterval(pollTimer);
+    pollTimer = null;
+}
+
+// Whether a folder is the given folder or one of its subfolders
+function isInFolder(folderName, parentName) {
+    return folderName === parentName || folderName.startsWith(`${parentName}/`);
+}
+
+// Update the breadcrumb and subfolder chips for the selected folder
+function updateFolderNavigation() {
+    const visibleNames = new Set(folders.map(folder => folder.name));
+    
+    // Fall back to all folders when the selected one is no longer shown
+    if (selectedFolder !== 'all' && !visibleNames.has(selectedFolder)) {
+        selectedFolder = 'all';
+    }
     
-    folders.forEach(folder => {
-        const option = document.createElement('option');
-        option.value = folder.name;
-        option.textContent = `${folder.name} (${folder.imageCount} images)`;
-        folderFilter.appendChild(option);
+    const current = folders.find(folder => folder.name === selectedFolder);
+    
+    // Breadcrumb: only the part of the path that users can see
+    const trail = current ? current.breadcrumb.filter(crumb => visibleNames.has(crumb.name)) : [];
+    folderBreadcrumb.innerHTML = '';
+    [{ name: 'all', title: 'All Folders' }, ...trail].forEach((crumb, i, crumbs) => {
+        if (i > 0) {
+            const separator = document.createElement('span');
+            separator.className = 'breadcrumb-separator';
+            separator.textContent = '›';
+            folderBreadcrumb.appendChild(separator);
+        }
+        
+        const item = document.createElement(i === crumbs.length - 1 ? 'span' : 'a');
+        item.textContent = crumb.title;
+        if (i === crumbs.length - 1) {
+            item.className = 'breadcrumb-current';
+        } else {
+            item.href = '#';
+            item.addEventListener('click', (e) => {
+                e.preventDefault();
+                selectFolder(crumb.name);
+            });
+        }
+        folderBreadcrumb.appendChild(item);
     });
     
-    // Show/hide filter section based on number of folders
-    filterSection.style.display = folders.length > 1 ? 'block' : 'none';
+    // Chips for the folders one level below the selection
+    const children = current
+        ? folders.filter(folder => folder.parent === current.name)
+        : folders.filter(folder => !visibleNames.has(folder.parent));
+    
+    subfolderChips.innerHTML = '';
+    children.forEach(folder => {
+        const chip = document.createElement('button');
+        chip.type = 'button';
+        chip.className = 'subfolder-chip';
+        chip.textContent = `📁 ${folder.title} (${countImages(folder.name)})`;
+        chip.addEventListener('click', () => selectFolder(folder.name));
+        subfolderChips.appendChild(chip);
+    });
+    
+    // The bar is shown whenever there is something to download; the
+    // breadcrumb only when there is more than one folder to navigate
+    filterSection.style.display = countImages() > 0 ? 'block' : 'none';
+    folderBreadcrumb.style.visibility = folders.length > 1 ? 'visible' : 'hidden';
 }
 
-// Filter and render images
-function filterAndRenderImages() {
-    if (selectedFolder === 'all') {
-        filteredImages = [...allImages];
-    } else {
-        filteredImages = allImages.filter(image => image.folderName === selectedFolder);
-    }
+// Download the selected folder, or the folders shown when none is selected,
+// as a ZIP archive
+function downloadSelection() {
+    const visibleNames = new Set(folders.map(folder => folder.name));
+    const folderName = selectedFolder === 'all'
+        ? (folders.find(folder => !visibleNames.has(folder.parent)) || {}).name
+        : selectedFolder;
     
-    renderImages();
+    if (!folderName) return;
+    window.location.href = `/api/folders/${encodeURIComponent(folderName)}/archive?descendants=true`;
+}
+
+// Number of images in a folder and its visible subfolders, or in all of them
+function countImages(folderName) {
+    return folders
+        .filter(folder => !folderName || isInFolder(folder.name, folderName))
+        .reduce((total, folder) => total + folder.imageCount, 0);
+}
+
+// Display title for a folder name, falling back to the name itself
+function getFolderTitle(folderName) {
+    const folder = folders.find(f => f.name === folderName);
+    return folder ? folder.title : folderName;
+}
+
+function selectFolder(folderName) {
+    selectedFolder = folderName;
+    updateFolderNavigation();
+    loadedImages = [];
+    reloadImages();
 }
 
 // UI Update Functions
 function renderImages() {
-    if (allImages.length === 0) {
+    updateLoadMoreButton();
+    
+    if (countImages() === 0) {
         imagesGrid.innerHTML = `
             <div class="empty-state">
                 <div style="margin-bottom: 1rem;">�️</div>
                 <h3>No images are currently available</h3>
                 <p>Images will appear here automatically when the administrator activates folders with images.</p>
-                <small style="color: #718096;">This page updates automatically every 5 seconds.</small>
+                <small style="color: #718096;">This page updates automatically when content changes.</small>
             </div>
         `;
         return;
     }
     
-    if (filteredImages.length === 0) {
+    if (loadedImages.length === 0) {
         imagesGrid.innerHTML = `
             <div class="empty-state">
                 <div style="margin-bottom: 1rem;">🔍</div>
@@ -217,7 +459,7 @@ function renderImages() {
     setTimeout(() => {
         imagesGrid.innerHTML = '';
         
-        filteredImages.forEach(image => {
+        loadedImages.forEach(image => {
             const imageCard = createImageCard(image);
             imagesGrid.appendChild(imageCard);
         });
@@ -232,26 +474,34 @@ function createImageCard(image) {
     
     card.innerHTML = `
         <div class="image-container">
-            <img src="${image.path}" alt="${image.filename}" class="gallery-image" 
-                 onclick="openImageModal('${image.path}', '${image.folderName}', '${image.filename}')">
+            <img src="${image.thumbnailUrl}" srcset="${escapeHtml(getSrcset(image))}" sizes="${GALLERY_SIZES}"
+                 alt="${escapeHtml(image.filename)}" class="gallery-image" loading="lazy">
             <div class="image-overlay">
                 <div class="image-info">
                     <div class="image-filename">${escapeHtml(image.filename)}</div>
-                    <div class="image-folder">📁 ${escapeHtml(image.folderName)}</div>
+                    <div class="image-folder">📁 ${escapeHtml(image.folderTitle)}</div>
                 </div>
             </div>
         </div>
     `;
     
+    // Titles can contain any character, so don't build the handler as an HTML string
+    card.querySelector('.gallery-image').addEventListener('click', () => {
+        openImageModal(image);
+    });
+    
     return card;
 }
 
 // Modal Functions
-function openImageModal(imagePath, folderName, filename) {
-    modalImage.src = imagePath;
+function openImageModal(image) {
+    const details = describeImageMetadata(image);
+    
+    modalImage.src = image.path;
     modalCaption.innerHTML = `
-        <strong>${escapeHtml(filename || 'Image')}</strong><br>
-        <small>from ${escapeHtml(folderName)} folder</small>
+        <strong>${escapeHtml(image.filename || 'Image')}</strong><br>
+        <small>from ${escapeHtml(image.folderTitle)} folder</small>
+        ${details ? `<br><small>${escapeHtml(details)}</small>` : ''}
     `;
     imageModal.style.display = 'block';
 }
@@ -273,6 +523,30 @@ function showToast(message, type = 'info') {
 }
 
 // Utility Functions
+
+// Resized WebP versions of an image for its srcset, so the browser loads the
+// one that fits the card and the screen's pixel density. SVG images scale by
+// themselves.
+function getSrcset(image) {
+    if (!image.transformUrl || /\.svg$/i.test(image.filename)) return '';
+    return GALLERY_WIDTHS.map(width => `${image.transformUrl}?w=${width}&format=webp ${width}w`).join(', ');
+}
+
+// Dimensions, capture date and camera of an image, as far as they are known
+function describeImageMetadata(image) {
+    const parts = [];
+    if (image.width && image.height) {
+        parts.push(`${image.width} × ${image.height}`);
+    }
+    if (image.takenAt) {
+        parts.push(`Taken ${new Date(image.takenAt).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })}`);
+    }
+    if (image.camera) {
+        parts.push(image.camera);
+    }
+    return parts.join(' • ');
+}
+
 function escapeHtml(text) {
     const map = {
         '&': '&amp;',
@@ -296,6 +570,10 @@ function updateLiveIndicator(status) {
             dot.style.background = '#48bb78';
             text.textContent = 'Live Updates';
             break;
+        case 'polling':
+            dot.style.background = '#ecc94b';
+            text.textContent = 'Polling (live stream unavailable)';
+            break;
         case 'updating':
             dot.style.background = '#ed8936';
             text.textContent = 'Updating...';
@@ -310,12 +588,7 @@ function updateLiveIndicator(status) {
 // Global functions for HTML onclick handlers
 window.openImageModal = openImageModal;
 
-// Auto-refresh every 5 seconds to get updated folder list for real-time updates
-setInterval(() => {
-    loadActiveFolders();
-}, 5000);
-
-// Also add visibility change listener to refresh when tab becomes visible
+// Refresh when the tab becomes visible again
 document.addEventListener('visibilitychange', () => {
     if (!document.hidden) {
         loadActiveFolders();
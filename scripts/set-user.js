@@ -0,0 +1,42 @@
+#!/usr/bin/env node
+// Add a user to the local user store, or reset an existing user's password/role.
+//
+// Usage: npm run set-user -- <username> [admin|viewer]
+// The password is read from FOLDSELECT_PASSWORD or prompted for.
+
+const readline = require('readline');
+const auth = require('../lib/auth');
+const { loadConfig } = require('../lib/config');
+
+const { usersJson: usersFile } = loadConfig();
+const [username, role = 'admin'] = process.argv.slice(2);
+
+if (!username || !auth.ROLES[role]) {
+  console.error('Usage: npm run set-user -- <username> [admin|viewer]');
+  process.exit(1);
+}
+
+function askPassword() {
+  if (process.env.FOLDSELECT_PASSWORD) {
+    return Promise.resolve(process.env.FOLDSELECT_PASSWORD);
+  }
+
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise(resolve => {
+    rl.question(`Password for ${username}: `, answer => {
+      rl.close();
+      resolve(answer);
+    });
+  });
+}
+
+askPassword().then(password => {
+  if (!password || password.length < 8) {
+    console.error('Password must be at least 8 characters');
+    process.exit(1);
+  }
+
+  auth.initAuth({ usersFile });
+  auth.setUser(username, password, role);
+  console.log(`Saved ${role} user "${username}" to ${usersFile}`);
+});
@@ -1,23 +1,93 @@
 const express = require('express');
 const multer = require('multer');
+const os = require('os');
 const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
 const fs = require('fs-extra');
+const archiver = require('archiver');
+const auth = require('./lib/auth');
+const { DUPLICATE_POLICIES, loadConfig } = require('./lib/config');
+const quota = require('./lib/quota');
+const renditions = require('./lib/renditions');
+const events = require('./lib/events');
+const store = require('./lib/store');
+const scheduler = require('./lib/scheduler');
+const imageType = require('./lib/image-type');
+const trash = require('./lib/trash');
+const audit = require('./lib/audit');
+const uploadSessions = require('./lib/upload-sessions');
+const zipImport = require('./lib/zip-import');
+const folderNames = require('./lib/folder-names');
+const imageFiles = require('./lib/image-files');
+const library = require('./lib/library');
+const apiV1 = require('./lib/api-v1');
+const apiSpec = require('./lib/api-spec');
+
+// Settings from foldselect.config.json and the environment, checked up front
+const config = loadConfig();
 
 const app = express();
-const PORT = process.env.PORT || 3000;
-const uploadFolder = process.env.UPLOAD_FOLDER || 'uploads';
-const folderJson = process.env.FOLDER_JSON || 'folders.json';
+const PORT = config.port;
+const uploadFolder = config.uploadFolder;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const DEFAULT_PREVIEW_IMAGES = 6;
+const DISK_SYNC_INTERVAL = 30 * 1000;
+const folderJson = config.folderJson;
+const databaseFile = config.databaseFile;
+const usersJson = config.usersJson;
+const renditionsFolder = config.renditionsFolder;
+const trashFolder = config.trashFolder;
+const trashRetentionDays = config.trashRetentionDays;
+const uploadSessionsFolder = config.uploadSessionsFolder;
+const uploadSessionHours = config.uploadSessionHours;
+
+// The upload policy: also sent to the admin page by GET /api/config
+const { maxFileSizeMb, maxFileSize, maxFiles, maxArchiveSizeMb, maxArchiveSize, formats: uploadFormats, duplicatePolicy, svgUploads } = config.upload;
+
+// Only raster images are shown inline when an upload is opened directly
+const INLINE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif', '.webp'];
+
+// Load the user store and make sure an admin account exists
+auth.initAuth({
+  usersFile: usersJson,
+  requireViewerLogin: config.requireViewerLogin
+});
+auth.ensureAdminUser();
+
+const requireAdmin = auth.requireRole('admin');
+const requireViewer = auth.requireRole('viewer');
 
 // Middleware
+// /api/v1 requests are checked against the API spec and then handled by the
+// /api routes below, with errors as { error: { code, message, details } }
+app.use(apiV1.routeVersion({ validateResponses: config.api.validateResponses }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
-app.use(express.static('public'));
-app.use('/uploads', express.static(uploadFolder));
+app.use(apiV1.validateRequest());
+
+// Protected pages must go through their guarded routes, not the static middleware
+app.get('/admin.html', (req, res) => res.redirect('/admin'));
+app.get('/user.html', (req, res) => res.redirect('/user'));
+
+app.use(express.static('public', { index: false }));
+app.use('/uploads', requireViewer, requireVisibleImage, express.static(uploadFolder, {
+  // Uploaded files can't run anything in the app's origin, even when opened
+  // directly; they still display in <img> elements
+  setHeaders: (res, filePath) => {
+    res.setHeader('Content-Security-Policy', "default-src 'none'; img-src data:; style-src 'unsafe-inline'; sandbox");
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    if (!INLINE_EXTENSIONS.includes(path.extname(filePath).toLowerCase())) {
+      res.attachment(path.basename(filePath));
+    }
+  }
+}));
 
 // CORS middleware
 app.use((req, res, next) => {
   res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
   res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
   
   if (req.method === 'OPTIONS') {
@@ -30,68 +100,305 @@ app.use((req, res, next) => {
 // Ensure uploads directory exists
 fs.ensureDirSync(uploadFolder);
 
-// Create folders.json file to store folder status if it doesn't exist
-if (!fs.existsSync(folderJson)) {
-  fs.writeJsonSync(folderJson, { folders: {} });
+// Thumbnails and other resized copies are cached outside the uploads directory
+renditions.initRenditions({
+  uploadFolder,
+  cacheFolder: renditionsFolder,
+  maxTransformSize: config.transforms.maxSize,
+  maxVariants: config.transforms.maxVariants,
+  maxConcurrentTransforms: config.transforms.maxConcurrent
+});
+
+// Open the metadata store. Folder states from an old folders.json are
+// imported on the first start.
+try {
+  store.initStore({ databaseFile, importFile: folderJson });
+} catch (error) {
+  console.error(`Failed to open metadata store: ${error.message}`);
+  process.exit(1);
+}
+
+// Deleted folders and images go to the trash until they are restored or purged
+trash.initTrash({ uploadFolder, trashFolder, retentionDays: trashRetentionDays });
+
+// Resumable uploads keep the chunks received so far on disk
+uploadSessions.initUploadSessions({ sessionsFolder: uploadSessionsFolder, expiryHours: uploadSessionHours });
+
+// Uploaded and imported images are checked against the allowed formats
+imageFiles.initImageFiles({ uploadFolder, formats: uploadFormats, svgUploads });
+library.initLibrary({ uploadFolder });
+
+// Uploads have to fit in the folder quotas, the storage quota and the disk
+quota.initQuota({ uploadFolder, storageQuota: config.storageQuotaMb && Math.round(config.storageQuotaMb * 1024 * 1024) });
+
+// Helper function to record a file of an upload that was not accepted, so
+// the other files of the request can still be added
+function rejectUploadedFile(req, file, error) {
+  req.rejectedFiles = req.rejectedFiles || [];
+  req.rejectedFiles.push({ originalName: file.originalname, error });
+}
+
+// Pass bytes through until more than `maxSize` have been read. Later bytes
+// are read but dropped, so the rest of the request can still be parsed.
+function dropAfter(maxSize) {
+  let total = 0;
+  const stream = new Transform({
+    transform(chunk, encoding, callback) {
+      total += chunk.length;
+      if (total > maxSize) {
+        stream.tooLarge = true;
+        return callback();
+      }
+      callback(null, chunk);
+    }
+  });
+  return stream;
+}
+
+// Helper function to get the space left for the files of a multipart
+// upload. The first file checks the size of the whole request, so an upload
+// that can't fit is refused before anything is written; files then take
+// their size off what is left.
+function getUploadSpace(req, folderName) {
+  if (!req.uploadSpace) {
+    req.uploadSpace = quota.checkSpace(folderName, Number(req.headers['content-length']) || 0);
+  }
+  return req.uploadSpace;
+}
+
+function uploadFolderError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Helper function to check the folder of a multipart upload once, when its
+// first file arrives. The folderName field has to be sent before the files,
+// and the folder has to exist. Resolves with the folder name.
+function getUploadFolder(req) {
+  if (!req.uploadFolder) {
+    const { folderName } = req.body;
+    req.uploadFolder = (async () => {
+      if (typeof folderName !== 'string' || folderName === '') {
+        throw uploadFolderError('FOLDER_REQUIRED', 'folderName is required and must be sent before the files');
+      }
+      const folderPath = resolveFolderPath(folderName);
+      if (!folderPath || !(await fs.pathExists(folderPath))) {
+        throw uploadFolderError('FOLDER_NOT_FOUND', 'Folder not found');
+      }
+      return folderName;
+    })();
+  }
+  return req.uploadFolder;
 }
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    const folderName = req.body.folderName || 'default';
-    const folderPath = path.join(uploadFolder, folderName);
+// Configure multer for file uploads. Files are written like multer's disk
+// storage, but one that is over the size limit is rejected on its own
+// instead of failing the whole upload.
+const storage = {
+  _handleFile(req, file, cb) {
+    getUploadFolder(req).then(async folderName => {
+      const folderPath = resolveFolderPath(folderName);
+      const space = await getUploadSpace(req, folderName);
+      const filename = imageFiles.getUploadFilename(file.originalname);
+      const filePath = path.join(folderPath, filename);
+      const limit = dropAfter(Math.min(maxFileSize, space.bytes));
 
-    // Create folder if it doesn't exist
-    fs.ensureDirSync(folderPath);
-    cb(null, folderPath);
+      return pipeline(file.stream, limit, fs.createWriteStream(filePath))
+        .then(async () => {
+          if (limit.tooLarge) {
+            await fs.remove(filePath);
+            rejectUploadedFile(req, file, space.bytes < maxFileSize
+              ? `Not enough space: ${space.reason}`
+              : `File too large (max ${maxFileSizeMb}MB)`);
+            return cb(null, { rejected: true });
+          }
+          
+          let savedName;
+          try {
+            savedName = await imageFiles.checkUploadedImage(folderPath, filename, file.mimetype);
+          } catch (error) {
+            await fs.remove(filePath);
+            rejectUploadedFile(req, file, error.message);
+            return cb(null, { rejected: true });
+          }
+          const savedPath = path.join(folderPath, savedName);
+          const { size } = await fs.stat(savedPath);
+          space.bytes -= size;
+          cb(null, { destination: folderPath, filename: savedName, path: savedPath, size });
+        })
+        .catch(error => {
+          fs.remove(filePath).finally(() => cb(error));
+        });
+    }).catch(cb);
   },
-  filename: function (req, file, cb) {
-    // Keep original filename with timestamp to avoid conflicts
-    const timestamp = Date.now();
-    const ext = path.extname(file.originalname);
-    const name = path.basename(file.originalname, ext);
-    cb(null, `${name}_${timestamp}${ext}`);
+  _removeFile(req, file, cb) {
+    if (!file.path) return cb(null);
+    fs.remove(file.path).then(() => cb(null), cb);
   }
-});
+};
 
-// File filter to only allow images
+// File filter to only allow images; other files are reported back
 const fileFilter = (req, file, cb) => {
-  const allowedTypes = /jpeg|jpg|png|gif|webp|svg/;
-  const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
-  const mimetype = allowedTypes.test(file.mimetype);
-
-  if (mimetype && extname) {
-    return cb(null, true);
-  } else {
-    cb(new Error('Only image files are allowed!'));
+  try {
+    imageType.checkImageName(file.originalname, file.mimetype, uploadFormats);
+    cb(null, true);
+  } catch (error) {
+    rejectUploadedFile(req, file, error.message);
+    cb(null, false);
   }
 };
 
 const upload = multer({
   storage: storage,
-  fileFilter: fileFilter,
+  fileFilter: fileFilter
+});
+
+// ZIP archives for bulk imports are kept in a temporary file while their
+// entries are extracted
+const archiveUpload = multer({
+  dest: path.join(os.tmpdir(), 'foldselect-imports'),
+  fileFilter: (req, file, cb) => {
+    if (path.extname(file.originalname).toLowerCase() === '.zip') {
+      return cb(null, true);
+    }
+    cb(new Error('Only ZIP archives are allowed!'));
+  },
   limits: {
-    fileSize: 10 * 1024 * 1024 // 10MB limit
+    fileSize: maxArchiveSize,
+    files: 1
   }
 });
 
 // Routes
 
 // Serve admin page (default)
-app.get('/', (req, res) => {
+app.get('/', auth.requirePageRole('admin'), (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'admin.html'));
 });
 
 // Serve admin page explicitly
-app.get('/admin', (req, res) => {
+app.get('/admin', auth.requirePageRole('admin'), (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'admin.html'));
 });
 
 // Serve user page
-app.get('/user', (req, res) => {
+app.get('/user', auth.requirePageRole('viewer'), (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'user.html'));
 });
 
+// Serve login page
+app.get('/login', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'login.html'));
+});
+
+// Log in with a username and password. The session token is set as an
+// HttpOnly cookie for the browser and returned for API/script clients.
+app.post('/api/auth/login', (req, res) => {
+  const { username, password } = req.body;
+
+  if (typeof username !== 'string' || typeof password !== 'string' || !username || !password) {
+    return res.status(400).json({ error: 'Username and password are required' });
+  }
+
+  const user = auth.authenticate(username, password);
+  if (!user) {
+    console.log(`Failed login attempt for "${username}"`);
+    recordAction(req, 'user.login-failed', { actor: String(username).slice(0, 100), details: { ip: req.ip } });
+    return res.status(401).json({ error: 'Invalid username or password' });
+  }
+
+  const token = auth.createSession(user);
+  res.cookie(auth.SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: req.secure,
+    maxAge: auth.SESSION_TTL
+  });
+
+  console.log(`User "${user.username}" logged in as ${user.role}`);
+  recordAction(req, 'user.login', { actor: user.username, details: { role: user.role, ip: req.ip } });
+  res.json({ message: 'Logged in successfully', user, token });
+});
+
+// Log out and end the current session
+app.post('/api/auth/logout', (req, res) => {
+  const token = auth.getToken(req);
+  if (token) {
+    auth.destroySession(token);
+  }
+  res.clearCookie(auth.SESSION_COOKIE);
+  res.json({ message: 'Logged out successfully' });
+});
+
+// Get the currently logged in user
+app.get('/api/auth/me', (req, res) => {
+  const user = auth.getSessionUser(req);
+  if (!user) {
+    return res.status(401).json({ error: 'Not logged in' });
+  }
+  res.json({ user });
+});
+
+// Serve a resized rendition of an image, rebuilding it if it is missing
+app.get('/renditions/:size/:folderName/:filename', requireViewer, async (req, res) => {
+  try {
+    const { size, folderName, filename } = req.params;
+    const imagePath = resolveImagePath(folderName, filename);
+
+    if (!renditions.RENDITIONS[size] || !imagePath || !isImageFile(filename) || !canSeeFolder(req, folderName) ||
+        !(await fs.pathExists(imagePath))) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+
+    if (!renditions.needsRendition(filename)) {
+      return res.redirect(`/uploads/${encodeURIComponent(folderName)}/${encodeURIComponent(filename)}`);
+    }
+
+    const renditionPath = await renditions.ensureRendition(size, folderName, filename);
+    res.sendFile(path.resolve(renditionPath));
+  } catch (error) {
+    console.error('Error serving rendition:', error);
+    res.status(500).json({ error: 'Failed to generate image rendition' });
+  }
+});
+
+// Serve an image resized and converted on request (?w=&h=&fit=&format=&q=),
+// cached on disk
+app.get('/transform/:folderName/:filename', requireViewer, async (req, res) => {
+  try {
+    const { folderName, filename } = req.params;
+    const imagePath = resolveImagePath(folderName, filename);
+
+    if (!imagePath || !isImageFile(filename) || !canSeeFolder(req, folderName) || !(await fs.pathExists(imagePath))) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+
+    if (!renditions.needsRendition(filename)) {
+      return res.redirect(`/uploads/${encodeURIComponent(folderName)}/${encodeURIComponent(filename)}`);
+    }
+
+    const transform = renditions.parseTransform(req.query);
+    const transformPath = await renditions.ensureTransform(folderName, filename, transform);
+    // Not every MIME table knows AVIF
+    res.type(renditions.TRANSFORM_FORMATS[transform.format].mimeType);
+    res.sendFile(path.resolve(transformPath));
+  } catch (error) {
+    if (error.code === 'INVALID_TRANSFORM') {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
+    if (error.code === 'TOO_MANY_VARIANTS') {
+      return res.status(429).json({ error: error.message, code: error.code });
+    }
+    if (error.code === 'TRANSFORMS_BUSY') {
+      res.set('Retry-After', '1');
+      return res.status(503).json({ error: error.message, code: error.code });
+    }
+    console.error('Error transforming image:', error);
+    res.status(500).json({ error: 'Failed to transform image' });
+  }
+});
+
 // Health check endpoint
 app.get('/api/health', (req, res) => {
   res.json({ 
@@ -101,19 +408,22 @@ app.get('/api/health', (req, res) => {
   });
 });
 
+// Get the OpenAPI document of the versioned API (/api/v1)
+const openApiDocument = apiSpec.buildOpenApi();
+app.get('/api/openapi.json', (req, res) => {
+  res.json(openApiDocument);
+});
+
 // Get currently active folder
-app.get('/api/folders/current-active', (req, res) => {
+app.get('/api/folders/current-active', requireAdmin, (req, res) => {
   try {
-    const foldersConfig = getFoldersConfig();
-    const activeFolders = Object.keys(foldersConfig.folders).filter(
-      folder => foldersConfig.folders[folder].active
-    );
+    const activeFolders = store.getActiveFolderNames();
     
     res.json({
       activeFolders: activeFolders,
       activeFolder: activeFolders[0] || null,
       activeCount: activeFolders.length,
-      allFolders: foldersConfig.folders,
+      allFolders: getFolderStates(),
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -123,223 +433,477 @@ app.get('/api/folders/current-active', (req, res) => {
 });
 
 // Debug endpoint to check folder states
-app.get('/api/debug/folders', (req, res) => {
+app.get('/api/debug/folders', requireAdmin, (req, res) => {
   try {
-    const foldersConfig = getFoldersConfig();
+    const folderStates = getFolderStates();
     res.json({
-      config: foldersConfig,
-      activeFolders: Object.keys(foldersConfig.folders).filter(f => foldersConfig.folders[f].active),
-      totalFolders: Object.keys(foldersConfig.folders).length
+      config: { folders: folderStates },
+      activeFolders: store.getActiveFolderNames(),
+      totalFolders: Object.keys(folderStates).length
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Helper function to get folder config
-function getFoldersConfig() {
+// Helper function to get every folder's state keyed by folder name
+function getFolderStates() {
+  const states = {};
+  for (const { name, ...state } of store.listFolders()) {
+    states[name] = state;
+  }
+  return states;
+}
+
+// Helper function to check whether a filename has an image extension
+function isImageFile(file) {
+  return imageType.formatOfName(file) !== null;
+}
+
+// Helper function to resolve a folder inside the uploads directory.
+// Returns null for names that would escape it (e.g. "..", "/etc").
+function resolveFolderPath(folderName) {
+  return folderNames.resolveFolderPath(uploadFolder, folderName);
+}
+
+// Helper function to pick a slug that isn't used by a sibling folder yet
+function getAvailableSlug(parent, slug) {
+  return folderNames.getAvailableSlug(uploadFolder, parent, slug);
+}
+
+// Helper function to resolve an image file inside a folder
+function resolveImagePath(folderName, filename) {
+  const folderPath = resolveFolderPath(folderName);
+  if (!folderPath || !filename || path.basename(filename) !== filename || filename.startsWith('.')) {
+    return null;
+  }
+  return path.join(folderPath, filename);
+}
+
+// Helper function to check whether the user may see a folder's images:
+// admins see every folder, viewers only the folders shown to users
+function canSeeFolder(req, folderName) {
+  return Boolean(req.user && req.user.role === 'admin') || store.isFolderVisible(folderName);
+}
+
+// Middleware for /uploads that hides the files of folders the user can't see
+function requireVisibleImage(req, res, next) {
+  let folderName;
   try {
-    return fs.readJsonSync(folderJson);
+    folderName = path.posix.dirname(decodeURIComponent(req.path).slice(1));
   } catch (error) {
-    return { folders: {} };
+    return res.status(404).json({ error: 'Image not found' });
+  }
+  if (!canSeeFolder(req, folderName)) {
+    return res.status(404).json({ error: 'Image not found' });
   }
+  next();
 }
 
-// Helper function to save folder config
-function saveFoldersConfig(config) {
-  fs.writeJsonSync(folderJson, config);
+// Helper function to build the URLs for an image and its renditions
+function describeImage(folderName, filename) {
+  return {
+    filename,
+    path: `/uploads/${folderName}/${filename}`,
+    thumbnailUrl: renditions.getRenditionUrl('thumbnail', folderName, filename),
+    mediumUrl: renditions.getRenditionUrl('medium', folderName, filename),
+    transformUrl: renditions.getTransformUrl(folderName, filename)
+  };
 }
 
-// Get list of existing folders (for admin)
-app.get('/api/folders', async (req, res) => {
-  try {
-    const uploadsDir = uploadFolder;
-    const foldersConfig = getFoldersConfig();
-    const items = await fs.readdir(uploadsDir);
-    const folders = [];
-    
-    // Clean up config - remove entries for folders that don't exist physically
-    const existingFolderNames = [];
-    
-    for (const item of items) {
-      const itemPath = path.join(uploadsDir, item);
-      const stat = await fs.stat(itemPath);
-      if (stat.isDirectory()) {
-        existingFolderNames.push(item);
-        const files = await fs.readdir(itemPath);
-        const imageFiles = files.filter(file => {
-          const ext = path.extname(file).toLowerCase();
-          return ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.svg'].includes(ext);
-        });
-        
-        // Ensure folder exists in config and get status
-        if (!foldersConfig.folders[item]) {
-          foldersConfig.folders[item] = { active: false, createdAt: new Date().toISOString() };
-        }
-        
-        const isActive = foldersConfig.folders[item]?.active || false;
-        
-        folders.push({
-          name: item,
-          imageCount: imageFiles.length,
-          images: imageFiles.map(file => `/uploads/${item}/${file}`),
-          active: isActive
-        });
+// Helper function to describe an image from its store row, with the
+// metadata read from the file when it was added
+function describeStoredImage(image) {
+  const { folderName, filename, ...details } = image;
+  return {
+    ...describeImage(folderName, filename),
+    folder: folderName,
+    ...details
+  };
+}
+
+// Helper function to describe a single image
+async function getImageInfo(folderName, filename) {
+  const stat = await fs.stat(resolveImagePath(folderName, filename));
+  const image = store.getImage(folderName, filename);
+  return {
+    ...(image ? describeStoredImage(image) : describeImage(folderName, filename)),
+    folder: folderName,
+    size: stat.size,
+    createdAt: stat.birthtime.toISOString(),
+    modifiedAt: stat.mtime.toISOString()
+  };
+}
+
+// Helper function to bring the metadata store in line with the uploads
+// directory, picking up folders and images added or removed outside the app.
+// Listings are served from the store, which every route keeps up to date, so
+// the disk is only rescanned every DISK_SYNC_INTERVAL.
+let lastDiskSync = 0;
+let diskSync = null;
+
+async function syncFromDisk() {
+  if (Date.now() - lastDiskSync < DISK_SYNC_INTERVAL) return;
+  
+  if (!diskSync) {
+    diskSync = imageFiles.syncWithDisk().then(() => {
+      lastDiskSync = Date.now();
+    }).finally(() => {
+      diskSync = null;
+    });
+  }
+  await diskSync;
+}
+
+// Helper function to read paging, sorting and search options from a query
+// string. Returns { options } or { error }.
+function getListOptions(query, sorts) {
+  const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+  const offset = query.offset === undefined ? 0 : Number(query.offset);
+  
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return { error: `limit must be a number from 1 to ${MAX_PAGE_SIZE}` };
+  }
+  if (!Number.isInteger(offset) || offset < 0) {
+    return { error: 'offset must be a number of 0 or more' };
+  }
+  if (query.sort !== undefined && !sorts[query.sort]) {
+    return { error: `sort must be one of: ${Object.keys(sorts).join(', ')}` };
+  }
+  if (query.order !== undefined && !['asc', 'desc'].includes(query.order)) {
+    return { error: 'order must be asc or desc' };
+  }
+  
+  return {
+    options: {
+      limit,
+      offset,
+      sort: query.sort,
+      order: query.order,
+      search: typeof query.q === 'string' && query.q.trim() !== '' ? query.q.trim().slice(0, 100) : undefined
+    }
+  };
+}
+
+// Helper function to read the folder filters (`parent`, `active` and the
+// number of preview `images` per folder) from a query string.
+// Returns { filters } or { error }.
+function getFolderFilters(query) {
+  const filters = {};
+  
+  if (query.parent !== undefined) {
+    if (query.parent !== '' && !folderNames.isValidFolderName(query.parent)) {
+      return { error: 'Invalid parent folder' };
+    }
+    filters.parent = query.parent;
+  }
+  
+  if (query.active !== undefined) {
+    if (!['true', 'false'].includes(query.active)) {
+      return { error: 'active must be true or false' };
+    }
+    filters.active = query.active === 'true';
+  }
+  
+  filters.imageLimit = query.images === undefined ? DEFAULT_PREVIEW_IMAGES : Number(query.images);
+  if (!Number.isInteger(filters.imageLimit) || filters.imageLimit < 0 || filters.imageLimit > MAX_PAGE_SIZE) {
+    return { error: `images must be a number from 0 to ${MAX_PAGE_SIZE}` };
+  }
+  
+  return { filters };
+}
+
+// Helper function to read the audit log filters (`action`, a comma-separated
+// list, `folder`, `actor`, and the `from` and `to` times) from a query string.
+// Returns { filters } or { error }.
+function getAuditFilters(query) {
+  const filters = {};
+  
+  if (query.action !== undefined && query.action !== '') {
+    filters.actions = String(query.action).split(',').map(action => action.trim()).filter(Boolean);
+    const unknown = filters.actions.find(action => !audit.ACTIONS.includes(action));
+    if (unknown) {
+      return { error: `Unknown action "${unknown}". Actions: ${audit.ACTIONS.join(', ')}` };
+    }
+  }
+  
+  if (query.folder !== undefined && query.folder !== '') {
+    if (!folderNames.isValidFolderName(query.folder)) {
+      return { error: 'Invalid folder' };
+    }
+    filters.folderName = query.folder;
+  }
+  
+  if (query.actor !== undefined && query.actor !== '') {
+    filters.actor = String(query.actor);
+  }
+  
+  for (const key of ['from', 'to']) {
+    if (query[key] !== undefined && query[key] !== '') {
+      const date = new Date(query[key]);
+      if (isNaN(date)) {
+        return { error: `${key} must be a valid date` };
       }
+      filters[key] = date.toISOString();
     }
+  }
+  if (filters.from && filters.to && filters.from > filters.to) {
+    return { error: 'from must be before to' };
+  }
+  
+  return { filters };
+}
+
+// Helper function to wrap one page of results with its paging details
+function toPage(key, items, total, options) {
+  return {
+    [key]: items,
+    total,
+    offset: options.offset,
+    limit: options.limit,
+    hasMore: options.offset + items.length < total
+  };
+}
+
+// Helper function to get the breadcrumb trail (names and titles) of a folder
+function getBreadcrumb(folderName) {
+  const segments = folderName.split('/');
+  return segments.map((segment, i) => {
+    const name = segments.slice(0, i + 1).join('/');
+    const folder = store.getFolder(name);
+    return { name, title: folder ? folder.title : segment };
+  });
+}
+
+// Helper function to list one page of folders, each with the first
+// `imageLimit` of its images. With `visibleOnly`, only folders shown to users
+// are listed: the active folder, plus its descendants when it includes them.
+function listFolderPage(options, { imageLimit, visibleOnly = false }) {
+  const { folders, total } = store.queryFolders({ ...options, visibleOnly });
+  const activeRoot = store.getFolder(store.getActiveFolderNames()[0] || '');
+  
+  const described = folders.map(folder => {
+    const includedBy = activeRoot && activeRoot.includeDescendants && folder.name.startsWith(`${activeRoot.name}/`)
+      ? activeRoot.name
+      : undefined;
+    const images = imageLimit > 0 ? store.queryImages(folder.name, { limit: imageLimit }).images : [];
     
-    // Remove deleted folders from config
-    let configChanged = false;
-    Object.keys(foldersConfig.folders).forEach(folderName => {
-      if (!existingFolderNames.includes(folderName)) {
-        delete foldersConfig.folders[folderName];
-        configChanged = true;
-      }
+    return {
+      name: folder.name,
+      parent: folder.parent,
+      title: folder.title,
+      description: folder.description,
+      breadcrumb: getBreadcrumb(folder.name),
+      childCount: folder.childCount,
+      imageCount: folder.imageCount,
+      size: visibleOnly ? undefined : folder.size,
+      quota: visibleOnly ? undefined : folder.quota,
+      images: images.map(describeStoredImage),
+      active: visibleOnly ? true : folder.active,
+      includeDescendants: folder.includeDescendants,
+      keepLocation: visibleOnly ? undefined : folder.keepLocation,
+      includedBy,
+      createdAt: folder.createdAt
+    };
+  });
+  
+  return toPage('folders', described, total, options);
+}
+
+// Helper function to check the duplicate policy asked for by an upload or
+// import. Returns { policy } (the server default when none is given) or { error }.
+function getDuplicatePolicy(value) {
+  if (value === undefined || value === '') {
+    return { policy: duplicatePolicy };
+  }
+  if (!DUPLICATE_POLICIES.includes(value)) {
+    return { error: `duplicates must be one of: ${DUPLICATE_POLICIES.join(', ')}` };
+  }
+  return { policy: value };
+}
+
+// Helper function to describe a duplicate found by prepareUploadedImages and
+// what was done with it
+function describeDuplicate(folderName, file, status) {
+  return {
+    originalName: file.originalname,
+    filename: file.filename,
+    status,
+    duplicateOf: {
+      ...describeImage(folderName, file.duplicateOf),
+      folder: folderName
+    }
+  };
+}
+
+// Statuses of the errors thrown by library operations
+const LIBRARY_ERROR_STATUS = {
+  BAD_REQUEST: 400,
+  FOLDER_EXISTS: 400,
+  NOT_FOUND: 404,
+  QUOTA_EXCEEDED: 413
+};
+
+// Helper function to answer an error thrown by a library operation. Returns
+// false for other errors, which are left to the route.
+function sendLibraryError(res, error) {
+  const status = LIBRARY_ERROR_STATUS[error.code];
+  if (!status) return false;
+  res.status(status).json({ error: error.message, code: error.code });
+  return true;
+}
+
+// Helper function to push a change to connected galleries. Clients fetch
+// the pages they show again when they receive it.
+async function notifyClients(type, details = {}) {
+  if (events.clientCount() === 0) return;
+
+  try {
+    events.broadcast(type, {
+      ...details,
+      timestamp: new Date().toISOString()
     });
+  } catch (error) {
+    console.error(`Error sending ${type} event:`, error);
+  }
+}
+
+// Helper function to record a change made by the logged in user in the audit log
+function recordAction(req, action, entry = {}) {
+  audit.record(action, { actor: req.user && req.user.username, ...entry });
+}
+
+// Get a page of folders (for admin). Query: limit, offset, sort (name,
+// title, createdAt, imageCount), order (asc, desc), q (name or title search),
+// parent, active and images (preview images per folder).
+app.get('/api/folders', requireAdmin, async (req, res) => {
+  try {
+    const { options, error } = getListOptions(req.query, store.FOLDER_SORTS);
+    const { filters, error: filterError } = getFolderFilters(req.query);
     
-    if (configChanged) {
-      saveFoldersConfig(foldersConfig);
+    if (error || filterError) {
+      return res.status(400).json({ error: error || filterError });
     }
     
-    res.json(folders);
+    await syncFromDisk();
+    res.json(listFolderPage({ ...options, parent: filters.parent, active: filters.active }, {
+      imageLimit: filters.imageLimit
+    }));
   } catch (error) {
     console.error('Error reading folders:', error);
     res.status(500).json({ error: 'Failed to read folders' });
   }
 });
 
-// Get list of active folders (for users)
-app.get('/api/folders/active', async (req, res) => {
+// Get a page of the folders shown to users. Takes the same query options as
+// /api/folders, except `active`.
+app.get('/api/folders/active', requireViewer, async (req, res) => {
   try {
-    const uploadsDir = uploadFolder;
-    const foldersConfig = getFoldersConfig();
-    const items = await fs.readdir(uploadsDir);
-    const folders = [];
-    const existingFolderNames = [];
-    
-    for (const item of items) {
-      const itemPath = path.join(uploadsDir, item);
-      const stat = await fs.stat(itemPath);
-      if (stat.isDirectory()) {
-        existingFolderNames.push(item);
-        // Only include active folders
-        const isActive = foldersConfig.folders[item]?.active || false;
-        if (!isActive) continue;
-        
-        const files = await fs.readdir(itemPath);
-        const imageFiles = files.filter(file => {
-          const ext = path.extname(file).toLowerCase();
-          return ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.svg'].includes(ext);
-        });
-        
-        folders.push({
-          name: item,
-          imageCount: imageFiles.length,
-          images: imageFiles.map(file => `/uploads/${item}/${file}`),
-          active: true
-        });
-      }
-    }
-    
-    // Clean up config - remove entries for folders that don't exist physically
-    let configChanged = false;
-    Object.keys(foldersConfig.folders).forEach(folderName => {
-      if (!existingFolderNames.includes(folderName)) {
-        delete foldersConfig.folders[folderName];
-        configChanged = true;
-      }
-    });
+    const { options, error } = getListOptions(req.query, store.FOLDER_SORTS);
+    const { filters, error: filterError } = getFolderFilters(req.query);
     
-    if (configChanged) {
-      saveFoldersConfig(foldersConfig);
+    if (error || filterError) {
+      return res.status(400).json({ error: error || filterError });
     }
     
-    res.json(folders);
+    await syncFromDisk();
+    res.json(listFolderPage({ ...options, parent: filters.parent }, {
+      imageLimit: filters.imageLimit,
+      visibleOnly: true
+    }));
   } catch (error) {
     console.error('Error reading active folders:', error);
     res.status(500).json({ error: 'Failed to read active folders' });
   }
 });
 
-// Create new folder
-app.post('/api/folders', async (req, res) => {
+// Stream folder and image changes to galleries as Server-Sent Events
+app.get('/api/events', requireViewer, (req, res) => {
+  events.addClient(req, res);
+});
+
+// Create new folder. `folderName` is the display title (any Unicode text);
+// the on-disk name is a slug derived from it, or the optional `slug`,
+// placed below the optional `parent` folder.
+app.post('/api/folders', requireAdmin, async (req, res) => {
   try {
-    const { folderName } = req.body;
+    const { folderName, slug, description, parent } = req.body;
+    const { folderName: name, title } = await library.createFolder({ title: folderName, slug, description, parent });
     
-    if (!folderName || folderName.trim() === '') {
-      return res.status(400).json({ error: 'Folder name is required' });
-    }
-    
-    // Sanitize folder name
-    const sanitizedName = folderName.replace(/[^a-zA-Z0-9-_\s]/g, '').trim();
-    if (sanitizedName === '') {
-      return res.status(400).json({ error: 'Invalid folder name' });
-    }
+    notifyClients('folder-created', { folderName: name });
+    recordAction(req, 'folder.create', { folderName: name, after: store.getFolder(name) });
     
-    const folderPath = path.join(uploadFolder, sanitizedName);
+    res.json({ message: 'Folder created successfully', folderName: name, title });
+  } catch (error) {
+    if (sendLibraryError(res, error)) return;
+    console.error('Error creating folder:', error);
+    res.status(500).json({ error: 'Failed to create folder' });
+  }
+});
+
+// Update a folder's display title and description, rename it on disk
+// (`name`, the new last slug) or move it with its subtree under another
+// folder (`parent`, "" for the top level). Renames and moves keep the
+// active state, timestamps and schedules of every folder in the subtree.
+// `quotaMb` limits the space of the folder with its subfolders (null for none).
+app.patch('/api/folders/:folderName', requireAdmin, async (req, res) => {
+  try {
+    const { folderName } = req.params;
+    const { title, description, name, parent, keepLocation, quotaMb } = req.body;
+    const { before, folder } = await library.updateFolder(folderName, { title, description, name, parent, keepLocation, quotaMb });
     
-    // Check if folder already exists
-    if (await fs.pathExists(folderPath)) {
-      return res.status(400).json({ error: 'Folder already exists' });
+    if (folder.name !== folderName) {
+      console.log(`Folder moved: ${folderName} -> ${folder.name}`);
     }
+    notifyClients('folder-updated', { folderName: folder.name, previousName: folderName });
+    recordAction(req, 'folder.update', { folderName: folder.name, before, after: folder });
     
-    await fs.ensureDir(folderPath);
-    
-    // Add folder to config as inactive by default
-    const foldersConfig = getFoldersConfig();
-    foldersConfig.folders[sanitizedName] = { active: false, createdAt: new Date().toISOString() };
-    saveFoldersConfig(foldersConfig);
-    
-    res.json({ message: 'Folder created successfully', folderName: sanitizedName });
+    res.json({ message: 'Folder updated successfully', previousName: folderName, folder });
   } catch (error) {
-    console.error('Error creating folder:', error);
-    res.status(500).json({ error: 'Failed to create folder' });
+    if (sendLibraryError(res, error)) return;
+    console.error('Error updating folder:', error);
+    res.status(500).json({ error: 'Failed to update folder' });
   }
 });
 
 // Toggle folder active status (only one folder can be active at a time)
-app.patch('/api/folders/:folderName/toggle', async (req, res) => {
+app.patch('/api/folders/:folderName/toggle', requireAdmin, async (req, res) => {
   try {
     const { folderName } = req.params;
-    let foldersConfig = getFoldersConfig();
+    const includeDescendants = Boolean(req.body && req.body.includeDescendants);
     
-    // Ensure the folder exists in config
-    if (!foldersConfig.folders[folderName]) {
-      foldersConfig.folders[folderName] = { active: false, createdAt: new Date().toISOString() };
+    const folderPath = resolveFolderPath(folderName);
+    if (!folderPath || !(await fs.pathExists(folderPath))) {
+      return res.status(404).json({ error: 'Folder not found' });
     }
     
-    const currentStatus = foldersConfig.folders[folderName].active || false;
+    // Ensure the folder exists in the store
+    const folder = store.ensureFolder(folderName);
+    
+    const currentStatus = folder.active;
     console.log(`Toggle request for ${folderName}, current status: ${currentStatus}`);
     
     if (!currentStatus) {
-      // ACTIVATING this folder
-      
-      // First, find which folder is currently active
-      const currentlyActiveFolder = Object.keys(foldersConfig.folders).find(
-        folder => foldersConfig.folders[folder].active === true
-      );
-      
-      console.log(`Currently active folder: ${currentlyActiveFolder || 'none'}`);
-      
-      // FORCE deactivate ALL folders to ensure clean state
-      Object.keys(foldersConfig.folders).forEach(folder => {
-        foldersConfig.folders[folder].active = false;
-        if (folder !== folderName) {
-          foldersConfig.folders[folder].deactivatedAt = new Date().toISOString();
-        }
-      });
-      
-      // Now activate ONLY the selected folder
-      foldersConfig.folders[folderName].active = true;
-      foldersConfig.folders[folderName].activatedAt = new Date().toISOString();
-      
-      // Save the configuration
-      saveFoldersConfig(foldersConfig);
+      // ACTIVATING this folder - every other folder is deactivated in the same transaction
+      const currentlyActiveFolder = store.activateFolder(folderName, { includeDescendants });
+      console.log(`Previously active folder: ${currentlyActiveFolder || 'none'}`);
       
-      // Verify the save worked
-      const verifyConfig = getFoldersConfig();
-      const activeCount = Object.values(verifyConfig.folders).filter(f => f.active).length;
+      const activeCount = store.getActiveFolderNames().length;
       console.log(`After activation - Active folders count: ${activeCount}, Active folder: ${folderName}`);
+      notifyClients('folder-activated', { folderName, previousActive: currentlyActiveFolder });
+      recordAction(req, 'folder.activate', {
+        folderName,
+        before: { active: false, activeFolder: currentlyActiveFolder },
+        after: { active: true, includeDescendants }
+      });
+      if (currentlyActiveFolder) {
+        recordAction(req, 'folder.deactivate', {
+          folderName: currentlyActiveFolder,
+          before: { active: true },
+          after: { active: false },
+          details: { replacedBy: folderName }
+        });
+      }
       
       res.json({ 
         message: currentlyActiveFolder 
@@ -347,17 +911,18 @@ app.patch('/api/folders/:folderName/toggle', async (req, res) => {
           : `Folder "${folderName}" activated successfully.`,
         folderName,
         active: true,
-        previousActive: currentlyActiveFolder || null,
+        includeDescendants,
+        previousActive: currentlyActiveFolder,
         totalActiveFolders: activeCount
       });
       
     } else {
       // DEACTIVATING the current folder
-      foldersConfig.folders[folderName].active = false;
-      foldersConfig.folders[folderName].deactivatedAt = new Date().toISOString();
-      saveFoldersConfig(foldersConfig);
+      store.deactivateFolder(folderName);
       
       console.log(`Folder deactivated: ${folderName}`);
+      notifyClients('folder-deactivated', { folderName });
+      recordAction(req, 'folder.deactivate', { folderName, before: { active: true }, after: { active: false } });
       
       res.json({ 
         message: `Folder "${folderName}" deactivated successfully`,
@@ -371,66 +936,1018 @@ app.patch('/api/folders/:folderName/toggle', async (req, res) => {
   }
 });
 
-// Upload images to folder
-app.post('/api/upload', upload.array('images', 10), (req, res) => {
+// Helper function to record the images an upload added, one entry per batch
+function recordUpload(req, folderName, files, details = {}) {
+  if (files.length === 0) return;
+  recordAction(req, 'image.upload', {
+    folderName,
+    filename: files.length === 1 ? files[0].filename : undefined,
+    after: { files: files.map(file => ({ filename: file.filename, size: file.size })) },
+    details
+  });
+}
+
+// Helper function to add a batch of images written into a folder, following
+// the duplicate policy. Returns the { status, body } to respond with: 409
+// when every file was a rejected duplicate, 400 when every file was refused.
+// Refused files are listed in `rejected`.
+async function addUploadBatch(folderName, files, policy) {
+  const { added, duplicates, refused } = await library.addImages(folderName, files, policy);
+  const rejected = refused.map(file => ({ originalName: file.originalname, error: file.error }));
+  
+  if (added.length === 0 && duplicates.length === 0) {
+    return { status: 400, body: { error: `No files uploaded: ${rejected[0].error}`, rejected } };
+  }
+  if (added.length === 0 && policy === 'reject') {
+    return {
+      status: 409,
+      body: {
+        error: `${duplicates.length} image(s) are already in this folder; nothing was uploaded`,
+        duplicates: duplicates.map(file => describeDuplicate(folderName, file, file.status)),
+        rejected
+      }
+    };
+  }
+  
+  const uploadedFiles = added.map(file => ({
+    ...describeStoredImage(store.getImage(folderName, file.filename)),
+    originalName: file.originalname,
+    size: file.size
+  }));
+  if (uploadedFiles.length > 0) {
+    notifyClients('images-uploaded', { folderName, count: uploadedFiles.length });
+  }
+  
+  return {
+    status: 200,
+    body: {
+      message: policy !== 'allow' && duplicates.length > 0
+        ? `Uploaded ${uploadedFiles.length} image(s), ${policy === 'skip' ? 'skipped' : 'rejected'} ${duplicates.length} duplicate(s)`
+        : 'Files uploaded successfully',
+      files: uploadedFiles,
+      duplicates: duplicates.map(file => describeDuplicate(folderName, file, file.status)),
+      rejected,
+      folder: folderName
+    }
+  };
+}
+
+// Get the upload policy, for the pages to check files and describe the
+// limits the way the server applies them
+app.get('/api/config', requireViewer, (req, res) => {
+  res.json({
+    upload: {
+      maxFileSize,
+      maxFiles,
+      maxArchiveSize,
+      chunkSize: uploadSessions.CHUNK_SIZE,
+      duplicatePolicy,
+      formats: uploadFormats.map(format => {
+        const { label, extensions, mimeTypes } = imageType.FORMATS[format];
+        return { format, label, extensions, mimeTypes };
+      })
+    }
+  });
+});
+
+// Upload images to folder. `duplicates` (reject, skip or allow) overrides
+// the server's duplicate policy for this upload. Files that aren't images or
+// are too large are listed in `rejected` with the reason; the others are
+// still uploaded.
+app.post('/api/upload', requireAdmin, upload.array('images', maxFiles), async (req, res) => {
   try {
-    const { folderName } = req.body;
+    const files = (req.files || []).filter(file => !file.rejected);
+    const rejected = req.rejectedFiles || [];
     
-    if (!req.files || req.files.length === 0) {
-      return res.status(400).json({ error: 'No files uploaded' });
+    if (files.length === 0) {
+      return res.status(400).json({
+        error: rejected.length > 0 ? `No files uploaded: ${rejected[0].error}` : 'No files uploaded',
+        rejected
+      });
     }
     
-    const uploadedFiles = req.files.map(file => ({
-      originalName: file.originalname,
-      filename: file.filename,
-      path: `/uploads/${folderName}/${file.filename}`,
-      size: file.size
-    }));
+    const { policy, error } = getDuplicatePolicy(req.body.duplicates);
+    if (error) {
+      await Promise.all(files.map(file => fs.remove(file.path)));
+      return res.status(400).json({ error });
+    }
     
-    res.json({
-      message: 'Files uploaded successfully',
-      files: uploadedFiles,
-      folder: folderName
-    });
-  } catch (error) {
+    // Every file went to the folder checked when the first one arrived
+    const folderName = await req.uploadFolder;
+    const { status, body } = await addUploadBatch(folderName, files, policy);
+    rejected.push(...body.rejected);
+    if (status === 200) {
+      recordUpload(req, folderName, body.files, { duplicates: body.duplicates.length, rejected: rejected.length });
+    }
+    if (status === 200 && rejected.length > 0) {
+      body.message = `Uploaded ${body.files.length} image(s); ${rejected.length} file(s) were rejected`;
+    }
+    res.status(status).json({ ...body, rejected });
+  } catch (error) {
     console.error('Error uploading files:', error);
     res.status(500).json({ error: 'Failed to upload files' });
   }
 });
 
+// Resumable uploads, for large files and unreliable connections:
+//   POST /api/uploads              { folderName, filename, size, type } opens a session
+//   PUT /api/uploads/:id?offset=N  sends the next chunk (application/octet-stream)
+//   GET /api/uploads/:id           returns the offset to resume from
+//   POST /api/uploads/:id/complete adds the assembled image to its folder
+// Chunks start at the offset the server has reached and are at most
+// `chunkSize` bytes. A chunk cut off by a dropped connection keeps the bytes
+// that arrived, so the client asks for the offset and continues from there.
+
+// Get the open upload sessions of the current user
+app.get('/api/uploads', requireAdmin, async (req, res) => {
+  try {
+    res.json({
+      chunkSize: uploadSessions.CHUNK_SIZE,
+      maxFileSize,
+      sessions: await uploadSessions.listSessions(req.user.username)
+    });
+  } catch (error) {
+    console.error('Error listing upload sessions:', error);
+    res.status(500).json({ error: 'Failed to list upload sessions' });
+  }
+});
+
+// Open an upload session for one image
+app.post('/api/uploads', requireAdmin, async (req, res) => {
+  try {
+    const { folderName, filename, size, type } = req.body;
+    
+    if (!folderNames.isValidFolderName(folderName) || !store.getFolder(folderName)) {
+      return res.status(404).json({ error: 'Folder not found' });
+    }
+    if (typeof filename !== 'string' || !filename.trim() || filename.length > 255) {
+      return res.status(400).json({ error: 'filename is required' });
+    }
+    try {
+      imageType.checkImageName(filename, typeof type === 'string' ? type : '', uploadFormats);
+    } catch (typeError) {
+      return res.status(400).json({ error: typeError.message });
+    }
+    if (!Number.isInteger(size) || size <= 0) {
+      return res.status(400).json({ error: 'size must be a positive number of bytes' });
+    }
+    if (size > maxFileSize) {
+      return res.status(413).json({ error: `File too large (max ${maxFileSizeMb}MB)` });
+    }
+    
+    // The size is reserved while the session is open, so it is checked once here
+    const space = await quota.getAvailableSpace(folderName);
+    if (size > space.bytes) {
+      return res.status(413).json({ error: `Not enough space: ${space.reason}` });
+    }
+    
+    const session = await uploadSessions.createSession({
+      folderName,
+      filename: path.basename(filename.replace(/\\/g, '/')),
+      size,
+      mimeType: type,
+      createdBy: req.user.username
+    });
+    res.status(201).json(session);
+  } catch (error) {
+    console.error('Error creating upload session:', error);
+    res.status(500).json({ error: 'Failed to create upload session' });
+  }
+});
+
+// Get an upload session and the offset to resume from
+app.get('/api/uploads/:id', requireAdmin, async (req, res) => {
+  try {
+    const session = await uploadSessions.getSession(req.params.id);
+    if (!session) {
+      return res.status(404).json({ error: 'Upload session not found' });
+    }
+    res.json(session);
+  } catch (error) {
+    console.error('Error getting upload session:', error);
+    res.status(500).json({ error: 'Failed to get upload session' });
+  }
+});
+
+// Send the chunk starting at `offset`
+app.put('/api/uploads/:id', requireAdmin, async (req, res) => {
+  const offset = Number(req.query.offset);
+  
+  try {
+    if (!req.is('application/octet-stream')) {
+      req.resume();
+      return res.status(415).json({ error: 'Chunks must be sent as application/octet-stream' });
+    }
+    if (!Number.isInteger(offset) || offset < 0) {
+      req.resume();
+      return res.status(400).json({ error: 'offset must be a number of bytes' });
+    }
+    
+    const newOffset = await uploadSessions.appendChunk(req.params.id, offset, req);
+    const session = await uploadSessions.getSession(req.params.id);
+    res.json({ offset: newOffset, size: session.size });
+  } catch (error) {
+    // The client resumes from the offset the server has reached
+    const current = async () => {
+      const session = await uploadSessions.getSession(req.params.id);
+      return session ? session.offset : undefined;
+    };
+    
+    if (error.code === 'SESSION_NOT_FOUND') {
+      req.resume();
+      return res.status(404).json({ error: error.message, code: error.code });
+    }
+    if (error.code === 'OFFSET_MISMATCH' || error.code === 'SESSION_BUSY') {
+      req.resume();
+      return res.status(409).json({ error: error.message, code: error.code, offset: await current() });
+    }
+    if (error.code === 'CHUNK_TOO_LARGE') {
+      req.resume();
+      return res.status(413).json({ error: error.message, code: error.code, offset: await current() });
+    }
+    if (error.code === 'ERR_STREAM_PREMATURE_CLOSE' || error.code === 'ECONNRESET') {
+      // Usually nobody is left to read this
+      return res.status(400).json({ error: 'Chunk was interrupted', offset: await current() });
+    }
+    console.error('Error receiving upload chunk:', error);
+    res.status(500).json({ error: 'Failed to receive chunk' });
+  }
+});
+
+// Finish an upload session: the image is added like an uploaded one.
+// `duplicates` (reject, skip or allow) overrides the server's duplicate policy.
+app.post('/api/uploads/:id/complete', requireAdmin, async (req, res) => {
+  try {
+    const { policy, error } = getDuplicatePolicy(req.body.duplicates);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    const session = await uploadSessions.getSession(req.params.id);
+    if (!session) {
+      return res.status(404).json({ error: 'Upload session not found' });
+    }
+    
+    const filename = imageFiles.getUploadFilename(session.filename);
+    const filePath = path.join(uploadFolder, session.folderName, filename);
+    try {
+      await uploadSessions.completeSession(session.id, filePath);
+    } catch (completeError) {
+      if (completeError.code === 'UPLOAD_INCOMPLETE' || completeError.code === 'SESSION_BUSY') {
+        return res.status(409).json({ error: completeError.message, code: completeError.code, offset: session.offset });
+      }
+      if (completeError.code === 'SESSION_NOT_FOUND') {
+        return res.status(404).json({ error: completeError.message, code: completeError.code });
+      }
+      throw completeError;
+    }
+    
+    let savedName;
+    try {
+      savedName = await imageFiles.checkUploadedImage(path.dirname(filePath), filename, session.mimeType);
+    } catch (checkError) {
+      await fs.remove(filePath);
+      return res.status(400).json({ error: checkError.message });
+    }
+    
+    const file = {
+      originalname: session.filename,
+      filename: savedName,
+      path: path.join(path.dirname(filePath), savedName),
+      size: session.size
+    };
+    const { status, body } = await addUploadBatch(session.folderName, [file], policy);
+    if (status === 200) {
+      recordUpload(req, session.folderName, body.files, { duplicates: body.duplicates.length, resumable: true });
+    }
+    res.status(status).json(body);
+  } catch (error) {
+    console.error('Error completing upload:', error);
+    res.status(500).json({ error: 'Failed to complete upload' });
+  }
+});
+
+// Cancel an upload session
+app.delete('/api/uploads/:id', requireAdmin, async (req, res) => {
+  try {
+    if (!(await uploadSessions.deleteSession(req.params.id))) {
+      return res.status(404).json({ error: 'Upload session not found' });
+    }
+    res.json({ message: 'Upload cancelled' });
+  } catch (error) {
+    console.error('Error cancelling upload:', error);
+    res.status(500).json({ error: 'Failed to cancel upload' });
+  }
+});
+
+// Import the images in a ZIP archive (field "archive") into an existing
+// folder (`folderName`) or a new one (`newFolder`, a display title, created
+// under the optional `parent`). Entries are checked like uploaded images;
+// directories inside the archive are flattened. Duplicates follow
+// `duplicates` (reject, skip or allow) or the server's policy, entry by
+// entry. Returns a report listing every entry as imported, skipped or rejected.
+app.post('/api/import', requireAdmin, archiveUpload.single('archive'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No archive uploaded' });
+    }
+    
+    const { newFolder, parent } = req.body;
+    let { folderName } = req.body;
+    let created = false;
+    
+    const { policy, error } = getDuplicatePolicy(req.body.duplicates);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    if (typeof newFolder === 'string' && newFolder.trim() !== '') {
+      ({ folderName } = await library.createFolder({ title: newFolder, parent }));
+      created = true;
+      notifyClients('folder-created', { folderName });
+      recordAction(req, 'folder.create', { folderName, after: store.getFolder(folderName) });
+    } else if (!resolveFolderPath(folderName) || !(await fs.pathExists(resolveFolderPath(folderName)))) {
+      return res.status(404).json({ error: 'Folder not found' });
+    }
+    
+    const folderPath = resolveFolderPath(folderName);
+    const space = await quota.getAvailableSpace(folderName);
+    const imported = [];
+    let entries;
+    
+    try {
+      entries = await zipImport.importZip(req.file.path, {
+        limits: { maxEntrySize: maxFileSize },
+        filter: name => uploadFormats.includes(imageType.formatOfName(name)) ? null : 'Not a supported image file',
+        // Entries are held to their declared size, so it is taken off the space left before writing
+        reserve: size => {
+          if (size > space.bytes) return `Not enough space: ${space.reason}`;
+          space.bytes -= size;
+          return null;
+        },
+        write: async (name, stream) => {
+          const filename = await imageFiles.getAvailableFilename(folderPath, imageFiles.sanitizeFilename(path.posix.basename(name)));
+          if (!resolveImagePath(folderName, filename)) {
+            throw new Error('Invalid file name');
+          }
+          
+          // "wx" never overwrites a file that appeared in the meantime
+          const target = path.join(folderPath, filename);
+          let savedName;
+          try {
+            await pipeline(stream, fs.createWriteStream(target, { flags: 'wx' }));
+            savedName = await imageFiles.checkUploadedImage(folderPath, filename);
+          } catch (error) {
+            if (error.code !== 'EEXIST') await fs.remove(target);
+            throw error;
+          }
+          
+          // Added right away, so later entries are compared with it
+          const file = { filename: savedName, path: path.join(folderPath, savedName) };
+          const { added } = await library.addImages(folderName, [file], policy);
+          if (file.error) {
+            return { status: 'rejected', reason: file.error };
+          }
+          if (added.length === 0) {
+            return { status: file.status, reason: `Duplicate of ${file.duplicateOf}`, duplicateOf: file.duplicateOf };
+          }
+          imported.push(file);
+          return { filename: savedName, size: file.size, duplicateOf: file.duplicateOf };
+        },
+        release: size => {
+          space.bytes += size;
+        }
+      });
+    } catch (error) {
+      // The entries added before the archive turned out to be unreadable stay
+      if (imported.length > 0) {
+        notifyClients('images-uploaded', { folderName, count: imported.length });
+        recordAction(req, 'folder.import', {
+          folderName,
+          after: { files: imported.map(file => ({ filename: file.filename, size: file.size })) },
+          details: { archive: req.file.originalname, imported: imported.length, error: error.message }
+        });
+      }
+      return res.status(400).json({ error: `Could not read the archive: ${error.message}`, folderName, created });
+    }
+    
+    if (imported.length > 0) {
+      notifyClients('images-uploaded', { folderName, count: imported.length });
+    }
+    
+    const summary = { imported: imported.length, skipped: 0, rejected: 0 };
+    entries.forEach(entry => {
+      if (entry.status !== 'imported') summary[entry.status]++;
+    });
+    console.log(`Imported ${req.file.originalname} into ${folderName}: ${JSON.stringify(summary)}`);
+    recordAction(req, 'folder.import', {
+      folderName,
+      after: { files: imported.map(file => ({ filename: file.filename, size: file.size })) },
+      details: { archive: req.file.originalname, ...summary }
+    });
+    
+    res.json({
+      message: `Imported ${imported.length} of ${entries.length} file(s)`,
+      folder: folderName,
+      created,
+      summary,
+      entries
+    });
+  } catch (error) {
+    if (sendLibraryError(res, error)) return;
+    console.error('Error importing archive:', error);
+    res.status(500).json({ error: 'Failed to import archive' });
+  } finally {
+    if (req.file) {
+      await fs.remove(req.file.path).catch(() => {});
+    }
+  }
+});
+
 // Delete folder
-app.delete('/api/folders/:folderName', async (req, res) => {
+app.delete('/api/folders/:folderName', requireAdmin, async (req, res) => {
   try {
     const { folderName } = req.params;
-    const folderPath = path.join(uploadFolder, folderName);
     
-    if (await fs.pathExists(folderPath)) {
-      await fs.remove(folderPath);
-      res.json({ message: 'Folder deleted successfully' });
-    } else {
-      res.status(404).json({ error: 'Folder not found' });
-    }
+    // Moves the folder together with all of its subfolders to the trash
+    const { before, item } = await library.deleteFolder(folderName, req.user.username);
+    notifyClients('folder-deleted', { folderName });
+    recordAction(req, 'folder.delete', {
+      folderName,
+      before: { ...before, folderCount: item.folderCount, imageCount: item.imageCount, size: item.size },
+      after: { trashId: item.id }
+    });
+    res.json({ message: 'Folder moved to trash', trashId: item.id });
   } catch (error) {
+    if (sendLibraryError(res, error)) return;
     console.error('Error deleting folder:', error);
     res.status(500).json({ error: 'Failed to delete folder' });
   }
 });
 
+// List a page of the images in a folder. Query: limit, offset, sort (name,
+// createdAt, size), order, q (filename search) and descendants=true to
+// include the images of all subfolders. Viewers can list folders shown to users.
+app.get('/api/folders/:folderName/images', requireViewer, async (req, res) => {
+  try {
+    const { folderName } = req.params;
+    const folderPath = resolveFolderPath(folderName);
+    const isAdmin = Boolean(req.user && req.user.role === 'admin');
+
+    if (!folderPath || !(await fs.pathExists(folderPath)) || (!isAdmin && !store.isFolderVisible(folderName))) {
+      return res.status(404).json({ error: 'Folder not found' });
+    }
+
+    const { options, error } = getListOptions(req.query, store.IMAGE_SORTS);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    await syncFromDisk();
+    const descendants = req.query.descendants === 'true';
+    const { images, total } = store.queryImages(folderName, { ...options, descendants, visibleOnly: !isAdmin });
+
+    res.json({
+      folder: folderName,
+      imageCount: total,
+      ...toPage('images', images.map(describeStoredImage), total, options)
+    });
+  } catch (error) {
+    console.error('Error listing images:', error);
+    res.status(500).json({ error: 'Failed to list images' });
+  }
+});
+
+// Download a folder as a ZIP archive, streamed while it is built. Query:
+// descendants=true to include subfolders (as directories in the archive) and
+// files=a.jpg,b.png to include only those images of the folder itself.
+// Viewers can download folders shown to users.
+app.get('/api/folders/:folderName/archive', requireViewer, async (req, res) => {
+  try {
+    const { folderName } = req.params;
+    const folderPath = resolveFolderPath(folderName);
+    const isAdmin = Boolean(req.user && req.user.role === 'admin');
+
+    if (!folderPath || !(await fs.pathExists(folderPath)) || (!isAdmin && !store.isFolderVisible(folderName))) {
+      return res.status(404).json({ error: 'Folder not found' });
+    }
+
+    await syncFromDisk();
+    const folder = store.getFolder(folderName);
+    let images = [];
+
+    if (req.query.files) {
+      const filenames = [...new Set(String(req.query.files).split(',').map(name => name.trim()).filter(Boolean))];
+      const missing = filenames.find(filename => !resolveImagePath(folderName, filename) || !store.getImage(folderName, filename));
+      if (missing) {
+        return res.status(400).json({ error: `Image "${missing}" is not in this folder` });
+      }
+      images = filenames.map(filename => ({ folderName, filename }));
+    } else {
+      const descendants = req.query.descendants === 'true';
+      for (let offset = 0; ; offset += MAX_PAGE_SIZE) {
+        const page = store.queryImages(folderName, { descendants, visibleOnly: !isAdmin, limit: MAX_PAGE_SIZE, offset });
+        images.push(...page.images);
+        if (page.images.length < MAX_PAGE_SIZE) break;
+      }
+    }
+
+    if (images.length === 0) {
+      return res.status(404).json({ error: 'No images to download' });
+    }
+
+    // Images are already compressed, so entries are stored as-is
+    const archive = archiver('zip', { store: true });
+
+    archive.on('warning', error => {
+      console.error('Warning while building archive:', error);
+    });
+    archive.on('error', error => {
+      console.error('Error building archive:', error);
+      res.destroy(error);
+    });
+    // Stop reading files when the download is cancelled
+    res.on('close', () => {
+      if (!res.writableFinished) archive.abort();
+    });
+
+    res.attachment(`${(folder ? folder.title : folderName).replace(/[\/\\]/g, '-')}.zip`);
+    archive.pipe(res);
+
+    for (const image of images) {
+      const directory = image.folderName.slice(folderName.length + 1);
+      archive.file(path.join(uploadFolder, image.folderName, image.filename), {
+        name: directory ? `${directory}/${image.filename}` : image.filename
+      });
+    }
+
+    console.log(`Streaming archive of ${folderName} (${images.length} image(s))`);
+    await archive.finalize();
+  } catch (error) {
+    console.error('Error creating archive:', error);
+    if (res.headersSent) {
+      res.destroy(error);
+    } else {
+      res.status(500).json({ error: 'Failed to create archive' });
+    }
+  }
+});
+
+// Get metadata for a single image
+app.get('/api/folders/:folderName/images/:filename', requireAdmin, async (req, res) => {
+  try {
+    const { folderName, filename } = req.params;
+    const imagePath = resolveImagePath(folderName, filename);
+
+    if (!imagePath || !isImageFile(filename) || !(await fs.pathExists(imagePath))) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+
+    res.json(await getImageInfo(folderName, filename));
+  } catch (error) {
+    console.error('Error reading image:', error);
+    res.status(500).json({ error: 'Failed to read image' });
+  }
+});
+
+// Rename an image (the extension is always kept)
+app.patch('/api/folders/:folderName/images/:filename', requireAdmin, async (req, res) => {
+  try {
+    const { folderName, filename } = req.params;
+    const { newName } = req.body;
+    const imagePath = resolveImagePath(folderName, filename);
+
+    if (!imagePath || !isImageFile(filename) || !(await fs.pathExists(imagePath))) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+
+    if (typeof newName !== 'string' || newName.trim() === '') {
+      return res.status(400).json({ error: 'New name is required' });
+    }
+
+    // Sanitize the new name and keep the original extension
+    const ext = path.extname(filename);
+    const sanitizedName = imageFiles.cleanFilename(path.basename(newName.trim(), ext));
+    if (sanitizedName === '') {
+      return res.status(400).json({ error: 'Invalid image name' });
+    }
+
+    const newFilename = `${sanitizedName}${ext}`;
+    if (newFilename === filename) {
+      return res.json({ message: 'Image name unchanged', image: await getImageInfo(folderName, filename) });
+    }
+
+    if (await fs.pathExists(resolveImagePath(folderName, newFilename))) {
+      return res.status(400).json({ error: 'An image with that name already exists' });
+    }
+
+    await fs.move(imagePath, resolveImagePath(folderName, newFilename));
+    store.moveImage(folderName, filename, folderName, newFilename);
+    await renditions.removeRenditions(folderName, filename);
+    console.log(`Image renamed: ${folderName}/${filename} -> ${newFilename}`);
+    notifyClients('images-changed', { folderName });
+    recordAction(req, 'image.update', { folderName, filename: newFilename, before: { filename }, after: { filename: newFilename } });
+
+    res.json({
+      message: 'Image renamed successfully',
+      previousName: filename,
+      image: await getImageInfo(folderName, newFilename)
+    });
+  } catch (error) {
+    console.error('Error renaming image:', error);
+    res.status(500).json({ error: 'Failed to rename image' });
+  }
+});
+
+// Move or copy an image into another folder
+app.post('/api/folders/:folderName/images/:filename/move', requireAdmin, async (req, res) => {
+  try {
+    const { folderName, filename } = req.params;
+    const { targetFolder, copy } = req.body;
+    const imagePath = resolveImagePath(folderName, filename);
+
+    if (!imagePath || !isImageFile(filename) || !(await fs.pathExists(imagePath))) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+
+    const targetPath = resolveFolderPath(targetFolder);
+    if (!targetPath || !(await fs.pathExists(targetPath))) {
+      return res.status(404).json({ error: 'Target folder not found' });
+    }
+
+    if (targetFolder === folderName) {
+      return res.status(400).json({ error: 'Target folder must be different from the source folder' });
+    }
+
+    // A copy takes room everywhere, a move only in the folders it enters
+    const { size } = await fs.stat(imagePath);
+    await quota.checkSpace(targetFolder, size, copy ? undefined : { movedFrom: folderName });
+    
+    const targetFilename = await imageFiles.getAvailableFilename(targetPath, filename);
+    if (copy) {
+      await fs.copy(imagePath, path.join(targetPath, targetFilename));
+      store.addImage(targetFolder, targetFilename, {
+        ...store.getImage(folderName, filename),
+        size,
+        createdAt: undefined
+      });
+    } else {
+      await fs.move(imagePath, path.join(targetPath, targetFilename));
+      store.moveImage(folderName, filename, targetFolder, targetFilename);
+      await renditions.removeRenditions(folderName, filename);
+    }
+    await library.applyLocationPolicy(targetFolder, targetFilename);
+    console.log(`Image ${copy ? 'copied' : 'moved'}: ${folderName}/${filename} -> ${targetFolder}/${targetFilename}`);
+    notifyClients('images-changed', { folderName: targetFolder, sourceFolder: folderName });
+    recordAction(req, copy ? 'image.copy' : 'image.move', {
+      folderName,
+      filename,
+      before: { folderName, filename },
+      after: { folderName: targetFolder, filename: targetFilename }
+    });
+
+    res.json({
+      message: `Image ${copy ? 'copied' : 'moved'} to "${targetFolder}" successfully`,
+      image: await getImageInfo(targetFolder, targetFilename)
+    });
+  } catch (error) {
+    if (error.code === 'QUOTA_EXCEEDED') {
+      return res.status(413).json({ error: error.message, code: error.code });
+    }
+    console.error('Error moving image:', error);
+    res.status(500).json({ error: 'Failed to move image' });
+  }
+});
+
+// Delete a single image
+app.delete('/api/folders/:folderName/images/:filename', requireAdmin, async (req, res) => {
+  try {
+    const { folderName, filename } = req.params;
+    const imagePath = resolveImagePath(folderName, filename);
+
+    if (!imagePath || !isImageFile(filename) || !(await fs.pathExists(imagePath))) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+
+    const before = store.getImage(folderName, filename);
+    const item = await trash.trashImage(folderName, filename, req.user.username);
+    await renditions.removeRenditions(folderName, filename);
+    console.log(`Image moved to trash: ${folderName}/${filename}`);
+    notifyClients('images-changed', { folderName });
+    recordAction(req, 'image.delete', { folderName, filename, before, after: { trashId: item.id } });
+
+    res.json({ message: 'Image moved to trash', filename, folder: folderName, trashId: item.id });
+  } catch (error) {
+    console.error('Error deleting image:', error);
+    res.status(500).json({ error: 'Failed to delete image' });
+  }
+});
+
+// Find images with the same content across all folders. Each group lists
+// the copies oldest first; `duplicateCount` and `wastedBytes` count every
+// copy after the first.
+app.get('/api/duplicates', requireAdmin, async (req, res) => {
+  try {
+    await syncFromDisk();
+    await imageFiles.hashMissingImages();
+    
+    const groups = store.findDuplicateImages().map(group => ({
+      hash: group.hash,
+      size: group.size,
+      count: group.images.length,
+      images: group.images.map(describeStoredImage)
+    }));
+    
+    res.json({
+      groups,
+      duplicateCount: groups.reduce((total, group) => total + group.count - 1, 0),
+      wastedBytes: groups.reduce((total, group) => total + group.size * (group.count - 1), 0)
+    });
+  } catch (error) {
+    console.error('Error finding duplicates:', error);
+    res.status(500).json({ error: 'Failed to find duplicates' });
+  }
+});
+
+// Get the storage dashboard: the space used in total and per folder, the
+// quotas, the largest images, the disk and the daily history of the last
+// `days` days (default 90)
+app.get('/api/storage', requireAdmin, async (req, res) => {
+  try {
+    await syncFromDisk();
+    await quota.recordUsage();
+    
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 90, 1), 365);
+    const report = await quota.getStorageReport({ days, largest: 10 });
+    res.json({ ...report, largestImages: report.largestImages.map(describeStoredImage) });
+  } catch (error) {
+    console.error('Error getting storage usage:', error);
+    res.status(500).json({ error: 'Failed to get storage usage' });
+  }
+});
+
+// Get a page of the audit log, newest first. Query: limit, offset, action
+// (comma-separated), folder (with its subfolders), actor, from and to
+// (dates, both inclusive).
+app.get('/api/audit', requireAdmin, (req, res) => {
+  try {
+    const { options, error } = getListOptions(req.query, {});
+    const { filters, error: filterError } = getAuditFilters(req.query);
+    if (error || filterError) {
+      return res.status(400).json({ error: error || filterError });
+    }
+    
+    const { entries, total } = audit.query({ ...filters, limit: options.limit, offset: options.offset });
+    res.json({ ...toPage('entries', entries, total, options), actions: audit.ACTIONS });
+  } catch (error) {
+    console.error('Error reading audit log:', error);
+    res.status(500).json({ error: 'Failed to read audit log' });
+  }
+});
+
+// List all activation schedules
+app.get('/api/schedules', requireAdmin, (req, res) => {
+  try {
+    res.json(store.listSchedules());
+  } catch (error) {
+    console.error('Error listing schedules:', error);
+    res.status(500).json({ error: 'Failed to list schedules' });
+  }
+});
+
+// Get the timeline of upcoming activation windows (default: next 48 hours)
+app.get('/api/schedules/upcoming', requireAdmin, (req, res) => {
+  try {
+    const hours = Math.min(Math.max(parseInt(req.query.hours, 10) || 48, 1), 24 * 14);
+    const from = new Date();
+    const to = new Date(from.getTime() + hours * 60 * 60 * 1000);
+
+    res.json({
+      from: from.toISOString(),
+      to: to.toISOString(),
+      scheduledFolder: scheduler.getScheduledFolder(from),
+      upcoming: scheduler.getUpcoming(from, to)
+    });
+  } catch (error) {
+    console.error('Error getting upcoming schedules:', error);
+    res.status(500).json({ error: 'Failed to get upcoming schedules' });
+  }
+});
+
+// List a folder's activation schedules
+app.get('/api/folders/:folderName/schedules', requireAdmin, async (req, res) => {
+  try {
+    const folderPath = resolveFolderPath(req.params.folderName);
+    if (!folderPath || !(await fs.pathExists(folderPath))) {
+      return res.status(404).json({ error: 'Folder not found' });
+    }
+    res.json(store.listSchedules(req.params.folderName));
+  } catch (error) {
+    console.error('Error listing schedules:', error);
+    res.status(500).json({ error: 'Failed to list schedules' });
+  }
+});
+
+// Add an activation schedule to a folder
+app.post('/api/folders/:folderName/schedules', requireAdmin, async (req, res) => {
+  try {
+    const { folderName } = req.params;
+    const folderPath = resolveFolderPath(folderName);
+
+    if (!folderPath || !(await fs.pathExists(folderPath))) {
+      return res.status(404).json({ error: 'Folder not found' });
+    }
+
+    const { schedule, error } = scheduler.validateSchedule(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const created = store.addSchedule({ ...schedule, folderName });
+    console.log(`Schedule ${created.id} added for ${folderName} (${created.recurrence})`);
+    recordAction(req, 'schedule.create', { folderName, after: created });
+
+    // Apply right away in case the new window is already open
+    scheduler.runScheduler(notifyClients);
+
+    res.json({ message: 'Schedule added successfully', schedule: created });
+  } catch (error) {
+    console.error('Error adding schedule:', error);
+    res.status(500).json({ error: 'Failed to add schedule' });
+  }
+});
+
+// Delete an activation schedule
+app.delete('/api/schedules/:id', requireAdmin, (req, res) => {
+  try {
+    const schedule = store.getSchedule(Number(req.params.id));
+    if (!schedule || !store.deleteSchedule(schedule.id)) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    console.log(`Schedule ${req.params.id} deleted`);
+    recordAction(req, 'schedule.delete', { folderName: schedule.folderName, before: schedule });
+    scheduler.runScheduler(notifyClients);
+
+    res.json({ message: 'Schedule deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting schedule:', error);
+    res.status(500).json({ error: 'Failed to delete schedule' });
+  }
+});
+
+// List deleted folders and images
+app.get('/api/trash', requireAdmin, (req, res) => {
+  try {
+    res.json({ retentionDays: trashRetentionDays, items: trash.listTrash() });
+  } catch (error) {
+    console.error('Error listing trash:', error);
+    res.status(500).json({ error: 'Failed to list trash' });
+  }
+});
+
+// Restore a trashed folder or image to where it was. A folder whose parent
+// is gone comes back at the top level; names that were taken in the meantime
+// get a suffix. An image can be restored into another folder with `targetFolder`.
+app.post('/api/trash/:id/restore', requireAdmin, async (req, res) => {
+  try {
+    const item = trash.getTrashItem(req.params.id);
+    
+    if (!item) {
+      return res.status(404).json({ error: 'Trash item not found' });
+    }
+    
+    if (item.kind === 'folder') {
+      let parent = store.getParentName(item.folderName);
+      if (parent && !(await fs.pathExists(resolveFolderPath(parent) || ''))) {
+        parent = '';
+      }
+      
+      const folderName = folderNames.joinFolderName(parent, await getAvailableSlug(parent, item.folderName.split('/').pop()));
+      const folder = await trash.restoreFolder(item.id, folderName);
+      console.log(`Folder restored from trash: ${folderName}`);
+      notifyClients('folder-restored', { folderName });
+      recordAction(req, 'trash.restore', { folderName, before: item, after: { folderName } });
+      
+      return res.json({ message: 'Folder restored successfully', kind: item.kind, folderName, folder });
+    }
+    
+    const folderName = (req.body && req.body.targetFolder) || item.folderName;
+    const folderPath = resolveFolderPath(folderName);
+    
+    if (!folderPath || !(await fs.pathExists(folderPath))) {
+      return res.status(409).json({ error: `Folder "${folderName}" no longer exists. Restore it first or choose another folder.` });
+    }
+    
+    const filename = await imageFiles.getAvailableFilename(folderPath, item.filename);
+    await trash.restoreImage(item.id, folderName, filename);
+    await library.applyLocationPolicy(folderName, filename);
+    console.log(`Image restored from trash: ${folderName}/${filename}`);
+    notifyClients('images-changed', { folderName });
+    recordAction(req, 'trash.restore', { folderName, filename, before: item, after: { folderName, filename } });
+    
+    res.json({ message: 'Image restored successfully', kind: item.kind, folderName, filename });
+  } catch (error) {
+    console.error('Error restoring from trash:', error);
+    res.status(500).json({ error: 'Failed to restore from trash' });
+  }
+});
+
+// Permanently delete one trashed item
+app.delete('/api/trash/:id', requireAdmin, async (req, res) => {
+  try {
+    const item = trash.getTrashItem(req.params.id);
+    if (!item || !(await trash.deleteTrashItem(item.id))) {
+      return res.status(404).json({ error: 'Trash item not found' });
+    }
+    recordAction(req, 'trash.delete', { folderName: item.folderName, filename: item.filename, before: item });
+    res.json({ message: 'Permanently deleted' });
+  } catch (error) {
+    console.error('Error deleting trash item:', error);
+    res.status(500).json({ error: 'Failed to delete trash item' });
+  }
+});
+
+// Empty the trash
+app.delete('/api/trash', requireAdmin, async (req, res) => {
+  try {
+    const items = trash.listTrash();
+    for (const item of items) {
+      await trash.deleteTrashItem(item.id);
+      recordAction(req, 'trash.delete', { folderName: item.folderName, filename: item.filename, before: item, details: { emptied: true } });
+    }
+    res.json({ message: 'Trash emptied', deleted: items.length });
+  } catch (error) {
+    console.error('Error emptying trash:', error);
+    res.status(500).json({ error: 'Failed to empty trash' });
+  }
+});
+
+// Unknown API paths get a JSON 404 rather than the page fallback
+app.use('/api', (req, res) => {
+  res.status(404).json({ error: `Cannot ${req.method} ${req.originalUrl}` });
+});
+
 // Error handling middleware
 app.use((error, req, res, next) => {
+  // Bodies express.json() couldn't read
+  if (error.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: 'Request body is not valid JSON', code: 'INVALID_JSON' });
+  }
+  if (error.type === 'entity.too.large') {
+    return res.status(413).json({ error: 'Request body is too large', code: 'PAYLOAD_TOO_LARGE' });
+  }
+  
+  // Every multer error is a problem with the upload the client sent
   if (error instanceof multer.MulterError) {
     if (error.code === 'LIMIT_FILE_SIZE') {
-      return res.status(400).json({ error: 'File size too large' });
+      return res.status(400).json({ error: `Archive too large (max ${maxArchiveSizeMb}MB)`, code: 'FILE_TOO_LARGE' });
+    }
+    if (error.code === 'LIMIT_UNEXPECTED_FILE' && error.field === 'images') {
+      return res.status(400).json({ error: `Too many files (max ${maxFiles} per upload)`, code: 'TOO_MANY_FILES' });
+    }
+    if (error.code === 'LIMIT_UNEXPECTED_FILE') {
+      return res.status(400).json({ error: `Unexpected file field "${error.field}"`, code: 'UNEXPECTED_FILE', field: error.field });
     }
+    return res.status(400).json({ error: error.message, code: error.code });
+  }
+  
+  // Malformed multipart bodies, reported by busboy
+  if (/^(Multipart: |Unexpected end of form|Malformed part header)/.test(error.message)) {
+    return res.status(400).json({ error: 'Malformed multipart body', code: 'MALFORMED_UPLOAD' });
   }
   
-  if (error.message === 'Only image files are allowed!') {
-    return res.status(400).json({ error: 'Only image files are allowed' });
+  if (error.code === 'QUOTA_EXCEEDED') {
+    return res.status(413).json({ error: error.message, code: error.code });
   }
   
+  if (error.message === 'Only ZIP archives are allowed!') {
+    return res.status(400).json({ error: 'Only ZIP archives are allowed' });
+  }
+  
+  if (error.code === 'FOLDER_REQUIRED') {
+    return res.status(400).json({ error: error.message, code: error.code });
+  }
+  if (error.code === 'FOLDER_NOT_FOUND') {
+    return res.status(404).json({ error: error.message });
+  }
+  
+  console.error('Unhandled error:', error);
   res.status(500).json({ error: 'Something went wrong!' });
 });
 
+// Switch folders automatically when scheduled windows open and close
+scheduler.startScheduler({ onChange: notifyClients });
+
+// Purge trash items older than the retention period
+trash.startPurging();
+
+// Drop upload sessions nobody resumed
+uploadSessions.startPurging();
+
+// Keep a daily record of the space used for the storage dashboard
+quota.startRecording();
+
 app.listen(PORT, () => {
   console.log(`Server running on http://localhost:${PORT}`);
 });
\ No newline at end of file
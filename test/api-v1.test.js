@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const helpers = require('./helpers');
+
+// Start the server, failing responses that don't match the API schemas
+async function startServer(t) {
+  const { request } = await helpers.startServer(t, { API_VALIDATE_RESPONSES: 'strict' });
+  return request;
+}
+
+const json = body => ({
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body
+});
+
+test('versioned routes answer like /api and match their schemas', async (t) => {
+  const request = await startServer(t);
+
+  const created = await request('/api/v1/folders', json(JSON.stringify({ folderName: 'Lobby' })));
+  assert.strictEqual(created.status, 200);
+  assert.deepStrictEqual(await created.json(), { message: 'Folder created successfully', folderName: 'lobby', title: 'Lobby' });
+
+  const folders = await request('/api/v1/folders');
+  assert.strictEqual(folders.status, 200);
+  assert.deepStrictEqual((await folders.json()).folders.map(folder => folder.name), ['lobby']);
+
+  const document = await (await request('/api/openapi.json')).json();
+  assert.deepStrictEqual(document.servers, [{ url: '/api/v1' }]);
+  assert.ok(document.paths['/folders'].post.requestBody);
+  assert.deepStrictEqual(await (await request('/api/v1/openapi.json')).json(), document);
+});
+
+test('errors come in one envelope with a code', async (t) => {
+  const request = await startServer(t);
+
+  const invalid = await request('/api/v1/folders', json(JSON.stringify({ folderName: '', color: 'red' })));
+  assert.strictEqual(invalid.status, 400);
+  assert.deepStrictEqual((await invalid.json()).error.details.errors, [
+    { path: 'body.folderName', message: 'must not be empty' },
+    { path: 'body.color', message: 'is not allowed' }
+  ]);
+
+  const malformed = await request('/api/v1/folders', json('{"folderName":'));
+  assert.strictEqual(malformed.status, 400);
+  assert.strictEqual((await malformed.json()).error.code, 'INVALID_JSON');
+
+  const missing = await request('/api/v1/folders/nowhere/toggle', { method: 'PATCH' });
+  assert.strictEqual(missing.status, 404);
+  assert.deepStrictEqual(await missing.json(), { error: { code: 'NOT_FOUND', message: 'Folder not found' } });
+
+  const wrongMethod = await request('/api/v1/folders', { method: 'PUT' });
+  assert.strictEqual(wrongMethod.status, 405);
+  assert.strictEqual(wrongMethod.headers.get('allow'), 'GET, POST');
+
+  // The unversioned API keeps its plain error messages
+  const legacy = await request('/api/folders/nowhere/toggle', { method: 'PATCH' });
+  assert.deepStrictEqual(await legacy.json(), { error: 'Folder not found' });
+});
+
+test('new folders with names that are not strings are client errors, not 500', async (t) => {
+  const request = await startServer(t);
+
+  for (const [body, error] of [
+    [{ folderName: 123 }, 'Folder name is required'],
+    [{ folderName: 'Hall', slug: ['hall'] }, 'slug must be a string'],
+    [{ folderName: 'Hall', description: {} }, 'description must be a string'],
+    [{ folderName: 'Hall', parent: 5 }, 'parent must be a string']
+  ]) {
+    const response = await request('/api/folders', json(JSON.stringify(body)));
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual((await response.json()).error, error);
+  }
+});
+
+test('folder updates with names that are not strings are client errors, not 500', async (t) => {
+  const request = await startServer(t);
+  await request('/api/folders', json(JSON.stringify({ folderName: 'hall' })));
+  await request('/api/folders', json(JSON.stringify({ folderName: 'lobby', parent: 'hall' })));
+  const patch = body => request('/api/folders/hall%2Flobby', { ...json(JSON.stringify(body)), method: 'PATCH' });
+
+  for (const body of [{ parent: 5 }, { parent: ['hall'] }, { name: 5 }, { title: {} }]) {
+    const response = await patch(body);
+    assert.strictEqual(response.status, 400);
+    assert.match((await response.json()).error, /must be/);
+  }
+
+  const moved = await patch({ parent: null });
+  assert.strictEqual(moved.status, 200);
+  assert.strictEqual((await moved.json()).folder.name, 'lobby');
+});
+
+test('logins without string credentials are client errors, not 500', async (t) => {
+  const request = await startServer(t);
+
+  for (const body of [{ username: 'admin', password: 5 }, { username: ['admin'], password: 'test-password' }, {}]) {
+    const login = await request('/api/auth/login', json(JSON.stringify(body)));
+    assert.strictEqual(login.status, 400);
+    assert.deepStrictEqual(await login.json(), { error: 'Username and password are required' });
+  }
+});
+
+test('upload errors are client errors, not 500', async (t) => {
+  const request = await startServer(t);
+  await request('/api/v1/folders', json(JSON.stringify({ folderName: 'hall' })));
+
+  const formData = new FormData();
+  formData.append('folderName', 'hall');
+  formData.append('photo', new Blob(['x'], { type: 'image/png' }), 'a.png');
+  const unexpected = await request('/api/v1/upload', { method: 'POST', body: formData });
+  assert.strictEqual(unexpected.status, 400);
+  assert.strictEqual((await unexpected.json()).error.code, 'UNEXPECTED_FILE');
+
+  const truncated = await request('/api/upload', {
+    method: 'POST',
+    headers: { 'Content-Type': 'multipart/form-data; boundary=xyz' },
+    body: '--xyz\r\nContent-Disposition: form-data; name="folderName"\r\n\r\nhall'
+  });
+  assert.strictEqual(truncated.status, 400);
+  assert.strictEqual((await truncated.json()).code, 'MALFORMED_UPLOAD');
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const store = require('../lib/store');
+const audit = require('../lib/audit');
+
+let dataFolder;
+
+test.before(async () => {
+  dataFolder = await fs.mkdtemp(path.join(os.tmpdir(), 'foldselect-audit-'));
+  store.initStore({ databaseFile: path.join(dataFolder, 'test.db') });
+
+  audit.record('folder.activate', {
+    actor: 'alice',
+    folderName: 'lobby',
+    before: { active: false, activeFolder: null },
+    after: { active: true, includeDescendants: false },
+    at: '2026-10-19T14:01:00.000Z'
+  });
+  audit.record('folder.activate', { actor: 'bob', folderName: '2026/event-a', at: '2026-10-19T14:02:10.000Z' });
+  audit.record('folder.deactivate', { actor: 'bob', folderName: 'lobby', details: { replacedBy: '2026/event-a' }, at: '2026-10-19T14:02:10.000Z' });
+  audit.record('image.upload', { actor: 'alice', folderName: '2026', filename: 'a.png', at: '2026-10-19T15:00:00.000Z' });
+  audit.record('folder.activate', { actor: 'scheduler', folderName: '2026-old', at: '2026-10-19T16:00:00.000Z' });
+});
+
+test.after(() => fs.remove(dataFolder));
+
+test('entries keep the before and after state, newest first', () => {
+  const { entries, total } = audit.query();
+
+  assert.strictEqual(total, 5);
+  assert.deepStrictEqual(entries.map(entry => entry.action), [
+    'folder.activate', 'image.upload', 'folder.deactivate', 'folder.activate', 'folder.activate'
+  ]);
+  assert.deepStrictEqual(entries[4], {
+    id: 1,
+    at: '2026-10-19T14:01:00.000Z',
+    actor: 'alice',
+    action: 'folder.activate',
+    folderName: 'lobby',
+    filename: undefined,
+    before: { active: false, activeFolder: null },
+    after: { active: true, includeDescendants: false },
+    details: undefined
+  });
+});
+
+test('finds who activated a folder at a given time', () => {
+  const { entries } = audit.query({
+    actions: ['folder.activate'],
+    from: '2026-10-19T14:02:00.000Z',
+    to: '2026-10-19T14:02:59.999Z'
+  });
+
+  assert.deepStrictEqual(entries.map(entry => [entry.actor, entry.folderName]), [['bob', '2026/event-a']]);
+});
+
+test('a folder filter includes its subfolders but not folders sharing a prefix', () => {
+  const { entries } = audit.query({ folderName: '2026' });
+  assert.deepStrictEqual(entries.map(entry => entry.folderName), ['2026', '2026/event-a']);
+
+  const page = audit.query({ actor: 'bob', limit: 1, offset: 1 });
+  assert.strictEqual(page.total, 2);
+  assert.deepStrictEqual(page.entries.map(entry => entry.action), ['folder.activate']);
+});
@@ -0,0 +1,162 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const auth = require('../lib/auth');
+const { startServer } = require('./helpers');
+
+// Routes that change something, for admins only
+const MUTATING_ROUTES = [
+  ['POST', '/api/folders'],
+  ['PATCH', '/api/folders/hall'],
+  ['PATCH', '/api/folders/hall/toggle'],
+  ['DELETE', '/api/folders/hall'],
+  ['POST', '/api/upload'],
+  ['POST', '/api/uploads'],
+  ['POST', '/api/import'],
+  ['PATCH', '/api/folders/hall/images/photo.png'],
+  ['POST', '/api/folders/hall/images/photo.png/move'],
+  ['DELETE', '/api/folders/hall/images/photo.png'],
+  ['POST', '/api/folders/hall/schedules'],
+  ['DELETE', '/api/schedules/1'],
+  ['POST', '/api/trash/1/restore'],
+  ['DELETE', '/api/trash']
+];
+
+// Routes that only read, but only for admins
+const ADMIN_ROUTES = [
+  ['GET', '/api/folders'],
+  ['GET', '/api/folders/current-active'],
+  ['GET', '/api/uploads'],
+  ['GET', '/api/storage'],
+  ['GET', '/api/audit'],
+  ['GET', '/api/schedules'],
+  ['GET', '/api/trash']
+];
+
+// Start the server with a "hall" folder and a viewer user, "kiosk"
+async function startWithViewer(t, env) {
+  const server = await startServer(t, env);
+  const created = await server.request('/api/folders', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ folderName: 'hall' })
+  });
+  assert.strictEqual(created.status, 200);
+
+  // Users are read from users.json on every login
+  auth.initAuth({ usersFile: path.join(server.dataFolder, 'users.json') });
+  auth.setUser('kiosk', 'kiosk-password', 'viewer');
+  return server;
+}
+
+async function login(base, username, password) {
+  const response = await fetch(`${base}/api/auth/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username, password })
+  });
+  const body = await response.json();
+  return { status: response.status, body, cookie: response.status === 200 ? response.headers.get('set-cookie').split(';')[0] : null };
+}
+
+const callRoute = (base, [method, url], headers = {}) => fetch(`${base}${url}`, {
+  method,
+  headers: { 'Content-Type': 'application/json', ...headers },
+  body: method === 'GET' ? undefined : '{}'
+});
+
+test('a session cookie that is not valid URI encoding counts as logged out', async (t) => {
+  const { base } = await startServer(t);
+  const headers = { Cookie: 'foldselect_session=%E0%A4%A' };
+
+  const folders = await fetch(`${base}/api/folders`, { headers });
+  assert.strictEqual(folders.status, 401);
+  assert.deepStrictEqual(await folders.json(), { error: 'Authentication required' });
+
+  const me = await fetch(`${base}/api/auth/me`, { headers });
+  assert.strictEqual(me.status, 401);
+});
+
+test('viewers can look at folders but not change them', async (t) => {
+  const { request, base } = await startWithViewer(t);
+  const viewer = await login(base, 'kiosk', 'kiosk-password');
+  assert.strictEqual(viewer.status, 200);
+  assert.deepStrictEqual(viewer.body.user, { username: 'kiosk', role: 'viewer' });
+  const headers = { Cookie: viewer.cookie };
+
+  for (const route of [...MUTATING_ROUTES, ...ADMIN_ROUTES]) {
+    const response = await callRoute(base, route, headers);
+    assert.strictEqual(response.status, 403, route.join(' '));
+    assert.deepStrictEqual(await response.json(), { error: 'The admin role is required' });
+  }
+
+  assert.strictEqual((await fetch(`${base}/api/folders/active`, { headers })).status, 200);
+  const me = await (await fetch(`${base}/api/auth/me`, { headers })).json();
+  assert.deepStrictEqual(me, { user: { username: 'kiosk', role: 'viewer' } });
+
+  // Nothing was changed
+  const { folders } = await (await request('/api/folders')).json();
+  assert.deepStrictEqual(folders.map(folder => [folder.name, folder.active]), [['hall', false]]);
+});
+
+test('anonymous requests to admin routes and pages need a login', async (t) => {
+  const { base } = await startWithViewer(t);
+
+  for (const route of [...MUTATING_ROUTES, ...ADMIN_ROUTES]) {
+    const response = await callRoute(base, route);
+    assert.strictEqual(response.status, 401, route.join(' '));
+    assert.deepStrictEqual(await response.json(), { error: 'Authentication required' });
+  }
+
+  const page = await fetch(`${base}/admin`, { redirect: 'manual' });
+  assert.strictEqual(page.status, 302);
+  assert.strictEqual(page.headers.get('location'), '/login?next=%2Fadmin');
+
+  // Viewer routes and pages stay open to kiosks
+  assert.strictEqual((await fetch(`${base}/api/folders/active`)).status, 200);
+  assert.strictEqual((await fetch(`${base}/user`, { redirect: 'manual' })).status, 200);
+});
+
+test('REQUIRE_VIEWER_LOGIN closes the viewer routes and pages to anonymous requests', async (t) => {
+  const { base } = await startWithViewer(t, { REQUIRE_VIEWER_LOGIN: 'true' });
+
+  for (const url of ['/api/folders/active', '/api/config', '/api/folders/hall/images']) {
+    const response = await fetch(`${base}${url}`);
+    assert.strictEqual(response.status, 401, url);
+  }
+  const page = await fetch(`${base}/user`, { redirect: 'manual' });
+  assert.strictEqual(page.status, 302);
+  assert.strictEqual(page.headers.get('location'), '/login?next=%2Fuser');
+
+  const viewer = await login(base, 'kiosk', 'kiosk-password');
+  assert.strictEqual((await fetch(`${base}/api/folders/active`, { headers: { Cookie: viewer.cookie } })).status, 200);
+  assert.strictEqual((await fetch(`${base}/user`, { headers: { Cookie: viewer.cookie }, redirect: 'manual' })).status, 200);
+  // A viewer login is still no admin login
+  assert.strictEqual((await fetch(`${base}/api/folders`, { headers: { Cookie: viewer.cookie } })).status, 403);
+});
+
+test('logging out ends the session for the cookie and the token', async (t) => {
+  const { base } = await startWithViewer(t);
+
+  assert.strictEqual((await login(base, 'kiosk', 'wrong-password')).status, 401);
+  assert.strictEqual((await login(base, 'kiosk', '')).status, 400);
+
+  const admin = await login(base, 'admin', 'test-password');
+  const headers = { Cookie: admin.cookie };
+  const bearer = { Authorization: `Bearer ${admin.body.token}` };
+  assert.strictEqual((await fetch(`${base}/api/folders`, { headers })).status, 200);
+  assert.strictEqual((await fetch(`${base}/api/folders`, { headers: bearer })).status, 200);
+
+  const logout = await fetch(`${base}/api/auth/logout`, { method: 'POST', headers });
+  assert.strictEqual(logout.status, 200);
+  assert.match(logout.headers.get('set-cookie'), /^foldselect_session=;/);
+
+  for (const sessionHeaders of [headers, bearer]) {
+    assert.strictEqual((await fetch(`${base}/api/folders`, { headers: sessionHeaders })).status, 401);
+    assert.strictEqual((await fetch(`${base}/api/auth/me`, { headers: sessionHeaders })).status, 401);
+  }
+
+  // Other sessions go on
+  const other = await login(base, 'admin', 'test-password');
+  assert.strictEqual((await fetch(`${base}/api/folders`, { headers: { Cookie: other.cookie } })).status, 200);
+});
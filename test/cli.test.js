@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { execFile } = require('child_process');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const cli = require('../lib/cli');
+
+// A 1x1 PNG
+const PNG = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8DwHwAFBQIAX8jx0gAAAABJRU5ErkJggg==', 'base64');
+
+let dataFolder;
+let photos;
+
+test.before(async () => {
+  dataFolder = await fs.mkdtemp(path.join(os.tmpdir(), 'foldselect-cli-'));
+  photos = path.join(dataFolder, 'photos');
+  await fs.outputFile(path.join(photos, 'a.png'), PNG);
+  await fs.outputFile(path.join(photos, 'B.PNG'), PNG);
+  await fs.outputFile(path.join(photos, 'notes.txt'), 'not an image');
+  await fs.outputFile(path.join(photos, 'raw', 'a.png'), PNG);
+  await fs.outputFile(path.join(photos, 'raw', 'skip-me.png'), PNG);
+  await fs.outputFile(path.join(photos, '.cache', 'c.png'), PNG);
+});
+
+test.after(() => fs.remove(dataFolder));
+
+// Run the tool offline on the data folder. Resolves with the exit code and
+// the parsed --json output.
+function foldselect(...args) {
+  return new Promise(resolve => {
+    execFile(process.execPath, [path.join(__dirname, '..', 'bin', 'foldselect.js'), '--offline', '--json', ...args], {
+      cwd: dataFolder
+    }, (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : 0, output: JSON.parse(stdout || stderr) });
+    });
+  });
+}
+
+test('globs match file names, or paths when they have a "/"', () => {
+  assert.ok(cli.globToRegExp('*.{jpg,png}').test('IMG_1.PNG'));
+  assert.ok(!cli.globToRegExp('*.png').test('raw/a.png'));
+  assert.ok(cli.globToRegExp('raw/**/*.png').test('raw/a.png'));
+  assert.ok(cli.globToRegExp('raw/**/*.png').test('raw/2026/a.png'));
+  assert.ok(cli.globToRegExp('IMG_[0-9]?.jpg').test('img_12.jpg'));
+  assert.ok(!cli.globToRegExp('a.png').test('axpng'));
+});
+
+test('picks the images of a directory and splits them into batches', async () => {
+  const names = files => files.map(file => file.relativePath);
+  const extensions = ['.png'];
+
+  assert.deepStrictEqual(names(await cli.findLocalFiles(photos, { include: [], exclude: [], extensions })), ['a.png', 'B.PNG']);
+  const files = await cli.findLocalFiles(photos, { recursive: true, include: [], exclude: ['skip-*'], extensions });
+  assert.deepStrictEqual(names(files), ['a.png', 'B.PNG', 'raw/a.png']);
+  assert.deepStrictEqual(names(await cli.findLocalFiles(photos, { include: ['*.txt'], exclude: [], extensions })), ['notes.txt']);
+
+  // Files of the same name go in separate requests
+  assert.deepStrictEqual(cli.toBatches(files, 10).map(names), [['a.png', 'B.PNG'], ['raw/a.png']]);
+  assert.deepStrictEqual(cli.toBatches(files, 1).length, 3);
+});
+
+test('offline mode manages folders and uploads in the uploads directory', async () => {
+  await fs.ensureDir(path.join(dataFolder, 'uploads'));
+
+  const created = await foldselect('create', 'Front Desk');
+  assert.deepStrictEqual(created, { code: 0, output: { folderName: 'front-desk', title: 'Front Desk' } });
+
+  const uploaded = await foldselect('upload', 'front-desk', photos, '--recursive', '--include', '*.png', '--include', '*.txt', '--duplicates', 'skip');
+  assert.strictEqual(uploaded.code, 1);
+  assert.deepStrictEqual(uploaded.output.uploaded.map(file => file.file), ['a.png']);
+  assert.deepStrictEqual(uploaded.output.duplicates.map(file => [file.file, file.status]), [['B.PNG', 'skipped'], ['raw/a.png', 'skipped'], ['raw/skip-me.png', 'skipped']]);
+  assert.deepStrictEqual(uploaded.output.rejected.map(file => file.file), ['notes.txt']);
+
+  const activated = await foldselect('activate', 'front-desk');
+  assert.strictEqual(activated.output.changed, true);
+
+  const { output } = await foldselect('list');
+  assert.deepStrictEqual(output.folders.map(folder => [folder.name, folder.imageCount, folder.active]), [['front-desk', 1, true]]);
+
+  const missing = await foldselect('delete', 'back-office');
+  assert.deepStrictEqual(missing, { code: 1, output: { error: { code: 'NOT_FOUND', message: 'Folder not found' } } });
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { loadConfig } = require('../lib/config');
+
+async function writeConfigFile(t, content) {
+  const folder = await fs.mkdtemp(path.join(os.tmpdir(), 'foldselect-config-'));
+  t.after(() => fs.remove(folder));
+  const configFile = path.join(folder, 'config.json');
+  await fs.writeFile(configFile, typeof content === 'string' ? content : JSON.stringify(content));
+  return configFile;
+}
+
+test('uses the defaults when there is no config file', () => {
+  const config = loadConfig({ CONFIG_FILE: '' });
+
+  assert.strictEqual(config.port, 3000);
+  assert.strictEqual(config.uploadFolder, 'uploads');
+  assert.strictEqual(config.requireViewerLogin, false);
+  assert.deepStrictEqual(config.upload, {
+    maxFileSizeMb: 10,
+    maxFileSize: 10 * 1024 * 1024,
+    maxFiles: 10,
+    maxArchiveSizeMb: 2048,
+    maxArchiveSize: 2048 * 1024 * 1024,
+    formats: ['jpeg', 'png', 'gif', 'webp', 'svg'],
+    duplicatePolicy: 'reject',
+    svgUploads: 'sanitize'
+  });
+});
+
+test('reads the config file, with environment variables taking precedence', async (t) => {
+  const CONFIG_FILE = await writeConfigFile(t, {
+    port: 8080,
+    requireViewerLogin: true,
+    upload: { maxFileSizeMb: 25, maxFiles: 20, formats: ['jpeg', 'png'] }
+  });
+  const config = loadConfig({ CONFIG_FILE, MAX_FILE_SIZE_MB: '2.5', UPLOAD_FORMATS: 'png, webp', REQUIRE_VIEWER_LOGIN: 'false' });
+
+  assert.strictEqual(config.port, 8080);
+  assert.strictEqual(config.requireViewerLogin, false);
+  assert.strictEqual(config.upload.maxFileSize, 2.5 * 1024 * 1024);
+  assert.strictEqual(config.upload.maxFiles, 20);
+  assert.deepStrictEqual(config.upload.formats, ['png', 'webp']);
+});
+
+test('lists every invalid setting', async (t) => {
+  const CONFIG_FILE = await writeConfigFile(t, {
+    port: '8080',
+    uploadFolder: '',
+    upload: { maxFiles: 0, formats: ['jpeg', 'bmp'], maxFileSize: 5 }
+  });
+
+  assert.throws(() => loadConfig({ CONFIG_FILE, MAX_FILE_SIZE_MB: 'ten', DUPLICATE_POLICY: 'ignore', REQUIRE_VIEWER_LOGIN: 'yes' }), (error) => {
+    const lines = error.message.split('\n');
+    assert.strictEqual(lines[0], 'Invalid configuration:');
+    assert.deepStrictEqual(lines.slice(1).map(line => line.trim()), [
+      `upload.maxFileSize in ${CONFIG_FILE} is not a known setting`,
+      `port in ${CONFIG_FILE} must be a whole number between 1 and 65535`,
+      `uploadFolder in ${CONFIG_FILE} must be a non-empty path`,
+      'REQUIRE_VIEWER_LOGIN must be true or false',
+      'MAX_FILE_SIZE_MB must be a number between 0.001 and 2048',
+      `upload.maxFiles in ${CONFIG_FILE} must be a whole number between 1 and 1000`,
+      `upload.formats in ${CONFIG_FILE} must list one or more of: jpeg, png, gif, webp, svg`,
+      'DUPLICATE_POLICY must be one of: reject, skip, allow'
+    ]);
+    return true;
+  });
+});
+
+test('refuses a config file that is missing or not JSON', async (t) => {
+  const badJson = await writeConfigFile(t, '{ "port": 80, }');
+  const notObject = await writeConfigFile(t, '[]');
+
+  assert.throws(() => loadConfig({ CONFIG_FILE: path.join(os.tmpdir(), 'foldselect-missing.json') }), /Config file .* not found/);
+  assert.throws(() => loadConfig({ CONFIG_FILE: badJson }), /Can't read config file/);
+  assert.throws(() => loadConfig({ CONFIG_FILE: notObject }), /must contain a JSON object/);
+});
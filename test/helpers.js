@@ -0,0 +1,73 @@
+const assert = require('node:assert');
+const { spawn } = require('child_process');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+// Helpers shared by the tests that run the server
+
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.listen(0, () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+    server.on('error', reject);
+  });
+}
+
+// Start the server on a free port with all of its data in a temporary folder
+// (or in `dataFolder`, which the caller then removes) and log in as the admin.
+// Returns { request, dataFolder, base, output, stop }: `request(url, options)`
+// is fetch on the server with the session cookie, `base` its URL, `output()`
+// what it printed so far and `stop()` ends it.
+async function startServer(t, env = {}, dataFolder = null) {
+  const temporary = !dataFolder;
+  if (temporary) {
+    dataFolder = await fs.mkdtemp(path.join(os.tmpdir(), 'foldselect-test-'));
+  }
+  const port = await getFreePort();
+  const child = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+    cwd: dataFolder,
+    env: { ...process.env, PORT: String(port), ADMIN_PASSWORD: 'test-password', ...env },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  const exited = new Promise(resolve => child.once('exit', resolve));
+  const stop = async () => {
+    child.kill();
+    await exited;
+  };
+  t.after(async () => {
+    await stop();
+    if (temporary) await fs.remove(dataFolder);
+  });
+
+  let output = '';
+  await new Promise((resolve, reject) => {
+    child.stdout.on('data', data => {
+      output += data;
+      if (output.includes('Server running')) resolve();
+    });
+    child.on('exit', code => reject(new Error(`Server exited with code ${code}`)));
+  });
+
+  const base = `http://localhost:${port}`;
+  const login = await fetch(`${base}/api/auth/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username: 'admin', password: 'test-password' })
+  });
+  assert.strictEqual(login.status, 200);
+  const cookie = login.headers.get('set-cookie').split(';')[0];
+
+  const request = (url, options = {}) => fetch(`${base}${url}`, { ...options, headers: { ...options.headers, Cookie: cookie } });
+  return { request, dataFolder, base, output: () => output, stop };
+}
+
+module.exports = {
+  getFreePort,
+  startServer
+};
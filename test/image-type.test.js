@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { detectFormat, formatOfName, checkImageName, checkImageFile } = require('../lib/image-type');
+
+const PNG = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8DwHwAFBQIAX8jx0gAAAABJRU5ErkJggg==', 'base64');
+const JPEG = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10, 0x4a, 0x46, 0x49, 0x46]);
+const ELF = Buffer.from([0x7f, 0x45, 0x4c, 0x46, 0x02, 0x01, 0x01, 0x00]);
+
+async function writeTempFile(t, content) {
+  const folder = await fs.mkdtemp(path.join(os.tmpdir(), 'foldselect-type-'));
+  t.after(() => fs.remove(folder));
+  const filePath = path.join(folder, 'upload');
+  await fs.writeFile(filePath, content);
+  return filePath;
+}
+
+test('detects formats from their leading bytes', () => {
+  assert.strictEqual(detectFormat(PNG), 'png');
+  assert.strictEqual(detectFormat(JPEG), 'jpeg');
+  assert.strictEqual(detectFormat(Buffer.from('GIF89a\x01\x00\x01\x00', 'latin1')), 'gif');
+  assert.strictEqual(detectFormat(Buffer.from('RIFF\x24\x00\x00\x00WEBPVP8 ', 'latin1')), 'webp');
+  assert.strictEqual(detectFormat(Buffer.from('﻿<?xml version="1.0"?>\n<!-- logo -->\n<svg xmlns="http://www.w3.org/2000/svg"/>')), 'svg');
+
+  assert.strictEqual(detectFormat(ELF), null);
+  assert.strictEqual(detectFormat(Buffer.from('<html><svg></svg></html>')), null);
+  assert.strictEqual(detectFormat(Buffer.from('<svg>\0</svg>', 'latin1')), null);
+  assert.strictEqual(detectFormat(Buffer.alloc(0)), null);
+});
+
+test('only whole, known extensions declare a format', () => {
+  assert.strictEqual(formatOfName('photo.JPEG'), 'jpeg');
+  assert.strictEqual(formatOfName('photo.jpg'), 'jpeg');
+  assert.strictEqual(formatOfName('foo.jpgx'), null);
+  assert.strictEqual(formatOfName('foo.png.exe'), null);
+  assert.strictEqual(formatOfName('png'), null);
+});
+
+test('names and MIME types must declare the same format', () => {
+  assert.strictEqual(checkImageName('a.png', 'image/png').ext, '.png');
+  assert.strictEqual(checkImageName('a.png', 'application/octet-stream').ext, '.png');
+  assert.strictEqual(checkImageName('a.jpeg', '').ext, '.jpg');
+
+  assert.throws(() => checkImageName('setup.exe', 'image/png'), /Only JPEG, PNG, GIF, WebP and SVG images are allowed/);
+  assert.throws(() => checkImageName('a.png', 'image/jpeg'), /named as a PNG image, but was sent as image\/jpeg/);
+  assert.throws(() => checkImageName('a.svg', 'text/html'), /named as a SVG image, but was sent as text\/html/);
+});
+
+test('refuses files whose content is not what they are declared as', async (t) => {
+  const executable = await writeTempFile(t, ELF);
+  await assert.rejects(checkImageFile(executable, 'cat.png', 'image/png'), /not a JPEG, PNG, GIF, WebP or SVG image/);
+
+  const png = await writeTempFile(t, PNG);
+  await assert.rejects(checkImageFile(png, 'photo.jpg', 'image/jpeg'), /contains a PNG image, but its name says JPEG/);
+  await assert.rejects(checkImageFile(png, 'dot.png', 'image/gif'), /contains a PNG image, but was sent as image\/gif/);
+
+  assert.strictEqual((await checkImageFile(png, 'dot.png', 'image/png')).ext, '.png');
+  assert.strictEqual((await checkImageFile(await writeTempFile(t, JPEG), 'photo.JPEG')).ext, '.jpg');
+});
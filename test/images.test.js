@@ -0,0 +1,148 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs-extra');
+const sharp = require('sharp');
+const helpers = require('./helpers');
+
+// Start the server with a "hall" folder holding one image per color
+async function startServer(t, colors = ['#f00']) {
+  const { request, dataFolder } = await helpers.startServer(t);
+  const send = (url, method, body) => request(url, { method, headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+  assert.strictEqual((await send('/api/folders', 'POST', { folderName: 'hall' })).status, 200);
+
+  const formData = new FormData();
+  formData.append('folderName', 'hall');
+  for (const [i, background] of colors.entries()) {
+    const png = await sharp({ create: { width: 4, height: 4, channels: 3, background } }).png().toBuffer();
+    formData.append('images', new Blob([png], { type: 'image/png' }), `photo-${i}.png`);
+  }
+  const uploaded = await (await request('/api/upload', { method: 'POST', body: formData })).json();
+  const filenames = uploaded.files.map(file => file.filename);
+  assert.strictEqual(filenames.length, colors.length);
+
+  return { request, send, dataFolder, filenames };
+}
+
+test('renames need a new name that is a string', async (t) => {
+  const { send, filenames } = await startServer(t);
+
+  for (const newName of [5, ['a'], { name: 'a' }, null, '  ']) {
+    const response = await send(`/api/folders/hall/images/${filenames[0]}`, 'PATCH', { newName });
+    assert.strictEqual(response.status, 400);
+    assert.deepStrictEqual(await response.json(), { error: 'New name is required' });
+  }
+});
+
+test('image details are read from the file and the store', async (t) => {
+  const { request, dataFolder, filenames: [filename] } = await startServer(t);
+
+  const response = await request(`/api/folders/hall/images/${filename}`);
+  assert.strictEqual(response.status, 200);
+  const image = await response.json();
+  const stat = await fs.stat(path.join(dataFolder, 'uploads', 'hall', filename));
+  assert.strictEqual(image.filename, filename);
+  assert.strictEqual(image.folder, 'hall');
+  assert.strictEqual(image.path, `/uploads/hall/${filename}`);
+  assert.strictEqual(image.size, stat.size);
+  assert.strictEqual(image.modifiedAt, stat.mtime.toISOString());
+  assert.deepStrictEqual([image.width, image.height, image.hasLocation], [4, 4, false]);
+});
+
+test('images that are missing, not images or outside the folder are not found', async (t) => {
+  const { request, send, dataFolder, filenames: [filename] } = await startServer(t);
+  await fs.writeFile(path.join(dataFolder, 'uploads', 'hall', 'notes.txt'), 'not an image');
+  await fs.writeFile(path.join(dataFolder, 'uploads', 'outside.png'), 'outside');
+
+  const urls = [
+    '/api/folders/hall/images/missing.png',
+    '/api/folders/hall/images/notes.txt',
+    '/api/folders/hall/images/..%2Foutside.png',
+    `/api/folders/nowhere/images/${filename}`,
+    `/api/folders/..%2Fhall/images/${filename}`
+  ];
+  for (const url of urls) {
+    for (const [method, body] of [['GET'], ['PATCH', { newName: 'renamed' }], ['DELETE'], ['POST', { targetFolder: 'hall' }]]) {
+      const response = method === 'POST' ? await send(`${url}/move`, method, body) : await send(url, method, body);
+      assert.strictEqual(response.status, 404, `${method} ${url}`);
+      assert.deepStrictEqual(await response.json(), { error: 'Image not found' });
+    }
+  }
+  assert.ok(await fs.pathExists(path.join(dataFolder, 'uploads', 'hall', 'notes.txt')));
+  assert.ok(await fs.pathExists(path.join(dataFolder, 'uploads', 'outside.png')));
+});
+
+test('renames keep the extension and the folder, and never replace another image', async (t) => {
+  const { send, dataFolder, filenames: [first, second] } = await startServer(t, ['#f00', '#0f0']);
+  const folderPath = path.join(dataFolder, 'uploads', 'hall');
+
+  const renamed = await send(`/api/folders/hall/images/${first}`, 'PATCH', { newName: 'Lobby shot!' });
+  assert.strictEqual(renamed.status, 200);
+  const body = await renamed.json();
+  assert.strictEqual(body.previousName, first);
+  assert.strictEqual(body.image.filename, 'Lobby shot.png');
+  assert.deepStrictEqual((await fs.readdir(folderPath)).sort(), ['Lobby shot.png', second].sort());
+
+  // Names are cleaned like uploads and can't leave the folder
+  const escaped = await (await send(`/api/folders/hall/images/${second}`, 'PATCH', { newName: '../../escaped' })).json();
+  assert.strictEqual(escaped.image.filename, 'escaped.png');
+  assert.ok(await fs.pathExists(path.join(folderPath, 'escaped.png')));
+
+  const taken = await send('/api/folders/hall/images/escaped.png', 'PATCH', { newName: 'Lobby shot' });
+  assert.strictEqual(taken.status, 400);
+  assert.deepStrictEqual(await taken.json(), { error: 'An image with that name already exists' });
+  const unchanged = await send('/api/folders/hall/images/escaped.png', 'PATCH', { newName: 'escaped.png' });
+  assert.strictEqual((await unchanged.json()).message, 'Image name unchanged');
+  const invalid = await send('/api/folders/hall/images/escaped.png', 'PATCH', { newName: '!!!' });
+  assert.strictEqual(invalid.status, 400);
+  assert.deepStrictEqual(await invalid.json(), { error: 'Invalid image name' });
+
+  assert.deepStrictEqual((await fs.readdir(folderPath)).sort(), ['Lobby shot.png', 'escaped.png']);
+});
+
+test('deleted images leave the folder for the trash', async (t) => {
+  const { request, filenames: [filename, kept] } = await startServer(t, ['#f00', '#0f0']);
+
+  const deleted = await request(`/api/folders/hall/images/${filename}`, { method: 'DELETE' });
+  assert.strictEqual(deleted.status, 200);
+  const { trashId, folder } = await deleted.json();
+  assert.strictEqual(folder, 'hall');
+
+  assert.strictEqual((await request(`/api/folders/hall/images/${filename}`)).status, 404);
+  assert.strictEqual((await request(`/api/folders/hall/images/${filename}`, { method: 'DELETE' })).status, 404);
+  const { images } = await (await request('/api/folders/hall/images')).json();
+  assert.deepStrictEqual(images.map(image => image.filename), [kept]);
+  const { items } = await (await request('/api/trash')).json();
+  assert.deepStrictEqual(items.map(item => [item.id, item.filename]), [[trashId, filename]]);
+});
+
+test('images are copied and moved to other folders without replacing what is there', async (t) => {
+  const { request, send, dataFolder, filenames: [first, second] } = await startServer(t, ['#f00', '#0f0']);
+  assert.strictEqual((await send('/api/folders', 'POST', { folderName: 'lobby' })).status, 200);
+  const listImages = async folderName => (await (await request(`/api/folders/${folderName}/images`)).json()).images.map(image => image.filename).sort();
+
+  const copied = await send(`/api/folders/hall/images/${first}/move`, 'POST', { targetFolder: 'lobby', copy: true });
+  assert.strictEqual(copied.status, 200);
+  const copy = (await copied.json()).image;
+  assert.deepStrictEqual([copy.folder, copy.filename, copy.width], ['lobby', first, 4]);
+
+  // A second copy gets a name of its own
+  const again = (await (await send(`/api/folders/hall/images/${first}/move`, 'POST', { targetFolder: 'lobby', copy: true })).json()).image;
+  assert.notStrictEqual(again.filename, first);
+  assert.ok(again.filename.endsWith('.png'));
+
+  const moved = await send(`/api/folders/hall/images/${second}/move`, 'POST', { targetFolder: 'lobby' });
+  assert.strictEqual(moved.status, 200);
+  assert.deepStrictEqual(await listImages('hall'), [first]);
+  assert.deepStrictEqual(await listImages('lobby'), [first, again.filename, second].sort());
+  assert.ok(!(await fs.pathExists(path.join(dataFolder, 'uploads', 'hall', second))));
+
+  const same = await send(`/api/folders/hall/images/${first}/move`, 'POST', { targetFolder: 'hall' });
+  assert.strictEqual(same.status, 400);
+  assert.deepStrictEqual(await same.json(), { error: 'Target folder must be different from the source folder' });
+  for (const targetFolder of ['nowhere', '../lobby', undefined]) {
+    const missing = await send(`/api/folders/hall/images/${first}/move`, 'POST', { targetFolder });
+    assert.strictEqual(missing.status, 404, String(targetFolder));
+    assert.deepStrictEqual(await missing.json(), { error: 'Target folder not found' });
+  }
+});
@@ -0,0 +1,144 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const sharp = require('sharp');
+const helpers = require('./helpers');
+
+// Start the server with four top-level folders whose titles sort the other
+// way round from their names, a subfolder, and images of different sizes
+async function startServer(t) {
+  const { request, base } = await helpers.startServer(t);
+  const send = (url, method, body) => request(url, { method, headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+
+  for (const [slug, title, parent] of [['alpha', 'Zulu'], ['bravo', 'Yankee'], ['charlie', 'X-ray'], ['delta', 'Whiskey'], ['inner', 'Inner', 'bravo']]) {
+    assert.strictEqual((await send('/api/folders', 'POST', { folderName: title, slug, parent })).status, 200);
+  }
+
+  const upload = async (folderName, files) => {
+    const formData = new FormData();
+    formData.append('folderName', folderName);
+    for (const [filename, width] of files) {
+      const png = await sharp({ create: { width, height: width, channels: 3, noise: { type: 'gaussian', mean: 128, sigma: 30 } } }).png().toBuffer();
+      formData.append('images', new Blob([png], { type: 'image/png' }), filename);
+    }
+    const response = await request('/api/upload', { method: 'POST', body: formData });
+    assert.strictEqual(response.status, 200);
+  };
+  await upload('bravo', [['ant.png', 16], ['bee.png', 4], ['cat.png', 32], ['dog.png', 8]]);
+  await upload('bravo/inner', [['eel.png', 12]]);
+  await upload('delta', [['fox.png', 4]]);
+
+  const getJson = async url => {
+    const response = await request(url);
+    return { status: response.status, body: await response.json() };
+  };
+  return { request, send, base, getJson };
+}
+
+const names = page => page.folders.map(folder => folder.name);
+// Uploaded files get a timestamp; the part before it is the name they were sent with, less the extension
+const sentNames = page => page.images.map(image => image.filename.split('_')[0]);
+
+test('folder listings are paged with offset and limit', async (t) => {
+  const { getJson } = await startServer(t);
+
+  const all = (await getJson('/api/folders')).body;
+  assert.deepStrictEqual(names(all), ['alpha', 'bravo', 'bravo/inner', 'charlie', 'delta']);
+  assert.deepStrictEqual([all.total, all.offset, all.limit, all.hasMore], [5, 0, 50, false]);
+
+  const first = (await getJson('/api/folders?limit=2')).body;
+  assert.deepStrictEqual(names(first), ['alpha', 'bravo']);
+  assert.deepStrictEqual([first.total, first.hasMore], [5, true]);
+
+  // The last page is short, and past the end there is nothing
+  const last = (await getJson('/api/folders?limit=2&offset=4')).body;
+  assert.deepStrictEqual(names(last), ['delta']);
+  assert.strictEqual(last.hasMore, false);
+  const beyond = (await getJson('/api/folders?limit=2&offset=10')).body;
+  assert.deepStrictEqual([names(beyond), beyond.total, beyond.hasMore], [[], 5, false]);
+
+  assert.strictEqual((await getJson('/api/folders?limit=200')).status, 200);
+  for (const limit of ['0', '201', '-1', '1.5', 'ten', '']) {
+    const { status, body } = await getJson(`/api/folders?limit=${limit}`);
+    assert.strictEqual(status, 400, limit);
+    assert.deepStrictEqual(body, { error: 'limit must be a number from 1 to 200' });
+  }
+  for (const offset of ['-1', '0.5', 'first']) {
+    const { status, body } = await getJson(`/api/folders?offset=${offset}`);
+    assert.strictEqual(status, 400, offset);
+    assert.deepStrictEqual(body, { error: 'offset must be a number of 0 or more' });
+  }
+});
+
+test('folder listings are sorted and filtered', async (t) => {
+  const { send, getJson } = await startServer(t);
+
+  assert.deepStrictEqual(names((await getJson('/api/folders?sort=title')).body), ['bravo/inner', 'delta', 'charlie', 'bravo', 'alpha']);
+  assert.deepStrictEqual(names((await getJson('/api/folders?sort=name&order=desc')).body), ['delta', 'charlie', 'bravo/inner', 'bravo', 'alpha']);
+  // Ties keep name order
+  assert.deepStrictEqual(names((await getJson('/api/folders?sort=imageCount&order=desc')).body), ['bravo', 'bravo/inner', 'delta', 'alpha', 'charlie']);
+
+  for (const sort of ['bogus', 'folders.name', 'name; DROP TABLE folders']) {
+    const { status, body } = await getJson(`/api/folders?sort=${encodeURIComponent(sort)}`);
+    assert.strictEqual(status, 400, sort);
+    assert.deepStrictEqual(body, { error: 'sort must be one of: name, title, createdAt, imageCount, size' });
+  }
+  assert.deepStrictEqual((await getJson('/api/folders?order=up')).body, { error: 'order must be asc or desc' });
+
+  assert.deepStrictEqual(names((await getJson('/api/folders?parent=')).body), ['alpha', 'bravo', 'charlie', 'delta']);
+  assert.deepStrictEqual(names((await getJson('/api/folders?parent=bravo')).body), ['bravo/inner']);
+  assert.deepStrictEqual((await getJson('/api/folders?parent=..')).body, { error: 'Invalid parent folder' });
+  assert.deepStrictEqual(names((await getJson('/api/folders?q=ray')).body), ['charlie']);
+
+  assert.strictEqual((await send('/api/folders/delta/toggle', 'PATCH')).status, 200);
+  assert.deepStrictEqual(names((await getJson('/api/folders?active=true')).body), ['delta']);
+  assert.strictEqual((await getJson('/api/folders?active=false')).body.total, 4);
+  assert.deepStrictEqual((await getJson('/api/folders?active=yes')).body, { error: 'active must be true or false' });
+
+  const previews = (await getJson('/api/folders?parent=&images=2')).body.folders;
+  assert.deepStrictEqual(previews.map(folder => [folder.name, folder.imageCount, folder.images.length]), [
+    ['alpha', 0, 0], ['bravo', 4, 2], ['charlie', 0, 0], ['delta', 1, 1]
+  ]);
+  assert.deepStrictEqual((await getJson('/api/folders?images=201')).body, { error: 'images must be a number from 0 to 200' });
+});
+
+test('image listings are paged, sorted and searched', async (t) => {
+  const { getJson } = await startServer(t);
+
+  const all = (await getJson('/api/folders/bravo/images')).body;
+  assert.deepStrictEqual(sentNames(all), ['ant', 'bee', 'cat', 'dog']);
+  assert.deepStrictEqual([all.total, all.hasMore], [4, false]);
+
+  const page = (await getJson('/api/folders/bravo/images?limit=3&offset=1')).body;
+  assert.deepStrictEqual(sentNames(page), ['bee', 'cat', 'dog']);
+  assert.deepStrictEqual([page.total, page.offset, page.limit, page.hasMore], [4, 1, 3, false]);
+  assert.strictEqual((await getJson('/api/folders/bravo/images?limit=3')).body.hasMore, true);
+
+  const bySize = (await getJson('/api/folders/bravo/images?sort=size&order=desc')).body;
+  assert.deepStrictEqual(sentNames(bySize), ['cat', 'ant', 'dog', 'bee']);
+
+  assert.deepStrictEqual(sentNames((await getJson('/api/folders/bravo/images?q=DOG')).body), ['dog']);
+  // LIKE wildcards in the search are taken literally
+  assert.strictEqual((await getJson('/api/folders/bravo/images?q=%25')).body.total, 0);
+
+  const descendants = (await getJson('/api/folders/bravo/images?descendants=true&sort=name&order=desc&limit=2')).body;
+  assert.deepStrictEqual([sentNames(descendants), descendants.total, descendants.hasMore], [['eel', 'dog'], 5, true]);
+
+  for (const query of ['sort=width', 'order=random', 'limit=0', 'offset=-3']) {
+    assert.strictEqual((await getJson(`/api/folders/bravo/images?${query}`)).status, 400, query);
+  }
+  assert.deepStrictEqual((await getJson('/api/folders/bravo/images?sort=width')).body, { error: 'sort must be one of: name, createdAt, size' });
+});
+
+test('anonymous listings only hold the folders shown to users', async (t) => {
+  const { send, base } = await startServer(t);
+  const getAnonymous = async url => (await fetch(`${base}${url}`)).json();
+
+  const hidden = await getAnonymous('/api/folders/active');
+  assert.deepStrictEqual([names(hidden), hidden.total, hidden.hasMore], [[], 0, false]);
+
+  assert.strictEqual((await send('/api/folders/bravo/toggle', 'PATCH')).status, 200);
+  const shown = await getAnonymous('/api/folders/active?limit=1');
+  assert.deepStrictEqual([names(shown), shown.total, shown.hasMore], [['bravo'], 1, false]);
+  assert.strictEqual((await getAnonymous('/api/folders/bravo/images?limit=1')).hasMore, true);
+  assert.deepStrictEqual(await getAnonymous('/api/folders/active?sort=bogus'), { error: 'sort must be one of: name, title, createdAt, imageCount, size' });
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const sharp = require('sharp');
+const { readImageMetadata, stripLocation } = require('../lib/metadata');
+
+const GPS = { GPSLatitudeRef: 'N', GPSLatitude: '51/1 30/1 0/1', GPSLongitudeRef: 'W', GPSLongitude: '0/1 7/1 30/1' };
+
+const XMP = `<x:xmpmeta xmlns:x="adobe:ns:meta/">
+  <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+    <rdf:Description xmlns:exif="http://ns.adobe.com/exif/1.0/" exif:GPSLatitude="51,30.0N" exif:GPSLongitude="0,7.5W"/>
+  </rdf:RDF>
+</x:xmpmeta>`;
+
+function createImage() {
+  return sharp({ create: { width: 8, height: 6, channels: 3, background: '#c00' } }).jpeg();
+}
+
+async function writeTempFile(t, content) {
+  const folder = await fs.mkdtemp(path.join(os.tmpdir(), 'foldselect-metadata-'));
+  t.after(() => fs.remove(folder));
+  const filePath = path.join(folder, 'photo.jpg');
+  await fs.writeFile(filePath, content);
+  return filePath;
+}
+
+// Point the GPS entry of a JPEG's EXIF block past the end of the block
+function breakGpsPointer(buffer) {
+  const tiff = buffer.indexOf('Exif\0\0', 0, 'latin1') + 6;
+  const littleEndian = buffer.toString('latin1', tiff, tiff + 2) === 'II';
+  const u16 = offset => littleEndian ? buffer.readUInt16LE(tiff + offset) : buffer.readUInt16BE(tiff + offset);
+  const u32 = offset => littleEndian ? buffer.readUInt32LE(tiff + offset) : buffer.readUInt32BE(tiff + offset);
+
+  const ifd0 = u32(4);
+  for (let i = 0; i < u16(ifd0); i++) {
+    const at = ifd0 + 2 + i * 12;
+    if (u16(at) === 0x8825) {
+      littleEndian ? buffer.writeUInt32LE(0xfff000, tiff + at + 8) : buffer.writeUInt32BE(0xfff000, tiff + at + 8);
+      return buffer;
+    }
+  }
+  throw new Error('No GPS entry');
+}
+
+test('blanks EXIF location tags in place', async (t) => {
+  const original = await createImage().withExif({ IFD0: { Make: 'Canon' }, IFD3: GPS }).toBuffer();
+  const filePath = await writeTempFile(t, original);
+  assert.strictEqual((await readImageMetadata(filePath)).hasLocation, true);
+
+  assert.strictEqual(await stripLocation(filePath), true);
+  const stripped = await fs.readFile(filePath);
+  assert.strictEqual(stripped.length, original.length);
+  assert.deepStrictEqual(await readImageMetadata(filePath), {
+    width: 8, height: 6, orientation: 1, takenAt: undefined, camera: 'Canon', hasLocation: false
+  });
+
+  // Nothing left to remove
+  assert.strictEqual(await stripLocation(filePath), false);
+  assert.ok((await fs.readFile(filePath)).equals(stripped));
+});
+
+test('re-encodes images whose location is in an XMP packet', async (t) => {
+  const filePath = await writeTempFile(t, await createImage().withXmp(XMP).toBuffer());
+  assert.strictEqual((await readImageMetadata(filePath)).hasLocation, true);
+
+  assert.strictEqual(await stripLocation(filePath), true);
+  assert.strictEqual((await sharp(filePath).metadata()).xmp, undefined);
+  assert.strictEqual((await readImageMetadata(filePath)).hasLocation, false);
+});
+
+test('re-encodes images whose GPS section cannot be blanked, keeping their orientation', async (t) => {
+  const original = await createImage().withMetadata({ orientation: 6 }).withExifMerge({ IFD3: GPS }).toBuffer();
+  assert.strictEqual((await sharp(original).metadata()).orientation, 6);
+  const filePath = await writeTempFile(t, breakGpsPointer(original));
+
+  assert.strictEqual(await stripLocation(filePath), true);
+  const info = await sharp(filePath).metadata();
+  assert.strictEqual(info.exif, undefined);
+  assert.deepStrictEqual([info.width, info.height], [6, 8]);
+});
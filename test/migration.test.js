@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const Database = require('better-sqlite3');
+const { MIGRATIONS } = require('../lib/store');
+const { startServer } = require('./helpers');
+
+// A data folder with the given folders on disk
+async function createDataFolder(t, folderNames) {
+  const dataFolder = await fs.mkdtemp(path.join(os.tmpdir(), 'foldselect-migration-'));
+  t.after(() => fs.remove(dataFolder));
+  for (const folderName of folderNames) {
+    await fs.ensureDir(path.join(dataFolder, 'uploads', folderName));
+  }
+  return dataFolder;
+}
+
+// The migrations a server reported applying, by number
+const appliedMigrations = output => [...output.matchAll(/Applied database migration (\d+)/g)].map(match => Number(match[1]));
+
+async function listFolders(request) {
+  const { folders } = await (await request('/api/folders')).json();
+  return folders.map(folder => [folder.name, folder.active, folder.createdAt]);
+}
+
+function readDatabase(dataFolder, read) {
+  const db = new Database(path.join(dataFolder, 'foldselect.db'), { readonly: true });
+  try {
+    return read(db);
+  } finally {
+    db.close();
+  }
+}
+
+test('folders.json is imported on the first start and only then', async (t) => {
+  const dataFolder = await createDataFolder(t, ['lobby', 'stage', 'archive']);
+  await fs.writeJson(path.join(dataFolder, 'folders.json'), {
+    folders: {
+      lobby: { active: true, createdAt: '2024-03-01T10:00:00.000Z', activatedAt: '2024-03-02T10:00:00.000Z' },
+      // Older files could have several active folders; only the first stays active
+      stage: { active: true, createdAt: '2024-03-03T10:00:00.000Z' },
+      archive: { active: false, createdAt: '2024-01-01T10:00:00.000Z', deactivatedAt: '2024-02-01T10:00:00.000Z' }
+    }
+  });
+
+  const first = await startServer(t, {}, dataFolder);
+  assert.deepStrictEqual(appliedMigrations(first.output()), MIGRATIONS.map((migration, i) => i + 1));
+  assert.match(first.output(), /Imported 3 folder\(s\) from folders\.json/);
+  assert.deepStrictEqual(await listFolders(first.request), [
+    ['archive', false, '2024-01-01T10:00:00.000Z'],
+    ['lobby', true, '2024-03-01T10:00:00.000Z'],
+    ['stage', false, '2024-03-03T10:00:00.000Z']
+  ]);
+
+  // Changes made since then aren't undone by the file, nor new entries in it picked up
+  assert.strictEqual((await first.request('/api/folders/stage/toggle', { method: 'PATCH' })).status, 200);
+  await first.stop();
+  await fs.writeJson(path.join(dataFolder, 'folders.json'), { folders: { lobby: { active: true }, added: { active: false } } });
+
+  const second = await startServer(t, {}, dataFolder);
+  assert.deepStrictEqual(appliedMigrations(second.output()), []);
+  assert.doesNotMatch(second.output(), /Imported/);
+  assert.deepStrictEqual((await listFolders(second.request)).map(([name, active]) => [name, active]), [
+    ['archive', false],
+    ['lobby', false],
+    ['stage', true]
+  ]);
+  await second.stop();
+
+  readDatabase(dataFolder, db => {
+    assert.strictEqual(db.pragma('user_version', { simple: true }), MIGRATIONS.length);
+    assert.ok(db.prepare("SELECT value FROM meta WHERE key = 'folders_json_imported'").pluck().get());
+  });
+});
+
+test('older databases are migrated from their user_version on', async (t) => {
+  const dataFolder = await createDataFolder(t, ['lobby']);
+  // A database from a version with the first two migrations
+  const old = new Database(path.join(dataFolder, 'foldselect.db'));
+  old.exec(MIGRATIONS[0]);
+  old.exec(MIGRATIONS[1]);
+  old.pragma('user_version = 2');
+  old.prepare('INSERT INTO folders (name, active, created_at) VALUES (?, 1, ?)').run('lobby', '2024-03-01T10:00:00.000Z');
+  old.close();
+
+  const { request, output, stop } = await startServer(t, {}, dataFolder);
+  assert.deepStrictEqual(appliedMigrations(output()), MIGRATIONS.slice(2).map((migration, i) => i + 3));
+  assert.deepStrictEqual(await listFolders(request), [['lobby', true, '2024-03-01T10:00:00.000Z']]);
+  await stop();
+
+  readDatabase(dataFolder, db => {
+    assert.strictEqual(db.pragma('user_version', { simple: true }), MIGRATIONS.length);
+  });
+});
+
+test('a folders.json that cannot be read stops the first start', async (t) => {
+  const dataFolder = await createDataFolder(t, []);
+  await fs.writeFile(path.join(dataFolder, 'folders.json'), '{"folders": {');
+
+  await assert.rejects(startServer(t, {}, dataFolder), /Server exited with code 1/);
+});
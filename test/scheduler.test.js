@@ -0,0 +1,145 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const scheduler = require('../lib/scheduler');
+const helpers = require('./helpers');
+
+const HOUR = 60 * 60 * 1000;
+
+const json = (method, body) => ({
+  method,
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify(body)
+});
+
+// Start the server with the given folders
+async function startServer(t, folderNames) {
+  const { request } = await helpers.startServer(t);
+  for (const folderName of folderNames) {
+    const created = await request('/api/folders', json('POST', { folderName }));
+    assert.strictEqual(created.status, 200);
+  }
+  return request;
+}
+
+async function getActiveFolders(request) {
+  const { folders } = await (await request('/api/folders')).json();
+  return folders.filter(folder => folder.active).map(folder => folder.name);
+}
+
+async function addSchedule(request, folderName, schedule) {
+  const response = await request(`/api/folders/${folderName}/schedules`, json('POST', schedule));
+  return { status: response.status, body: await response.json() };
+}
+
+// Windows as local "day hour:00-day hour:00" strings, for readable assertions
+const describeWindows = occurrences => occurrences.map(({ start, end }) =>
+  `${start.getDate()} ${start.getHours()}:00-${end.getDate()} ${end.getHours()}:00`);
+
+test('one-off windows cover only their own time', () => {
+  const schedule = { recurrence: 'once', startAt: new Date(2026, 0, 15, 9).toISOString(), endAt: new Date(2026, 0, 15, 12).toISOString() };
+
+  assert.deepStrictEqual(describeWindows(scheduler.getOccurrences(schedule, new Date(2026, 0, 15, 0), new Date(2026, 0, 16, 0))), ['15 9:00-15 12:00']);
+  assert.deepStrictEqual(scheduler.getOccurrences(schedule, new Date(2026, 0, 15, 12), new Date(2026, 0, 15, 13)), []);
+  assert.deepStrictEqual(scheduler.getOccurrences(schedule, new Date(2026, 0, 15, 8), new Date(2026, 0, 15, 9)), []);
+});
+
+test('recurring windows repeat daily or on their weekdays', () => {
+  const daily = { recurrence: 'daily', startTime: '09:00', endTime: '12:00' };
+  assert.deepStrictEqual(describeWindows(scheduler.getOccurrences(daily, new Date(2026, 0, 15, 10), new Date(2026, 0, 17, 10))), [
+    '15 9:00-15 12:00', '16 9:00-16 12:00', '17 9:00-17 12:00'
+  ]);
+
+  // 15 January 2026 is a Thursday
+  const weekly = { recurrence: 'weekly', startTime: '09:00', endTime: '12:00', days: [1, 4] };
+  assert.deepStrictEqual(describeWindows(scheduler.getOccurrences(weekly, new Date(2026, 0, 15, 0), new Date(2026, 0, 22, 0))), [
+    '15 9:00-15 12:00', '19 9:00-19 12:00'
+  ]);
+});
+
+test('windows ending before they start run past midnight', () => {
+  const nightly = { recurrence: 'daily', startTime: '22:00', endTime: '02:00' };
+
+  // Still open after midnight from the day before
+  assert.deepStrictEqual(describeWindows(scheduler.getOccurrences(nightly, new Date(2026, 0, 15, 1), new Date(2026, 0, 15, 3))), ['14 22:00-15 2:00']);
+  assert.deepStrictEqual(scheduler.getOccurrences(nightly, new Date(2026, 0, 15, 2), new Date(2026, 0, 15, 22)), []);
+
+  // A Friday night window keeps going into Saturday, but not from Saturday night
+  const friday = { recurrence: 'weekly', startTime: '22:00', endTime: '02:00', days: [5] };
+  assert.deepStrictEqual(describeWindows(scheduler.getOccurrences(friday, new Date(2026, 0, 17, 0), new Date(2026, 0, 18, 12))), ['16 22:00-17 2:00']);
+});
+
+test('schedules are checked before they are saved', async (t) => {
+  const request = await startServer(t, ['lobby']);
+  const invalid = [
+    { recurrence: 'hourly' },
+    { recurrence: 'once', startAt: 'soon', endAt: '2026-01-15T12:00:00Z' },
+    { recurrence: 'once', startAt: '2026-01-15T12:00:00Z', endAt: '2026-01-15T09:00:00Z' },
+    { recurrence: 'daily', startTime: '9:00', endTime: '12:00' },
+    { recurrence: 'daily', startTime: '09:00', endTime: '09:00' },
+    { recurrence: 'weekly', startTime: '09:00', endTime: '12:00', days: [] },
+    { recurrence: 'weekly', startTime: '09:00', endTime: '12:00', days: [7] }
+  ];
+
+  for (const schedule of invalid) {
+    assert.strictEqual((await addSchedule(request, 'lobby', schedule)).status, 400, JSON.stringify(schedule));
+  }
+  assert.strictEqual((await addSchedule(request, 'nowhere', { recurrence: 'daily', startTime: '09:00', endTime: '12:00' })).status, 404);
+  assert.deepStrictEqual(await (await request('/api/schedules')).json(), []);
+});
+
+test('overlapping windows keep one folder active: the one that started last', async (t) => {
+  const request = await startServer(t, ['morning', 'keynote', 'later']);
+  const now = Date.now();
+  const window = (startHours, endHours) => ({
+    recurrence: 'once',
+    startAt: new Date(now + startHours * HOUR).toISOString(),
+    endAt: new Date(now + endHours * HOUR).toISOString()
+  });
+
+  const morning = await addSchedule(request, 'morning', window(-2, 2));
+  assert.strictEqual(morning.status, 200);
+  assert.deepStrictEqual(await getActiveFolders(request), ['morning']);
+
+  const keynote = await addSchedule(request, 'keynote', window(-1, 1));
+  assert.deepStrictEqual(await getActiveFolders(request), ['keynote']);
+
+  // Not open yet, so nothing changes
+  const later = await addSchedule(request, 'later', window(3, 4));
+  assert.deepStrictEqual(await getActiveFolders(request), ['keynote']);
+
+  const timeline = await (await request('/api/schedules/upcoming?hours=5')).json();
+  assert.strictEqual(timeline.scheduledFolder, 'keynote');
+  assert.strictEqual(new Date(timeline.to) - new Date(timeline.from), 5 * HOUR);
+  assert.deepStrictEqual(timeline.upcoming.map(entry => [entry.folderName, entry.scheduleId, entry.recurrence]), [
+    ['morning', morning.body.schedule.id, 'once'],
+    ['keynote', keynote.body.schedule.id, 'once'],
+    ['later', later.body.schedule.id, 'once']
+  ]);
+  assert.strictEqual(timeline.upcoming[0].start, morning.body.schedule.startAt);
+
+  // The shorter timeline leaves out the window that opens later
+  const short = await (await request('/api/schedules/upcoming?hours=2')).json();
+  assert.deepStrictEqual(short.upcoming.map(entry => entry.folderName), ['morning', 'keynote']);
+
+  // Closing the keynote window hands back to the one still open, then to none
+  assert.strictEqual((await request(`/api/schedules/${keynote.body.schedule.id}`, { method: 'DELETE' })).status, 200);
+  assert.deepStrictEqual(await getActiveFolders(request), ['morning']);
+  assert.strictEqual((await request(`/api/schedules/${morning.body.schedule.id}`, { method: 'DELETE' })).status, 200);
+  assert.deepStrictEqual(await getActiveFolders(request), []);
+  assert.strictEqual((await request(`/api/schedules/${morning.body.schedule.id}`, { method: 'DELETE' })).status, 404);
+});
+
+test('the timeline lists every window of recurring schedules', async (t) => {
+  const request = await startServer(t, ['night']);
+  assert.strictEqual((await addSchedule(request, 'night', { recurrence: 'daily', startTime: '23:00', endTime: '01:00' })).status, 200);
+
+  const timeline = await (await request('/api/schedules/upcoming')).json();
+  assert.strictEqual(new Date(timeline.to) - new Date(timeline.from), 48 * HOUR);
+  // Two or three nights fall in 48 hours, depending on the time of day
+  assert.ok(timeline.upcoming.length >= 2 && timeline.upcoming.length <= 3, String(timeline.upcoming.length));
+  for (const entry of timeline.upcoming) {
+    assert.strictEqual(entry.folderName, 'night');
+    assert.strictEqual(new Date(entry.end) - new Date(entry.start), 2 * HOUR);
+    assert.strictEqual(new Date(entry.start).getHours(), 23);
+  }
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs-extra');
+const schema = require('../lib/schema');
+const spec = require('../lib/api-spec');
+
+test('reports every problem with its path', () => {
+  const folder = {
+    type: 'object',
+    required: ['folderName'],
+    additionalProperties: false,
+    properties: {
+      folderName: { type: 'string', minLength: 1 },
+      quotaMb: { type: 'number', exclusiveMinimum: 0, nullable: true },
+      tags: { type: 'array', items: { type: 'string', enum: ['a', 'b'] }, uniqueItems: true }
+    }
+  };
+
+  assert.deepStrictEqual(schema.validate(folder, { folderName: 'hall', quotaMb: null, tags: ['a'] }), []);
+  assert.deepStrictEqual(schema.validate(folder, { quotaMb: 0, tags: ['a', 'c', 'a'], extra: 1 }, { path: 'body' }), [
+    { path: 'body.folderName', message: 'is required' },
+    { path: 'body.quotaMb', message: 'must be more than 0' },
+    { path: 'body.tags', message: 'must not contain the same item twice' },
+    { path: 'body.tags[1]', message: 'must be one of: a, b' },
+    { path: 'body.extra', message: 'is not allowed' }
+  ]);
+});
+
+test('query values are converted before they are checked', () => {
+  const limit = { type: 'integer', minimum: 1 };
+
+  assert.strictEqual(schema.coerceParameter(limit, '20'), 20);
+  assert.strictEqual(schema.coerceParameter(limit, ''), '');
+  assert.strictEqual(schema.coerceParameter({ type: 'boolean' }, 'true'), true);
+  assert.deepStrictEqual(schema.validate(limit, schema.coerceParameter(limit, '2.5')), [
+    { path: '', message: 'must be a whole number' }
+  ]);
+});
+
+test('operations are found by method and path', () => {
+  const active = spec.findOperation('GET', '/folders/active');
+  assert.strictEqual(active.operation.operationId, 'listVisibleFolders');
+
+  const image = spec.findOperation('PATCH', '/folders/2026%2Fevent/images/a.png');
+  assert.deepStrictEqual(image.params, { folderName: '2026/event', filename: 'a.png' });
+
+  assert.deepStrictEqual(spec.findOperation('PUT', '/folders'), { allowed: ['GET', 'POST'] });
+  assert.strictEqual(spec.findOperation('GET', '/nothing'), null);
+
+  const document = spec.buildOpenApi();
+  assert.strictEqual(document.openapi, '3.0.3');
+  assert.ok(document.paths['/folders/{folderName}/images/{filename}'].patch);
+});
+
+test('every /api route is in the spec, and every operation has a route', async () => {
+  // Routes only meant for troubleshooting, which the versioned API leaves out
+  const unversioned = ['GET /debug/folders'];
+
+  const source = await fs.readFile(path.join(__dirname, '..', 'server.js'), 'utf8');
+  const routes = [...source.matchAll(/app\.(get|post|put|patch|delete)\('\/api(\/[^']*)'/g)]
+    .map(([, method, route]) => `${method.toUpperCase()} ${route.replace(/:(\w+)/g, '{$1}')}`)
+    .filter(route => !unversioned.includes(route));
+  const operations = spec.OPERATIONS.map(operation => `${operation.method.toUpperCase()} ${operation.path}`);
+
+  assert.deepStrictEqual(routes.filter(route => !operations.includes(route)), [], 'routes missing from the spec');
+  assert.deepStrictEqual(operations.filter(operation => !routes.includes(operation)), [], 'operations without a route');
+  assert.strictEqual(new Set(operations).size, operations.length);
+});
@@ -0,0 +1,156 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const sharp = require('sharp');
+const { sanitizeSvg } = require('../lib/svg');
+
+const SVG_OPEN = '<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="20" height="20">';
+
+// Nothing that can run script or load another document may survive
+function assertInert(output) {
+  assert.doesNotMatch(output, /<script/i);
+  assert.doesNotMatch(output, /javascript:/i);
+  assert.doesNotMatch(output, /\son\w+\s*=/i);
+  assert.doesNotMatch(output, /<foreignObject|<iframe|<object|<embed/i);
+  assert.doesNotMatch(output, /evil\.example/);
+}
+
+test('removes script elements, including CDATA and prefixed ones', () => {
+  const output = sanitizeSvg(`${SVG_OPEN}
+    <script>alert(1)</script>
+    <script type="text/javascript"><![CDATA[ fetch('/api/auth/me') ]]></script>
+    <svg:script xmlns:svg="http://www.w3.org/2000/svg">alert(2)</svg:script>
+    <rect width="10" height="10" fill="red"/>
+  </svg>`);
+
+  assertInert(output);
+  assert.doesNotMatch(output, /alert|fetch/);
+  assert.match(output, /<rect width="10" height="10" fill="red"\/>/);
+});
+
+test('removes event handler attributes in any case', () => {
+  const output = sanitizeSvg(`<svg xmlns="http://www.w3.org/2000/svg" onload="alert(1)">
+    <circle r="5" OnClick="alert(2)" onmouseover = 'alert(3)'/>
+  </svg>`);
+
+  assertInert(output);
+  assert.match(output, /<circle r="5"\/>/);
+});
+
+test('unwraps javascript: links, also when the scheme is written with entities', () => {
+  const output = sanitizeSvg(`${SVG_OPEN}
+    <a href="javascript:alert(1)"><rect width="1" height="1"/></a>
+    <a xlink:href="&#106;ava&#x73;cript:alert(2)"><circle r="1"/></a>
+    <a href="  java\nscript:alert(3)"><text>x</text></a>
+  </svg>`);
+
+  assertInert(output);
+  assert.doesNotMatch(output, /<a\b/);
+  assert.match(output, /<rect width="1" height="1"\/>/);
+  assert.match(output, /<circle r="1"\/>/);
+});
+
+test('removes embedded HTML and animations that could rewrite links', () => {
+  const output = sanitizeSvg(`${SVG_OPEN}
+    <foreignObject width="100" height="100">
+      <body xmlns="http://www.w3.org/1999/xhtml"><iframe src="javascript:alert(1)"></iframe></body>
+    </foreignObject>
+    <a><set attributeName="href" to="javascript:alert(2)"/><text>click</text></a>
+    <animate attributeName="xlink:href" values="javascript:alert(3)"/>
+  </svg>`);
+
+  assertInert(output);
+  assert.doesNotMatch(output, /<set|<animate/);
+  assert.match(output, /<text>click<\/text>/);
+});
+
+test('drops external references but keeps local ones and embedded raster data', () => {
+  const output = sanitizeSvg(`${SVG_OPEN}
+    <defs><linearGradient id="g"><stop offset="0" stop-color="red"/></linearGradient></defs>
+    <use href="https://evil.example/sprite.svg#icon"/>
+    <use xlink:href="#g"/>
+    <image href="http://evil.example/track.png" width="1" height="1"/>
+    <image href="data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==" width="1" height="1"/>
+    <image href="data:image/png;base64,iVBORw0KGgo=" width="2" height="2"/>
+    <rect fill="url(http://evil.example/p.svg#x)" stroke="url(#g)" width="1" height="1"/>
+  </svg>`);
+
+  assertInert(output);
+  assert.doesNotMatch(output, /data:text/);
+  assert.match(output, /<use xlink:href="#g"\/>/);
+  assert.match(output, /<image href="data:image\/png;base64,iVBORw0KGgo=" width="2" height="2"\/>/);
+  assert.match(output, /fill="none" stroke="url\(#g\)"/);
+});
+
+test('neutralizes style sheets that import or load other resources', () => {
+  const output = sanitizeSvg(`${SVG_OPEN}
+    <style>
+      @import url("https://evil.example/x.css");
+      @import 'https://evil.example/y.css';
+      rect { fill: url(https://evil.example/p.png); stroke: blue; }
+      circle { background: u\\72l(https://evil.example/escaped.png); }
+      .local { fill: url(#g); }
+    </style>
+    <rect style="fill: url('http://evil.example/a.png'); behavior: url(x.htc)" width="1" height="1"/>
+  </svg>`);
+
+  assertInert(output);
+  assert.doesNotMatch(output, /@import|behavior/);
+  assert.match(output, /stroke: blue/);
+  assert.match(output, /fill: url\(#g\)/);
+});
+
+test('drops the DOCTYPE with its entities (XXE and entity expansion)', () => {
+  const output = sanitizeSvg(`<?xml version="1.0"?>
+<!DOCTYPE svg [
+  <!ENTITY xxe SYSTEM "file:///etc/passwd">
+  <!ENTITY lol "lol">
+  <!ENTITY lol2 "&lol;&lol;&lol;&lol;&lol;&lol;&lol;&lol;">
+]>
+${SVG_OPEN}<text>&xxe;&lol2;&amp;&#60;</text></svg>`);
+
+  assert.doesNotMatch(output, /DOCTYPE|ENTITY|passwd|lol/);
+  assert.match(output, /<text>&amp;&lt;<\/text>/);
+});
+
+test('replaces foreign namespaces so the document stays SVG', () => {
+  const output = sanitizeSvg(`<svg xmlns="http://www.w3.org/1999/xhtml" xmlns:x="http://www.w3.org/1999/xhtml">
+    <x:script>alert(1)</x:script><rect x:onclick="alert(2)" width="1" height="1"/>
+  </svg>`);
+
+  assertInert(output);
+  assert.match(output, /^<svg xmlns="http:\/\/www\.w3\.org\/2000\/svg"/);
+  assert.doesNotMatch(output, /1999\/xhtml/);
+});
+
+test('refuses files that are not well-formed SVG documents', () => {
+  const rejected = [
+    '<html><script>alert(1)</script></html>',
+    '<svg xmlns="http://www.w3.org/2000/svg"><rect></svg>',
+    '<svg xmlns="http://www.w3.org/2000/svg"><rect width="1></svg>',
+    '<svg xmlns="http://www.w3.org/2000/svg"></svg><script>alert(1)</script>',
+    '\x89PNG\r\n\x1a\n'
+  ];
+
+  for (const source of rejected) {
+    assert.throws(() => sanitizeSvg(source), /Not a well-formed SVG image/, source);
+  }
+});
+
+test('keeps ordinary drawings intact and renderable', async () => {
+  const output = sanitizeSvg(`<?xml version="1.0" encoding="UTF-8"?>
+<!-- Exported by an editor -->
+<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 40 40" width="40" height="40">
+  <title>Logo &amp; mark</title>
+  <defs><radialGradient id="r"><stop offset="0" stop-color="#fff"/><stop offset="1" stop-color="#667eea"/></radialGradient></defs>
+  <g transform="translate(2 2)"><circle cx="18" cy="18" r="16" fill="url(#r)"/></g>
+  <path d="M4 36 L36 4" stroke="#764ba2" stroke-width="2"/>
+</svg>`);
+
+  assert.match(output, /<title>Logo &amp; mark<\/title>/);
+  assert.match(output, /<circle cx="18" cy="18" r="16" fill="url\(#r\)"\/>/);
+  assert.match(output, /<path d="M4 36 L36 4" stroke="#764ba2" stroke-width="2"\/>/);
+
+  const info = await sharp(Buffer.from(output)).metadata();
+  assert.strictEqual(info.width, 40);
+  assert.strictEqual(info.height, 40);
+});
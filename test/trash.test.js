@@ -0,0 +1,138 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const sharp = require('sharp');
+const store = require('../lib/store');
+const trash = require('../lib/trash');
+const audit = require('../lib/audit');
+const helpers = require('./helpers');
+
+const SECOND_IN_DAYS = 1 / (24 * 60 * 60);
+
+// Start the server with a "hall" folder, its "hall/side" subfolder and an
+// image in each
+async function startServer(t) {
+  const { request, dataFolder } = await helpers.startServer(t);
+  const send = (url, method, body) => request(url, { method, headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+  assert.strictEqual((await send('/api/folders', 'POST', { folderName: 'hall' })).status, 200);
+  assert.strictEqual((await send('/api/folders', 'POST', { folderName: 'side', parent: 'hall' })).status, 200);
+
+  const upload = async (folderName, filename, background) => {
+    const formData = new FormData();
+    formData.append('folderName', folderName);
+    const png = await sharp({ create: { width: 4, height: 4, channels: 3, background } }).png().toBuffer();
+    formData.append('images', new Blob([png], { type: 'image/png' }), filename);
+    const response = await request('/api/upload', { method: 'POST', body: formData });
+    assert.strictEqual(response.status, 200);
+    return (await response.json()).files[0].filename;
+  };
+  const photo = await upload('hall', 'photo.png', '#f00');
+  const detail = await upload('hall/side', 'detail.png', '#0f0');
+
+  const listImages = async folderName => {
+    const response = await request(`/api/folders/${encodeURIComponent(folderName)}/images`);
+    return response.status === 200 ? (await response.json()).images.map(image => image.filename) : response.status;
+  };
+  const listTrash = async () => (await (await request('/api/trash')).json()).items;
+
+  return { request, send, upload, listImages, listTrash, dataFolder, photo, detail };
+}
+
+test('deleted folders go to the trash with their subfolders and come back as they were', async (t) => {
+  const { request, send, listImages, listTrash, dataFolder, photo, detail } = await startServer(t);
+  assert.strictEqual((await send('/api/folders/hall/toggle', 'PATCH')).status, 200);
+
+  const deleted = await request('/api/folders/hall', { method: 'DELETE' });
+  assert.strictEqual(deleted.status, 200);
+  const { trashId } = await deleted.json();
+  assert.strictEqual(await listImages('hall'), 404);
+  assert.ok(!(await fs.pathExists(path.join(dataFolder, 'uploads', 'hall'))));
+  assert.ok(await fs.pathExists(path.join(dataFolder, 'trash', trashId, 'hall', 'side', detail)));
+
+  const [item] = await listTrash();
+  assert.strictEqual(item.id, trashId);
+  assert.strictEqual(item.kind, 'folder');
+  assert.strictEqual(item.folderName, 'hall');
+  assert.strictEqual(item.deletedBy, 'admin');
+  assert.strictEqual(new Date(item.expiresAt) - new Date(item.deletedAt), 30 * 24 * 60 * 60 * 1000);
+
+  const restored = await request(`/api/trash/${trashId}/restore`, { method: 'POST' });
+  assert.strictEqual(restored.status, 200);
+  assert.strictEqual((await restored.json()).folderName, 'hall');
+  assert.deepStrictEqual(await listImages('hall'), [photo]);
+  assert.deepStrictEqual(await listImages('hall/side'), [detail]);
+  const { folders } = await (await request('/api/folders')).json();
+  assert.deepStrictEqual(folders.filter(folder => folder.active).map(folder => folder.name), ['hall']);
+  assert.deepStrictEqual(await listTrash(), []);
+  assert.ok(!(await fs.pathExists(path.join(dataFolder, 'trash', trashId))));
+});
+
+test('restored items whose names were taken in the meantime get new ones', async (t) => {
+  const { request, send, upload, listImages, listTrash, photo, detail } = await startServer(t);
+
+  const image = await (await request(`/api/folders/hall/images/${photo}`, { method: 'DELETE' })).json();
+  assert.deepStrictEqual(await listImages('hall'), []);
+  const replacement = await upload('hall', 'photo.png', '#00f');
+  assert.strictEqual((await send(`/api/folders/hall/images/${replacement}`, 'PATCH', { newName: photo })).status, 200);
+
+  const restoredImage = await (await request(`/api/trash/${image.trashId}/restore`, { method: 'POST' })).json();
+  assert.strictEqual(restoredImage.folderName, 'hall');
+  assert.notStrictEqual(restoredImage.filename, photo);
+  assert.deepStrictEqual((await listImages('hall')).sort(), [photo, restoredImage.filename].sort());
+
+  const folder = await (await request('/api/folders/hall', { method: 'DELETE' })).json();
+  assert.strictEqual((await send('/api/folders', 'POST', { folderName: 'hall' })).status, 200);
+
+  const restoredFolder = await (await request(`/api/trash/${folder.trashId}/restore`, { method: 'POST' })).json();
+  assert.strictEqual(restoredFolder.folderName, 'hall-2');
+  assert.deepStrictEqual(await listImages('hall'), []);
+  assert.deepStrictEqual(await listImages('hall-2/side'), [detail]);
+  assert.deepStrictEqual(await listTrash(), []);
+});
+
+test('images whose folder is gone are restored into another one', async (t) => {
+  const { request, send, listImages, photo, detail } = await startServer(t);
+
+  const image = await (await request(`/api/folders/hall%2Fside/images/${detail}`, { method: 'DELETE' })).json();
+  assert.strictEqual((await request('/api/folders/hall%2Fside', { method: 'DELETE' })).status, 200);
+
+  const refused = await request(`/api/trash/${image.trashId}/restore`, { method: 'POST' });
+  assert.strictEqual(refused.status, 409);
+
+  const restored = await send(`/api/trash/${image.trashId}/restore`, 'POST', { targetFolder: 'hall' });
+  assert.strictEqual(restored.status, 200);
+  assert.deepStrictEqual((await listImages('hall')).sort(), [detail, photo].sort());
+  assert.strictEqual((await request('/api/trash/unknown/restore', { method: 'POST' })).status, 404);
+});
+
+test('items are purged once they have been in the trash longer than the retention period', async (t) => {
+  const dataFolder = await fs.mkdtemp(path.join(os.tmpdir(), 'foldselect-trash-'));
+  t.after(() => fs.remove(dataFolder));
+  store.initStore({ databaseFile: path.join(dataFolder, 'test.db') });
+  trash.initTrash({ uploadFolder: path.join(dataFolder, 'uploads'), trashFolder: path.join(dataFolder, 'trash'), retentionDays: SECOND_IN_DAYS });
+
+  for (const folderName of ['old', 'recent']) {
+    store.createFolder(folderName);
+    await fs.ensureDir(path.join(dataFolder, 'uploads', folderName));
+  }
+
+  const old = await trash.trashFolder('old', 'admin');
+  await new Promise(resolve => setTimeout(resolve, 1200));
+  const recent = await trash.trashFolder('recent', 'admin');
+
+  const purged = await trash.purgeExpired();
+  assert.deepStrictEqual(purged.map(item => item.id), [old.id]);
+  assert.deepStrictEqual(trash.listTrash().map(item => item.id), [recent.id]);
+  assert.ok(!(await fs.pathExists(path.join(dataFolder, 'trash', old.id))));
+  assert.ok(await fs.pathExists(path.join(dataFolder, 'trash', recent.id, 'recent')));
+  const { entries } = audit.query({ actions: ['trash.purge'] });
+  assert.deepStrictEqual(entries.map(entry => [entry.actor, entry.folderName]), [['system', 'old']]);
+
+  // A retention of 0 keeps items forever
+  trash.initTrash({ retentionDays: 0 });
+  await new Promise(resolve => setTimeout(resolve, 1200));
+  assert.deepStrictEqual(await trash.purgeExpired(), []);
+  assert.strictEqual(trash.getTrashItem(recent.id).expiresAt, undefined);
+});
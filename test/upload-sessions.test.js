@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const fs = require('fs-extra');
+const store = require('../lib/store');
+const uploadSessions = require('../lib/upload-sessions');
+
+const CONTENT = Buffer.from('0123456789abcdefghij');
+
+let dataFolder;
+
+test.before(async () => {
+  dataFolder = await fs.mkdtemp(path.join(os.tmpdir(), 'foldselect-upload-sessions-'));
+  store.initStore({ databaseFile: path.join(dataFolder, 'test.db') });
+  uploadSessions.initUploadSessions({ sessionsFolder: path.join(dataFolder, 'sessions') });
+  store.createFolder('hall');
+});
+
+test.after(() => fs.remove(dataFolder));
+
+function createSession() {
+  return uploadSessions.createSession({ folderName: 'hall', filename: 'photo.png', size: CONTENT.length, mimeType: 'image/png', createdBy: 'admin' });
+}
+
+// A request body that sends `data` and then, a moment later, loses its connection
+function dropAfter(data) {
+  let sent = false;
+  return new Readable({
+    read() {
+      if (sent) {
+        setTimeout(() => this.destroy(Object.assign(new Error('aborted'), { code: 'ECONNRESET' })), 100);
+      } else {
+        sent = true;
+        this.push(data);
+      }
+    }
+  });
+}
+
+test('an interrupted chunk keeps the bytes that arrived and the upload resumes after them', async () => {
+  const { id, offset } = await createSession();
+  assert.strictEqual(offset, 0);
+
+  await assert.rejects(uploadSessions.appendChunk(id, 0, dropAfter(CONTENT.subarray(0, 7))), { code: 'ECONNRESET' });
+  const session = await uploadSessions.getSession(id);
+  assert.strictEqual(session.offset, 7);
+  assert.strictEqual(await fs.readFile(path.join(dataFolder, 'sessions', `${id}.part`), 'utf8'), '0123456');
+
+  assert.strictEqual(await uploadSessions.appendChunk(id, 7, Readable.from([CONTENT.subarray(7)])), CONTENT.length);
+
+  const targetPath = path.join(dataFolder, 'photo.png');
+  const completed = await uploadSessions.completeSession(id, targetPath);
+  assert.strictEqual(completed.offset, CONTENT.length);
+  assert.ok((await fs.readFile(targetPath)).equals(CONTENT));
+  assert.strictEqual(await uploadSessions.getSession(id), undefined);
+  assert.ok(!(await fs.pathExists(path.join(dataFolder, 'sessions', `${id}.part`))));
+});
+
+test('chunks must start at the offset reached and stay within the file', async () => {
+  const { id } = await createSession();
+  await uploadSessions.appendChunk(id, 0, Readable.from([CONTENT.subarray(0, 5)]));
+
+  for (const offset of [0, 4, 6]) {
+    await assert.rejects(uploadSessions.appendChunk(id, offset, Readable.from([CONTENT.subarray(offset)])), {
+      code: 'OFFSET_MISMATCH',
+      message: 'Expected offset 5'
+    });
+  }
+
+  // Going past the end drops the whole chunk
+  await assert.rejects(uploadSessions.appendChunk(id, 5, Readable.from([CONTENT.subarray(5), Buffer.from('!')])), { code: 'CHUNK_TOO_LARGE' });
+  assert.strictEqual((await uploadSessions.getSession(id)).offset, 5);
+
+  await assert.rejects(uploadSessions.completeSession(id, path.join(dataFolder, 'early.png')), { code: 'UPLOAD_INCOMPLETE' });
+  await assert.rejects(uploadSessions.appendChunk('unknown', 0, Readable.from([CONTENT])), { code: 'SESSION_NOT_FOUND' });
+  await uploadSessions.deleteSession(id);
+});
+
+test('a session is completed only once when completions come in together', async () => {
+  const { id } = await createSession();
+  await uploadSessions.appendChunk(id, 0, Readable.from([CONTENT]));
+
+  const results = await Promise.allSettled([
+    uploadSessions.completeSession(id, path.join(dataFolder, 'first.png')),
+    uploadSessions.completeSession(id, path.join(dataFolder, 'second.png'))
+  ]);
+  assert.deepStrictEqual(results.map(result => result.status), ['fulfilled', 'rejected']);
+  assert.strictEqual(results[1].reason.code, 'SESSION_BUSY');
+  assert.ok(await fs.pathExists(path.join(dataFolder, 'first.png')));
+  assert.ok(!(await fs.pathExists(path.join(dataFolder, 'second.png'))));
+
+  // And not at all afterwards
+  await assert.rejects(uploadSessions.completeSession(id, path.join(dataFolder, 'third.png')), { code: 'SESSION_NOT_FOUND' });
+});
+
+test('sessions that receive nothing for the expiry period are removed', async () => {
+  uploadSessions.initUploadSessions({ expiryHours: 1 / (60 * 60) });
+  const expired = await createSession();
+  await uploadSessions.appendChunk(expired.id, 0, Readable.from([CONTENT.subarray(0, 3)]));
+  assert.strictEqual(new Date(expired.expiresAt) - new Date(expired.updatedAt), 1000);
+
+  await new Promise(resolve => setTimeout(resolve, 1200));
+  const { id } = await createSession();
+  // Data left behind by a session that is gone
+  await fs.writeFile(path.join(dataFolder, 'sessions', 'gone.part'), 'abc');
+
+  const purged = await uploadSessions.purgeExpired();
+  assert.deepStrictEqual(purged.map(session => session.id), [expired.id]);
+  assert.deepStrictEqual((await uploadSessions.listSessions()).map(session => session.id), [id]);
+  assert.deepStrictEqual(await fs.readdir(path.join(dataFolder, 'sessions')), []);
+});
@@ -0,0 +1,351 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs-extra');
+const sharp = require('sharp');
+const helpers = require('./helpers');
+
+const MALICIOUS_SVG = `<svg xmlns="http://www.w3.org/2000/svg" width="10" height="10" onload="fetch('/api/auth/me')">
+  <script>alert(document.cookie)</script>
+  <a href="javascript:alert(1)"><rect width="10" height="10" fill="red"/></a>
+</svg>`;
+
+// A 1x1 PNG
+const PNG = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8DwHwAFBQIAX8jx0gAAAABJRU5ErkJggg==', 'base64');
+
+// Start the server with an "svg" folder to upload into
+async function startServer(t, env = {}) {
+  const { request, dataFolder, base } = await helpers.startServer(t, env);
+  const created = await request('/api/folders', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ folderName: 'svg' })
+  });
+  assert.strictEqual(created.status, 200);
+
+  return { request, dataFolder, base };
+}
+
+async function uploadFiles(request, files) {
+  const formData = new FormData();
+  formData.append('folderName', 'svg');
+  for (const [name, content, type] of files) {
+    formData.append('images', new Blob([content], { type }), name);
+  }
+  const response = await request('/api/upload', { method: 'POST', body: formData });
+  return { status: response.status, body: await response.json() };
+}
+
+test('uploaded SVG images are sanitized and served with safe headers', async (t) => {
+  const { request, dataFolder } = await startServer(t);
+
+  const { status, body } = await uploadFiles(request, [
+    ['evil.svg', MALICIOUS_SVG, 'image/svg+xml'],
+    ['dot.png', PNG, 'image/png']
+  ]);
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.files.length, 2);
+
+  const svgFile = body.files.find(file => file.filename.endsWith('.svg'));
+  const stored = await fs.readFile(path.join(dataFolder, 'uploads', 'svg', svgFile.filename), 'utf8');
+  assert.doesNotMatch(stored, /<script|onload|javascript:/i);
+  assert.match(stored, /<rect width="10" height="10" fill="red"\/>/);
+  assert.strictEqual(svgFile.size, Buffer.byteLength(stored));
+
+  const svgResponse = await request(svgFile.path);
+  assert.strictEqual(svgResponse.status, 200);
+  assert.match(svgResponse.headers.get('content-security-policy'), /default-src 'none'.*sandbox/);
+  assert.strictEqual(svgResponse.headers.get('x-content-type-options'), 'nosniff');
+  assert.match(svgResponse.headers.get('content-disposition'), /^attachment/);
+
+  const pngFile = body.files.find(file => file.filename.endsWith('.png'));
+  const pngResponse = await request(pngFile.path);
+  assert.strictEqual(pngResponse.headers.get('x-content-type-options'), 'nosniff');
+  assert.strictEqual(pngResponse.headers.get('content-disposition'), null);
+});
+
+test('SVG files that cannot be read are rejected without failing the upload', async (t) => {
+  const { request } = await startServer(t);
+
+  const { status, body } = await uploadFiles(request, [
+    ['broken.svg', '<svg><script>alert(1)</svg>', 'image/svg+xml'],
+    ['page.svg', '<html><body onload="alert(1)"></body></html>', 'image/svg+xml'],
+    ['dot.png', PNG, 'image/png']
+  ]);
+  assert.strictEqual(status, 200);
+  assert.deepStrictEqual(body.files.map(file => file.originalName), ['dot.png']);
+  // Files are written side by side, so they can be rejected in any order
+  assert.deepStrictEqual(body.rejected.map(file => file.originalName).sort(), ['broken.svg', 'page.svg']);
+  const errors = Object.fromEntries(body.rejected.map(file => [file.originalName, file.error]));
+  assert.match(errors['broken.svg'], /Not a well-formed SVG image/);
+  assert.match(errors['page.svg'], /not a JPEG, PNG, GIF, WebP or SVG image/);
+});
+
+test('files are checked by their content and saved with the usual extension', async (t) => {
+  const { request, dataFolder } = await startServer(t);
+
+  const { status, body } = await uploadFiles(request, [
+    ['cat.png', Buffer.from([0x4d, 0x5a, 0x90, 0x00, 0x03]), 'image/png'],
+    ['dot.jpg', PNG, 'image/jpeg'],
+    ['notes.txt', 'hello', 'text/plain'],
+    ['Dot.PNG', PNG, 'image/png']
+  ]);
+  assert.strictEqual(status, 200);
+  assert.deepStrictEqual(body.files.map(file => file.originalName), ['Dot.PNG']);
+  assert.match(body.files[0].filename, /^Dot_.*\.png$/);
+  assert.ok(await fs.pathExists(path.join(dataFolder, 'uploads', 'svg', body.files[0].filename)));
+
+  const errors = Object.fromEntries(body.rejected.map(file => [file.originalName, file.error]));
+  assert.match(errors['cat.png'], /not a JPEG, PNG, GIF, WebP or SVG image/);
+  assert.match(errors['dot.jpg'], /contains a PNG image, but its name says JPEG/);
+  assert.match(errors['notes.txt'], /Only JPEG, PNG, GIF, WebP and SVG images are allowed/);
+  assert.deepStrictEqual(await fs.readdir(path.join(dataFolder, 'uploads', 'svg')), [body.files[0].filename]);
+});
+
+test('uploads that would exceed a folder quota are refused before anything is written', async (t) => {
+  const { request, dataFolder } = await startServer(t);
+  const patched = await request('/api/folders/svg', {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ quotaMb: 0.001 })
+  });
+  assert.strictEqual(patched.status, 200);
+  assert.strictEqual((await patched.json()).folder.quota, 1049);
+
+  const { status, body } = await uploadFiles(request, [['big.png', Buffer.concat([PNG, Buffer.alloc(2000)]), 'image/png']]);
+  assert.strictEqual(status, 413);
+  assert.match(body.error, /Not enough space .*quota of folder "svg" has 1 KB left/);
+  assert.deepStrictEqual(await fs.readdir(path.join(dataFolder, 'uploads', 'svg')), []);
+
+  const session = await request('/api/uploads', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ folderName: 'svg', filename: 'big.png', size: 2000, type: 'image/png' })
+  });
+  assert.strictEqual(session.status, 413);
+
+  const small = await uploadFiles(request, [['dot.png', PNG, 'image/png']]);
+  assert.strictEqual(small.status, 200);
+
+  const storage = await (await request('/api/storage')).json();
+  assert.strictEqual(storage.usedBytes, PNG.length);
+  assert.deepStrictEqual(storage.folders.map(folder => [folder.name, folder.size, folder.quota]), [['svg', PNG.length, 1049]]);
+  assert.strictEqual(storage.largestImages[0].filename, small.body.files[0].filename);
+  assert.strictEqual(storage.history.length, 1);
+});
+
+test('copies and moves into a folder have to fit in its quotas', async (t) => {
+  const { request, dataFolder } = await startServer(t);
+  const send = (url, method, body) => request(url, { method, headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+  await send('/api/folders', 'POST', { folderName: 'small' });
+  await send('/api/folders', 'POST', { folderName: 'inner', parent: 'small' });
+
+  const big = await uploadFiles(request, [['big.png', Buffer.concat([PNG, Buffer.alloc(2000)]), 'image/png']]);
+  assert.strictEqual(big.status, 200);
+  const bigUrl = `/api/folders/svg/images/${big.body.files[0].filename}/move`;
+  await send('/api/folders/small', 'PATCH', { quotaMb: 0.001 });
+
+  for (const copy of [true, false]) {
+    const response = await send(bigUrl, 'POST', { targetFolder: 'small', copy });
+    assert.strictEqual(response.status, 413);
+    const body = await response.json();
+    assert.strictEqual(body.code, 'QUOTA_EXCEEDED');
+    assert.match(body.error, /quota of folder "small"/);
+  }
+  const moved = await send('/api/folders/svg', 'PATCH', { parent: 'small' });
+  assert.strictEqual(moved.status, 413);
+  assert.strictEqual((await moved.json()).code, 'QUOTA_EXCEEDED');
+  assert.deepStrictEqual(await fs.readdir(path.join(dataFolder, 'uploads', 'svg')), [big.body.files[0].filename]);
+  assert.deepStrictEqual(await fs.readdir(path.join(dataFolder, 'uploads', 'small')), ['inner']);
+
+  // Moving within a folder doesn't take more of its quota, even a full one
+  const formData = new FormData();
+  formData.append('folderName', 'small/inner');
+  formData.append('images', new Blob([PNG], { type: 'image/png' }), 'dot.png');
+  const dot = await (await request('/api/upload', { method: 'POST', body: formData })).json();
+  await send('/api/folders/small', 'PATCH', { quotaMb: 0.00001 });
+  const inside = await send(`/api/folders/small%2Finner/images/${dot.files[0].filename}/move`, 'POST', { targetFolder: 'small' });
+  assert.strictEqual(inside.status, 200);
+});
+
+test('uploads need an existing folder, named before the files', async (t) => {
+  const { request, dataFolder } = await startServer(t);
+  const send = async (fields) => {
+    const formData = new FormData();
+    for (const [name, value] of fields) {
+      if (value === PNG) {
+        formData.append(name, new Blob([PNG], { type: 'image/png' }), 'dot.png');
+      } else {
+        formData.append(name, value);
+      }
+    }
+    const response = await request('/api/upload', { method: 'POST', body: formData });
+    return { status: response.status, body: await response.json() };
+  };
+
+  for (const fields of [[['images', PNG]], [['images', PNG], ['folderName', 'svg']]]) {
+    const { status, body } = await send(fields);
+    assert.strictEqual(status, 400);
+    assert.strictEqual(body.code, 'FOLDER_REQUIRED');
+  }
+  assert.strictEqual((await send([['folderName', 'nope'], ['images', PNG]])).status, 404);
+  assert.deepStrictEqual(await fs.readdir(path.join(dataFolder, 'uploads')), ['svg']);
+  assert.deepStrictEqual(await fs.readdir(path.join(dataFolder, 'uploads', 'svg')), []);
+
+  assert.strictEqual((await send([['folderName', 'svg'], ['images', PNG]])).status, 200);
+});
+
+test('ZIP archives over the configured size are refused with the limit named', async (t) => {
+  const { request } = await startServer(t, { MAX_ARCHIVE_SIZE_MB: '0.001' });
+  const formData = new FormData();
+  formData.append('folderName', 'svg');
+  formData.append('archive', new Blob([Buffer.alloc(2048)], { type: 'application/zip' }), 'photos.zip');
+
+  const response = await request('/api/import', { method: 'POST', body: formData });
+  assert.strictEqual(response.status, 400);
+  assert.deepStrictEqual(await response.json(), { error: 'Archive too large (max 0.001MB)', code: 'FILE_TOO_LARGE' });
+  assert.strictEqual((await (await request('/api/config')).json()).upload.maxArchiveSize, 1049);
+});
+
+test('uploaded filenames are cleaned like a rename', async (t) => {
+  const { request, dataFolder } = await startServer(t);
+  const other = await sharp({ create: { width: 2, height: 2, channels: 3, background: '#000' } }).png().toBuffer();
+
+  const { status, body } = await uploadFiles(request, [
+    ["p');alert(1);('.png", PNG, 'image/png'],
+    ["<'>.png", other, 'image/png']
+  ]);
+  assert.strictEqual(status, 200);
+  const [quoted, empty] = body.files.map(file => file.filename);
+  assert.match(quoted, /^palert1_\d+\.png$/);
+  assert.match(empty, /^image_\d+\.png$/);
+  assert.deepStrictEqual((await fs.readdir(path.join(dataFolder, 'uploads', 'svg'))).sort(), [empty, quoted].sort());
+});
+
+test('rejected duplicates leave the other files of the upload', async (t) => {
+  const { request, dataFolder } = await startServer(t);
+  const other = await sharp({ create: { width: 2, height: 2, channels: 3, background: '#000' } }).png().toBuffer();
+
+  const first = await uploadFiles(request, [['dot.png', PNG, 'image/png']]);
+  assert.strictEqual(first.status, 200);
+
+  const { status, body } = await uploadFiles(request, [['again.png', PNG, 'image/png'], ['new.png', other, 'image/png']]);
+  assert.strictEqual(status, 200);
+  assert.deepStrictEqual(body.files.map(file => file.originalName), ['new.png']);
+  assert.deepStrictEqual(body.duplicates.map(file => [file.originalName, file.status, file.duplicateOf.filename]), [['again.png', 'rejected', first.body.files[0].filename]]);
+  assert.strictEqual((await fs.readdir(path.join(dataFolder, 'uploads', 'svg'))).length, 2);
+
+  // Nothing left to add
+  const again = await uploadFiles(request, [['again.png', PNG, 'image/png']]);
+  assert.strictEqual(again.status, 409);
+  assert.strictEqual(again.body.duplicates[0].status, 'rejected');
+});
+
+test('images are transformed on request, cached and capped in variants', async (t) => {
+  const { request, dataFolder } = await startServer(t, { TRANSFORM_MAX_VARIANTS: '2' });
+  const photo = await sharp({ create: { width: 800, height: 600, channels: 3, background: '#3366cc' } }).jpeg().toBuffer();
+
+  const { body } = await uploadFiles(request, [['photo.jpg', photo, 'image/jpeg']]);
+  const { filename, transformUrl } = body.files[0];
+  assert.strictEqual(transformUrl, `/transform/svg/${filename}`);
+
+  const transform = async (query) => {
+    const response = await request(`${transformUrl}?${query}`);
+    const content = Buffer.from(await response.arrayBuffer());
+    return { status: response.status, type: response.headers.get('content-type'), content };
+  };
+
+  const webp = await transform('w=200');
+  assert.strictEqual(webp.status, 200);
+  assert.strictEqual(webp.type, 'image/webp');
+  assert.deepStrictEqual(await sharp(webp.content).metadata().then(({ width, height }) => [width, height]), [200, 150]);
+
+  const avif = await transform('w=100&h=100&fit=cover&format=avif&q=40');
+  assert.strictEqual(avif.type, 'image/avif');
+  assert.deepStrictEqual(await sharp(avif.content).metadata().then(({ width, height }) => [width, height]), [100, 100]);
+
+  const cached = path.join(dataFolder, 'renditions', 'transforms', 'svg', filename);
+  assert.deepStrictEqual(await fs.readdir(cached), ['100x100-cover-q40.avif', '200x-inside-q80.webp']);
+
+  // Variants already built are still served; new ones are refused
+  assert.strictEqual((await transform('w=200')).status, 200);
+  const capped = await transform('w=300');
+  assert.strictEqual(capped.status, 429);
+  assert.strictEqual(JSON.parse(capped.content).code, 'TOO_MANY_VARIANTS');
+
+  for (const query of ['', 'w=0', 'w=100000', 'w=10&fit=stretch', 'w=10&format=png', 'w=10&q=101']) {
+    const invalid = await transform(query);
+    assert.strictEqual(invalid.status, 400, query);
+    assert.strictEqual(JSON.parse(invalid.content).code, 'INVALID_TRANSFORM');
+  }
+
+  const deleted = await request(`/api/folders/svg/images/${filename}`, { method: 'DELETE' });
+  assert.strictEqual(deleted.status, 200);
+  assert.ok(!(await fs.pathExists(cached)));
+});
+
+test('viewers only get the files, renditions and transforms of folders shown to users', async (t) => {
+  const { request, base } = await startServer(t);
+  const { body } = await uploadFiles(request, [['photo.png', PNG, 'image/png']]);
+  const { path: imageUrl, thumbnailUrl, transformUrl } = body.files[0];
+  const urls = [imageUrl, thumbnailUrl, `${transformUrl}?w=1`];
+
+  for (const url of urls) {
+    assert.strictEqual((await fetch(`${base}${url}`)).status, 404, url);
+    assert.strictEqual((await request(url)).status, 200, url);
+  }
+
+  const toggled = await request('/api/folders/svg/toggle', { method: 'PATCH' });
+  assert.strictEqual(toggled.status, 200);
+  for (const url of urls) {
+    assert.strictEqual((await fetch(`${base}${url}`)).status, 200, url);
+  }
+});
+
+test('transforms built at the same time are capped', async (t) => {
+  const { request } = await startServer(t, { TRANSFORM_MAX_CONCURRENT: '1' });
+  const photo = await sharp({ create: { width: 1000, height: 1000, channels: 3, noise: { type: 'gaussian', mean: 128, sigma: 40 } } }).jpeg().toBuffer();
+  const { body } = await uploadFiles(request, [['photo.jpg', photo, 'image/jpeg']]);
+  const { transformUrl } = body.files[0];
+
+  const responses = await Promise.all([600, 700, 800, 900].map(width => request(`${transformUrl}?w=${width}`)));
+  const statuses = responses.map(response => response.status);
+  assert.ok(statuses.includes(200), String(statuses));
+  const busy = responses.filter(response => response.status === 503);
+  assert.ok(busy.length > 0, String(statuses));
+  assert.strictEqual(busy[0].headers.get('retry-after'), '1');
+  assert.strictEqual((await busy[0].json()).code, 'TRANSFORMS_BUSY');
+});
+
+test('resumable uploads continue from the offset reached and are completed once', async (t) => {
+  const { request, dataFolder } = await startServer(t);
+  const send = (url, method, body) => request(url, { method, headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+  const sendChunk = (id, offset, chunk) => request(`/api/uploads/${id}?offset=${offset}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/octet-stream' },
+    body: chunk
+  });
+
+  const created = await send('/api/uploads', 'POST', { folderName: 'svg', filename: 'dot.png', size: PNG.length, type: 'image/png' });
+  assert.strictEqual(created.status, 201);
+  const { id } = await created.json();
+
+  assert.deepStrictEqual(await (await sendChunk(id, 0, PNG.subarray(0, 30))).json(), { offset: 30, size: PNG.length });
+  assert.strictEqual((await (await request(`/api/uploads/${id}`)).json()).offset, 30);
+
+  const mismatch = await sendChunk(id, 20, PNG.subarray(20));
+  assert.strictEqual(mismatch.status, 409);
+  assert.deepStrictEqual(await mismatch.json(), { error: 'Expected offset 30', code: 'OFFSET_MISMATCH', offset: 30 });
+
+  const early = await send(`/api/uploads/${id}/complete`, 'POST', {});
+  assert.strictEqual(early.status, 409);
+  assert.strictEqual((await early.json()).code, 'UPLOAD_INCOMPLETE');
+
+  assert.strictEqual((await (await sendChunk(id, 30, PNG.subarray(30))).json()).offset, PNG.length);
+  const completions = await Promise.all([1, 2].map(() => send(`/api/uploads/${id}/complete`, 'POST', {})));
+  const statuses = completions.map(response => response.status).sort();
+  assert.strictEqual(statuses[0], 200);
+  assert.ok([404, 409].includes(statuses[1]), String(statuses));
+  assert.strictEqual((await fs.readdir(path.join(dataFolder, 'uploads', 'svg'))).length, 1);
+  assert.strictEqual((await request(`/api/uploads/${id}`)).status, 404);
+});
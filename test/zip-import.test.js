@@ -0,0 +1,170 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const fs = require('fs-extra');
+const { importZip } = require('../lib/zip-import');
+
+// Build a ZIP archive by hand, so entries can have the names and sizes an
+// archiver would never write. `size` overrides the declared uncompressed size.
+function createZip(entries) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const { name, data, deflate = false, size = data.length } of entries) {
+    const nameBuffer = Buffer.from(name, 'utf8');
+    const content = deflate ? zlib.deflateRawSync(data) : data;
+    const fields = Buffer.alloc(18);
+    fields.writeUInt16LE(deflate ? 8 : 0, 0);
+    fields.writeUInt32LE(0, 2); // Time and date
+    fields.writeUInt32LE(zlib.crc32(data), 6);
+    fields.writeUInt32LE(content.length, 10);
+    fields.writeUInt32LE(size, 14);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    fields.copy(local, 8);
+    local.writeUInt16LE(nameBuffer.length, 26);
+    locals.push(local, nameBuffer, content);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    fields.copy(central, 10);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, nameBuffer);
+
+    offset += local.length + nameBuffer.length + content.length;
+  }
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, end]);
+}
+
+async function writeZip(t, entries) {
+  const folder = await fs.mkdtemp(path.join(os.tmpdir(), 'foldselect-zip-'));
+  t.after(() => fs.remove(folder));
+  const zipPath = path.join(folder, 'archive.zip');
+  await fs.writeFile(zipPath, createZip(entries));
+  return zipPath;
+}
+
+// Import an archive, keeping what was written by entry name
+async function importEntries(zipPath, options = {}) {
+  const written = {};
+  const report = await importZip(zipPath, {
+    filter: () => null,
+    write: async (name, stream) => {
+      const chunks = [];
+      for await (const chunk of stream) chunks.push(chunk);
+      written[name] = Buffer.concat(chunks);
+      return { filename: path.posix.basename(name) };
+    },
+    ...options
+  });
+  return { report, written };
+}
+
+const byEntry = report => Object.fromEntries(report.map(({ entry, ...details }) => [entry, details]));
+
+test('rejects entries whose paths leave the target folder (zip-slip)', async (t) => {
+  const data = Buffer.from('image');
+  const zipPath = await writeZip(t, [
+    { name: '../evil.png', data },
+    { name: 'photos/../../evil.png', data },
+    { name: '/etc/evil.png', data },
+    { name: 'C:/evil.png', data },
+    { name: '..\\..\\evil.png', data },
+    { name: 'photos/good.png', data }
+  ]);
+
+  const { report, written } = await importEntries(zipPath);
+  const entries = byEntry(report);
+  assert.deepStrictEqual(Object.keys(written), ['photos/good.png']);
+  assert.deepStrictEqual(entries['photos/good.png'], { status: 'imported', filename: 'good.png' });
+  // Backslashes are read as slashes
+  for (const name of ['../evil.png', 'photos/../../evil.png', '/etc/evil.png', 'C:/evil.png', '../../evil.png']) {
+    assert.strictEqual(entries[name].status, 'rejected', name);
+    assert.match(entries[name].reason, /^Unsafe path: /, name);
+  }
+});
+
+test('rejects entries over the size limits, with a suspicious ratio or lying about their size (zip bombs)', async (t) => {
+  const zeros = Buffer.alloc(2 * 1024 * 1024);
+  const zipPath = await writeZip(t, [
+    { name: 'large.png', data: Buffer.alloc(2000, 1) },
+    { name: 'ratio.png', data: zeros, deflate: true },
+    { name: 'liar.png', data: zeros, deflate: true, size: 100 },
+    { name: 'first.png', data: Buffer.alloc(600, 2) },
+    { name: 'second.png', data: Buffer.alloc(600, 3) }
+  ]);
+
+  const { report, written } = await importEntries(zipPath, {
+    limits: { maxEntrySize: 3 * 1024 * 1024, maxTotalSize: 3000 }
+  });
+  const entries = byEntry(report);
+  assert.deepStrictEqual(entries['ratio.png'], { status: 'rejected', reason: 'Suspicious compression ratio' });
+  assert.strictEqual(entries['liar.png'].status, 'rejected');
+  assert.match(entries['liar.png'].reason, /too many bytes/i);
+  assert.strictEqual(entries['large.png'].status, 'imported');
+  assert.strictEqual(entries['first.png'].status, 'imported');
+  assert.deepStrictEqual(entries['second.png'], { status: 'rejected', reason: 'Archive is larger than the total size limit' });
+  assert.deepStrictEqual(Object.keys(written), ['large.png', 'first.png']);
+
+  const limited = await importEntries(zipPath, { limits: { maxEntrySize: 1000 } });
+  assert.deepStrictEqual(byEntry(limited.report)['large.png'], { status: 'rejected', reason: 'File is larger than the size limit' });
+});
+
+test('refuses archives with too many entries', async (t) => {
+  const data = Buffer.from('image');
+  const zipPath = await writeZip(t, ['a.png', 'b.png', 'c.png'].map(name => ({ name, data })));
+
+  await assert.rejects(importEntries(zipPath, { limits: { maxEntries: 2 } }), /Archive has 3 entries \(the limit is 2\)/);
+  assert.strictEqual((await importEntries(zipPath, { limits: { maxEntries: 3 } })).report.length, 3);
+});
+
+test('hands back the space reserved for entries that are turned down', async (t) => {
+  const zipPath = await writeZip(t, [
+    { name: 'broken.png', data: Buffer.alloc(400) },
+    { name: 'duplicate.png', data: Buffer.alloc(400) },
+    { name: 'kept.png', data: Buffer.alloc(400) },
+    { name: 'last.png', data: Buffer.alloc(400) }
+  ]);
+
+  let space = 1000;
+  const { report } = await importEntries(zipPath, {
+    reserve: size => {
+      if (size > space) return 'Not enough space';
+      space -= size;
+      return null;
+    },
+    release: size => {
+      space += size;
+    },
+    write: async (name, stream) => {
+      stream.resume();
+      if (name === 'broken.png') throw new Error('Not an image');
+      if (name === 'duplicate.png') return { status: 'skipped', reason: 'Duplicate of kept.png' };
+      return { filename: name };
+    }
+  });
+
+  assert.deepStrictEqual(report.map(entry => [entry.entry, entry.status]), [
+    ['broken.png', 'rejected'],
+    ['duplicate.png', 'skipped'],
+    ['kept.png', 'imported'],
+    ['last.png', 'imported']
+  ]);
+  assert.strictEqual(space, 200);
+});